@@ -1,7 +1,9 @@
 const Anthropic = require('@anthropic-ai/sdk');
 const { encoding_for_model: encodingForModel, get_encoding: getEncoding } = require('tiktoken');
 const { getResponseSender, EModelEndpoint } = require('librechat-data-provider');
+const { encodeAndFormat } = require('~/server/services/Files/images/encode');
 const { getModelMaxTokens } = require('~/utils');
+const spendTokens = require('~/models/spendTokens');
 const BaseClient = require('./BaseClient');
 
 const HUMAN_PROMPT = '\n\nHuman:';
@@ -46,6 +48,9 @@ class AnthropicClient extends BaseClient {
       stop: modelOptions.stop, // no stop method for now
     };
 
+    // Claude 3 models are only available through the Messages API, which also accepts images
+    this.useMessages = this.modelOptions.model.includes('claude-3');
+
     this.maxContextTokens =
       getModelMaxTokens(this.modelOptions.model, EModelEndpoint.anthropic) ?? 100000;
     this.maxResponseTokens = this.modelOptions.maxOutputTokens || 1500;
@@ -98,7 +103,7 @@ class AnthropicClient extends BaseClient {
     return new Anthropic(options);
   }
 
-  async buildMessages(messages, parentMessageId) {
+  async buildMessages(messages, parentMessageId, _buildOptions, opts) {
     const orderedMessages = this.constructor.getMessagesForConversation({
       messages,
       parentMessageId,
@@ -158,6 +163,18 @@ class AnthropicClient extends BaseClient {
       ? this.getTokenCount(promptPrefix)
       : this.getTokenCount(promptSuffix);
 
+    let images = [];
+    if (this.useMessages && this.options.attachments) {
+      const attachments = await this.options.attachments;
+      const { image_urls, tokenCount } = await encodeAndFormat(
+        this.options.req,
+        attachments.filter((file) => file.type.includes('image')),
+        EModelEndpoint.anthropic,
+      );
+      images = image_urls;
+      currentTokenCount += tokenCount;
+    }
+
     let promptBody = '';
     const maxTokenCount = this.maxPromptTokens;
 
@@ -243,7 +260,40 @@ class AnthropicClient extends BaseClient {
       this.maxResponseTokens,
     );
 
-    return { prompt, context };
+    if (typeof opts?.getReqData === 'function') {
+      opts.getReqData({ promptTokens: currentTokenCount });
+    }
+
+    if (this.useMessages) {
+      this.systemMessage = promptPrefix.trim();
+      prompt = this.formatMessagesPayload(context, images);
+    }
+
+    return { prompt, context, promptTokens: currentTokenCount };
+  }
+
+  /**
+   * Formats the messages kept in the prompt for the Messages API, adding the images
+   * before the text of the latest user message.
+   * An assistant message last is continued by the model, so its trailing whitespace is removed.
+   * @param {Array<{ author: string, content: string[] }>} context - The grouped messages.
+   * @param {Array<Object>} [images=[]] - The `image` content blocks of the attached images.
+   * @returns {Array<{ role: 'user' | 'assistant', content: string | Array<Object> }>}
+   */
+  formatMessagesPayload(context, images = []) {
+    const payload = context.map((message) => ({
+      role: message.author === this.userLabel ? 'user' : 'assistant',
+      content: message.content.join('\n'),
+    }));
+
+    const lastMessage = payload[payload.length - 1];
+    if (lastMessage?.role === 'assistant') {
+      lastMessage.content = lastMessage.content.trimEnd();
+    } else if (lastMessage && images.length > 0) {
+      lastMessage.content = [...images, { type: 'text', text: lastMessage.content }];
+    }
+
+    return payload;
   }
 
   getCompletion() {
@@ -285,21 +335,31 @@ class AnthropicClient extends BaseClient {
       topK: top_k,
     } = this.modelOptions;
     const requestOptions = {
-      prompt: payload,
       model,
       stream: stream || true,
-      max_tokens_to_sample: maxOutputTokens || 1500,
       stop_sequences,
       temperature,
       metadata,
       top_p,
       top_k,
     };
+    if (this.useMessages) {
+      requestOptions.messages = payload;
+      requestOptions.max_tokens = maxOutputTokens || 1500;
+      if (this.systemMessage) {
+        requestOptions.system = this.systemMessage;
+      }
+    } else {
+      requestOptions.prompt = payload;
+      requestOptions.max_tokens_to_sample = maxOutputTokens || 1500;
+    }
     if (this.options.debug) {
       console.log('AnthropicClient: requestOptions');
       console.dir(requestOptions, { depth: null });
     }
-    const response = await client.completions.create(requestOptions);
+    const response = this.useMessages
+      ? await client.messages.create(requestOptions)
+      : await client.completions.create(requestOptions);
 
     signal.addEventListener('abort', () => {
       if (this.options.debug) {
@@ -313,8 +373,13 @@ class AnthropicClient extends BaseClient {
         // Uncomment to debug message stream
         // console.debug(completion);
       }
-      text += completion.completion;
-      onProgress(completion.completion);
+      // The Messages API streams events, only the content deltas hold text
+      const token = this.useMessages ? completion.delta?.text ?? '' : completion.completion;
+      if (!token) {
+        continue;
+      }
+      text += token;
+      onProgress(token);
     }
 
     signal.removeEventListener('abort', () => {
@@ -327,6 +392,64 @@ class AnthropicClient extends BaseClient {
     return text.trim();
   }
 
+  /**
+   * Sends the title prompt as a single, non-streamed completion.
+   * @param {string} prompt - The title prompt.
+   * @param {Object} options
+   * @param {string} options.model - The model to generate the title with.
+   * @param {AbortController} options.abortController
+   * @returns {Promise<string>}
+   */
+  async getTitleCompletion(prompt, { model, abortController }) {
+    const client = this.getClient();
+    if (model.includes('claude-3')) {
+      const response = await client.messages.create(
+        {
+          messages: [{ role: 'user', content: prompt }],
+          model,
+          max_tokens: 16,
+          temperature: 0.2,
+          metadata: { user_id: this.user },
+        },
+        { signal: abortController.signal },
+      );
+      return response.content[0]?.text ?? '';
+    }
+
+    const response = await client.completions.create(
+      {
+        prompt: `${HUMAN_PROMPT} ${prompt}${AI_PROMPT}`,
+        model,
+        max_tokens_to_sample: 16,
+        temperature: 0.2,
+        metadata: { user_id: this.user },
+      },
+      { signal: abortController.signal },
+    );
+    return response.completion;
+  }
+
+  async recordTokenUsage({ promptTokens, completionTokens }) {
+    if (this.options.debug) {
+      console.debug('promptTokens', promptTokens);
+      console.debug('completionTokens', completionTokens);
+    }
+    await spendTokens(
+      {
+        user: this.user,
+        model: this.modelOptions.model,
+        endpoint: this.options.endpoint,
+        context: 'message',
+        conversationId: this.conversationId,
+      },
+      { promptTokens, completionTokens },
+    );
+  }
+
+  getTokenCountForResponse(response) {
+    return this.getTokenCount(response.text);
+  }
+
   getSaveOptions() {
     return {
       promptPrefix: this.options.promptPrefix,
@@ -1,8 +1,28 @@
 const crypto = require('crypto');
 const TextStream = require('./TextStream');
-const { getConvo, getMessages, saveMessage, updateMessage, saveConvo } = require('~/models');
+const {
+  getConvo,
+  getFiles,
+  getMessages,
+  saveMessage,
+  updateMessage,
+  saveConvo,
+} = require('~/models');
 const { addSpaceIfNeeded, isEnabled } = require('~/server/utils');
+const { formatTitleConvo, createTitleInstructions } = require('./prompts');
 const checkBalance = require('~/models/checkBalance');
+const Balance = require('~/models/Balance');
+const spendTokens = require('~/models/spendTokens');
+const { getMessageFiles } = require('~/server/services/Files/process');
+const { formatDocumentContext } = require('~/server/services/Files/documents');
+const {
+  isRetrievalEnabled,
+  getRetrievalContext,
+  getConversationDocuments,
+} = require('~/server/services/Files/retrieval');
+
+/** Tokens kept free for the formatting of the prompt when adding documents to a message */
+const DOCUMENT_CONTEXT_MARGIN = 100;
 
 class BaseClient {
   constructor(apiKey, options = {}) {
@@ -40,6 +60,65 @@ class BaseClient {
     throw new Error('Subclasses attempted to call summarizeMessages without implementing it');
   }
 
+  async getTitleCompletion() {
+    throw new Error('Subclasses attempted to call getTitleCompletion without implementing it');
+  }
+
+  /**
+   * Generates a title for the conversation with the plain-text title prompt and records its token usage.
+   * Clients only need to implement `getTitleCompletion`; `options.titleModel` overrides the model.
+   * @param {Object} params
+   * @param {string} params.text - The text of the first user message.
+   * @param {string} [params.responseText] - The text of the first response.
+   * @returns {Promise<string | undefined>} The title, or undefined if none could be generated.
+   */
+  async titleConvo({ text, responseText = '' }) {
+    const model = this.options.titleModel ?? this.modelOptions.model;
+    const prompt = createTitleInstructions({ convo: formatTitleConvo({ text, responseText }) });
+    const promptTokens = this.getTokenCount(prompt);
+
+    let title;
+    try {
+      if (isEnabled(process.env.CHECK_BALANCE)) {
+        // Titles are skipped, without logging a violation, when the user can't afford them
+        const { canSpend } = await Balance.check({
+          user: this.user,
+          tokenType: 'prompt',
+          amount: promptTokens,
+          model,
+          endpoint: this.options.endpoint,
+        });
+        if (!canSpend) {
+          return;
+        }
+      }
+
+      this.abortController = new AbortController();
+      const completion = await this.getTitleCompletion(prompt, {
+        model,
+        abortController: this.abortController,
+      });
+      title = completion.replaceAll('"', '').trim();
+    } catch (error) {
+      console.error('There was an issue generating the title', error);
+      return;
+    }
+
+    await spendTokens(
+      {
+        user: this.user,
+        model,
+        endpoint: this.options.endpoint,
+        context: 'title',
+        conversationId: this.conversationId,
+      },
+      { promptTokens, completionTokens: this.getTokenCount(title) },
+    );
+
+    console.log('CONVERSATION TITLE', title);
+    return title || undefined;
+  }
+
   async getTokenCountForResponse(response) {
     if (this.options.debug) {
       console.debug('`recordTokenUsage` not implemented.', response);
@@ -151,6 +230,85 @@ class BaseClient {
     };
   }
 
+  /**
+   * Returns the user message to build the prompt with. When documents are attached to it or to the
+   * previous messages, their extracted text is added before its text, truncated to fit in the prompt
+   * with the instructions. The user message itself, as saved, is left unchanged.
+   *
+   * With retrieval enabled, the chunks most relevant to the message are retrieved instead from the
+   * documents of previous messages, and from the attached ones when they exceed the context window.
+   * They are kept in `this.sources`, to save them with the response.
+   * @param {TMessage} userMessage
+   * @returns {Promise<TMessage>}
+   */
+  async addDocumentContext(userMessage) {
+    const attachments = (await this.options.attachments) ?? [];
+    let documents = attachments.filter((file) => file.text);
+    const retrievalDocuments = isRetrievalEnabled()
+      ? getConversationDocuments(this.currentMessages)
+      : [];
+    if (!isRetrievalEnabled()) {
+      documents = [...(await this.getPreviousDocuments(attachments)), ...documents];
+    }
+    if (documents.length === 0 && retrievalDocuments.length === 0) {
+      return userMessage;
+    }
+
+    const promptPrefix = this.options.promptPrefix ?? '';
+    const tokenLimit =
+      (this.maxPromptTokens ?? this.maxContextTokens) -
+      this.getTokenCount(`${promptPrefix}\n${userMessage.text}`) -
+      DOCUMENT_CONTEXT_MARGIN;
+    const getTokenCount = (text) => this.getTokenCount(text);
+
+    if (isRetrievalEnabled()) {
+      const documentTokens = documents.reduce((count, file) => count + getTokenCount(file.text), 0);
+      if (documentTokens > tokenLimit) {
+        retrievalDocuments.push(...documents.filter((file) => file.embedded));
+        documents = documents.filter((file) => !file.embedded);
+      }
+    }
+
+    let context = formatDocumentContext({ documents, tokenLimit, getTokenCount });
+
+    if (retrievalDocuments.length > 0) {
+      try {
+        const { context: sourcesContext, sources } = await getRetrievalContext({
+          user: this.user,
+          query: userMessage.text,
+          files: retrievalDocuments,
+          tokenLimit: tokenLimit - (context ? getTokenCount(context) : 0),
+          getTokenCount,
+        });
+        context += sourcesContext;
+        this.sources = sources;
+      } catch (error) {
+        console.error('[BaseClient] Error retrieving document chunks', error);
+      }
+    }
+
+    return context ? { ...userMessage, text: `${context}${userMessage.text}` } : userMessage;
+  }
+
+  /**
+   * Gets the documents attached to the previous messages, with their extracted text, as only their
+   * file references are saved with the messages.
+   * @param {Array<MongoFile>} attachments - The files attached to the user message, left out.
+   * @returns {Promise<Array<MongoFile>>}
+   */
+  async getPreviousDocuments(attachments) {
+    const attached = new Set(attachments.map((file) => file.file_id));
+    const fileIds = getConversationDocuments(this.currentMessages)
+      .map((file) => file.file_id)
+      .filter((file_id) => !attached.has(file_id));
+    if (fileIds.length === 0 || !this.user) {
+      return [];
+    }
+
+    const files = await getFiles({ user: this.user, file_id: { $in: fileIds } });
+    return files.filter((file) => file.text);
+  }
+
   /**
    * Adds instructions to the messages array. If the instructions object is empty or undefined,
    * the original messages array is returned. Otherwise, the instructions are added to the messages
@@ -404,7 +562,7 @@ class BaseClient {
         latestMessage.text = generation;
       }
     } else {
-      this.currentMessages.push(userMessage);
+      this.currentMessages.push(await this.addDocumentContext(userMessage));
     }
 
     let {
@@ -431,6 +589,10 @@ class BaseClient {
       this.handleTokenCountMap(tokenCountMap);
     }
 
+    if (!isEdited && this.options.attachments) {
+      userMessage.files = getMessageFiles(await this.options.attachments);
+    }
+
     if (!isEdited) {
       await this.saveMessageToDatabase(userMessage, saveOptions, user);
     }
@@ -463,13 +625,16 @@ class BaseClient {
       promptTokens,
     };
 
-    if (
-      tokenCountMap &&
-      this.recordTokenUsage &&
-      this.getTokenCountForResponse &&
-      this.getTokenCount
-    ) {
+    if (this.sources?.length) {
+      responseMessage.sources = this.sources;
+    }
+
+    if (tokenCountMap && this.getTokenCountForResponse) {
       responseMessage.tokenCount = this.getTokenCountForResponse(responseMessage);
+    }
+
+    // Clients without a token count map, such as Anthropic and Google, still report prompt tokens
+    if ((tokenCountMap || promptTokens >= 0) && this.recordTokenUsage && this.getTokenCount) {
       const completionTokens = this.getTokenCount(completion);
       await this.recordTokenUsage({ promptTokens, completionTokens });
     }
@@ -525,10 +690,19 @@ class BaseClient {
   }
 
   async saveMessageToDatabase(message, endpointOptions, user = null) {
-    await saveMessage({ ...message, user, unfinished: false, cancelled: false });
+    await saveMessage({
+      ...message,
+      // the endpoint and model the message was sent with, to filter searches by them
+      endpoint: this.options.endpoint,
+      model: message.model ?? this.modelOptions?.model,
+      user,
+      unfinished: false,
+      cancelled: false,
+    });
     await saveConvo(user, {
       conversationId: message.conversationId,
       endpoint: this.options.endpoint,
+      endpointType: this.options.endpointType,
       ...endpointOptions,
     });
   }
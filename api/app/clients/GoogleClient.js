@@ -4,9 +4,16 @@ const { GoogleVertexAI } = require('langchain/llms/googlevertexai');
 const { ChatGoogleVertexAI } = require('langchain/chat_models/googlevertexai');
 const { AIMessage, HumanMessage, SystemMessage } = require('langchain/schema');
 const { encoding_for_model: encodingForModel, get_encoding: getEncoding } = require('tiktoken');
-const { getResponseSender, EModelEndpoint, endpointSettings } = require('librechat-data-provider');
+const {
+  getResponseSender,
+  EModelEndpoint,
+  endpointSettings,
+  validateVisionModel,
+} = require('librechat-data-provider');
+const { encodeAndFormat } = require('~/server/services/Files/images/encode');
 const { getModelMaxTokens } = require('~/utils');
 const { formatMessage } = require('./prompts');
+const spendTokens = require('~/models/spendTokens');
 const BaseClient = require('./BaseClient');
 
 const loc = 'us-central1';
@@ -17,6 +24,14 @@ const tokenizersCache = {};
 
 const settings = endpointSettings[EModelEndpoint.google];
 
+/**
+ * Gets the text of the first candidate of a `generateContent` response.
+ * @param {Object} response
+ * @returns {string}
+ */
+const getCandidateText = (response) =>
+  response?.candidates?.[0]?.content?.parts?.map((part) => part.text ?? '').join('') ?? '';
+
 class GoogleClient extends BaseClient {
   constructor(credentials, options = {}) {
     super('apiKey', options);
@@ -33,9 +48,21 @@ class GoogleClient extends BaseClient {
 
   /* Google specific methods */
   constructUrl() {
+    if (this.isGenerativeModel) {
+      return this.constructGenerativeUrl(this.modelOptions.model, 'streamGenerateContent?alt=sse');
+    }
     return `${endpointPrefix}/v1/projects/${this.project_id}/locations/${loc}/publishers/${publisher}/models/${this.modelOptions.model}:serverStreamingPredict`;
   }
 
+  /**
+   * @param {string} model - The Gemini model.
+   * @param {string} method - The method of the API, such as `generateContent`.
+   * @returns {string}
+   */
+  constructGenerativeUrl(model, method) {
+    return `${endpointPrefix}/v1/projects/${this.project_id}/locations/${loc}/publishers/${publisher}/models/${model}:${method}`;
+  }
+
   async getClient() {
     const scopes = ['https://www.googleapis.com/auth/cloud-platform'];
     const jwtClient = new google.auth.JWT(this.client_email, null, this.private_key, scopes);
@@ -105,6 +132,16 @@ class GoogleClient extends BaseClient {
       // stop: modelOptions.stop // no stop method for now
     };
 
+    // Gemini models are prompted through the `generateContent` API, which also accepts images
+    this.isGenerativeModel = this.modelOptions.model.includes('gemini');
+    if (
+      this.isGenerativeModel &&
+      this.options.hasImageAttachments &&
+      !validateVisionModel(this.modelOptions.model)
+    ) {
+      this.modelOptions.model = 'gemini-pro-vision';
+    }
+
     this.isChatModel = this.modelOptions.model.includes('chat');
     const { isChatModel } = this;
     this.isTextModel = !isChatModel && /code|text/.test(this.modelOptions.model);
@@ -136,7 +173,7 @@ class GoogleClient extends BaseClient {
     this.userLabel = this.options.userLabel || 'User';
     this.modelLabel = this.options.modelLabel || 'Assistant';
 
-    if (isChatModel) {
+    if (isChatModel || this.isGenerativeModel) {
       // Use these faux tokens to help the AI understand the context since we are building the chat log ourselves.
       // Trying to use "<|im_start|>" causes the AI to still generate "<" or "<|" at the end sometimes for some reason,
       // without tripping the stop sequences, so I'm using "||>" instead.
@@ -190,9 +227,12 @@ class GoogleClient extends BaseClient {
     })).bind(this);
   }
 
-  buildMessages(messages = [], parentMessageId) {
+  buildMessages(messages = [], parentMessageId, _buildOptions, opts) {
     if (this.isTextModel) {
-      return this.buildMessagesPrompt(messages, parentMessageId);
+      return this.buildMessagesPrompt(messages, parentMessageId, opts);
+    }
+    if (this.isGenerativeModel) {
+      return this.buildGenerativeMessages(messages, opts);
     }
     const formattedMessages = messages.map(this.formatMessages());
     let payload = {
@@ -217,10 +257,104 @@ class GoogleClient extends BaseClient {
       console.dir(payload, { depth: null });
     }
 
-    return { prompt: payload };
+    const promptTokens = this.getTokenCountForInstance(payload.instances[0]);
+    if (typeof opts?.getReqData === 'function') {
+      opts.getReqData({ promptTokens });
+    }
+
+    return { prompt: payload, promptTokens };
+  }
+
+  /**
+   * Builds the `generateContent` request of Gemini models, with the attached images as `inlineData` parts
+   * of the latest message. Consecutive messages of the same author are merged, and the prompt prefix
+   * is added to the first message, as the API has no system instructions.
+   * `gemini-pro-vision` only answers single-turn requests, so the conversation is then sent as one message.
+   * @param {TMessage[]} messages - The messages of the conversation.
+   * @param {Object} [opts]
+   * @returns {Promise<{ prompt: Object, promptTokens: number }>}
+   */
+  async buildGenerativeMessages(messages, opts) {
+    let images = [];
+    let promptTokens = 0;
+    if (this.options.attachments) {
+      const attachments = await this.options.attachments;
+      const { image_urls, tokenCount } = await encodeAndFormat(
+        this.options.req,
+        attachments.filter((file) => file.type.includes('image')),
+        EModelEndpoint.google,
+      );
+      images = image_urls;
+      promptTokens += tokenCount;
+    }
+
+    let texts = messages.map((message) => ({
+      role: message.isCreatedByUser ? 'user' : 'model',
+      text: message?.content ?? message.text,
+    }));
+
+    if (validateVisionModel(this.modelOptions.model) && texts.length > 1) {
+      const text = texts
+        .map(({ role, text }) => `${role === 'user' ? this.userLabel : this.modelLabel}:\n${text}`)
+        .join('\n\n');
+      texts = [{ role: 'user', text }];
+    }
+
+    const promptPrefix = (this.options.promptPrefix ?? '').trim();
+    if (promptPrefix && texts.length > 0) {
+      texts[0] = { ...texts[0], text: `${promptPrefix}\n\n${texts[0].text}` };
+    }
+
+    const contents = [];
+    for (const { role, text } of texts) {
+      promptTokens += this.getTokenCount(text) + 3;
+      const lastContent = contents[contents.length - 1];
+      if (lastContent?.role === role) {
+        lastContent.parts.push({ text });
+      } else {
+        contents.push({ role, parts: [{ text }] });
+      }
+    }
+
+    const lastContent = contents[contents.length - 1];
+    if (lastContent?.role === 'user') {
+      lastContent.parts.push(...images);
+    }
+
+    const { temperature, topP, topK, maxOutputTokens } = this.modelOptions;
+    const payload = {
+      contents,
+      generationConfig: { temperature, topP, topK, maxOutputTokens },
+    };
+
+    if (this.options.debug) {
+      console.debug('GoogleClient buildGenerativeMessages');
+      console.dir(payload, { depth: null });
+    }
+
+    if (typeof opts?.getReqData === 'function') {
+      opts.getReqData({ promptTokens });
+    }
+
+    return { prompt: payload, promptTokens };
   }
 
-  async buildMessagesPrompt(messages, parentMessageId) {
+  /**
+   * Counts the tokens of the context, examples and messages of a chat model request.
+   * @param {Object} instance - The instance of the request payload.
+   * @returns {number} The prompt token count.
+   */
+  getTokenCountForInstance({ context, examples = [], messages = [] }) {
+    const texts = [
+      ...(context ? [context] : []),
+      ...examples.flatMap(({ input, output }) => [input.content, output.content]),
+      ...messages.map(({ author, content }) => `${author}:\n${content}`),
+    ];
+    // Add 3 tokens per text for the message boundaries
+    return texts.reduce((count, text) => count + this.getTokenCount(text) + 3, 0);
+  }
+
+  async buildMessagesPrompt(messages, parentMessageId, opts) {
     const orderedMessages = this.constructor.getMessagesForConversation({
       messages,
       parentMessageId,
@@ -367,7 +501,11 @@ class GoogleClient extends BaseClient {
       this.maxResponseTokens,
     );
 
-    return { prompt, context };
+    if (typeof opts?.getReqData === 'function') {
+      opts.getReqData({ promptTokens: currentTokenCount });
+    }
+
+    return { prompt, context, promptTokens: currentTokenCount };
   }
 
   async _getCompletion(payload, abortController = null) {
@@ -401,7 +539,50 @@ class GoogleClient extends BaseClient {
     return res.data;
   }
 
+  /**
+   * Streams the completion of a Gemini model, sent by the API as server-sent events.
+   * @param {Object} payload - The `generateContent` request.
+   * @param {Object} options
+   * @param {(text: string) => void} options.onProgress
+   * @param {AbortController} [options.abortController]
+   * @returns {Promise<string>}
+   */
+  async getGenerativeCompletion(payload, { onProgress, abortController }) {
+    const client = await this.getClient();
+    const response = await client.request({
+      url: this.completionsUrl,
+      method: 'POST',
+      data: payload,
+      responseType: 'stream',
+      signal: abortController?.signal,
+    });
+
+    let reply = '';
+    let buffer = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!line.startsWith('data:')) {
+          continue;
+        }
+        const text = getCandidateText(JSON.parse(line.slice(5)));
+        if (text) {
+          await this.generateTextStream(text, onProgress, { delay: 7 });
+          reply += text;
+        }
+      }
+    }
+
+    return reply;
+  }
+
   async getCompletion(_payload, options = {}) {
+    if (this.isGenerativeModel) {
+      return await this.getGenerativeCompletion(_payload, options);
+    }
+
     const { onProgress, abortController } = options;
     const { parameters, instances } = _payload;
     const { messages: _messages, context, examples: _examples } = instances?.[0] ?? {};
@@ -467,6 +648,68 @@ class GoogleClient extends BaseClient {
     return reply;
   }
 
+  /**
+   * Sends the title prompt to a Gemini, chat or text model, depending on the title model.
+   * @param {string} prompt - The title prompt.
+   * @param {Object} options
+   * @param {string} options.model - The model to generate the title with.
+   * @param {AbortController} options.abortController
+   * @returns {Promise<string>}
+   */
+  async getTitleCompletion(prompt, { model, abortController }) {
+    if (model.includes('gemini')) {
+      const client = await this.getClient();
+      const response = await client.request({
+        url: this.constructGenerativeUrl(model, 'generateContent'),
+        method: 'POST',
+        data: {
+          contents: [{ role: 'user', parts: [{ text: prompt }] }],
+          generationConfig: { temperature: 0.2, maxOutputTokens: 16 },
+        },
+        signal: abortController.signal,
+      });
+      return getCandidateText(response.data);
+    }
+
+    const clientOptions = {
+      authOptions: {
+        credentials: {
+          ...this.credentials,
+        },
+        projectId: this.project_id,
+      },
+      model,
+      temperature: 0.2,
+      maxOutputTokens: 16,
+    };
+
+    const llm = model.includes('chat')
+      ? new ChatGoogleVertexAI(clientOptions)
+      : new GoogleVertexAI(clientOptions);
+    return await llm.predict(prompt, { signal: abortController.signal });
+  }
+
+  async recordTokenUsage({ promptTokens, completionTokens }) {
+    if (this.options.debug) {
+      console.debug('promptTokens', promptTokens);
+      console.debug('completionTokens', completionTokens);
+    }
+    await spendTokens(
+      {
+        user: this.user,
+        model: this.modelOptions.model,
+        endpoint: this.options.endpoint,
+        context: 'message',
+        conversationId: this.conversationId,
+      },
+      { promptTokens, completionTokens },
+    );
+  }
+
+  getTokenCountForResponse(response) {
+    return this.getTokenCount(response.text);
+  }
+
   getSaveOptions() {
     return {
       promptPrefix: this.options.promptPrefix,
@@ -4,7 +4,12 @@ const { encoding_for_model: encodingForModel, get_encoding: getEncoding } = requ
 const { getResponseSender, EModelEndpoint } = require('librechat-data-provider');
 const { encodeAndFormat, validateVisionModel } = require('~/server/services/Files/images');
 const { getModelMaxTokens, genAzureChatCompletion, extractBaseURL } = require('~/utils');
-const { truncateText, formatMessage, CUT_OFF_PROMPT } = require('./prompts');
+const {
+  formatMessage,
+  CUT_OFF_PROMPT,
+  formatTitleConvo,
+  createTitleInstructions,
+} = require('./prompts');
 const { handleOpenAIErrors } = require('./tools/util');
 const spendTokens = require('~/models/spendTokens');
 const { createLLM, RunManager } = require('./llm');
@@ -25,7 +30,8 @@ class OpenAIClient extends BaseClient {
     super(apiKey, options);
     this.ChatGPTClient = new ChatGPTClient();
     this.buildPrompt = this.ChatGPTClient.buildPrompt.bind(this);
-    this.getCompletion = this.ChatGPTClient.getCompletion.bind(this);
+    const getCompletion = this.ChatGPTClient.getCompletion.bind(this);
+    this.getCompletion = (...args) => this.withAzureFailover(() => getCompletion(...args));
     this.contextStrategy = options.contextStrategy
       ? options.contextStrategy.toLowerCase()
       : 'discard';
@@ -75,7 +81,7 @@ class OpenAIClient extends BaseClient {
       };
     }
 
-    if (this.options.attachments && !validateVisionModel(this.modelOptions.model)) {
+    if (this.options.hasImageAttachments && !validateVisionModel(this.modelOptions.model)) {
       this.modelOptions.model = 'gpt-4-vision-preview';
     }
 
@@ -84,7 +90,8 @@ class OpenAIClient extends BaseClient {
     }
 
     const { OPENROUTER_API_KEY, OPENAI_FORCE_PROMPT } = process.env ?? {};
-    if (OPENROUTER_API_KEY && !this.azure) {
+    const isCustomEndpoint = this.options.endpointType === EModelEndpoint.custom;
+    if (OPENROUTER_API_KEY && !this.azure && !isCustomEndpoint) {
       this.apiKey = OPENROUTER_API_KEY;
       this.useOpenRouter = true;
     }
@@ -94,7 +101,10 @@ class OpenAIClient extends BaseClient {
       isEnabled(OPENAI_FORCE_PROMPT) ||
       (reverseProxy && reverseProxy.includes('completions') && !reverseProxy.includes('chat'));
 
-    if (this.azure && process.env.AZURE_OPENAI_DEFAULT_MODEL) {
+    if (this.azure && this.options.azureFailover) {
+      // deployments from the config file are already mapped to the selected model
+      this.azureEndpoint = genAzureChatCompletion(this.azure);
+    } else if (this.azure && process.env.AZURE_OPENAI_DEFAULT_MODEL) {
       this.azureEndpoint = genAzureChatCompletion(this.azure, this.modelOptions.model);
       this.modelOptions.model = process.env.AZURE_OPENAI_DEFAULT_MODEL;
     } else if (this.azure) {
@@ -142,8 +152,10 @@ class OpenAIClient extends BaseClient {
       this.options.sender ??
       getResponseSender({
         model: this.modelOptions.model,
-        endpoint: EModelEndpoint.openAI,
+        endpoint: this.options.endpoint ?? EModelEndpoint.openAI,
+        endpointType: this.options.endpointType,
         chatGptLabel: this.options.chatGptLabel,
+        modelDisplayLabel: this.options.modelDisplayLabel,
       });
 
     this.userLabel = this.options.userLabel || 'User';
@@ -336,15 +348,20 @@ class OpenAIClient extends BaseClient {
       }
     }
 
+    let imageTokens = 0;
     if (this.options.attachments) {
       const attachments = await this.options.attachments;
-      const { files, image_urls } = await encodeAndFormat(
+      const { files, image_urls, tokenCount } = await encodeAndFormat(
         this.options.req,
         attachments.filter((file) => file.type.includes('image')),
       );
 
       orderedMessages[orderedMessages.length - 1].image_urls = image_urls;
-      this.options.attachments = files;
+      imageTokens = tokenCount;
+      this.options.attachments = [
+        ...files,
+        ...attachments.filter((file) => !file.type.includes('image')),
+      ];
     }
 
     const formattedMessages = orderedMessages.map((message, i) => {
@@ -356,6 +373,9 @@ class OpenAIClient extends BaseClient {
 
       if (this.contextStrategy && !orderedMessages[i].tokenCount) {
         orderedMessages[i].tokenCount = this.getTokenCountForMessage(formattedMessage);
+        if (i === orderedMessages.length - 1) {
+          orderedMessages[i].tokenCount += imageTokens;
+        }
       }
 
       return formattedMessage;
@@ -388,6 +408,43 @@ class OpenAIClient extends BaseClient {
     return result;
   }
 
+  /**
+   * Runs a request against the current Azure deployment and, when that deployment is
+   * rate limited (429) or unavailable (5xx), retries it on the next deployment of the model.
+   * Errors of non-Azure requests, or once no deployment is left, are rethrown as is.
+   * @param {() => Promise<any>} request - The function sending the request.
+   * @param {(error: Error) => boolean} [canRetry] - Whether the request can be sent again.
+   * @returns {Promise<any>} The result of the request.
+   */
+  async withAzureFailover(request, canRetry = () => true) {
+    try {
+      return await request();
+    } catch (error) {
+      const status = error?.status ?? error?.response?.status;
+      const failover = this.options.azureFailover;
+      if (
+        !this.azure ||
+        !failover?.length ||
+        !(status === 429 || status >= 500) ||
+        !canRetry(error)
+      ) {
+        throw error;
+      }
+
+      const [deployment, ...remaining] = failover;
+      console.log(
+        `Azure OpenAI deployment on ${this.azure.azureOpenAIApiInstanceName} responded with HTTP ${status}, retrying on ${deployment.azureOpenAIApiInstanceName}`,
+      );
+      this.options.azureFailover = remaining;
+      this.options.azure = deployment;
+      this.azure = deployment;
+      this.apiKey = deployment.azureOpenAIApiKey;
+      this.azureEndpoint = genAzureChatCompletion(deployment);
+      this.completionsUrl = this.azureEndpoint;
+      return await this.withAzureFailover(request, canRetry);
+    }
+  }
+
   async sendCompletion(payload, opts = {}) {
     let reply = '';
     let result = null;
@@ -508,6 +565,13 @@ class OpenAIClient extends BaseClient {
       };
     }
 
+    if (this.options.headers) {
+      configOptions.baseOptions = {
+        ...configOptions.baseOptions,
+        headers: { ...configOptions.baseOptions?.headers, ...this.options.headers },
+      };
+    }
+
     if (this.options.proxy) {
       configOptions.httpAgent = new HttpsProxyAgent(this.options.proxy);
       configOptions.httpsAgent = new HttpsProxyAgent(this.options.proxy);
@@ -526,6 +590,7 @@ class OpenAIClient extends BaseClient {
       callbacks: runManager.createCallbacks({
         context,
         tokenBuffer,
+        endpoint: this.options.endpoint,
         conversationId: this.conversationId,
         initialMessageCount,
       }),
@@ -536,15 +601,13 @@ class OpenAIClient extends BaseClient {
 
   async titleConvo({ text, responseText = '' }) {
     let title = 'New Chat';
-    const convo = `||>User:
-"${truncateText(text)}"
-||>Response:
-"${JSON.stringify(truncateText(responseText))}"`;
+    const convo = formatTitleConvo({ text, responseText });
 
     const { OPENAI_TITLE_MODEL } = process.env ?? {};
+    const titleModel = this.options.titleModel ?? OPENAI_TITLE_MODEL ?? 'gpt-3.5-turbo';
 
     const modelOptions = {
-      model: OPENAI_TITLE_MODEL ?? 'gpt-3.5-turbo',
+      model: titleModel,
       temperature: 0.2,
       presence_penalty: 0,
       frequency_penalty: 0,
@@ -562,7 +625,7 @@ class OpenAIClient extends BaseClient {
       }
       console.log('There was an issue generating title with LangChain, trying the old method...');
       this.options.debug && console.error(e.message, e);
-      modelOptions.model = OPENAI_TITLE_MODEL ?? 'gpt-3.5-turbo';
+      modelOptions.model = titleModel;
       if (this.azure) {
         modelOptions.model = process.env.AZURE_OPENAI_DEFAULT_MODEL ?? modelOptions.model;
         this.azureEndpoint = genAzureChatCompletion(this.azure, modelOptions.model);
@@ -570,12 +633,7 @@ class OpenAIClient extends BaseClient {
       const instructionsPayload = [
         {
           role: 'system',
-          content: `Detect user language and write in the same language an extremely concise title for this conversation, which you must accurately detect.
-Write in the detected language. Title in 5 Words or Less. No Punctuation or Quotation. Do not mention the language. All first letters of every word should be capitalized and write the title in User Language only.
-
-${convo}
-
-||>Title:`,
+          content: createTitleInstructions({ convo }),
         },
       ];
 
@@ -597,7 +655,8 @@ ${convo}
     let prompt;
 
     const { OPENAI_SUMMARY_MODEL = 'gpt-3.5-turbo' } = process.env ?? {};
-    const maxContextTokens = getModelMaxTokens(OPENAI_SUMMARY_MODEL) ?? 4095;
+    const summaryModel = this.options.summaryModel ?? OPENAI_SUMMARY_MODEL;
+    const maxContextTokens = getModelMaxTokens(summaryModel) ?? 4095;
     // 3 tokens for the assistant label, and 98 for the summarizer prompt (101)
     let promptBuffer = 101;
 
@@ -646,7 +705,7 @@ ${convo}
     this.options.debug && console.debug(`initialPromptTokens: ${initialPromptTokens}`);
 
     const llm = this.initializeLLM({
-      model: OPENAI_SUMMARY_MODEL,
+      model: summaryModel,
       temperature: 0.2,
       context: 'summary',
       tokenBuffer: initialPromptTokens,
@@ -703,6 +762,7 @@ ${convo}
       {
         user: this.user,
         model: this.modelOptions.model,
+        endpoint: this.options.endpoint,
         context: 'message',
         conversationId: this.conversationId,
       },
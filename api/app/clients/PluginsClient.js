@@ -10,6 +10,7 @@ const { SelfReflectionTool } = require('./tools');
 const { isEnabled } = require('~/server/utils');
 const { extractBaseURL } = require('~/utils');
 const { loadTools } = require('./tools/util');
+const { getMessageFiles } = require('~/server/services/Files/process');
 
 class PluginsClient extends OpenAIClient {
   constructor(apiKey, options = {}) {
@@ -170,7 +171,7 @@ class PluginsClient extends OpenAIClient {
     }
   }
 
-  async executorCall(message, { signal, stream, onToolStart, onToolEnd }) {
+  async executorCall(message, { signal, stream, onToolStart, onToolEnd, initializeOptions }) {
     let errorMessage = '';
     const maxAttempts = 1;
 
@@ -192,23 +193,34 @@ class PluginsClient extends OpenAIClient {
       }
 
       try {
-        this.result = await this.executor.call({ input, signal }, [
-          {
-            async handleToolStart(...args) {
-              await onToolStart(...args);
-            },
-            async handleToolEnd(...args) {
-              await onToolEnd(...args);
-            },
-            async handleLLMEnd(output) {
-              const { generations } = output;
-              const { text } = generations[0][0];
-              if (text && typeof stream === 'function') {
-                await stream(text);
-              }
-            },
+        const { azure } = this;
+        this.result = await this.withAzureFailover(
+          async () => {
+            // The agent is initialized again with the deployment the failover switched to
+            if (this.azure !== azure) {
+              await this.initialize(initializeOptions);
+            }
+            return await this.executor.call({ input, signal }, [
+              {
+                async handleToolStart(...args) {
+                  await onToolStart(...args);
+                },
+                async handleToolEnd(...args) {
+                  await onToolEnd(...args);
+                },
+                async handleLLMEnd(output) {
+                  const { generations } = output;
+                  const { text } = generations[0][0];
+                  if (text && typeof stream === 'function') {
+                    await stream(text);
+                  }
+                },
+              },
+            ]);
           },
-        ]);
+          // Tools may have side effects, such as generating images: only retry before any is used
+          () => this.actions.length === 0,
+        );
         break; // Exit the loop if the function call is successful
       } catch (err) {
         console.error(err);
@@ -265,7 +277,8 @@ class PluginsClient extends OpenAIClient {
       onToolEnd,
     } = await this.handleStartMethods(message, opts);
 
-    this.currentMessages.push(userMessage);
+    const promptMessage = await this.addDocumentContext(userMessage);
+    this.currentMessages.push(promptMessage);
 
     let {
       prompt: payload,
@@ -293,6 +306,9 @@ class PluginsClient extends OpenAIClient {
     if (payload) {
       this.currentMessages = payload;
     }
+    if (this.options.attachments) {
+      userMessage.files = getMessageFiles(await this.options.attachments);
+    }
     await this.saveMessageToDatabase(userMessage, saveOptions, user);
 
     if (isEnabled(process.env.CHECK_BALANCE)) {
@@ -321,23 +337,29 @@ class PluginsClient extends OpenAIClient {
       promptTokens,
     };
 
-    await this.initialize({
+    if (this.sources?.length) {
+      responseMessage.sources = this.sources;
+    }
+
+    const initializeOptions = {
       user,
       message,
       onAgentAction,
       onChainEnd,
       signal: this.abortController.signal,
       onProgress: opts.onProgress,
-    });
+    };
+    await this.initialize(initializeOptions);
 
     // const stream = async (text) => {
     //   await this.generateTextStream.call(this, text, opts.onProgress, { delay: 1 });
     // };
-    await this.executorCall(message, {
+    await this.executorCall(promptMessage.text, {
       signal: this.abortController.signal,
       // stream,
       onToolStart,
       onToolEnd,
+      initializeOptions,
     });
 
     // If message was aborted mid-generation
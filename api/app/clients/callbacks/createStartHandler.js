@@ -9,6 +9,7 @@ const createStartHandler = ({
   conversationId,
   tokenBuffer = 0,
   initialMessageCount,
+  endpoint = EModelEndpoint.openAI,
   manager,
 }) => {
   return async (_llm, _messages, runId, parentRunId, extraParams) => {
@@ -56,7 +57,7 @@ const createStartHandler = ({
             debug: manager.debug,
             generations,
             model,
-            endpoint: EModelEndpoint.openAI,
+            endpoint,
           },
         });
       }
@@ -3,6 +3,7 @@ const {
   SystemMessagePromptTemplate,
   HumanMessagePromptTemplate,
 } = require('langchain/prompts');
+const truncateText = require('./truncateText');
 
 const langPrompt = new ChatPromptTemplate({
   promptMessages: [
@@ -27,7 +28,35 @@ ${convo}`,
   return titlePrompt;
 };
 
+/**
+ * Formats the first exchange of a conversation for the title prompts.
+ * @param {Object} params
+ * @param {string} params.text - The text of the first user message.
+ * @param {string} [params.responseText] - The text of the first response.
+ * @returns {string}
+ */
+const formatTitleConvo = ({ text, responseText = '' }) => `||>User:
+"${truncateText(text)}"
+||>Response:
+"${JSON.stringify(truncateText(responseText))}"`;
+
+/**
+ * Creates the plain-text title prompt, for models that can't run the title chain.
+ * @param {Object} params
+ * @param {string} params.convo - The conversation, formatted with `formatTitleConvo`.
+ * @returns {string}
+ */
+const createTitleInstructions = ({ convo }) =>
+  `Detect user language and write in the same language an extremely concise title for this conversation, which you must accurately detect.
+Write in the detected language. Title in 5 Words or Less. No Punctuation or Quotation. Do not mention the language. All first letters of every word should be capitalized and write the title in User Language only.
+
+${convo}
+
+||>Title:`;
+
 module.exports = {
   langPrompt,
   createTitlePrompt,
+  formatTitleConvo,
+  createTitleInstructions,
 };
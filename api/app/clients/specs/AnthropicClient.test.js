@@ -1,4 +1,11 @@
+const spendTokens = require('~/models/spendTokens');
+const { encodeAndFormat } = require('~/server/services/Files/images/encode');
 const AnthropicClient = require('../AnthropicClient');
+
+jest.mock('~/models/spendTokens', () => jest.fn());
+jest.mock('~/server/services/Files/images/encode', () => ({
+  encodeAndFormat: jest.fn(),
+}));
 const HUMAN_PROMPT = '\n\nHuman:';
 const AI_PROMPT = '\n\nAssistant:';
 
@@ -136,4 +143,174 @@ describe('AnthropicClient', () => {
       expect(prompt).toContain('You are Claude-2');
     });
   });
+
+  describe('token usage', () => {
+    it('should count and report the prompt tokens', async () => {
+      const getReqData = jest.fn();
+      const result = await client.buildMessages(messages, '3', undefined, { getReqData });
+
+      // Counted per message, plus 2 tokens of metadata
+      const difference = result.promptTokens - client.getTokenCount(result.prompt);
+      expect(Math.abs(difference)).toBeLessThanOrEqual(5);
+      expect(getReqData).toHaveBeenCalledWith({ promptTokens: result.promptTokens });
+    });
+
+    it('should record the spent tokens with the model and endpoint', async () => {
+      client.user = 'user-id';
+      client.conversationId = 'convo-id';
+      client.options.endpoint = 'anthropic';
+
+      await client.recordTokenUsage({ promptTokens: 100, completionTokens: 50 });
+
+      expect(spendTokens).toHaveBeenCalledWith(
+        {
+          user: 'user-id',
+          model,
+          endpoint: 'anthropic',
+          context: 'message',
+          conversationId: 'convo-id',
+        },
+        { promptTokens: 100, completionTokens: 50 },
+      );
+    });
+
+    it('should count the tokens of the response', () => {
+      expect(client.getTokenCountForResponse({ text: 'Hello world' })).toBe(2);
+    });
+  });
+
+  describe('titleConvo', () => {
+    it('should generate the title with the title model and record its usage', async () => {
+      const create = jest.fn(async () => ({ completion: ' "Friendly Greeting"' }));
+      client.getClient = () => ({ completions: { create } });
+      client.user = 'user-id';
+      client.conversationId = 'convo-id';
+      client.options.endpoint = 'anthropic';
+      client.options.titleModel = 'claude-instant-1';
+
+      const title = await client.titleConvo({ text: 'Hello', responseText: 'Hi' });
+
+      expect(title).toBe('Friendly Greeting');
+      const [params] = create.mock.calls[0];
+      expect(params.model).toBe('claude-instant-1');
+      expect(params.prompt.startsWith(HUMAN_PROMPT)).toBe(true);
+      expect(params.prompt.endsWith(AI_PROMPT)).toBe(true);
+      expect(spendTokens).toHaveBeenCalledWith(
+        {
+          user: 'user-id',
+          model: 'claude-instant-1',
+          endpoint: 'anthropic',
+          context: 'title',
+          conversationId: 'convo-id',
+        },
+        { promptTokens: expect.any(Number), completionTokens: client.getTokenCount(title) },
+      );
+    });
+
+    it('should return undefined if the title could not be generated', async () => {
+      const create = jest.fn(async () => {
+        throw new Error('Overloaded');
+      });
+      client.getClient = () => ({ completions: { create } });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await client.titleConvo({ text: 'Hello', responseText: 'Hi' })).toBeUndefined();
+      console.error.mockRestore();
+    });
+
+    it('should generate the title of Claude 3 title models with the Messages API', async () => {
+      const create = jest.fn(async () => ({ content: [{ type: 'text', text: 'Greeting' }] }));
+      client.getClient = () => ({ messages: { create } });
+      client.options.titleModel = 'claude-3-sonnet-20240229';
+
+      const title = await client.titleConvo({ text: 'Hello', responseText: 'Hi' });
+
+      expect(title).toBe('Greeting');
+      const [params] = create.mock.calls[0];
+      expect(params.messages).toEqual([{ role: 'user', content: expect.any(String) }]);
+      expect(params.max_tokens).toBe(16);
+    });
+  });
+
+  describe('Claude 3 models', () => {
+    const image = {
+      type: 'image',
+      source: { type: 'base64', media_type: 'image/webp', data: 'aW1hZ2U=' },
+    };
+
+    beforeEach(() => {
+      client.setOptions({ modelOptions: { model: 'claude-3-opus-20240229' } });
+    });
+
+    it('should use the Messages API with a 200k context', () => {
+      expect(client.useMessages).toBe(true);
+      expect(client.maxContextTokens).toBe(200000);
+    });
+
+    it('should build the messages, with the prompt prefix as system message', async () => {
+      client.options.promptPrefix = 'Be concise';
+
+      const { prompt } = await client.buildMessages(messages, '3');
+
+      expect(prompt).toEqual([
+        { role: 'user', content: 'Hello' },
+        { role: 'assistant', content: 'Hi' },
+        { role: 'user', content: 'What\'s up' },
+      ]);
+      expect(client.systemMessage).toContain('Be concise');
+    });
+
+    it('should add the attached images to the latest message and count their tokens', async () => {
+      const attachments = [
+        { file_id: 'image-id', type: 'image/webp', filepath: '/images/user-id/image.webp' },
+        { file_id: 'document-id', type: 'text/plain', text: 'Notes' },
+      ];
+      client.options.attachments = Promise.resolve(attachments);
+      client.options.req = { body: {} };
+      encodeAndFormat.mockResolvedValue({ files: [], image_urls: [image], tokenCount: 1000 });
+
+      const { prompt, promptTokens } = await client.buildMessages(messages, '3');
+
+      expect(encodeAndFormat).toHaveBeenCalledWith(
+        client.options.req,
+        [attachments[0]],
+        'anthropic',
+      );
+      expect(prompt[2].content).toEqual([image, { type: 'text', text: 'What\'s up' }]);
+      expect(promptTokens).toBeGreaterThan(1000);
+    });
+
+    it('should stream the text deltas of the Messages API', async () => {
+      const events = [
+        { type: 'message_start', message: {} },
+        { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hello' } },
+        { type: 'content_block_delta', delta: { type: 'text_delta', text: ' there' } },
+        { type: 'message_delta', delta: { stop_reason: 'end_turn' } },
+      ];
+      const create = jest.fn(async () => ({
+        controller: new AbortController(),
+        async *[Symbol.asyncIterator]() {
+          yield* events;
+        },
+      }));
+      client.getClient = () => ({ messages: { create } });
+      client.systemMessage = 'Be concise';
+      const onProgress = jest.fn();
+
+      const text = await client.sendCompletion([{ role: 'user', content: 'Hi' }], { onProgress });
+
+      expect(text).toBe('Hello there');
+      expect(onProgress.mock.calls).toEqual([['Hello'], [' there']]);
+      const [params] = create.mock.calls[0];
+      expect(params).toEqual(
+        expect.objectContaining({
+          model: 'claude-3-opus-20240229',
+          messages: [{ role: 'user', content: 'Hi' }],
+          system: 'Be concise',
+          max_tokens: 1500,
+        }),
+      );
+      expect(params).not.toHaveProperty('prompt');
+    });
+  });
 });
@@ -1,8 +1,10 @@
 const { initializeFakeClient } = require('./FakeClient');
+const { indexFile, deleteFileVectors } = require('~/server/services/Files/retrieval');
+const { getFiles } = require('~/models');
 
 jest.mock('../../../lib/db/connectDb');
 jest.mock('../../../models', () => {
-  return function () {
+  const models = function () {
     return {
       save: jest.fn(),
       deleteConvos: jest.fn(),
@@ -13,8 +15,14 @@ jest.mock('../../../models', () => {
       saveConvo: jest.fn(),
     };
   };
+  models.getFiles = jest.fn(async () => []);
+  return models;
 });
 
+jest.mock('~/app/clients/document', () => ({
+  tokenSplit: async ({ text }) => text.split('\n\n'),
+}));
+
 jest.mock('langchain/chat_models/openai', () => {
   return {
     ChatOpenAI: jest.fn().mockImplementation(() => {
@@ -599,6 +607,123 @@ describe('BaseClient', () => {
       expect(TestClient.getTokenCount).toHaveBeenCalledWith(response.text);
     });
 
+    test('records token usage when only the prompt tokens are known', async () => {
+      TestClient.buildMessages.mockReturnValue({ prompt: [], promptTokens: 10 });
+      TestClient.recordTokenUsage = jest.fn();
+      const response = await TestClient.sendMessage('Hello, world!', {});
+      expect(TestClient.recordTokenUsage).toHaveBeenCalledWith({
+        promptTokens: 10,
+        completionTokens: response.text.length,
+      });
+    });
+
+    test('adds the text of the attached documents to the prompt, but not to the saved message', async () => {
+      const file = {
+        file_id: 'file-id',
+        filename: 'notes.txt',
+        filepath: '/uploads/user-id/file-id.txt',
+        type: 'text/plain',
+        text: 'Notes of the meeting',
+      };
+      TestClient.options = { ...options, attachments: Promise.resolve([file]) };
+
+      await TestClient.sendMessage('Summarize the notes', {});
+
+      const [messages] = TestClient.buildMessages.mock.calls[0];
+      const promptMessage = messages[messages.length - 1];
+      expect(promptMessage.text).toContain(
+        '<document filename="notes.txt">\nNotes of the meeting\n</document>',
+      );
+      expect(promptMessage.text.endsWith('Summarize the notes')).toBe(true);
+
+      const [savedMessage] = TestClient.saveMessageToDatabase.mock.calls[0];
+      expect(savedMessage.text).toBe('Summarize the notes');
+      expect(savedMessage.files).toEqual([
+        {
+          file_id: 'file-id',
+          filename: 'notes.txt',
+          filepath: '/uploads/user-id/file-id.txt',
+          type: 'text/plain',
+        },
+      ]);
+    });
+
+    test('adds the text of the documents attached to the previous messages to the prompt', async () => {
+      const file = {
+        file_id: 'file-id',
+        filename: 'notes.txt',
+        type: 'text/plain',
+        text: 'Notes of the meeting',
+      };
+      getFiles.mockResolvedValueOnce([file]);
+      TestClient.loadHistory = jest.fn().mockResolvedValue([
+        {
+          messageId: 'message-id',
+          parentMessageId: '00000000-0000-0000-0000-000000000000',
+          text: 'Read the notes',
+          isCreatedByUser: true,
+          files: [{ file_id: 'file-id', filename: 'notes.txt', type: 'text/plain' }],
+        },
+      ]);
+
+      await TestClient.sendMessage('Who attended the meeting?', {
+        user: 'user-id',
+        parentMessageId: 'message-id',
+      });
+
+      expect(getFiles).toHaveBeenCalledWith({ user: 'user-id', file_id: { $in: ['file-id'] } });
+      const [messages] = TestClient.buildMessages.mock.calls[0];
+      expect(messages[messages.length - 1].text).toContain(
+        '<document filename="notes.txt">\nNotes of the meeting\n</document>',
+      );
+    });
+
+    describe('with retrieval', () => {
+      const originalEnv = process.env;
+
+      beforeEach(() => {
+        process.env = { ...originalEnv, EMBEDDINGS_PROVIDER: 'local', VECTOR_STORE: 'local' };
+      });
+
+      afterEach(async () => {
+        await deleteFileVectors(['file-id']);
+        process.env = originalEnv;
+      });
+
+      test('retrieves sources from the documents of the conversation and saves them with the response', async () => {
+        await indexFile({
+          user: 'user-id',
+          file_id: 'file-id',
+          text: 'The revenue grew by twelve percent.\n\nThe office moves in the spring.',
+        });
+        TestClient.loadHistory = jest.fn().mockResolvedValue([
+          {
+            messageId: 'message-id',
+            parentMessageId: '00000000-0000-0000-0000-000000000000',
+            text: 'Read the report',
+            isCreatedByUser: true,
+            files: [{ file_id: 'file-id', filename: 'report.pdf', type: 'application/pdf' }],
+          },
+        ]);
+
+        const response = await TestClient.sendMessage('How much did the revenue grow?', {
+          user: 'user-id',
+          parentMessageId: 'message-id',
+        });
+
+        const [messages] = TestClient.buildMessages.mock.calls[0];
+        expect(messages[messages.length - 1].text).toContain(
+          '<source id="1" filename="report.pdf">\nThe revenue grew by twelve percent.\n</source>',
+        );
+        expect(response.sources[0]).toEqual({
+          id: 1,
+          file_id: 'file-id',
+          filename: 'report.pdf',
+          text: 'The revenue grew by twelve percent.',
+        });
+      });
+    });
+
     test('returns an object with the correct shape', async () => {
       const response = await TestClient.sendMessage('Hello, world!', {});
       expect(response).toEqual(
@@ -0,0 +1,149 @@
+const { Readable } = require('stream');
+const spendTokens = require('~/models/spendTokens');
+const { encodeAndFormat } = require('~/server/services/Files/images/encode');
+const GoogleClient = require('../GoogleClient');
+
+jest.mock('~/models/spendTokens', () => jest.fn());
+jest.mock('~/server/services/Files/images/encode', () => ({
+  encodeAndFormat: jest.fn(),
+}));
+
+describe('GoogleClient', () => {
+  const credentials = {
+    client_email: 'test@example.com',
+    project_id: 'test-project',
+    private_key: 'test-private-key',
+  };
+
+  const messages = [
+    { isCreatedByUser: true, text: 'Hello', messageId: '1' },
+    { isCreatedByUser: false, text: 'Hi', messageId: '2', parentMessageId: '1' },
+    { isCreatedByUser: true, text: 'What\'s up', messageId: '3', parentMessageId: '2' },
+  ];
+
+  const createClient = (model, options = {}) =>
+    new GoogleClient(credentials, {
+      endpoint: 'google',
+      examples: [],
+      modelOptions: { model },
+      ...options,
+    });
+
+  describe('token usage', () => {
+    it('should count and report the prompt tokens of chat models', async () => {
+      const client = createClient('chat-bison');
+      client.options.promptPrefix = 'You are a helpful assistant.';
+      const getReqData = jest.fn();
+
+      const { prompt, promptTokens } = await client.buildMessages(messages, '3', undefined, {
+        getReqData,
+      });
+
+      const { context, messages: chatMessages } = prompt.instances[0];
+      const textTokens = [context, ...chatMessages.map((m) => `${m.author}:\n${m.content}`)].reduce(
+        (count, text) => count + client.getTokenCount(text),
+        0,
+      );
+      expect(promptTokens).toBe(textTokens + 3 * 4);
+      expect(getReqData).toHaveBeenCalledWith({ promptTokens });
+    });
+
+    it('should count and report the prompt tokens of text models', async () => {
+      const client = createClient('text-bison');
+      const getReqData = jest.fn();
+
+      const { prompt, promptTokens } = await client.buildMessages(messages, '3', undefined, {
+        getReqData,
+      });
+
+      expect(prompt).toContain('What\'s up');
+      expect(promptTokens).toBeGreaterThan(0);
+      expect(getReqData).toHaveBeenCalledWith({ promptTokens });
+    });
+
+    it('should record the spent tokens with the model and endpoint', async () => {
+      const client = createClient('chat-bison');
+      client.user = 'user-id';
+      client.conversationId = 'convo-id';
+
+      await client.recordTokenUsage({ promptTokens: 100, completionTokens: 50 });
+
+      expect(spendTokens).toHaveBeenCalledWith(
+        {
+          user: 'user-id',
+          model: 'chat-bison',
+          endpoint: 'google',
+          context: 'message',
+          conversationId: 'convo-id',
+        },
+        { promptTokens: 100, completionTokens: 50 },
+      );
+    });
+  });
+
+  describe('Gemini models', () => {
+    const image = { inlineData: { mimeType: 'image/webp', data: 'aW1hZ2U=' } };
+
+    it('should build the contents of the conversation, with the prompt prefix first', async () => {
+      const client = createClient('gemini-pro', { promptPrefix: 'Be concise' });
+      const getReqData = jest.fn();
+
+      const { prompt, promptTokens } = await client.buildMessages(messages, '3', undefined, {
+        getReqData,
+      });
+
+      expect(prompt.contents).toEqual([
+        { role: 'user', parts: [{ text: 'Be concise\n\nHello' }] },
+        { role: 'model', parts: [{ text: 'Hi' }] },
+        { role: 'user', parts: [{ text: 'What\'s up' }] },
+      ]);
+      expect(prompt.generationConfig).toEqual(expect.objectContaining({ topK: 40 }));
+      expect(client.completionsUrl).toBe(
+        'https://us-central1-aiplatform.googleapis.com/v1/projects/test-project/locations/us-central1/publishers/google/models/gemini-pro:streamGenerateContent?alt=sse',
+      );
+      expect(getReqData).toHaveBeenCalledWith({ promptTokens });
+    });
+
+    it('should switch to the vision model for images, sent in a single message', async () => {
+      const attachments = [{ file_id: 'image-id', type: 'image/webp' }];
+      const client = createClient('gemini-pro', {
+        hasImageAttachments: true,
+        attachments: Promise.resolve(attachments),
+        req: { body: {} },
+      });
+      encodeAndFormat.mockResolvedValue({ files: [], image_urls: [image], tokenCount: 258 });
+
+      const { prompt, promptTokens } = await client.buildMessages(messages, '3');
+
+      expect(client.modelOptions.model).toBe('gemini-pro-vision');
+      expect(client.maxContextTokens).toBe(12288);
+      expect(encodeAndFormat).toHaveBeenCalledWith({ body: {} }, attachments, 'google');
+      expect(prompt.contents).toEqual([
+        {
+          role: 'user',
+          parts: [{ text: 'User:\nHello\n\nAssistant:\nHi\n\nUser:\nWhat\'s up' }, image],
+        },
+      ]);
+      expect(promptTokens).toBeGreaterThan(258);
+    });
+
+    it('should stream the text of the server-sent events', async () => {
+      const client = createClient('gemini-pro');
+      const event = (text) =>
+        `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\r\n\r\n`;
+      const body = `${event('Hello')}${event(' there')}`;
+      const request = jest.fn(async () => ({
+        data: Readable.from([body.slice(0, 20), body.slice(20)]),
+      }));
+      client.getClient = async () => ({ request });
+      client.generateTextStream = jest.fn();
+
+      const reply = await client.getCompletion({ contents: [] }, { onProgress: jest.fn() });
+
+      expect(reply).toBe('Hello there');
+      expect(request).toHaveBeenCalledWith(
+        expect.objectContaining({ url: client.completionsUrl, responseType: 'stream' }),
+      );
+    });
+  });
+});
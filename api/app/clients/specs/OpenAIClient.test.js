@@ -188,6 +188,88 @@ describe('OpenAIClient', () => {
     });
   });
 
+  describe('withAzureFailover', () => {
+    const primary = {
+      azureOpenAIApiKey: 'eastus-key',
+      azureOpenAIApiInstanceName: 'eastus',
+      azureOpenAIApiDeploymentName: 'gpt-4-32k',
+      azureOpenAIApiVersion: '2023-07-01-preview',
+    };
+    const secondary = {
+      azureOpenAIApiKey: 'westeurope-key',
+      azureOpenAIApiInstanceName: 'westeurope',
+      azureOpenAIApiDeploymentName: 'gpt-4-32k-eu',
+      azureOpenAIApiVersion: '2023-07-01-preview',
+    };
+
+    const createAzureClient = () =>
+      new OpenAIClient(primary.azureOpenAIApiKey, {
+        modelOptions: { model: 'gpt-4-32k' },
+        azure: primary,
+        azureFailover: [secondary],
+      });
+
+    const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+    beforeAll(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+      console.log.mockRestore();
+    });
+
+    it('should target the mapped deployment regardless of the model name', () => {
+      process.env.AZURE_USE_MODEL_AS_DEPLOYMENT_NAME = 'true';
+      const azureClient = createAzureClient();
+      expect(azureClient.completionsUrl).toBe(
+        'https://eastus.openai.azure.com/openai/deployments/gpt-4-32k/chat/completions?api-version=2023-07-01-preview',
+      );
+      delete process.env.AZURE_USE_MODEL_AS_DEPLOYMENT_NAME;
+    });
+
+    it('should retry on the next deployment when rate limited', async () => {
+      const azureClient = createAzureClient();
+      const request = jest
+        .fn()
+        .mockRejectedValueOnce(httpError(429))
+        .mockResolvedValueOnce('response');
+
+      await expect(azureClient.withAzureFailover(request)).resolves.toBe('response');
+      expect(request).toHaveBeenCalledTimes(2);
+      expect(azureClient.apiKey).toBe('westeurope-key');
+      expect(azureClient.completionsUrl).toBe(
+        'https://westeurope.openai.azure.com/openai/deployments/gpt-4-32k-eu/chat/completions?api-version=2023-07-01-preview',
+      );
+    });
+
+    it('should rethrow once no deployment is left', async () => {
+      const azureClient = createAzureClient();
+      const request = jest.fn().mockRejectedValue(httpError(503));
+
+      await expect(azureClient.withAzureFailover(request)).rejects.toThrow('HTTP 503');
+      expect(request).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not retry the requests that cannot be sent again', async () => {
+      const azureClient = createAzureClient();
+      const request = jest.fn().mockRejectedValue(httpError(429));
+
+      await expect(azureClient.withAzureFailover(request, () => false)).rejects.toThrow('HTTP 429');
+      expect(request).toHaveBeenCalledTimes(1);
+      expect(azureClient.apiKey).toBe('eastus-key');
+    });
+
+    it('should not retry client errors', async () => {
+      const azureClient = createAzureClient();
+      const request = jest.fn().mockRejectedValue(httpError(400));
+
+      await expect(azureClient.withAzureFailover(request)).rejects.toThrow('HTTP 400');
+      expect(request).toHaveBeenCalledTimes(1);
+      expect(azureClient.apiKey).toBe('eastus-key');
+    });
+  });
+
   describe('selectTokenizer', () => {
     it('should get the correct tokenizer based on the instance state', () => {
       const tokenizer = client.selectTokenizer();
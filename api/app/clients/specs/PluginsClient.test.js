@@ -145,6 +145,71 @@ describe('PluginsClient', () => {
     });
   });
 
+  describe('executorCall with Azure failover', () => {
+    const primary = {
+      azureOpenAIApiKey: 'eastus-key',
+      azureOpenAIApiInstanceName: 'eastus',
+      azureOpenAIApiDeploymentName: 'gpt-4-32k',
+      azureOpenAIApiVersion: '2023-07-01-preview',
+    };
+    const secondary = {
+      azureOpenAIApiKey: 'westeurope-key',
+      azureOpenAIApiInstanceName: 'westeurope',
+      azureOpenAIApiDeploymentName: 'gpt-4-32k-eu',
+      azureOpenAIApiVersion: '2023-07-01-preview',
+    };
+    const rateLimited = Object.assign(new Error('HTTP 429'), { status: 429 });
+    const initializeOptions = { user: 'user-id', message: 'Draw a cat' };
+    let client;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      client = new PluginsClient(primary.azureOpenAIApiKey, {
+        ...options,
+        modelOptions: { ...options.modelOptions, model: 'gpt-4-32k' },
+        azure: primary,
+        azureFailover: [secondary],
+      });
+      client.runManager = { getRunByConversationId: () => ({}) };
+      client.result = {};
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+      console.error.mockRestore();
+    });
+
+    test('runs the agent again on the next deployment when rate limited', async () => {
+      client.executor = { call: jest.fn().mockRejectedValueOnce(rateLimited) };
+      client.initialize = jest.fn(async () => {
+        client.executor = { call: jest.fn().mockResolvedValueOnce({ output: 'A cat' }) };
+      });
+
+      await client.executorCall('Draw a cat', { initializeOptions });
+
+      expect(client.initialize).toHaveBeenCalledWith(initializeOptions);
+      expect(client.azure).toBe(secondary);
+      expect(client.result.output).toBe('A cat');
+    });
+
+    test('does not run the agent again once a tool was used', async () => {
+      client.executor = {
+        call: jest.fn(async () => {
+          client.actions.push({ tool: 'dall-e' });
+          throw rateLimited;
+        }),
+      };
+      client.initialize = jest.fn();
+
+      await client.executorCall('Draw a cat', { initializeOptions });
+
+      expect(client.initialize).not.toHaveBeenCalled();
+      expect(client.azure).toBe(primary);
+      expect(client.result.errorMessage).toBe('HTTP 429');
+    });
+  });
+
   describe('getFunctionModelName', () => {
     let client;
 
@@ -1,7 +1,5 @@
 // From https://platform.openai.com/docs/api-reference/images/create
 // To use this tool, you must pass in a configured OpenAIApi object.
-const fs = require('fs');
-const path = require('path');
 const OpenAI = require('openai');
 // const { genAzureEndpoint } = require('../../../utils/genAzureEndpoints');
 const { Tool } = require('langchain/tools');
@@ -48,6 +46,9 @@ class OpenAICreateImage extends Tool {
     //   };
     // }
     this.openai = new OpenAI(config);
+    /* images are stored under the folder of the user: only the `azure` file strategy limits who
+     * can load them, with signed URLs, while `local` serves `/images/**` to anyone */
+    this.userId = fields.userId;
     this.name = 'dall-e';
     this.description = `You can generate images with 'dall-e'. This tool is exclusively for visual content.
 Guidelines:
@@ -73,12 +74,12 @@ Guidelines:
       .trim();
   }
 
+  getImagePath(imageName) {
+    return this.userId ? `/images/${this.userId}/${imageName}` : `/images/${imageName}`;
+  }
+
   getMarkdownImageUrl(imageName) {
-    const imageUrl = path
-      .join(this.relativeImageUrl, imageName)
-      .replace(/\\/g, '/')
-      .replace('public/', '');
-    return `![generated image](/${imageUrl})`;
+    return `![generated image](${this.getImagePath(imageName)})`;
   }
 
   async _call(input) {
@@ -107,17 +108,8 @@ Guidelines:
       console.log('No image name found in the string.');
     }
 
-    this.outputPath = path.resolve(__dirname, '..', '..', '..', '..', 'client', 'public', 'images');
-    const appRoot = path.resolve(__dirname, '..', '..', '..', '..', 'client');
-    this.relativeImageUrl = path.relative(appRoot, this.outputPath);
-
-    // Check if directory exists, if not create it
-    if (!fs.existsSync(this.outputPath)) {
-      fs.mkdirSync(this.outputPath, { recursive: true });
-    }
-
     try {
-      await saveImageFromUrl(theImageUrl, this.outputPath, imageName);
+      await saveImageFromUrl(theImageUrl, this.getImagePath(imageName));
       this.result = this.getMarkdownImageUrl(imageName);
     } catch (error) {
       console.error('Error while saving the image:', error);
@@ -1,7 +1,5 @@
 // From https://platform.openai.com/docs/guides/images/usage?context=node
 // To use this tool, you must pass in a configured OpenAIApi object.
-const fs = require('fs');
-const path = require('path');
 const { z } = require('zod');
 const OpenAI = require('openai');
 const { Tool } = require('langchain/tools');
@@ -24,6 +22,9 @@ class DALLE3 extends Tool {
     }
 
     this.openai = new OpenAI(config);
+    /* images are stored under the folder of the user: only the `azure` file strategy limits who
+     * can load them, with signed URLs, while `local` serves `/images/**` to anyone */
+    this.userId = fields.userId;
     this.name = 'dalle';
     this.description = `Use DALLE to create images from text descriptions.
     - It requires prompts to be in English, detailed, and to specify image type and human features for diversity.
@@ -81,12 +82,12 @@ class DALLE3 extends Tool {
       .trim();
   }
 
+  getImagePath(imageName) {
+    return this.userId ? `/images/${this.userId}/${imageName}` : `/images/${imageName}`;
+  }
+
   getMarkdownImageUrl(imageName) {
-    const imageUrl = path
-      .join(this.relativeImageUrl, imageName)
-      .replace(/\\/g, '/')
-      .replace('public/', '');
-    return `![generated image](/${imageUrl})`;
+    return `![generated image](${this.getImagePath(imageName)})`;
   }
 
   async _call(data) {
@@ -131,27 +132,8 @@ Error Message: ${error.message}`;
       console.log('No image name found in the string.');
     }
 
-    this.outputPath = path.resolve(
-      __dirname,
-      '..',
-      '..',
-      '..',
-      '..',
-      '..',
-      'client',
-      'public',
-      'images',
-    );
-    const appRoot = path.resolve(__dirname, '..', '..', '..', '..', '..', 'client');
-    this.relativeImageUrl = path.relative(appRoot, this.outputPath);
-
-    // Check if directory exists, if not create it
-    if (!fs.existsSync(this.outputPath)) {
-      fs.mkdirSync(this.outputPath, { recursive: true });
-    }
-
     try {
-      await saveImageFromUrl(theImageUrl, this.outputPath, imageName);
+      await saveImageFromUrl(theImageUrl, this.getImagePath(imageName));
       this.result = this.getMarkdownImageUrl(imageName);
     } catch (error) {
       console.error('Error while saving the image:', error);
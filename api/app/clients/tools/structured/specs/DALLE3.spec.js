@@ -1,4 +1,3 @@
-const fs = require('fs');
 const path = require('path');
 const OpenAI = require('openai');
 const DALLE3 = require('../DALLE3');
@@ -13,13 +12,6 @@ OpenAI.mockImplementation(() => ({
   },
 }));
 
-jest.mock('fs', () => {
-  return {
-    existsSync: jest.fn(),
-    mkdirSync: jest.fn(),
-  };
-});
-
 jest.mock('../../saveImageFromUrl', () => {
   return jest.fn();
 });
@@ -93,7 +85,6 @@ describe('DALLE3', () => {
 
     generate.mockResolvedValue(mockResponse);
     saveImageFromUrl.mockResolvedValue(true);
-    fs.existsSync.mockReturnValue(true);
     path.resolve.mockReturnValue('/fakepath/images');
     path.join.mockReturnValue('/fakepath/images/img-test.png');
     path.relative.mockReturnValue('images/img-test.png');
@@ -151,7 +142,7 @@ describe('DALLE3', () => {
     expect(console.log).toHaveBeenCalledWith('No image name found in the string.');
   });
 
-  it('should create the directory if it does not exist', async () => {
+  it('should save the image to the stored images', async () => {
     const mockData = {
       prompt: 'A test prompt',
     };
@@ -163,9 +154,29 @@ describe('DALLE3', () => {
       ],
     };
     generate.mockResolvedValue(mockResponse);
-    fs.existsSync.mockReturnValue(false); // Simulate directory does not exist
-    await dalle._call(mockData);
-    expect(fs.mkdirSync).toHaveBeenCalledWith(expect.any(String), { recursive: true });
+    saveImageFromUrl.mockResolvedValue();
+    const result = await dalle._call(mockData);
+    expect(saveImageFromUrl).toHaveBeenCalledWith(mockResponse.data[0].url, '/images/img-test.png');
+    expect(result).toBe('![generated image](/images/img-test.png)');
+  });
+
+  it('should save the image to the folder of the user', async () => {
+    const mockResponse = {
+      data: [
+        {
+          url: 'http://example.com/img-test.png',
+        },
+      ],
+    };
+    generate.mockResolvedValue(mockResponse);
+    saveImageFromUrl.mockResolvedValue();
+    const userDalle = new DALLE3({ userId: 'user-id' });
+    const result = await userDalle._call({ prompt: 'A test prompt' });
+    expect(saveImageFromUrl).toHaveBeenCalledWith(
+      mockResponse.data[0].url,
+      '/images/user-id/img-test.png',
+    );
+    expect(result).toBe('![generated image](/images/user-id/img-test.png)');
   });
 
   it('should log an error and return the image URL if there is an error saving the image', async () => {
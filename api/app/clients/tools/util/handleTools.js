@@ -181,6 +181,8 @@ const loadTools = async ({
 
   const toolOptions = {
     serpapi: { location: 'Austin,Texas,United States', hl: 'en', gl: 'us' },
+    'dall-e': { userId: user },
+    dalle: { userId: user },
   };
 
   const toolAuthFields = {};
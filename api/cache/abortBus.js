@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const Redis = require('ioredis');
+const getLogStores = require('./getLogStores');
+const { isEnabled } = require('../server/utils');
+const { USE_REDIS, REDIS_URI } = process.env ?? {};
+
+/** How long to wait for the instance of a request to abort it, in milliseconds */
+const ABORT_TIMEOUT = 5000;
+/** Expiry of the registered requests, in case their instance stops before unregistering them */
+const REGISTRY_TTL = 1000 * 60 * 60;
+
+const instanceId = crypto.randomUUID();
+const abortChannel = (instance) => `abort:${instance}`;
+const replyChannel = (instance) => `abort_reply:${instance}`;
+
+/** @type {Map<string, (response: Object | null) => void>} */
+const pendingAborts = new Map();
+
+/** @type {(abortKey: string) => Promise<Object | null>} */
+let abortHandler = async () => null;
+
+let publisher;
+let registry;
+
+/**
+ * Handles the messages of the channels of this instance: the aborts requested by other instances,
+ * and the replies to the aborts this instance requested.
+ * @param {string} channel
+ * @param {string} message
+ */
+const onMessage = async (channel, message) => {
+  try {
+    const { abortKey, requestId, replyTo, response } = JSON.parse(message);
+
+    if (channel === replyChannel(instanceId)) {
+      pendingAborts.get(requestId)?.(response ?? null);
+      return;
+    }
+
+    const abortResponse = await abortHandler(abortKey);
+    await publisher.publish(
+      replyChannel(replyTo),
+      JSON.stringify({ requestId, response: abortResponse }),
+    );
+  } catch (error) {
+    console.error('[abortBus] Error handling message', error);
+  }
+};
+
+if (isEnabled(USE_REDIS) && REDIS_URI) {
+  registry = getLogStores('abort_keys');
+  publisher = new Redis(REDIS_URI);
+  publisher.on('error', (err) => console.error('[abortBus] Redis connection error:', err));
+
+  const subscriber = publisher.duplicate();
+  subscriber.on('error', (err) => console.error('[abortBus] Redis connection error:', err));
+  subscriber.on('message', onMessage);
+  subscriber.subscribe(abortChannel(instanceId), replyChannel(instanceId));
+}
+
+/**
+ * Sets how this instance aborts its requests, when other instances request it.
+ * @param {(abortKey: string) => Promise<Object | null>} handler - Resolves with the abort response,
+ * or null if the request is not found.
+ */
+const onAbortRequest = (handler) => {
+  abortHandler = handler;
+};
+
+/**
+ * Registers a request of this instance, so that other instances can abort it.
+ * @param {string} abortKey
+ */
+const registerAbortKey = async (abortKey) => {
+  try {
+    await registry?.set(abortKey, instanceId, REGISTRY_TTL);
+  } catch (error) {
+    console.error('[abortBus] Error registering request', error);
+  }
+};
+
+/**
+ * @param {string} abortKey
+ */
+const unregisterAbortKey = async (abortKey) => {
+  try {
+    await registry?.delete(abortKey);
+  } catch (error) {
+    console.error('[abortBus] Error unregistering request', error);
+  }
+};
+
+/**
+ * Requests the instance handling a request to abort it.
+ * Only used with `USE_REDIS`, as requests are otherwise always handled by this instance.
+ * @param {string} abortKey
+ * @returns {Promise<Object | null>} The abort response, or null if the request was not found.
+ */
+const requestAbort = async (abortKey) => {
+  if (!publisher || !abortKey) {
+    return null;
+  }
+
+  const instance = await registry.get(abortKey);
+  if (!instance || instance === instanceId) {
+    return null;
+  }
+
+  const requestId = crypto.randomUUID();
+  return await new Promise((resolve) => {
+    const timeout = setTimeout(() => {
+      pendingAborts.delete(requestId);
+      resolve(null);
+    }, ABORT_TIMEOUT);
+
+    pendingAborts.set(requestId, (response) => {
+      clearTimeout(timeout);
+      pendingAborts.delete(requestId);
+      resolve(response);
+    });
+
+    publisher
+      .publish(abortChannel(instance), JSON.stringify({ abortKey, requestId, replyTo: instanceId }))
+      .catch((error) => console.error('[abortBus] Error requesting abort', error));
+  });
+};
+
+module.exports = {
+  onAbortRequest,
+  registerAbortKey,
+  unregisterAbortKey,
+  requestAbort,
+};
@@ -0,0 +1,87 @@
+const Keyv = require('keyv');
+const { EventEmitter } = require('events');
+
+// Channels shared by the instances, standing in for Redis pub/sub
+const mockChannels = new EventEmitter();
+const mockRegistry = new Keyv();
+
+jest.mock('ioredis', () => {
+  const EventEmitter = require('events');
+  class Redis extends EventEmitter {
+    publish = async (channel, message) => {
+      mockChannels.emit(channel, channel, message);
+      return 1;
+    };
+
+    duplicate() {
+      return new Redis();
+    }
+
+    subscribe(...channels) {
+      for (const channel of channels) {
+        mockChannels.on(channel, (channel, message) => this.emit('message', channel, message));
+      }
+    }
+  }
+  return Redis;
+});
+
+jest.mock('./getLogStores', () => () => mockRegistry);
+
+/** Loads the abort bus of a separate instance */
+const createInstance = () => {
+  let abortBus;
+  jest.isolateModules(() => {
+    abortBus = require('./abortBus');
+  });
+  return abortBus;
+};
+
+describe('abortBus', () => {
+  const originalEnv = process.env;
+  let instanceA;
+  let instanceB;
+
+  beforeAll(() => {
+    process.env = { ...originalEnv, USE_REDIS: 'true', REDIS_URI: 'redis://localhost:6379' };
+    instanceA = createInstance();
+    instanceB = createInstance();
+    instanceA.onAbortRequest(async (abortKey) =>
+      abortKey === 'convo-id' ? { final: true, conversation: { conversationId: abortKey } } : null,
+    );
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  afterEach(async () => {
+    await mockRegistry.clear();
+  });
+
+  it('aborts a request on the instance handling it', async () => {
+    await instanceA.registerAbortKey('convo-id');
+
+    const response = await instanceB.requestAbort('convo-id');
+
+    expect(response).toEqual({ final: true, conversation: { conversationId: 'convo-id' } });
+  });
+
+  it('does not request aborts of unregistered requests', async () => {
+    const publish = jest.spyOn(mockChannels, 'emit');
+
+    await instanceA.registerAbortKey('convo-id');
+    await instanceA.unregisterAbortKey('convo-id');
+
+    expect(await instanceB.requestAbort('convo-id')).toBeNull();
+    expect(await instanceB.requestAbort('unknown')).toBeNull();
+    expect(publish).not.toHaveBeenCalled();
+    publish.mockRestore();
+  });
+
+  it('resolves with null when the instance no longer has the request', async () => {
+    await instanceA.registerAbortKey('finished-convo-id');
+
+    expect(await instanceB.requestAbort('finished-convo-id')).toBeNull();
+  });
+});
@@ -8,23 +8,37 @@ const { BAN_DURATION, USE_REDIS } = process.env ?? {};
 
 const duration = math(BAN_DURATION, 7200000);
 
+/**
+ * Creates a cache shared by all instances on Redis when `USE_REDIS` is enabled, or else in memory.
+ * Each cache has its own namespace, so that their keys don't collide on Redis.
+ * @param {string} namespace
+ * @param {number} [ttl] - The time to live of the entries, in milliseconds.
+ * @returns {Keyv}
+ */
+const createCache = (namespace, ttl) =>
+  isEnabled(USE_REDIS)
+    ? new Keyv({ store: keyvRedis, namespace, ttl })
+    : new Keyv({ namespace, ttl });
+
 const createViolationInstance = (namespace) => {
-  const config = isEnabled(USE_REDIS) ? { store: keyvRedis } : { store: violationFile, namespace };
+  const config = isEnabled(USE_REDIS)
+    ? { store: keyvRedis, namespace }
+    : { store: violationFile, namespace };
   return new Keyv(config);
 };
 
-// Serve cache from memory so no need to clear it on startup/exit
-const pending_req = isEnabled(USE_REDIS)
-  ? new Keyv({ store: keyvRedis })
-  : new Keyv({ namespace: 'pending_req' });
-
-const config = isEnabled(USE_REDIS)
-  ? new Keyv({ store: keyvRedis })
-  : new Keyv({ namespace: CacheKeys.CONFIG });
-
 const namespaces = {
-  config,
-  pending_req,
+  // Serve cache from memory so no need to clear it on startup/exit
+  pending_req: createCache('pending_req'),
+  // Bans looked up by `checkBan`, cached until they expire
+  ban_cache: createCache('bans', 0),
+  config: createCache(CacheKeys.CONFIG),
+  // Models fetched from the endpoints, by base URL
+  models: createCache('models'),
+  // Search results, by user and query
+  search: createCache('search', 60 * 1000),
+  // The instance of each abortable request, see `abortBus`
+  abort_keys: createCache('abort_keys'),
   ban: new Keyv({ store: keyvMongo, namespace: 'bans', ttl: duration }),
   general: new Keyv({ store: logFile, namespace: 'violations' }),
   concurrent: createViolationInstance('concurrent'),
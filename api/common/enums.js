@@ -4,12 +4,14 @@
  * @property {'modelsConfig'} MODELS_CONFIG - Key for the model config cache.
  * @property {'defaultConfig'} DEFAULT_CONFIG - Key for the default config cache.
  * @property {'overrideConfig'} OVERRIDE_CONFIG - Key for the override config cache.
+ * @property {'customConfig'} CUSTOM_CONFIG - Key for the custom config file cache.
  */
 const CacheKeys = {
   CONFIG: 'config',
   MODELS_CONFIG: 'modelsConfig',
   DEFAULT_CONFIG: 'defaultConfig',
   OVERRIDE_CONFIG: 'overrideConfig',
+  CUSTOM_CONFIG: 'customConfig',
 };
 
 module.exports = { CacheKeys };
@@ -3,4 +3,6 @@ const path = require('path');
 module.exports = {
   publicPath: path.resolve(__dirname, '..', 'client', 'public'),
   imageOutput: path.resolve(__dirname, '..', 'client', 'public', 'images'),
+  /** Uploaded documents, kept out of the public path */
+  uploads: path.resolve(__dirname, 'uploads'),
 };
@@ -1,12 +1,12 @@
 const Conversation = require('../../models/schema/convoSchema');
 const Message = require('../../models/schema/messageSchema');
 const { MeiliSearch } = require('meilisearch');
-let currentTimeout = null;
+const searchProvider = require('./searchProvider');
 const searchEnabled = process.env?.SEARCH?.toLowerCase() === 'true';
 
 // eslint-disable-next-line no-unused-vars
 async function indexSync(req, res, next) {
-  if (!searchEnabled) {
+  if (!searchEnabled || searchProvider !== 'meilisearch') {
     return;
   }
 
@@ -28,47 +28,11 @@ async function indexSync(req, res, next) {
       throw new Error('Meilisearch not available');
     }
 
-    const messageCount = await Message.countDocuments();
-    const convoCount = await Conversation.countDocuments();
-    const messages = await client.index('messages').getStats();
-    const convos = await client.index('convos').getStats();
-    const messagesIndexed = messages.numberOfDocuments;
-    const convosIndexed = convos.numberOfDocuments;
-
-    console.log(`There are ${messageCount} messages in the database, ${messagesIndexed} indexed`);
-    console.log(`There are ${convoCount} convos in the database, ${convosIndexed} indexed`);
-
-    if (messageCount !== messagesIndexed) {
-      console.log('Messages out of sync, indexing');
-      Message.syncWithMeili();
-    }
-
-    if (convoCount !== convosIndexed) {
-      console.log('Convos out of sync, indexing');
-      Conversation.syncWithMeili();
-    }
+    // Only the new, changed and deleted documents are synced, see `syncWithMeili`
+    Message.syncWithMeili().then(() => Conversation.syncWithMeili());
   } catch (err) {
-    // console.log('in index sync');
-    if (err.message.includes('not found')) {
-      console.log('Creating indices...');
-      currentTimeout = setTimeout(async () => {
-        try {
-          await Message.syncWithMeili();
-          await Conversation.syncWithMeili();
-        } catch (err) {
-          console.error('Trouble creating indices, try restarting the server.');
-        }
-      }, 750);
-    } else {
-      console.error(err);
-      // res.status(500).json({ error: 'Server error' });
-    }
+    console.error(err);
   }
 }
 
-process.on('exit', () => {
-  console.log('Clearing sync timeouts before exiting...');
-  clearTimeout(currentTimeout);
-});
-
 module.exports = indexSync;
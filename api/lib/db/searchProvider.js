@@ -0,0 +1,11 @@
+const { SEARCH_PROVIDER, MEILI_HOST, MEILI_MASTER_KEY } = process.env ?? {};
+
+/**
+ * The backend of the search, selected with `SEARCH_PROVIDER`: `meilisearch`, `mongo` or `azure`.
+ * Defaults to Meilisearch when it's configured, and to the MongoDB text indexes otherwise.
+ * @type {string}
+ */
+const searchProvider =
+  SEARCH_PROVIDER || (MEILI_HOST && MEILI_MASTER_KEY ? 'meilisearch' : 'mongo');
+
+module.exports = searchProvider;
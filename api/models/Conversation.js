@@ -11,41 +11,168 @@ const getConvo = async (user, conversationId) => {
   }
 };
 
+/**
+ * Builds the query for listing a user's conversations, excluding archived ones by default.
+ * @param {string} user - The user's ID.
+ * @param {Object} [filters] - Optional filters.
+ * @param {boolean} [filters.isArchived] - List the archived conversations instead.
+ * @param {string[]} [filters.tags] - Only conversations with all of these tags.
+ * @param {boolean} [filters.isPinned] - Only pinned, or only unpinned, conversations.
+ * @param {string} [filters.endpoint] - Only conversations of this endpoint.
+ * @param {Date} [filters.startDate] - Only conversations created at or after this date.
+ * @param {Date} [filters.endDate] - Only conversations created at or before this date.
+ * @returns {Object} The MongoDB filter.
+ */
+const buildConvoFilter = (
+  user,
+  { isArchived, tags, isPinned, endpoint, startDate, endDate } = {},
+) => {
+  const filter = { user, isArchived: isArchived ? true : { $ne: true } };
+
+  if (tags && tags.length) {
+    filter.tags = { $all: tags };
+  }
+
+  if (typeof isPinned === 'boolean') {
+    filter.isPinned = isPinned ? true : { $ne: true };
+  }
+
+  if (endpoint) {
+    filter.endpoint = endpoint;
+  }
+
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) {
+      filter.createdAt.$gte = startDate;
+    }
+    if (endDate) {
+      filter.createdAt.$lte = endDate;
+    }
+  }
+
+  return filter;
+};
+
+/**
+ * Encodes the position of a conversation in the list, sorted by last activity, as an opaque cursor.
+ * @param {{ updatedAt: Date, conversationId: string }} convo
+ * @returns {string}
+ */
+const encodeConvoCursor = ({ updatedAt, conversationId }) =>
+  Buffer.from(JSON.stringify([new Date(updatedAt).toISOString(), conversationId])).toString(
+    'base64url',
+  );
+
+/**
+ * Decodes a cursor created by `encodeConvoCursor`.
+ * @param {string} cursor
+ * @returns {{ updatedAt: Date, conversationId: string } | null} The position, or null if invalid.
+ */
+const decodeConvoCursor = (cursor) => {
+  try {
+    const [updatedAt, conversationId] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const date = new Date(updatedAt);
+    if (typeof conversationId !== 'string' || isNaN(date.getTime())) {
+      return null;
+    }
+    return { updatedAt: date, conversationId };
+  } catch (error) {
+    return null;
+  }
+};
+
+const bulkUpdates = {
+  tag: (tags) => ({ $addToSet: { tags: { $each: tags } } }),
+  untag: (tags) => ({ $pull: { tags: { $in: tags } } }),
+  pin: () => ({ $set: { isPinned: true } }),
+  unpin: () => ({ $set: { isPinned: false } }),
+  archive: () => ({ $set: { isArchived: true, archivedAt: new Date() } }),
+  unarchive: () => ({ $set: { isArchived: false }, $unset: { archivedAt: '' } }),
+};
+
 module.exports = {
   Conversation,
+  buildConvoFilter,
+  encodeConvoCursor,
+  decodeConvoCursor,
+  bulkActions: Object.keys(bulkUpdates),
   saveConvo: async (user, { conversationId, newConversationId, ...convo }) => {
     try {
       const messages = await getMessages({ conversationId });
-      const update = { ...convo, messages, user };
+      const { createdAt, ...fields } = convo;
+      const update = { ...fields, messages, user };
       if (newConversationId) {
         update.conversationId = newConversationId;
       }
 
-      return await Conversation.findOneAndUpdate({ conversationId: conversationId, user }, update, {
-        new: true,
-        upsert: true,
-      });
+      const options = { new: true, upsert: true };
+      if (createdAt) {
+        /* only applied on insert, e.g. for imported conversations */
+        update.$setOnInsert = { createdAt };
+        options.timestamps = { createdAt: false };
+      }
+
+      return await Conversation.findOneAndUpdate(
+        { conversationId: conversationId, user },
+        update,
+        options,
+      );
     } catch (error) {
       console.log(error);
       return { message: 'Error saving conversation' };
     }
   },
-  getConvosByPage: async (user, pageNumber = 1, pageSize = 14) => {
+  /**
+   * Lists a user's conversations by last activity, `limit` at a time. Paginates with a cursor on
+   * `(updatedAt, conversationId)` rather than `skip`, which gets slow on large collections.
+   * @param {string} user - The user's ID.
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - The `nextCursor` of the previous page.
+   * @param {number} [options.limit=25] - The maximum number of conversations to return.
+   * @param {Object} [options.filters] - The filters, see `buildConvoFilter`.
+   * @returns {Promise<{ conversations: Object[], nextCursor: string | null }>}
+   */
+  getConvosByCursor: async (user, { cursor, limit = 25, filters } = {}) => {
     try {
-      const totalConvos = (await Conversation.countDocuments({ user })) || 1;
-      const totalPages = Math.ceil(totalConvos / pageSize);
-      const convos = await Conversation.find({ user })
-        .sort({ createdAt: -1 })
-        .skip((pageNumber - 1) * pageSize)
-        .limit(pageSize)
+      const filter = buildConvoFilter(user, filters);
+      const position = cursor ? decodeConvoCursor(cursor) : null;
+      if (position) {
+        filter.$or = [
+          { updatedAt: { $lt: position.updatedAt } },
+          { updatedAt: position.updatedAt, conversationId: { $lt: position.conversationId } },
+        ];
+      }
+
+      const convos = await Conversation.find(filter)
+        .sort({ updatedAt: -1, conversationId: -1 })
+        .limit(limit + 1)
         .lean();
-      return { conversations: convos, pages: totalPages, pageNumber, pageSize };
-    } catch (error) {
-      console.log(error);
-      return { message: 'Error getting conversations' };
+
+      let nextCursor = null;
+      if (convos.length > limit) {
+        convos.pop();
+        nextCursor = encodeConvoCursor(convos[convos.length - 1]);
+      }
+
+      return { conversations: convos, nextCursor };
+    } catch (err) {
+      console.error(`Error getting conversations: ${err}`);
+      throw new Error('Failed to get conversations.');
     }
   },
-  getConvosQueried: async (user, convoIds, pageNumber = 1, pageSize = 14) => {
+  /**
+   * Pages the user's conversations matching the search hits, in the order of the hits.
+   * @param {string} user - The user's ID.
+   * @param {Array<{ conversationId: string }>} convoIds - The conversations of the search hits.
+   * @param {number} [pageNumber=1]
+   * @param {number} [pageSize=14]
+   * @param {Object} [filters] - Only conversations matching these filters, for the hits of
+   * messages saved without the endpoint and model of their conversation.
+   * @param {string} [filters.endpoint]
+   * @param {string} [filters.model]
+   */
+  getConvosQueried: async (user, convoIds, pageNumber = 1, pageSize = 14, filters = {}) => {
     try {
       if (!convoIds || convoIds.length === 0) {
         return { conversations: [], pages: 1, pageNumber, pageSize };
@@ -54,12 +181,21 @@ module.exports = {
       const cache = {};
       const convoMap = {};
       const promises = [];
+      const convoFilter = {};
+      if (filters.endpoint) {
+        convoFilter.endpoint = filters.endpoint;
+      }
+      if (filters.model) {
+        convoFilter.model = filters.model;
+      }
 
       convoIds.forEach((convo) =>
         promises.push(
           Conversation.findOne({
             user,
             conversationId: convo.conversationId,
+            isArchived: { $ne: true },
+            ...convoFilter,
           }).lean(),
         ),
       );
@@ -92,6 +228,66 @@ module.exports = {
     }
   },
   getConvo,
+  /**
+   * Lists the tags used by a user's conversations, with the number of conversations per tag.
+   * @param {string} user - The user's ID.
+   * @returns {Promise<{ tag: string, count: number }[]>} The tags, sorted alphabetically.
+   */
+  getConvoTags: async (user) => {
+    try {
+      const tags = await Conversation.aggregate([
+        { $match: { user, isArchived: { $ne: true } } },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+      ]);
+      return tags.map(({ _id, count }) => ({ tag: _id, count }));
+    } catch (err) {
+      console.error(`Error getting conversation tags: ${err}`);
+      throw new Error('Failed to get conversation tags.');
+    }
+  },
+  /**
+   * Applies a bulk action to several of a user's conversations at once.
+   * Does not change `updatedAt`, so the conversations keep their place in the list.
+   * @param {string} user - The user's ID.
+   * @param {string[]} conversationIds - The IDs of the conversations to update.
+   * @param {'tag' | 'untag' | 'pin' | 'unpin' | 'archive' | 'unarchive'} action - The action to apply.
+   * @param {string[]} [tags] - The tags to add or remove, for the `tag` and `untag` actions.
+   * @returns {Promise<{ matchedCount: number, modifiedCount: number }>}
+   */
+  bulkUpdateConvos: async (user, conversationIds, action, tags = []) => {
+    try {
+      const result = await Conversation.updateMany(
+        { user, conversationId: { $in: conversationIds } },
+        bulkUpdates[action](tags),
+        { timestamps: false },
+      );
+      return { matchedCount: result.matchedCount, modifiedCount: result.modifiedCount };
+    } catch (err) {
+      console.error(`Error updating conversations: ${err}`);
+      throw new Error('Failed to update conversations.');
+    }
+  },
+  /**
+   * Removes a tag from all of a user's conversations.
+   * @param {string} user - The user's ID.
+   * @param {string} tag - The tag to remove.
+   * @returns {Promise<{ matchedCount: number, modifiedCount: number }>}
+   */
+  deleteConvoTag: async (user, tag) => {
+    try {
+      const result = await Conversation.updateMany(
+        { user, tags: tag },
+        { $pull: { tags: tag } },
+        { timestamps: false },
+      );
+      return { matchedCount: result.matchedCount, modifiedCount: result.modifiedCount };
+    } catch (err) {
+      console.error(`Error deleting conversation tag: ${err}`);
+      throw new Error('Failed to delete conversation tag.');
+    }
+  },
   /* chore: this method is not properly error handled */
   getConvoTitle: async (user, conversationId) => {
     try {
@@ -132,4 +328,22 @@ module.exports = {
     deleteCount.messages = await deleteMessages({ conversationId: { $in: ids } });
     return deleteCount;
   },
+  /**
+   * Deletes the conversations of all users that were archived before the given date,
+   * along with their messages.
+   * @param {Date} archivedBefore - Conversations archived before this date are deleted.
+   * @returns {Promise<{ deletedCount: number, messages: { deletedCount: number } }>}
+   */
+  deleteArchivedConvos: async (archivedBefore) => {
+    const filter = { isArchived: true, archivedAt: { $lt: archivedBefore } };
+    const toRemove = await Conversation.find(filter).select('conversationId').lean();
+    if (!toRemove.length) {
+      return { deletedCount: 0, messages: { deletedCount: 0 } };
+    }
+
+    const ids = toRemove.map((convo) => convo.conversationId);
+    const deleteCount = await Conversation.deleteMany({ conversationId: { $in: ids } });
+    deleteCount.messages = await deleteMessages({ conversationId: { $in: ids } });
+    return deleteCount;
+  },
 };
@@ -0,0 +1,101 @@
+const {
+  Conversation,
+  buildConvoFilter,
+  encodeConvoCursor,
+  decodeConvoCursor,
+  getConvosByCursor,
+} = require('./Conversation');
+
+describe('buildConvoFilter', () => {
+  it('should exclude archived conversations by default', () => {
+    expect(buildConvoFilter('user-id')).toEqual({ user: 'user-id', isArchived: { $ne: true } });
+  });
+
+  it('should list only archived conversations when requested', () => {
+    expect(buildConvoFilter('user-id', { isArchived: true }).isArchived).toBe(true);
+  });
+
+  it('should filter by tags, pinned state and endpoint', () => {
+    expect(
+      buildConvoFilter('user-id', { tags: ['work'], isPinned: false, endpoint: 'openAI' }),
+    ).toEqual({
+      user: 'user-id',
+      isArchived: { $ne: true },
+      tags: { $all: ['work'] },
+      isPinned: { $ne: true },
+      endpoint: 'openAI',
+    });
+    expect(buildConvoFilter('user-id', { isPinned: true }).isPinned).toBe(true);
+  });
+
+  it('should filter by creation date range', () => {
+    const startDate = new Date('2024-01-01');
+    const endDate = new Date('2024-02-01');
+    expect(buildConvoFilter('user-id', { startDate }).createdAt).toEqual({ $gte: startDate });
+    expect(buildConvoFilter('user-id', { startDate, endDate }).createdAt).toEqual({
+      $gte: startDate,
+      $lte: endDate,
+    });
+  });
+});
+
+describe('conversation cursors', () => {
+  it('should encode and decode the position of a conversation', () => {
+    const position = { updatedAt: new Date('2024-01-01T00:00:00.000Z'), conversationId: 'id' };
+    expect(decodeConvoCursor(encodeConvoCursor(position))).toEqual(position);
+  });
+
+  it('should reject invalid cursors', () => {
+    expect(decodeConvoCursor('not-a-cursor')).toBeNull();
+    expect(decodeConvoCursor(Buffer.from('["invalid", "id"]').toString('base64url'))).toBeNull();
+  });
+});
+
+describe('getConvosByCursor', () => {
+  const mockFind = (convos) => {
+    const query = {
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(convos),
+    };
+    jest.spyOn(Conversation, 'find').mockReturnValue(query);
+    return query;
+  };
+
+  const convo = (conversationId, updatedAt) => ({ conversationId, updatedAt: new Date(updatedAt) });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return the next cursor when there are more conversations', async () => {
+    const query = mockFind([
+      convo('c', '2024-01-03'),
+      convo('b', '2024-01-02'),
+      convo('a', '2024-01-01'),
+    ]);
+
+    const { conversations, nextCursor } = await getConvosByCursor('user-id', { limit: 2 });
+
+    expect(query.sort).toHaveBeenCalledWith({ updatedAt: -1, conversationId: -1 });
+    expect(query.limit).toHaveBeenCalledWith(3);
+    expect(conversations.map((c) => c.conversationId)).toEqual(['c', 'b']);
+    expect(decodeConvoCursor(nextCursor)).toEqual({
+      updatedAt: new Date('2024-01-02'),
+      conversationId: 'b',
+    });
+  });
+
+  it('should continue after the cursor', async () => {
+    mockFind([convo('a', '2024-01-01')]);
+    const cursor = encodeConvoCursor(convo('b', '2024-01-02'));
+
+    const { nextCursor } = await getConvosByCursor('user-id', { cursor, limit: 2 });
+
+    expect(nextCursor).toBeNull();
+    expect(Conversation.find.mock.calls[0][0].$or).toEqual([
+      { updatedAt: { $lt: new Date('2024-01-02') } },
+      { updatedAt: new Date('2024-01-02'), conversationId: { $lt: 'b' } },
+    ]);
+  });
+});
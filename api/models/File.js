@@ -55,15 +55,17 @@ const updateFile = async (data) => {
 /**
  * Increments the usage of a file identified by file_id.
  * @param {Object} data - The data to update, must contain file_id and the increment value for usage.
- * @returns {Promise<MongoFile>} A promise that resolves to the updated file document.
+ * @param {string} [data.user] - The ID of the user the file must belong to.
+ * @returns {Promise<MongoFile | null>} A promise that resolves to the updated file document, or null if not found.
  */
 const updateFileUsage = async (data) => {
-  const { file_id, inc = 1 } = data;
+  const { file_id, user, inc = 1 } = data;
   const updateOperation = {
     $inc: { usage: inc },
     $unset: { expiresAt: '' },
   };
-  return await File.findOneAndUpdate({ file_id }, updateOperation, { new: true }).lean();
+  const filter = user ? { file_id, user } : { file_id };
+  return await File.findOneAndUpdate(filter, updateOperation, { new: true }).lean();
 };
 
 /**
@@ -84,8 +86,96 @@ const deleteFiles = async (file_ids) => {
   return await File.deleteMany({ file_id: { $in: file_ids } });
 };
 
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Encodes the position of a file in the list, sorted by upload date, as an opaque cursor.
+ * @param {{ createdAt: Date, file_id: string }} file
+ * @returns {string}
+ */
+const encodeFileCursor = ({ createdAt, file_id }) =>
+  Buffer.from(JSON.stringify([new Date(createdAt).toISOString(), file_id])).toString('base64url');
+
+/**
+ * Decodes a cursor created by `encodeFileCursor`.
+ * @param {string} cursor
+ * @returns {{ createdAt: Date, file_id: string } | null} The position, or null if invalid.
+ */
+const decodeFileCursor = (cursor) => {
+  try {
+    const [createdAt, file_id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const date = new Date(createdAt);
+    if (typeof file_id !== 'string' || isNaN(date.getTime())) {
+      return null;
+    }
+    return { createdAt: date, file_id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Lists the files of a user by upload date, newest first, `limit` at a time.
+ * Files pending in an unsent message, which expire, are left out; so is the text of documents.
+ * @param {string} user - The user's ID.
+ * @param {Object} [options]
+ * @param {string} [options.cursor] - The `nextCursor` of the previous page.
+ * @param {number} [options.limit=25] - The maximum number of files to return.
+ * @param {{ type?: 'image' | 'document', search?: string }} [options.filters]
+ * @returns {Promise<{ files: MongoFile[], nextCursor: string | null }>}
+ */
+const getFilesByCursor = async (user, { cursor, limit = 25, filters = {} } = {}) => {
+  const filter = { user, expiresAt: { $exists: false } };
+  if (filters.type === 'image') {
+    filter.type = /^image\//;
+  } else if (filters.type === 'document') {
+    filter.type = { $not: /^image\// };
+  }
+  if (filters.search) {
+    filter.filename = new RegExp(escapeRegExp(filters.search), 'i');
+  }
+
+  const position = cursor ? decodeFileCursor(cursor) : null;
+  if (position) {
+    filter.$or = [
+      { createdAt: { $lt: position.createdAt } },
+      { createdAt: position.createdAt, file_id: { $lt: position.file_id } },
+    ];
+  }
+
+  const files = await File.find(filter)
+    .sort({ createdAt: -1, file_id: -1 })
+    .limit(limit + 1)
+    .select('-_id -__v -user -text -temp_file_id')
+    .lean();
+
+  let nextCursor = null;
+  if (files.length > limit) {
+    files.pop();
+    nextCursor = encodeFileCursor(files[files.length - 1]);
+  }
+
+  return { files, nextCursor };
+};
+
+/**
+ * Gets the storage used by the files of a user.
+ * @param {string} user - The user's ID.
+ * @returns {Promise<number>} The total size of the files, in bytes.
+ */
+const getStorageUsage = async (user) => {
+  const [result] = await File.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(user) } },
+    { $group: { _id: null, bytes: { $sum: '$bytes' } } },
+  ]);
+  return result?.bytes ?? 0;
+};
+
 module.exports = {
   File,
+  decodeFileCursor,
+  getFilesByCursor,
+  getStorageUsage,
   findFileById,
   getFiles,
   createFile,
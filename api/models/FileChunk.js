@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const fileChunkSchema = require('./schema/fileChunkSchema');
+
+const FileChunk = mongoose.model('FileChunk', fileChunkSchema);
+
+/**
+ * Saves the embedded chunks of a file.
+ * @param {Array<Omit<MongoFileChunk, '_id'>>} chunks - The chunks to save.
+ * @returns {Promise<Array<MongoFileChunk>>} A promise that resolves to the saved chunks.
+ */
+const saveFileChunks = async (chunks) => {
+  return await FileChunk.insertMany(chunks);
+};
+
+/**
+ * Retrieves the chunks of the files of a user.
+ * @param {string} user - The user ID.
+ * @param {Array<string>} file_ids - The identifiers of the files.
+ * @param {number} [limit] - The maximum number of chunks to retrieve.
+ * @returns {Promise<Array<MongoFileChunk>>} A promise that resolves to the chunks of the files.
+ */
+const getFileChunks = async (user, file_ids, limit = 0) => {
+  return await FileChunk.find({ user, file_id: { $in: file_ids } })
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * Finds the chunks of the files of a user most similar to an embedding, with an Atlas Vector
+ * Search index on `embedding`, which must also index `user` and `file_id` as filter fields.
+ * @param {Object} params
+ * @param {string} params.index - The name of the vector search index.
+ * @param {string} params.user - The user ID.
+ * @param {Array<string>} params.file_ids - The identifiers of the files.
+ * @param {number[]} params.embedding - The embedding to compare the chunks to.
+ * @param {number} params.k - The number of chunks to return.
+ * @returns {Promise<Array<MongoFileChunk & { score: number }>>} The chunks, most similar first.
+ */
+const searchFileChunks = async ({ index, user, file_ids, embedding, k }) => {
+  return await FileChunk.aggregate([
+    {
+      $vectorSearch: {
+        index,
+        path: 'embedding',
+        queryVector: embedding,
+        numCandidates: k * 20,
+        limit: k,
+        filter: { user: new mongoose.Types.ObjectId(user), file_id: { $in: file_ids } },
+      },
+    },
+    { $set: { score: { $meta: 'vectorSearchScore' } } },
+    { $unset: 'embedding' },
+  ]);
+};
+
+/**
+ * Deletes the chunks of files.
+ * @param {Array<string>} file_ids - The identifiers of the files.
+ * @returns {Promise<Object>} A promise that resolves to the result of the deletion operation.
+ */
+const deleteFileChunks = async (file_ids) => {
+  return await FileChunk.deleteMany({ file_id: { $in: file_ids } });
+};
+
+module.exports = {
+  FileChunk,
+  saveFileChunks,
+  getFileChunks,
+  searchFileChunks,
+  deleteFileChunks,
+};
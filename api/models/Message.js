@@ -19,12 +19,15 @@ module.exports = {
     unfinished,
     cancelled,
     files,
+    sources,
     isEdited = false,
     finish_reason = null,
     tokenCount = null,
     plugin = null,
     plugins = null,
     model = null,
+    endpoint,
+    createdAt,
   }) {
     try {
       const validConvoId = idSchema.safeParse(conversationId);
@@ -54,8 +57,23 @@ module.exports = {
       if (files) {
         update.files = files;
       }
+
+      if (sources) {
+        update.sources = sources;
+      }
+
+      if (endpoint) {
+        update.endpoint = endpoint;
+      }
+
+      const options = { upsert: true, new: true };
+      if (createdAt) {
+        /* keep the original creation date, e.g. for imported messages */
+        update.createdAt = createdAt;
+        options.timestamps = { createdAt: false };
+      }
       // may also need to update the conversation here
-      await Message.findOneAndUpdate({ messageId }, update, { upsert: true, new: true });
+      await Message.findOneAndUpdate({ messageId }, update, options);
 
       return {
         messageId,
@@ -120,6 +138,38 @@ module.exports = {
     }
   },
 
+  /**
+   * Gets the path of each message in its conversation tree: the IDs of its ancestors, from the root, then its own.
+   * @param {string} user - The user's ID.
+   * @param {Array<{ messageId: string, conversationId: string }>} messages
+   * @returns {Promise<Record<string, string[]>>} The paths by message ID.
+   */
+  async getMessagePaths(user, messages) {
+    try {
+      const conversationIds = [...new Set(messages.map(({ conversationId }) => conversationId))];
+      const tree = await Message.find(
+        { user, conversationId: { $in: conversationIds } },
+        { messageId: 1, parentMessageId: 1 },
+      ).lean();
+      const parents = new Map(
+        tree.map(({ messageId, parentMessageId }) => [messageId, parentMessageId]),
+      );
+
+      const paths = {};
+      for (const { messageId } of messages) {
+        const path = [];
+        for (let id = messageId; parents.has(id) && !path.includes(id); id = parents.get(id)) {
+          path.unshift(id);
+        }
+        paths[messageId] = path;
+      }
+      return paths;
+    } catch (err) {
+      console.error(`Error getting message paths: ${err}`);
+      throw new Error('Failed to get message paths.');
+    }
+  },
+
   async deleteMessages(filter) {
     try {
       return await Message.deleteMany(filter);
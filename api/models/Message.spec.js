@@ -0,0 +1,46 @@
+const { Message, getMessagePaths } = require('./Message');
+
+describe('getMessagePaths', () => {
+  const rootId = '00000000-0000-0000-0000-000000000000';
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return the path from the root message of each message', async () => {
+    jest.spyOn(Message, 'find').mockReturnValue({
+      lean: jest.fn().mockResolvedValue([
+        { messageId: 'a', parentMessageId: rootId },
+        { messageId: 'b', parentMessageId: 'a' },
+        { messageId: 'c', parentMessageId: 'a' },
+        { messageId: 'd', parentMessageId: 'c' },
+        { messageId: 'x', parentMessageId: rootId },
+      ]),
+    });
+
+    const paths = await getMessagePaths('user-id', [
+      { messageId: 'd', conversationId: 'convo-1' },
+      { messageId: 'b', conversationId: 'convo-1' },
+      { messageId: 'x', conversationId: 'convo-2' },
+    ]);
+
+    expect(Message.find).toHaveBeenCalledWith(
+      { user: 'user-id', conversationId: { $in: ['convo-1', 'convo-2'] } },
+      { messageId: 1, parentMessageId: 1 },
+    );
+    expect(paths).toEqual({ d: ['a', 'c', 'd'], b: ['a', 'b'], x: ['x'] });
+  });
+
+  it('should stop at cycles in the message tree', async () => {
+    jest.spyOn(Message, 'find').mockReturnValue({
+      lean: jest.fn().mockResolvedValue([
+        { messageId: 'a', parentMessageId: 'b' },
+        { messageId: 'b', parentMessageId: 'a' },
+      ]),
+    });
+
+    const paths = await getMessagePaths('user-id', [{ messageId: 'a', conversationId: 'convo' }]);
+
+    expect(paths).toEqual({ a: ['b', 'a'] });
+  });
+});
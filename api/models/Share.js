@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const SharedLink = require('./schema/shareSchema');
+const { getConvo } = require('./Conversation');
+const { getMessages } = require('./Message');
+
+/** Fields of each message kept in a shared link snapshot */
+const snapshotFields = [
+  'messageId',
+  'parentMessageId',
+  'conversationId',
+  'sender',
+  'text',
+  'isCreatedByUser',
+  'error',
+  'unfinished',
+  'model',
+  'files',
+  'createdAt',
+];
+
+/**
+ * Snapshots the title, endpoint, model and messages of a conversation of the user.
+ * @param {string} user - The user ID.
+ * @param {string} conversationId - The conversation ID.
+ * @returns {Promise<Object | null>} The snapshot, or null if the user has no such conversation.
+ */
+const snapshotConvo = async (user, conversationId) => {
+  const convo = await getConvo(user, conversationId);
+  if (!convo || !convo.conversationId) {
+    return null;
+  }
+
+  const messages = await getMessages({ conversationId, user });
+  return {
+    conversationId,
+    title: convo.title,
+    endpoint: convo.endpoint,
+    endpointType: convo.endpointType,
+    model: convo.model,
+    messages: messages.map((message) =>
+      snapshotFields.reduce((snapshot, field) => {
+        if (message[field] !== undefined) {
+          snapshot[field] = message[field];
+        }
+        return snapshot;
+      }, {}),
+    ),
+  };
+};
+
+module.exports = {
+  SharedLink,
+
+  /**
+   * Retrieves a shared link by its share ID, with the owner's user ID, which is not to be sent.
+   * @param {string} shareId - The share ID.
+   * @returns {Promise<Object | null>} The shared link, or null if it does not exist.
+   */
+  async getSharedLink(shareId) {
+    try {
+      return await SharedLink.findOne({ shareId }).select('-_id -__v').lean();
+    } catch (err) {
+      console.error(`Error getting shared link: ${err}`);
+      throw new Error('Failed to get shared link.');
+    }
+  },
+
+  /**
+   * Lists the shared links of a user, most recently updated first, without their messages.
+   * @param {string} user - The user ID.
+   * @returns {Promise<Object[]>} The shared links of the user.
+   */
+  async getSharedLinks(user) {
+    try {
+      return await SharedLink.find({ user })
+        .select('-_id -__v -user -messages')
+        .sort({ updatedAt: -1 })
+        .lean();
+    } catch (err) {
+      console.error(`Error getting shared links: ${err}`);
+      throw new Error('Failed to get shared links.');
+    }
+  },
+
+  /**
+   * Creates a shared link of a conversation of the user under a new, unguessable share ID.
+   * @param {string} user - The user ID.
+   * @param {string} conversationId - The conversation ID.
+   * @returns {Promise<Object | null>} The shared link, or null if the user has no such conversation.
+   */
+  async createSharedLink(user, conversationId) {
+    try {
+      const snapshot = await snapshotConvo(user, conversationId);
+      if (!snapshot) {
+        return null;
+      }
+
+      const sharedLink = await SharedLink.create({
+        ...snapshot,
+        shareId: crypto.randomBytes(24).toString('base64url'),
+        user,
+      });
+      const { _id, __v, user: _user, messages: _messages, ...link } = sharedLink.toObject();
+      return link;
+    } catch (err) {
+      console.error(`Error creating shared link: ${err}`);
+      throw new Error('Failed to create shared link.');
+    }
+  },
+
+  /**
+   * Updates a shared link of the user with a new snapshot of its conversation.
+   * @param {string} user - The user ID.
+   * @param {string} shareId - The share ID.
+   * @returns {Promise<Object | null>} The updated shared link, or null if the user has no such link or conversation.
+   */
+  async updateSharedLink(user, shareId) {
+    try {
+      const sharedLink = await SharedLink.findOne({ shareId, user }).lean();
+      if (!sharedLink) {
+        return null;
+      }
+
+      const snapshot = await snapshotConvo(user, sharedLink.conversationId);
+      if (!snapshot) {
+        return null;
+      }
+
+      return await SharedLink.findOneAndUpdate({ shareId, user }, snapshot, { new: true })
+        .select('-_id -__v -user -messages')
+        .lean();
+    } catch (err) {
+      console.error(`Error updating shared link: ${err}`);
+      throw new Error('Failed to update shared link.');
+    }
+  },
+
+  /**
+   * Revokes a shared link of the user.
+   * @param {string} user - The user ID.
+   * @param {string} shareId - The share ID.
+   * @returns {Promise<Object>} The result of the deletion.
+   */
+  async deleteSharedLink(user, shareId) {
+    try {
+      return await SharedLink.deleteOne({ shareId, user });
+    } catch (err) {
+      console.error(`Error deleting shared link: ${err}`);
+      throw new Error('Failed to delete shared link.');
+    }
+  },
+};
@@ -10,8 +10,8 @@ transactionSchema.methods.calculateTokenValue = function () {
   if (!this.valueKey || !this.tokenType) {
     this.tokenValue = this.rawAmount;
   }
-  const { valueKey, tokenType, model } = this;
-  const multiplier = getMultiplier({ valueKey, tokenType, model });
+  const { valueKey, tokenType, model, endpoint } = this;
+  const multiplier = getMultiplier({ valueKey, tokenType, model, endpoint });
   this.rate = multiplier;
   this.tokenValue = this.rawAmount * multiplier;
   if (this.context && this.tokenType === 'completion' && this.context === 'incomplete') {
@@ -42,4 +42,104 @@ transactionSchema.statics.create = async function (transactionData) {
   );
 };
 
+/** The fields usage can be grouped by, along with the transaction field they map to */
+const usageGroups = {
+  model: '$model',
+  endpoint: '$endpoint',
+  conversation: '$conversationId',
+};
+
+/**
+ * Returns the transactions of a user, most recent first.
+ * @param {string} user - The user ID.
+ * @param {Object} [options]
+ * @param {number} [options.pageNumber=1] - The page to return.
+ * @param {number} [options.pageSize=25] - The number of transactions per page.
+ */
+transactionSchema.statics.getHistory = async function (
+  user,
+  { pageNumber = 1, pageSize = 25 } = {},
+) {
+  const totalCount = await this.countDocuments({ user });
+  const pages = Math.max(Math.ceil(totalCount / pageSize), 1);
+  const transactions = await this.find({ user }, '-__v -user')
+    .sort({ createdAt: -1 })
+    .skip((pageNumber - 1) * pageSize)
+    .limit(pageSize)
+    .lean();
+  return { transactions, pages, pageNumber, pageSize };
+};
+
+/**
+ * Sums the tokens and credits spent per day, grouped by model, endpoint or conversation.
+ * Credit grants are left out.
+ * @param {Object} params
+ * @param {string} [params.user] - The user ID; usage of all users when omitted.
+ * @param {'model' | 'endpoint' | 'conversation'} [params.groupBy='model'] - The field to group by.
+ * @param {Date} [params.startDate] - Only count transactions made since this date.
+ * @param {Date} [params.endDate] - Only count transactions made until this date.
+ * @returns {Promise<Array<{ date: string, key: string | null, title?: string, promptTokens: number, completionTokens: number, tokenCredits: number }>>}
+ */
+transactionSchema.statics.getUsage = async function ({
+  user,
+  groupBy = 'model',
+  startDate,
+  endDate,
+}) {
+  const match = { tokenType: { $in: ['prompt', 'completion'] } };
+  if (user) {
+    match.user = new mongoose.Types.ObjectId(user);
+  }
+  if (startDate || endDate) {
+    match.createdAt = {};
+    startDate && (match.createdAt.$gte = startDate);
+    endDate && (match.createdAt.$lte = endDate);
+  }
+
+  const sumTokens = (tokenType) => ({
+    $sum: { $cond: [{ $eq: ['$tokenType', tokenType] }, { $abs: '$rawAmount' }, 0] },
+  });
+
+  const pipeline = [
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          key: usageGroups[groupBy],
+        },
+        promptTokens: sumTokens('prompt'),
+        completionTokens: sumTokens('completion'),
+        tokenCredits: { $sum: { $abs: '$tokenValue' } },
+      },
+    },
+    { $sort: { '_id.date': 1, tokenCredits: -1 } },
+  ];
+
+  if (groupBy === 'conversation') {
+    pipeline.push({
+      $lookup: {
+        from: 'conversations',
+        localField: '_id.key',
+        foreignField: 'conversationId',
+        as: 'conversation',
+      },
+    });
+  }
+
+  pipeline.push({
+    $project: {
+      _id: 0,
+      date: '$_id.date',
+      key: { $ifNull: ['$_id.key', null] },
+      ...(groupBy === 'conversation' && { title: { $arrayElemAt: ['$conversation.title', 0] } }),
+      promptTokens: 1,
+      completionTokens: 1,
+      tokenCredits: 1,
+    },
+  });
+
+  return await this.aggregate(pipeline);
+};
+
 module.exports = mongoose.model('Transaction', transactionSchema);
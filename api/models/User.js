@@ -15,6 +15,8 @@ userSchema.methods.toJSON = function () {
     avatar: this.avatar,
     role: this.role,
     emailVerified: this.emailVerified,
+    disabled: this.disabled,
+    twoFactorEnabled: this.twoFactorEnabled,
     plugins: this.plugins,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt,
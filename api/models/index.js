@@ -7,6 +7,13 @@ const {
 } = require('./Message');
 const { getConvoTitle, getConvo, saveConvo, deleteConvos } = require('./Conversation');
 const { getPreset, getPresets, savePreset, deletePresets } = require('./Preset');
+const {
+  getSharedLink,
+  getSharedLinks,
+  createSharedLink,
+  updateSharedLink,
+  deleteSharedLink,
+} = require('./Share');
 const {
   findFileById,
   createFile,
@@ -14,8 +21,16 @@ const {
   deleteFile,
   deleteFiles,
   getFiles,
+  getFilesByCursor,
+  getStorageUsage,
   updateFileUsage,
 } = require('./File');
+const {
+  saveFileChunks,
+  getFileChunks,
+  searchFileChunks,
+  deleteFileChunks,
+} = require('./FileChunk');
 const Key = require('./Key');
 const User = require('./User');
 const Session = require('./Session');
@@ -45,11 +60,24 @@ module.exports = {
   savePreset,
   deletePresets,
 
+  getSharedLink,
+  getSharedLinks,
+  createSharedLink,
+  updateSharedLink,
+  deleteSharedLink,
+
   findFileById,
   createFile,
   updateFile,
   deleteFile,
   deleteFiles,
   getFiles,
+  getFilesByCursor,
+  getStorageUsage,
   updateFileUsage,
+
+  saveFileChunks,
+  getFileChunks,
+  searchFileChunks,
+  deleteFileChunks,
 };
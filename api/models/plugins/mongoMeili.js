@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const { MeiliSearch } = require('meilisearch');
 const { cleanUpPrimaryKeyValue } = require('../../lib/utils/misc');
+const MeiliSync = require('../schema/meiliSyncSchema');
 const _ = require('lodash');
 const searchEnabled = process.env.SEARCH && process.env.SEARCH.toLowerCase() === 'true';
 const meiliEnabled = process.env.MEILI_HOST && process.env.MEILI_MASTER_KEY && searchEnabled;
@@ -14,117 +15,261 @@ const validateOptions = function (options) {
   });
 };
 
+/**
+ * Picks the indexed attributes of a document, storing dates as Unix timestamps (in seconds)
+ * so they can be used in numeric Meilisearch filters. Empty attributes are left out, so that
+ * they match `NOT EXISTS` filters.
+ * @param {Object} doc - The document, or its plain object.
+ * @param {string[]} attributesToIndex
+ * @returns {Object}
+ */
+const formatDocument = (doc, attributesToIndex) => {
+  const object = _.pick(doc, attributesToIndex);
+  for (const [key, value] of Object.entries(object)) {
+    if (value === null || value === undefined) {
+      delete object[key];
+    } else if (value instanceof Date) {
+      object[key] = Math.floor(value.getTime() / 1000);
+    }
+  }
+  return object;
+};
+
+/**
+ * @typedef {Object} MeiliSyncProgress
+ * @property {string} indexName
+ * @property {'idle' | 'syncing' | 'done' | 'error'} status
+ * @property {number} total - The number of new and changed documents to index.
+ * @property {number} indexed - The number of documents indexed so far.
+ * @property {number} deleted - The number of documents removed from the index.
+ * @property {Date} [startedAt]
+ * @property {Date} [finishedAt]
+ * @property {string} [error]
+ */
+
+/**
+ * The filter of the indexed documents changed after the `(updatedAt, _id)` watermark,
+ * or of every indexed document without one.
+ * @param {Date} [updatedAt]
+ * @param {mongoose.Types.ObjectId} [_id]
+ * @returns {Object}
+ */
+const changedSince = (updatedAt, _id) => {
+  if (!updatedAt) {
+    return { _meiliIndex: true };
+  }
+  return {
+    _meiliIndex: true,
+    $or: [{ updatedAt: { $gt: updatedAt } }, { updatedAt, _id: { $gt: _id } }],
+  };
+};
+
+/** The number of documents sent to Meilisearch at once when syncing */
+const syncBatchSize = 1000;
+
+/** How long to wait for Meilisearch to index a batch, in milliseconds */
+const syncTaskTimeout = 60000;
+
 // const createMeiliMongooseModel = function ({ index, indexName, client, attributesToIndex }) {
-const createMeiliMongooseModel = function ({ index, attributesToIndex }) {
+const createMeiliMongooseModel = function ({ index, indexName, attributesToIndex }) {
   const primaryKey = attributesToIndex[0];
+  const label = primaryKey === 'messageId' ? 'messages' : 'conversations';
+
+  /** @type {Promise<void> | null} The sync in progress, shared by concurrent triggers */
+  let syncing = null;
+  /** @type {MeiliSyncProgress} */
+  let progress = { indexName, status: 'idle', total: 0, indexed: 0, deleted: 0 };
+
+  /**
+   * Formats a document for the index, see `preprocessObjectForIndex`.
+   * @param {Object} doc
+   * @returns {Object}
+   */
+  const toIndexDocument = (doc) => {
+    const object = formatDocument(doc, attributesToIndex);
+    // NOTE: MeiliSearch does not allow | in primary key, so we replace it with - for Bing convoIds
+    if (object.conversationId && object.conversationId.includes('|')) {
+      object.conversationId = object.conversationId.replace(/\|/g, '--');
+    }
+    return object;
+  };
+
+  /**
+   * Sends documents to the index and waits for Meilisearch to index them.
+   * @param {Object[]} documents - The formatted documents.
+   * @returns {Promise<boolean>} Whether the documents were indexed.
+   */
+  const addDocuments = async (documents) => {
+    const { taskUid } = await index.addDocuments(documents);
+    const task = await index.waitForTask(taskUid, { timeOutMs: syncTaskTimeout });
+    return task.status === 'succeeded';
+  };
+
   // MeiliMongooseModel is of type Mongoose.Model
   class MeiliMongooseModel {
     /**
-     * `syncWithMeili`: synchronizes the data between a MongoDB collection and a MeiliSearch index,
-     * only triggered if there's ever a discrepancy determined by `api\lib\db\indexSync.js`.
-     *
-     * 1. Fetches all documents from the MongoDB collection and the MeiliSearch index.
-     * 2. Compares the documents from both sources.
-     * 3. If a document exists in MeiliSearch but not in MongoDB, it's deleted from MeiliSearch.
-     * 4. If a document exists in MongoDB but not in MeiliSearch, it's added to MeiliSearch.
-     * 5. If a document exists in both but has different `text` or `title` fields (depending on the `primaryKey`), it's updated in MeiliSearch.
-     * 6. After all operations, it updates the `_meiliIndex` field in MongoDB to indicate whether the document is indexed in MeiliSearch.
+     * `syncWithMeili`: incrementally synchronizes a MongoDB collection with its MeiliSearch index,
+     * triggered on startup by `api/lib/db/indexSync.js` and by admins from `/api/admin/search/sync`.
      *
-     * Note: This strategy does not use batch operations for Meilisearch as the `index.addDocuments` will discard
-     * the entire batch if there's an error with one document, and will not throw an error if there's an issue.
-     * Also, `index.getDocuments` needs an exact limit on the amount of documents to return, so we build the map in batches.
+     * 1. Re-indexes the documents changed since the last sync, in `(updatedAt, _id)` order from the watermark
+     * saved in the `MeiliSync` collection after each batch, so an interrupted sync resumes where it stopped.
+     * The first sync re-indexes every document.
+     * 2. Indexes the documents never indexed, flagged with `_meiliIndex: false`, e.g. saved while Meilisearch was down.
+     * 3. When the index holds more documents than the collection, deletes the ones removed from MongoDB.
      *
-     * @returns {Promise} A promise that resolves when the synchronization is complete.
+     * Documents are sent in batches of `syncBatchSize`, and only a batch is held in memory.
+     * Meilisearch fails a whole batch if one of its documents is invalid, so a failed batch is retried
+     * one document at a time, and the invalid documents are skipped.
+     * Concurrent calls share the sync in progress; its progress is reported by `getMeiliSyncProgress`.
      *
-     * @throws {Error} Throws an error if there's an issue with adding a document to MeiliSearch.
+     * @returns {Promise<void>} A promise that resolves when the synchronization is complete.
      */
     static async syncWithMeili() {
-      try {
-        let moreDocuments = true;
-        const mongoDocuments = await this.find().lean();
-        const format = (doc) => _.pick(doc, attributesToIndex);
-
-        // Prepare for comparison
-        const mongoMap = new Map(mongoDocuments.map((doc) => [doc[primaryKey], format(doc)]));
-        const indexMap = new Map();
-        let offset = 0;
-        const batchSize = 1000;
+      if (!syncing) {
+        progress = {
+          indexName,
+          status: 'syncing',
+          total: 0,
+          indexed: 0,
+          deleted: 0,
+          startedAt: new Date(),
+        };
+        syncing = this.runMeiliSync().finally(() => (syncing = null));
+      }
+      return await syncing;
+    }
 
-        while (moreDocuments) {
-          const batch = await index.getDocuments({ limit: batchSize, offset });
+    /**
+     * Gets the progress of the current, or last, sync of the index.
+     * @returns {MeiliSyncProgress}
+     */
+    static getMeiliSyncProgress() {
+      return { ...progress };
+    }
 
-          if (batch.results.length === 0) {
-            moreDocuments = false;
+    static async runMeiliSync() {
+      try {
+        const state = await MeiliSync.findOne({ indexName }).lean();
+        const pendingFilter = { _meiliIndex: { $ne: true } };
+        let changedFilter = changedSince(state?.lastUpdatedAt, state?.lastId);
+
+        const [changed, pending] = await Promise.all([
+          this.countDocuments(changedFilter),
+          this.countDocuments(pendingFilter),
+        ]);
+        progress.total = changed + pending;
+        console.log(`[Meilisearch] Syncing ${progress.total} ${label}`);
+
+        // 1. Changed since the watermark, which is saved after each batch
+        for (;;) {
+          const docs = await this.find(changedFilter)
+            .sort({ updatedAt: 1, _id: 1 })
+            .limit(syncBatchSize)
+            .lean();
+          if (docs.length === 0) {
+            break;
           }
+          await this.indexMeiliBatch(docs);
 
-          for (const doc of batch.results) {
-            indexMap.set(doc[primaryKey], format(doc));
+          const { updatedAt, _id } = docs[docs.length - 1];
+          await MeiliSync.updateOne(
+            { indexName },
+            { $set: { lastUpdatedAt: updatedAt, lastId: _id } },
+            { upsert: true },
+          );
+          changedFilter = changedSince(updatedAt, _id);
+        }
+
+        // 2. Never indexed: paged by `_id`, as the documents that fail stay unindexed
+        let lastId = null;
+        for (;;) {
+          const filter = lastId ? { ...pendingFilter, _id: { $gt: lastId } } : pendingFilter;
+          const docs = await this.find(filter).sort({ _id: 1 }).limit(syncBatchSize).lean();
+          if (docs.length === 0) {
+            break;
           }
+          await this.indexMeiliBatch(docs);
+          lastId = docs[docs.length - 1]._id;
+        }
 
-          offset += batchSize;
+        // 3. Deleted from MongoDB
+        const { numberOfDocuments } = await index.getStats();
+        if (numberOfDocuments > (await this.countDocuments())) {
+          await this.deleteRemovedFromMeili();
         }
 
-        console.log('indexMap', indexMap.size);
-        console.log('mongoMap', mongoMap.size);
-
-        const updateOps = [];
-
-        // Iterate over Meili index documents
-        for (const [id, doc] of indexMap) {
-          const update = {};
-          update[primaryKey] = id;
-          if (mongoMap.has(id)) {
-            // Case: Update
-            // If document also exists in MongoDB, would be update case
-            if (
-              (doc.text && doc.text !== mongoMap.get(id).text) ||
-              (doc.title && doc.title !== mongoMap.get(id).title)
-            ) {
-              console.log(`${id} had document discrepancy in ${doc.text ? 'text' : 'title'} field`);
-              updateOps.push({
-                updateOne: { filter: update, update: { $set: { _meiliIndex: true } } },
-              });
-              await index.addDocuments([doc]);
-            }
+        await MeiliSync.updateOne(
+          { indexName },
+          { $set: { syncedAt: new Date() } },
+          { upsert: true },
+        );
+        progress = { ...progress, status: 'done', finishedAt: new Date() };
+        console.log(
+          `[Meilisearch] Finished syncing ${label}: ${progress.indexed} indexed, ${progress.deleted} deleted`,
+        );
+      } catch (error) {
+        progress = { ...progress, status: 'error', error: error.message, finishedAt: new Date() };
+        console.log(`[Meilisearch] Error syncing ${label}, the next sync resumes where it stopped`);
+        console.error(error);
+      }
+    }
+
+    /**
+     * Indexes a batch of documents and flags the indexed ones with `_meiliIndex`.
+     * @param {Object[]} docs - The lean documents.
+     * @returns {Promise<void>}
+     */
+    static async indexMeiliBatch(docs) {
+      let indexed = docs;
+      if (!(await addDocuments(docs.map(toIndexDocument)))) {
+        indexed = [];
+        for (const doc of docs) {
+          if (await addDocuments([toIndexDocument(doc)])) {
+            indexed.push(doc);
           } else {
-            // Case: Delete
-            // If document does not exist in MongoDB, its a delete case from meili index
-            await index.deleteDocument(id);
-            updateOps.push({
-              updateOne: { filter: update, update: { $set: { _meiliIndex: false } } },
-            });
+            console.log(`[Meilisearch] Could not index ${doc[primaryKey]}, skipping it`);
           }
         }
+      }
 
-        // Iterate over MongoDB documents
-        for (const [id, doc] of mongoMap) {
-          const update = {};
-          update[primaryKey] = id;
-          // Case: Insert
-          // If document does not exist in Meili Index, Its an insert case
-          if (!indexMap.has(id)) {
-            await index.addDocuments([doc]);
-            updateOps.push({
-              updateOne: { filter: update, update: { $set: { _meiliIndex: true } } },
-            });
-          } else if (doc._meiliIndex === false) {
-            updateOps.push({
-              updateOne: { filter: update, update: { $set: { _meiliIndex: true } } },
-            });
-          }
+      if (indexed.length > 0) {
+        const ids = indexed.map((doc) => doc._id);
+        await this.collection.updateMany({ _id: { $in: ids } }, { $set: { _meiliIndex: true } });
+      }
+
+      progress.indexed += indexed.length;
+      console.log(`[Meilisearch] Synced ${progress.indexed}/${progress.total} ${label}`);
+    }
+
+    /**
+     * Deletes the documents of the index that were removed from MongoDB, paging through the index.
+     * @returns {Promise<void>}
+     */
+    static async deleteRemovedFromMeili() {
+      for (let offset = 0; ; offset += syncBatchSize) {
+        const { results } = await index.getDocuments({
+          fields: [primaryKey],
+          limit: syncBatchSize,
+          offset,
+        });
+        const ids = results.map((doc) => doc[primaryKey]);
+        const existing = await this.find(
+          { [primaryKey]: { $in: ids.map(cleanUpPrimaryKeyValue) } },
+          { [primaryKey]: 1 },
+        ).lean();
+        const existingIds = new Set(existing.map((doc) => toIndexDocument(doc)[primaryKey]));
+        const removed = ids.filter((id) => !existingIds.has(id));
+        if (removed.length > 0) {
+          const { taskUid } = await index.deleteDocuments(removed);
+          await index.waitForTask(taskUid, { timeOutMs: syncTaskTimeout });
+          // The next documents moved back by the number deleted
+          offset -= removed.length;
+          progress.deleted += removed.length;
         }
 
-        if (updateOps.length > 0) {
-          await this.collection.bulkWrite(updateOps);
-          console.log(
-            `[Meilisearch] Finished indexing ${
-              primaryKey === 'messageId' ? 'messages' : 'conversations'
-            }`,
-          );
+        if (results.length < syncBatchSize) {
+          break;
         }
-      } catch (error) {
-        console.log('[Meilisearch] Error adding document to Meili');
-        console.error(error);
       }
     }
 
@@ -173,13 +318,7 @@ const createMeiliMongooseModel = function ({ index, attributesToIndex }) {
     }
 
     preprocessObjectForIndex() {
-      const object = _.pick(this.toJSON(), attributesToIndex);
-      // NOTE: MeiliSearch does not allow | in primary key, so we replace it with - for Bing convoIds
-      // object.conversationId = object.conversationId.replace(/\|/g, '-');
-      if (object.conversationId && object.conversationId.includes('|')) {
-        object.conversationId = object.conversationId.replace(/\|/g, '--');
-      }
-      return object;
+      return toIndexDocument(this.toJSON());
     }
 
     // Push new document to Meili
@@ -198,7 +337,7 @@ const createMeiliMongooseModel = function ({ index, attributesToIndex }) {
 
     // Update an existing document in Meili
     async updateObjectToMeili() {
-      const object = _.pick(this.toJSON(), attributesToIndex);
+      const object = this.preprocessObjectForIndex();
       await index.updateDocuments([object]);
     }
 
@@ -248,7 +387,11 @@ module.exports = function mongoMeili(schema, options) {
     },
   });
 
-  const { host, apiKey, indexName, primaryKey } = options;
+  // Used by the incremental sync, see `syncWithMeili`
+  schema.index({ _meiliIndex: 1 });
+  schema.index({ updatedAt: 1, _id: 1 });
+
+  const { host, apiKey, indexName, primaryKey, filterableAttributes = [] } = options;
 
   // Setup MeiliSearch Client
   const client = new MeiliSearch({ host, apiKey });
@@ -259,8 +402,16 @@ module.exports = function mongoMeili(schema, options) {
   // Setup the index to search for this schema
   const index = client.index(indexName);
 
-  const attributesToIndex = [
-    ..._.reduce(
+  // Filterable attributes are also indexed, so that searches can be scoped by them
+  if (filterableAttributes.length > 0) {
+    index.updateFilterableAttributes(filterableAttributes).catch((error) => {
+      console.log(`[Meilisearch] Error setting the filterable attributes of ${indexName}`);
+      console.error(error);
+    });
+  }
+
+  const attributesToIndex = _.union(
+    _.reduce(
       schema.obj,
       function (results, value, key) {
         return value.meiliIndex ? [...results, key] : results;
@@ -268,7 +419,8 @@ module.exports = function mongoMeili(schema, options) {
       },
       [],
     ),
-  ];
+    filterableAttributes,
+  );
 
   schema.loadClass(createMeiliMongooseModel({ index, indexName, client, attributesToIndex }));
 
@@ -339,7 +491,7 @@ module.exports = function mongoMeili(schema, options) {
       }
     }
 
-    if (meiliDoc && meiliDoc.title === doc.title) {
+    if (meiliDoc && _.isEqual(meiliDoc, doc.preprocessObjectForIndex())) {
       return;
     }
 
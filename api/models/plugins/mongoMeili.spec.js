@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const MeiliSync = require('../schema/meiliSyncSchema');
+
+const mockIndex = {
+  addDocuments: jest.fn(),
+  waitForTask: jest.fn(),
+  getStats: jest.fn(),
+  getDocuments: jest.fn(),
+  deleteDocuments: jest.fn(),
+  updateFilterableAttributes: jest.fn(async () => ({})),
+};
+
+jest.mock('meilisearch', () => ({
+  MeiliSearch: jest.fn(() => ({
+    createIndex: jest.fn(),
+    index: () => mockIndex,
+  })),
+}));
+
+jest.mock('../schema/meiliSyncSchema', () => ({
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+}));
+
+const mongoMeili = require('./mongoMeili');
+
+const schema = mongoose.Schema(
+  {
+    messageId: { type: String, meiliIndex: true },
+    text: { type: String, meiliIndex: true },
+    user: { type: String },
+  },
+  { timestamps: true },
+);
+schema.plugin(mongoMeili, {
+  host: 'http://localhost:7700',
+  apiKey: 'master-key',
+  indexName: 'messages',
+  primaryKey: 'messageId',
+  filterableAttributes: ['user'],
+});
+const Message = mongoose.model('MeiliSyncMessage', schema);
+
+const updatedAt = new Date('2024-01-01T00:00:00.000Z');
+const doc = (n) => ({
+  _id: new mongoose.Types.ObjectId(),
+  messageId: `message-${n}`,
+  text: `Message ${n}`,
+  user: 'user-id',
+  updatedAt,
+});
+
+/** Mocks `find`, returning each result once, then no documents */
+const mockFind = (...results) => {
+  const find = jest.spyOn(Message, 'find');
+  [...results, []].forEach((docs) => {
+    const query = {
+      sort: () => query,
+      limit: () => query,
+      lean: async () => docs,
+    };
+    find.mockReturnValueOnce(query);
+  });
+  return find;
+};
+
+describe('syncWithMeili', () => {
+  let updateMany;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(Message, 'countDocuments').mockResolvedValue(2);
+    updateMany = jest.spyOn(Message.collection, 'updateMany').mockResolvedValue({});
+    mockIndex.addDocuments.mockResolvedValue({ taskUid: 1 });
+    mockIndex.waitForTask.mockResolvedValue({ status: 'succeeded' });
+    mockIndex.getStats.mockResolvedValue({ numberOfDocuments: 2 });
+    MeiliSync.findOne.mockReturnValue({ lean: async () => null });
+  });
+
+  it('indexes the changed documents after the watermark and saves it after each batch', async () => {
+    const lastId = new mongoose.Types.ObjectId();
+    MeiliSync.findOne.mockReturnValue({ lean: async () => ({ lastUpdatedAt: updatedAt, lastId }) });
+    const docs = [doc(1), doc(2)];
+    const find = mockFind(docs, []);
+
+    await Message.syncWithMeili();
+
+    expect(find.mock.calls[0][0]).toEqual({
+      _meiliIndex: true,
+      $or: [{ updatedAt: { $gt: updatedAt } }, { updatedAt, _id: { $gt: lastId } }],
+    });
+    expect(mockIndex.addDocuments).toHaveBeenCalledWith([
+      { messageId: 'message-1', text: 'Message 1', user: 'user-id' },
+      { messageId: 'message-2', text: 'Message 2', user: 'user-id' },
+    ]);
+    expect(MeiliSync.updateOne).toHaveBeenCalledWith(
+      { indexName: 'messages' },
+      { $set: { lastUpdatedAt: updatedAt, lastId: docs[1]._id } },
+      { upsert: true },
+    );
+    expect(find.mock.calls[1][0].$or[1]).toEqual({ updatedAt, _id: { $gt: docs[1]._id } });
+    expect(mockIndex.deleteDocuments).not.toHaveBeenCalled();
+    expect(Message.getMeiliSyncProgress()).toMatchObject({
+      status: 'done',
+      total: 4,
+      indexed: 2,
+      deleted: 0,
+    });
+  });
+
+  it('retries a failed batch one document at a time and skips the invalid ones', async () => {
+    const docs = [doc(1), doc(2)];
+    mockFind([], docs);
+    mockIndex.waitForTask
+      .mockResolvedValueOnce({ status: 'failed' })
+      .mockResolvedValueOnce({ status: 'succeeded' })
+      .mockResolvedValueOnce({ status: 'failed' });
+
+    await Message.syncWithMeili();
+
+    expect(mockIndex.addDocuments).toHaveBeenCalledTimes(3);
+    expect(updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [docs[0]._id] } },
+      { $set: { _meiliIndex: true } },
+    );
+    expect(Message.getMeiliSyncProgress().indexed).toBe(1);
+  });
+
+  it('deletes the documents removed from the database from the index', async () => {
+    const find = mockFind([]);
+    mockIndex.getStats.mockResolvedValue({ numberOfDocuments: 3 });
+    mockIndex.getDocuments.mockResolvedValueOnce({
+      results: [{ messageId: 'message-1' }, { messageId: 'deleted' }, { messageId: 'message-2' }],
+    });
+    find.mockReturnValueOnce({
+      lean: async () => [{ messageId: 'message-1' }, { messageId: 'message-2' }],
+    });
+    mockIndex.deleteDocuments.mockResolvedValue({ taskUid: 2 });
+
+    await Message.syncWithMeili();
+
+    expect(mockIndex.deleteDocuments).toHaveBeenCalledWith(['deleted']);
+    expect(mockIndex.getDocuments).toHaveBeenCalledWith({
+      fields: ['messageId'],
+      limit: 1000,
+      offset: 0,
+    });
+    expect(Message.getMeiliSyncProgress().deleted).toBe(1);
+  });
+
+  it('shares the sync in progress between concurrent calls', async () => {
+    mockFind([]);
+
+    await Promise.all([Message.syncWithMeili(), Message.syncWithMeili()]);
+
+    expect(MeiliSync.findOne).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const mongoMeili = require('../plugins/mongoMeili');
+const searchProvider = require('../../lib/db/searchProvider');
 const { conversationPreset } = require('./defaults');
 const convoSchema = mongoose.Schema(
   {
@@ -21,6 +22,21 @@ const convoSchema = mongoose.Schema(
       // default: null,
     },
     messages: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Message' }],
+    tags: {
+      type: [String],
+      index: true,
+    },
+    isPinned: {
+      type: Boolean,
+      default: false,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+    archivedAt: {
+      type: Date,
+    },
     // google only
     examples: [{ type: mongoose.Schema.Types.Mixed }],
     agentOptions: {
@@ -53,16 +69,23 @@ const convoSchema = mongoose.Schema(
   { timestamps: true },
 );
 
-if (process.env.MEILI_HOST && process.env.MEILI_MASTER_KEY) {
+if (searchProvider === 'meilisearch' && process.env.MEILI_HOST && process.env.MEILI_MASTER_KEY) {
   convoSchema.plugin(mongoMeili, {
     host: process.env.MEILI_HOST,
     apiKey: process.env.MEILI_MASTER_KEY,
     indexName: 'convos', // Will get created automatically if it doesn't exist already
     primaryKey: 'conversationId',
+    filterableAttributes: ['user', 'endpoint', 'model', 'createdAt'],
   });
 }
 
 convoSchema.index({ createdAt: 1 });
+convoSchema.index({ user: 1, updatedAt: -1, conversationId: -1 });
+
+// Searched with `$text` queries when not using a dedicated search engine
+if (searchProvider === 'mongo') {
+  convoSchema.index({ title: 'text' });
+}
 
 const Conversation = mongoose.models.Conversation || mongoose.model('Conversation', convoSchema);
 
@@ -5,6 +5,10 @@ const conversationPreset = {
     default: null,
     required: true,
   },
+  // the endpoint's type, for endpoints defined in the custom config file
+  endpointType: {
+    type: String,
+  },
   // for azureOpenAI, openAI, chatGPTBrowser only
   model: {
     type: String,
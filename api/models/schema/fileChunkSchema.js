@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} MongoFileChunk
+ * @property {mongoose.Schema.Types.ObjectId} user - User ID
+ * @property {string} file_id - Identifier of the file of the chunk
+ * @property {number} index - Position of the chunk in the file
+ * @property {string} text - Text of the chunk
+ * @property {number[]} embedding - Embedding of the text of the chunk
+ */
+const fileChunkSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+      required: true,
+    },
+    file_id: {
+      type: String,
+      index: true,
+      required: true,
+    },
+    index: {
+      type: Number,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    embedding: {
+      type: [Number],
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+module.exports = fileChunkSchema;
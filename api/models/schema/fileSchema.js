@@ -14,6 +14,8 @@ const mongoose = require('mongoose');
  * @property {number} usage - Number of uses of the file
  * @property {number} [width] - Optional width of the file
  * @property {number} [height] - Optional height of the file
+ * @property {string} [text] - Text extracted from a document
+ * @property {boolean} [embedded] - Whether the chunks of the document are embedded for retrieval
  * @property {Date} [expiresAt] - Optional height of the file
  */
 const fileSchema = mongoose.Schema(
@@ -66,6 +68,8 @@ const fileSchema = mongoose.Schema(
     },
     width: Number,
     height: Number,
+    text: String,
+    embedded: Boolean,
     expiresAt: {
       type: Date,
       expires: 3600,
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+/**
+ * The watermark of the incremental sync of a Meilisearch index, see `syncWithMeili` in `mongoMeili`.
+ * Documents are synced in `(updatedAt, _id)` order, so an interrupted sync resumes after its last batch.
+ */
+const meiliSyncSchema = mongoose.Schema({
+  indexName: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  lastUpdatedAt: {
+    type: Date,
+  },
+  lastId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  syncedAt: {
+    type: Date,
+  },
+});
+
+const MeiliSync = mongoose.models.MeiliSync || mongoose.model('MeiliSync', meiliSyncSchema);
+
+module.exports = MeiliSync;
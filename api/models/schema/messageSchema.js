@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const mongoMeili = require('../plugins/mongoMeili');
+const searchProvider = require('../../lib/db/searchProvider');
 const messageSchema = mongoose.Schema(
   {
     messageId: {
@@ -22,6 +23,9 @@ const messageSchema = mongoose.Schema(
     model: {
       type: String,
     },
+    endpoint: {
+      type: String,
+    },
     conversationSignature: {
       type: String,
       // required: true
@@ -86,6 +90,7 @@ const messageSchema = mongoose.Schema(
       default: false,
     },
     files: [{ type: mongoose.Schema.Types.Mixed }],
+    sources: [{ type: mongoose.Schema.Types.Mixed }],
     plugin: {
       latest: {
         type: String,
@@ -105,17 +110,23 @@ const messageSchema = mongoose.Schema(
   { timestamps: true },
 );
 
-if (process.env.MEILI_HOST && process.env.MEILI_MASTER_KEY) {
+if (searchProvider === 'meilisearch' && process.env.MEILI_HOST && process.env.MEILI_MASTER_KEY) {
   messageSchema.plugin(mongoMeili, {
     host: process.env.MEILI_HOST,
     apiKey: process.env.MEILI_MASTER_KEY,
     indexName: 'messages',
     primaryKey: 'messageId',
+    filterableAttributes: ['user', 'sender', 'endpoint', 'model', 'createdAt'],
   });
 }
 
 messageSchema.index({ createdAt: 1 });
 
+// Searched with `$text` queries when not using a dedicated search engine
+if (searchProvider === 'mongo') {
+  messageSchema.index({ text: 'text' });
+}
+
 const Message = mongoose.models.Message || mongoose.model('Message', messageSchema);
 
 module.exports = Message;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const sharedLinkSchema = mongoose.Schema(
+  {
+    shareId: {
+      type: String,
+      unique: true,
+      required: true,
+      index: true,
+    },
+    conversationId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    user: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    title: {
+      type: String,
+      default: 'New Chat',
+    },
+    endpoint: {
+      type: String,
+    },
+    endpointType: {
+      type: String,
+    },
+    model: {
+      type: String,
+    },
+    // snapshot of the conversation messages at the time the link was created or updated
+    messages: [{ type: mongoose.Schema.Types.Mixed }],
+  },
+  { timestamps: true },
+);
+
+const SharedLink = mongoose.models.SharedLink || mongoose.model('SharedLink', sharedLinkSchema);
+
+module.exports = SharedLink;
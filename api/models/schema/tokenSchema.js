@@ -11,12 +11,19 @@ const tokenSchema = new Schema({
     type: String,
     required: true,
   },
-  createdAt: {
+  type: {
+    type: String,
+    enum: ['reset_password', 'verify_email'],
+    default: 'reset_password',
+  },
+  /* Each type expires after its own delay. Tokens have no `createdAt`, as the former TTL index on
+   * it would still remove them after 15 minutes in existing databases */
+  expiresAt: {
     type: Date,
     required: true,
-    default: Date.now,
-    expires: 900,
   },
 });
 
+tokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 module.exports = mongoose.model('Token', tokenSchema);
@@ -21,6 +21,9 @@ const transactionSchema = mongoose.Schema(
     model: {
       type: String,
     },
+    endpoint: {
+      type: String,
+    },
     context: {
       type: String,
     },
@@ -36,4 +39,6 @@ const transactionSchema = mongoose.Schema(
   },
 );
 
+transactionSchema.index({ user: 1, createdAt: -1 });
+
 module.exports = transactionSchema;
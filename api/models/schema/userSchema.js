@@ -49,6 +49,10 @@ const userSchema = mongoose.Schema(
       type: String,
       default: 'USER',
     },
+    disabled: {
+      type: Boolean,
+      default: false,
+    },
     googleId: {
       type: String,
       unique: true,
@@ -78,6 +82,23 @@ const userSchema = mongoose.Schema(
       type: Array,
       default: [],
     },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    // The TOTP secret, encrypted; set when enrolling, before 2FA is enabled
+    totpSecret: {
+      type: String,
+    },
+    // The last TOTP time step used, so that a code can't be used twice
+    totpLastStep: {
+      type: Number,
+    },
+    // The bcrypt hashes of the unused backup codes
+    backupCodes: {
+      type: [String],
+      default: [],
+    },
     refreshToken: {
       type: [Session],
     },
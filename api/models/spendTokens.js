@@ -9,6 +9,7 @@ const Transaction = require('./Transaction');
  * @param {mongoose.Schema.Types.ObjectId} txData.user - The user ID.
  * @param {String} txData.conversationId - The ID of the conversation.
  * @param {String} txData.model - The model name.
+ * @param {String} [txData.endpoint] - The endpoint the model was used with, for endpoint-specific rates (optional).
  * @param {String} txData.context - The context in which the transaction is made.
  * @param {String} [txData.valueKey] - The value key (optional).
  * @param {Object} tokenUsage - The number of tokens used.
@@ -12,6 +12,77 @@ const tokenValues = {
   '16k': { prompt: 3, completion: 4 },
   'gpt-3.5-turbo-1106': { prompt: 1, completion: 2 },
   'gpt-4-1106': { prompt: 10, completion: 30 },
+  claude: { prompt: 8, completion: 24 },
+  'claude-instant': { prompt: 0.8, completion: 2.4 },
+  'claude-3-opus': { prompt: 15, completion: 75 },
+  'claude-3-sonnet': { prompt: 3, completion: 15 },
+  'claude-3-haiku': { prompt: 0.25, completion: 1.25 },
+  // PaLM 2, Codey and Gemini are billed per character, assuming ~4 characters per token
+  bison: { prompt: 1, completion: 2 },
+  gemini: { prompt: 0.5, completion: 1.5 },
+};
+
+/**
+ * Rates loaded from the `pricing` section of the custom config, which take precedence over `tokenValues`.
+ * @type {Array<TPricing & { matches: (model: string) => boolean }>}
+ */
+let configuredRates = [];
+
+/**
+ * Creates the function matching model names against a configured rate.
+ * @param {TPricing} rate
+ * @returns {(model: string) => boolean}
+ */
+const createMatcher = ({ model, match = 'prefix' }) => {
+  if (match === 'exact') {
+    return (modelName) => modelName === model;
+  } else if (match === 'regex') {
+    const regex = new RegExp(model);
+    return (modelName) => regex.test(modelName);
+  }
+  return (modelName) => modelName.startsWith(model);
+};
+
+/**
+ * Sets the rates configured in the `pricing` section of the custom config.
+ * @param {TPricing[]} [pricing=[]]
+ */
+const setPricing = (pricing = []) => {
+  configuredRates = pricing.map((rate) => ({ ...rate, matches: createMatcher(rate) }));
+};
+
+const isPreferredRate = (rate, found) => {
+  if (!rate.endpoint !== !found.endpoint) {
+    return !!rate.endpoint;
+  }
+  return (rate.effectiveDate ?? 0) > (found.effectiveDate ?? 0);
+};
+
+/**
+ * Finds the configured rate of a model at a given date. Rates of the given endpoint take precedence
+ * over rates of all endpoints, then the most recent effective date; ties go to the first listed.
+ *
+ * @param {string} model - The model name.
+ * @param {string} [endpoint] - The endpoint name.
+ * @param {Date} [date=new Date()] - The date of the transaction.
+ * @returns {TPricing | undefined} The rate, or undefined if none applies.
+ */
+const getConfiguredRate = (model, endpoint, date = new Date()) => {
+  let found;
+  for (const rate of configuredRates) {
+    if (
+      (rate.endpoint && rate.endpoint !== endpoint) ||
+      (rate.effectiveDate && rate.effectiveDate > date) ||
+      !rate.matches(model)
+    ) {
+      continue;
+    }
+
+    if (!found || isPreferredRate(rate, found)) {
+      found = rate;
+    }
+  }
+  return found;
 };
 
 /**
@@ -41,29 +112,52 @@ const getValueKey = (model, endpoint) => {
     return '8k';
   }
 
+  // Models of other endpoints may only match a prefix, such as `claude-`, so check the full name
+  if (model.includes('claude-3-opus')) {
+    return 'claude-3-opus';
+  } else if (model.includes('claude-3-sonnet')) {
+    return 'claude-3-sonnet';
+  } else if (model.includes('claude-3-haiku')) {
+    return 'claude-3-haiku';
+  } else if (model.includes('claude-instant')) {
+    return 'claude-instant';
+  } else if (model.includes('claude')) {
+    return 'claude';
+  } else if (model.includes('bison')) {
+    return 'bison';
+  } else if (model.includes('gemini')) {
+    return 'gemini';
+  }
+
   return undefined;
 };
 
 /**
  * Retrieves the multiplier for a given value key and token type. If no value key is provided,
- * it attempts to derive it from the model name.
+ * it uses the configured rate of the model, or attempts to derive the value key from the model name.
  *
  * @param {Object} params - The parameters for the function.
  * @param {string} [params.valueKey] - The key corresponding to the model name.
  * @param {string} [params.tokenType] - The type of token (e.g., 'prompt' or 'completion').
  * @param {string} [params.model] - The model name to derive the value key from if not provided.
  * @param {string} [params.endpoint] - The endpoint name to derive the value key from if not provided.
+ * @param {Date} [params.date] - The date of the transaction, for rates with an effective date; defaults to now.
  * @returns {number} The multiplier for the given parameters, or a default value if not found.
  */
-const getMultiplier = ({ valueKey, tokenType, model, endpoint }) => {
+const getMultiplier = ({ valueKey, tokenType, model, endpoint, date }) => {
   if (valueKey && tokenType) {
-    return tokenValues[valueKey][tokenType] ?? defaultRate;
+    return tokenValues[valueKey]?.[tokenType] ?? defaultRate;
   }
 
   if (!tokenType || !model) {
     return 1;
   }
 
+  const configuredRate = getConfiguredRate(model, endpoint, date);
+  if (configuredRate) {
+    return configuredRate[tokenType] ?? defaultRate;
+  }
+
   valueKey = getValueKey(model, endpoint);
   if (!valueKey) {
     return defaultRate;
@@ -73,4 +167,11 @@ const getMultiplier = ({ valueKey, tokenType, model, endpoint }) => {
   return tokenValues[valueKey][tokenType] ?? defaultRate;
 };
 
-module.exports = { tokenValues, getValueKey, getMultiplier, defaultRate };
+module.exports = {
+  tokenValues,
+  getValueKey,
+  getMultiplier,
+  defaultRate,
+  setPricing,
+  getConfiguredRate,
+};
@@ -1,4 +1,11 @@
-const { getValueKey, getMultiplier, defaultRate, tokenValues } = require('./tx');
+const {
+  getValueKey,
+  getMultiplier,
+  defaultRate,
+  tokenValues,
+  setPricing,
+  getConfiguredRate,
+} = require('./tx');
 
 describe('getValueKey', () => {
   it('should return "16k" for model name containing "gpt-3.5-turbo-16k"', () => {
@@ -36,6 +43,29 @@ describe('getValueKey', () => {
   });
 });
 
+describe('getValueKey for Anthropic and Google models', () => {
+  it('should return the Claude rates', () => {
+    expect(getValueKey('claude-2.1', 'anthropic')).toBe('claude');
+    expect(getValueKey('claude-instant-1', 'anthropic')).toBe('claude-instant');
+  });
+
+  it('should return the Claude 3 rates', () => {
+    expect(getValueKey('claude-3-opus-20240229', 'anthropic')).toBe('claude-3-opus');
+    expect(getValueKey('claude-3-sonnet-20240229', 'anthropic')).toBe('claude-3-sonnet');
+    expect(getValueKey('claude-3-haiku-20240307', 'anthropic')).toBe('claude-3-haiku');
+  });
+
+  it('should return the PaLM 2 and Codey rates', () => {
+    expect(getValueKey('chat-bison', 'google')).toBe('bison');
+    expect(getValueKey('codechat-bison-32k', 'google')).toBe('bison');
+  });
+
+  it('should return the Gemini rates', () => {
+    expect(getValueKey('gemini-pro', 'google')).toBe('gemini');
+    expect(getValueKey('gemini-pro-vision', 'google')).toBe('gemini');
+  });
+});
+
 describe('getMultiplier', () => {
   it('should return the correct multiplier for a given valueKey and tokenType', () => {
     expect(getMultiplier({ valueKey: '8k', tokenType: 'prompt' })).toBe(tokenValues['8k'].prompt);
@@ -92,3 +122,59 @@ describe('getMultiplier', () => {
     );
   });
 });
+
+describe('configured pricing', () => {
+  afterEach(() => {
+    setPricing();
+  });
+
+  it('should match models by prefix, exact name or regular expression', () => {
+    setPricing([
+      { model: 'claude-2', prompt: 8, completion: 24 },
+      { model: 'my-model', match: 'exact', prompt: 0.5, completion: 0.5 },
+      { model: '^gemini-.*-vision$', match: 'regex', prompt: 1, completion: 2 },
+    ]);
+
+    expect(getMultiplier({ tokenType: 'completion', model: 'claude-2.1' })).toBe(24);
+    expect(getMultiplier({ tokenType: 'prompt', model: 'my-model' })).toBe(0.5);
+    expect(getMultiplier({ tokenType: 'prompt', model: 'my-model-32k' })).toBe(defaultRate);
+    expect(getMultiplier({ tokenType: 'completion', model: 'gemini-pro-vision' })).toBe(2);
+  });
+
+  it('should take precedence over the built-in rates', () => {
+    setPricing([{ model: 'gpt-4', prompt: 25, completion: 50 }]);
+
+    expect(getMultiplier({ tokenType: 'prompt', model: 'gpt-4-0613' })).toBe(25);
+    expect(getMultiplier({ valueKey: '8k', tokenType: 'prompt' })).toBe(tokenValues['8k'].prompt);
+  });
+
+  it('should prefer the rates of the given endpoint', () => {
+    setPricing([
+      { model: 'my-gpt-4', endpoint: 'azureOpenAI', prompt: 20, completion: 40 },
+      { model: 'my-gpt-4', prompt: 30, completion: 60 },
+    ]);
+
+    expect(getMultiplier({ tokenType: 'prompt', model: 'my-gpt-4', endpoint: 'azureOpenAI' })).toBe(
+      20,
+    );
+    expect(getMultiplier({ tokenType: 'prompt', model: 'my-gpt-4', endpoint: 'openAI' })).toBe(30);
+  });
+
+  it('should apply the most recent rate in effect at the given date', () => {
+    setPricing([
+      { model: 'gpt-4', prompt: 30, completion: 60 },
+      { model: 'gpt-4', prompt: 10, completion: 30, effectiveDate: new Date('2024-01-01') },
+      { model: 'gpt-4', prompt: 5, completion: 15, effectiveDate: new Date('2024-06-01') },
+    ]);
+
+    expect(getConfiguredRate('gpt-4', undefined, new Date('2023-12-31')).prompt).toBe(30);
+    expect(getConfiguredRate('gpt-4', undefined, new Date('2024-03-01')).prompt).toBe(10);
+    expect(
+      getMultiplier({ tokenType: 'prompt', model: 'gpt-4', date: new Date('2024-07-01') }),
+    ).toBe(5);
+  });
+
+  it('should not fail on unknown value keys', () => {
+    expect(getMultiplier({ valueKey: 'unknown', tokenType: 'prompt' })).toBe(defaultRate);
+  });
+});
@@ -1,15 +1,17 @@
 const { sendMessage, createOnProgress } = require('~/server/utils');
 const { saveMessage, getConvoTitle, getConvo } = require('~/models');
+const { withFileUrls } = require('~/server/services/Files/strategies');
 const { getResponseSender } = require('librechat-data-provider');
 const { createAbortController, handleAbortError } = require('~/server/middleware');
 
-const AskController = async (req, res, next, initializeClient) => {
+const AskController = async (req, res, next, initializeClient, addTitle) => {
   let {
     text,
     endpointOption,
     conversationId,
     parentMessageId = null,
     overrideParentMessageId = null,
+    modelDisplayLabel,
   } = req.body;
   console.log('ask log');
   console.dir({ text, conversationId, endpointOption }, { depth: null });
@@ -20,7 +22,12 @@ const AskController = async (req, res, next, initializeClient) => {
   let responseMessageId;
   let lastSavedTimestamp = 0;
   let saveDelay = 100;
-  const sender = getResponseSender({ ...endpointOption, model: endpointOption.modelOptions.model });
+  const newConvo = !conversationId;
+  const sender = getResponseSender({
+    ...endpointOption,
+    model: endpointOption.modelOptions.model,
+    modelDisplayLabel,
+  });
   const user = req.user.id;
 
   const getReqData = (data = {}) => {
@@ -108,15 +115,21 @@ const AskController = async (req, res, next, initializeClient) => {
       title: await getConvoTitle(user, conversationId),
       final: true,
       conversation: await getConvo(user, conversationId),
-      requestMessage: userMessage,
-      responseMessage: response,
+      requestMessage: await withFileUrls(userMessage, user),
+      responseMessage: await withFileUrls(response, user),
     });
     res.end();
 
     await saveMessage({ ...response, user });
     await saveMessage(userMessage);
 
-    // TODO: add title service
+    if (addTitle && parentMessageId === '00000000-0000-0000-0000-000000000000' && newConvo) {
+      addTitle(req, {
+        text,
+        response,
+        client,
+      });
+    }
   } catch (error) {
     const partialText = getPartialText();
     handleAbortError(res, req, error, {
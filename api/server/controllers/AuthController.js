@@ -3,11 +3,15 @@ const cookies = require('cookie');
 const jwt = require('jsonwebtoken');
 const { Session, User } = require('../../models');
 const {
+  isEmailVerificationRequired,
   registerUser,
+  verifyEmail,
+  resendVerificationEmail,
   requestPasswordReset,
   resetPassword,
   setAuthTokens,
 } = require('../services/AuthService');
+const { isTwoFactorRequired, createTwoFactorToken } = require('../services/TwoFactorService');
 
 const registrationController = async (req, res) => {
   try {
@@ -19,6 +23,15 @@ const registrationController = async (req, res) => {
         newUser = new User(user);
         await newUser.save();
       }
+      if (isEmailVerificationRequired()) {
+        // the user logs in once their email is verified
+        return res.status(status).send({ user, verificationRequired: true });
+      }
+      // as when logging in, the tokens are only issued once the user enrolled in 2FA
+      if (isTwoFactorRequired()) {
+        const tempToken = createTwoFactorToken(user._id, 'setup');
+        return res.status(status).send({ user, twoFactorSetupRequired: true, tempToken });
+      }
       const token = await setAuthTokens(user._id, res);
       res.setHeader('Authorization', `Bearer ${token}`);
       res.status(status).send({ user });
@@ -32,6 +45,26 @@ const registrationController = async (req, res) => {
   }
 };
 
+const verifyEmailController = async (req, res) => {
+  try {
+    const { status, message } = await verifyEmail(req.body.userId, req.body.token);
+    return res.status(status).json({ message });
+  } catch (e) {
+    console.log(e);
+    return res.status(400).json({ message: e.message });
+  }
+};
+
+const resendVerificationController = async (req, res) => {
+  try {
+    const { status, message } = await resendVerificationEmail(req.body.email);
+    return res.status(status).json({ message });
+  } catch (e) {
+    console.log(e);
+    return res.status(400).json({ message: e.message });
+  }
+};
+
 const getUserController = async (req, res) => {
   return res.status(200).send(req.user);
 };
@@ -79,7 +112,13 @@ const refreshController = async (req, res) => {
     payload = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
     const userId = payload.id;
     const user = await User.findOne({ _id: userId });
-    if (!user) {
+    if (!user || user.disabled) {
+      return res.status(401).redirect('/login');
+    }
+
+    // Local users must log in again to enroll once 2FA is required
+    if (isTwoFactorRequired() && user.provider === 'local' && !user.twoFactorEnabled) {
+      await Session.deleteAllUserSessions(userId);
       return res.status(401).redirect('/login');
     }
 
@@ -118,6 +157,8 @@ module.exports = {
   getUserController,
   refreshController,
   registrationController,
+  verifyEmailController,
+  resendVerificationController,
   resetPasswordRequestController,
   resetPasswordController,
 };
@@ -1,5 +1,6 @@
 const { sendMessage, createOnProgress } = require('~/server/utils');
 const { saveMessage, getConvoTitle, getConvo } = require('~/models');
+const { withFileUrls } = require('~/server/services/Files/strategies');
 const { getResponseSender } = require('librechat-data-provider');
 const { createAbortController, handleAbortError } = require('~/server/middleware');
 
@@ -13,6 +14,7 @@ const EditController = async (req, res, next, initializeClient) => {
     isContinued = false,
     parentMessageId = null,
     overrideParentMessageId = null,
+    modelDisplayLabel,
   } = req.body;
   console.log('edit log');
   console.dir({ text, generation, isContinued, conversationId, endpointOption }, { depth: null });
@@ -21,7 +23,11 @@ const EditController = async (req, res, next, initializeClient) => {
   let promptTokens;
   let lastSavedTimestamp = 0;
   let saveDelay = 100;
-  const sender = getResponseSender({ ...endpointOption, model: endpointOption.modelOptions.model });
+  const sender = getResponseSender({
+    ...endpointOption,
+    model: endpointOption.modelOptions.model,
+    modelDisplayLabel,
+  });
   const userMessageId = parentMessageId;
   const user = req.user.id;
 
@@ -111,8 +117,8 @@ const EditController = async (req, res, next, initializeClient) => {
       title: await getConvoTitle(user, conversationId),
       final: true,
       conversation: await getConvo(user, conversationId),
-      requestMessage: userMessage,
-      responseMessage: response,
+      requestMessage: await withFileUrls(userMessage, user),
+      responseMessage: await withFileUrls(response, user),
     });
     res.end();
 
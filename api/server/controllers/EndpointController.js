@@ -1,17 +1,27 @@
 const { getLogStores } = require('~/cache');
 const { CacheKeys } = require('~/common/enums');
-const { loadDefaultEndpointsConfig } = require('~/server/services/Config');
+const { loadDefaultEndpointsConfig, loadConfigEndpoints } = require('~/server/services/Config');
 
 async function endpointController(req, res) {
   const cache = getLogStores(CacheKeys.CONFIG);
-  const config = await cache.get(CacheKeys.DEFAULT_CONFIG);
-  if (config) {
-    res.send(config);
+  const cachedEndpointsConfig = await cache.get(CacheKeys.DEFAULT_CONFIG);
+  if (cachedEndpointsConfig) {
+    res.send(cachedEndpointsConfig);
     return;
   }
-  const defaultConfig = await loadDefaultEndpointsConfig();
-  await cache.set(CacheKeys.DEFAULT_CONFIG, defaultConfig);
-  res.send(JSON.stringify(defaultConfig));
+
+  const defaultEndpointsConfig = await loadDefaultEndpointsConfig();
+  const customConfigEndpoints = await loadConfigEndpoints();
+
+  /* Custom endpoints are listed after the default endpoints, in the order of the config file */
+  let order = Math.max(-1, ...Object.values(defaultEndpointsConfig).map((e) => e.order)) + 1;
+  const endpointsConfig = { ...defaultEndpointsConfig };
+  for (const [name, endpointConfig] of Object.entries(customConfigEndpoints)) {
+    endpointsConfig[name] = { ...endpointConfig, order: order++ };
+  }
+
+  await cache.set(CacheKeys.DEFAULT_CONFIG, endpointsConfig);
+  res.send(JSON.stringify(endpointsConfig));
 }
 
 module.exports = endpointController;
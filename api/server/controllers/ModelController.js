@@ -1,17 +1,43 @@
 const { getLogStores } = require('~/cache');
 const { CacheKeys } = require('~/common/enums');
-const { loadDefaultModels } = require('~/server/services/Config');
+const { getMultiplier } = require('~/models/tx');
+const { loadDefaultModels, loadConfigModels } = require('~/server/services/Config');
 
-async function modelController(req, res) {
+/**
+ * Retrieves the models of each endpoint, from the cache when available.
+ * @returns {Promise<TModelsConfig>}
+ */
+async function getModelsConfig() {
   const cache = getLogStores(CacheKeys.CONFIG);
   let modelConfig = await cache.get(CacheKeys.MODELS_CONFIG);
   if (modelConfig) {
-    res.send(modelConfig);
-    return;
+    return modelConfig;
   }
-  modelConfig = await loadDefaultModels();
+  const defaultModelsConfig = await loadDefaultModels();
+  const customModelsConfig = await loadConfigModels();
+  modelConfig = { ...defaultModelsConfig, ...customModelsConfig };
   await cache.set(CacheKeys.MODELS_CONFIG, modelConfig);
-  res.send(modelConfig);
+  return modelConfig;
+}
+
+async function modelController(req, res) {
+  res.send(await getModelsConfig());
+}
+
+/** Sends the current token credits per prompt and completion token of each model, by endpoint */
+async function modelRatesController(req, res) {
+  const modelConfig = await getModelsConfig();
+  const rates = {};
+  for (const [endpoint, models] of Object.entries(modelConfig)) {
+    rates[endpoint] = {};
+    for (const model of models ?? []) {
+      rates[endpoint][model] = {
+        prompt: getMultiplier({ tokenType: 'prompt', model, endpoint }),
+        completion: getMultiplier({ tokenType: 'completion', model, endpoint }),
+      };
+    }
+  }
+  res.send(rates);
 }
 
-module.exports = modelController;
+module.exports = { modelController, modelRatesController };
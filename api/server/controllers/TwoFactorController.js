@@ -0,0 +1,125 @@
+const QRCode = require('qrcode');
+const User = require('~/models/User');
+const Session = require('~/models/Session');
+const { setAuthTokens } = require('~/server/services/AuthService');
+const {
+  isTwoFactorRequired,
+  verifyTwoFactorToken,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  verifyTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+} = require('~/server/services/TwoFactorService');
+const logger = require('~/utils/logger');
+
+/** Starts the enrollment: returns the new secret, and the QR code to scan it */
+const enableTwoFactorController = async (req, res) => {
+  const { user } = req;
+  if (user.provider !== 'local') {
+    return res.status(400).send({ message: 'Two-factor authentication is for local accounts' });
+  }
+  if (user.twoFactorEnabled) {
+    return res.status(400).send({ message: 'Two-factor authentication is already enabled' });
+  }
+
+  try {
+    const { secret, otpauthUrl } = await startTwoFactorSetup(user);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+    res.status(200).send({ secret, otpauthUrl, qrCode });
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error setting up two-factor authentication' });
+  }
+};
+
+/**
+ * Enables 2FA with a code from the new secret, and returns the backup codes.
+ * The other sessions of the user are revoked, as they were opened without 2FA.
+ * When enrolling during a login, the login is completed.
+ */
+const confirmTwoFactorController = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const backupCodes = await enableTwoFactor(user, req.body?.code);
+    if (!backupCodes) {
+      return res.status(400).send({ message: 'Invalid code' });
+    }
+
+    await Session.deleteAllUserSessions(user._id);
+    // a new session keeps the current device logged in
+    const token = await setAuthTokens(user._id, res);
+    if (!req.twoFactorSetup) {
+      return res.status(200).send({ backupCodes });
+    }
+
+    user.twoFactorEnabled = true;
+    res.status(200).send({ backupCodes, token, user });
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error enabling two-factor authentication' });
+  }
+};
+
+/** Disables 2FA, with a code or a backup code, unless it is required for all local accounts */
+const disableTwoFactorController = async (req, res) => {
+  if (isTwoFactorRequired()) {
+    return res.status(403).send({ message: 'Two-factor authentication is required' });
+  }
+
+  try {
+    const { code, backupCode } = req.body ?? {};
+    if (!(await verifyTwoFactor(req.user, { code, backupCode }))) {
+      return res.status(400).send({ message: 'Invalid code' });
+    }
+    await disableTwoFactor(req.user._id);
+    res.status(200).send({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error disabling two-factor authentication' });
+  }
+};
+
+/** Replaces the backup codes, with a code from the authenticator app */
+const regenerateBackupCodesController = async (req, res) => {
+  try {
+    if (!(await verifyTwoFactor(req.user, { code: req.body?.code }))) {
+      return res.status(400).send({ message: 'Invalid code' });
+    }
+    res.status(200).send({ backupCodes: await regenerateBackupCodes(req.user) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error generating backup codes' });
+  }
+};
+
+/** The second login step: issues the tokens once the code, or a backup code, is verified */
+const twoFactorLoginController = async (req, res) => {
+  const { tempToken, code, backupCode } = req.body ?? {};
+  try {
+    const userId = tempToken ? verifyTwoFactorToken(tempToken, 'login') : null;
+    const user = userId ? await User.findById(userId) : null;
+    if (!user || user.disabled) {
+      return res.status(422).send({ message: 'Your login expired, please log in again' });
+    }
+
+    if (!(await verifyTwoFactor(user, { code, backupCode }))) {
+      logger.error(`[Login] [2FA failed] [Username: ${user.email}] [Request-IP: ${req.ip}]`);
+      return res.status(422).send({ message: 'Invalid code' });
+    }
+
+    const token = await setAuthTokens(user._id, res);
+    res.status(200).send({ token, user });
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Something went wrong' });
+  }
+};
+
+module.exports = {
+  enableTwoFactorController,
+  confirmTwoFactorController,
+  disableTwoFactorController,
+  regenerateBackupCodesController,
+  twoFactorLoginController,
+};
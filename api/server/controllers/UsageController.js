@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Transaction = require('../../models/Transaction');
+
+const usageGroups = ['model', 'endpoint', 'conversation'];
+const dayInMs = 24 * 60 * 60 * 1000;
+
+const parseDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : undefined;
+};
+
+/**
+ * Parses the `groupBy`, `startDate` and `endDate` query parameters of usage requests;
+ * usage of the last 30 days is returned by default.
+ * @returns {{ groupBy: string, startDate: Date, endDate?: Date } | null} The params, or null if `groupBy` is invalid.
+ */
+const parseUsageQuery = (query) => {
+  const { groupBy = 'model' } = query;
+  if (!usageGroups.includes(groupBy)) {
+    return null;
+  }
+  return {
+    groupBy,
+    startDate: parseDate(query.startDate) ?? new Date(Date.now() - 30 * dayInMs),
+    endDate: parseDate(query.endDate),
+  };
+};
+
+/**
+ * Creates a controller returning the daily usage of the user given by `getUser`,
+ * or of all users if it returns nothing.
+ * @param {(req: Object) => string | undefined} getUser
+ */
+const createUsageController = (getUser) => async (req, res) => {
+  const params = parseUsageQuery(req.query);
+  if (!params) {
+    return res.status(400).json({ message: `groupBy must be one of: ${usageGroups.join(', ')}` });
+  }
+
+  const user = getUser(req);
+  if (user && !mongoose.Types.ObjectId.isValid(user)) {
+    return res.status(400).json({ message: 'Invalid user ID' });
+  }
+
+  try {
+    res.status(200).json(await Transaction.getUsage({ ...params, user }));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Error getting usage' });
+  }
+};
+
+/** Usage of the current user */
+const usageController = createUsageController((req) => req.user.id);
+
+/** Usage of all users, or of the user given by the `userId` query parameter; admins only */
+const allUsageController = createUsageController((req) => req.query.userId);
+
+const balanceHistoryController = async (req, res) => {
+  const pageNumber = Math.max(parseInt(req.query.pageNumber, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 25, 1), 100);
+  try {
+    res.status(200).json(await Transaction.getHistory(req.user.id, { pageNumber, pageSize }));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Error getting balance history' });
+  }
+};
+
+module.exports = {
+  usageController,
+  allUsageController,
+  balanceHistoryController,
+};
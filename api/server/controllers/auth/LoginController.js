@@ -1,5 +1,7 @@
 const User = require('../../../models/User');
+const Session = require('../../../models/Session');
 const { setAuthTokens } = require('../../services/AuthService');
+const { isTwoFactorRequired, createTwoFactorToken } = require('../../services/TwoFactorService');
 
 const loginController = async (req, res) => {
   try {
@@ -11,6 +13,18 @@ const loginController = async (req, res) => {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    // The tokens are only issued after the second step: entering a code, or enrolling in 2FA
+    if (user.twoFactorEnabled) {
+      const tempToken = createTwoFactorToken(user._id, 'login');
+      return res.status(200).send({ twoFactorRequired: true, tempToken });
+    }
+    if (isTwoFactorRequired()) {
+      // sessions from before 2FA was required must not outlive the enrollment
+      await Session.deleteAllUserSessions(user._id);
+      const tempToken = createTwoFactorToken(user._id, 'setup');
+      return res.status(200).send({ twoFactorSetupRequired: true, tempToken });
+    }
+
     const token = await setAuthTokens(user._id, res);
 
     return res.status(200).send({ token, user });
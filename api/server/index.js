@@ -7,6 +7,10 @@ const mongoSanitize = require('express-mongo-sanitize');
 const errorController = require('./controllers/ErrorController');
 const configureSocialLogins = require('./socialLogins');
 const { connectDb, indexSync } = require('../lib/db');
+const searchProvider = require('../lib/db/searchProvider');
+const { loadCustomConfig } = require('./services/Config');
+const { scheduleArchiveRetention } = require('./services/RetentionService');
+const { scheduleFileCleanup } = require('./services/Files/cleanup');
 const config = require('../config');
 const routes = require('./routes');
 
@@ -21,6 +25,9 @@ const startServer = async () => {
   await connectDb();
   console.log('Connected to MongoDB');
   await indexSync();
+  await loadCustomConfig();
+  scheduleArchiveRetention();
+  scheduleFileCleanup();
 
   const app = express();
   app.locals.config = config;
@@ -70,6 +77,8 @@ const startServer = async () => {
   app.use('/api/config', routes.config);
   app.use('/api/assistants', routes.assistants);
   app.use('/api/files', routes.files);
+  app.use('/api/share', routes.share);
+  app.use('/api/admin', routes.admin);
 
   app.use((req, res) => {
     res.status(404).sendFile(path.join(projectPath, 'dist', 'index.html'));
@@ -90,12 +99,15 @@ startServer();
 
 let messageCount = 0;
 process.on('uncaughtException', (err) => {
-  if (!err.message.includes('fetch failed')) {
+  // The Meilisearch client's background requests fail this way when its server is unreachable
+  const isMeiliError = searchProvider === 'meilisearch' && err.message.includes('fetch failed');
+
+  if (!isMeiliError) {
     console.error('There was an uncaught error:');
     console.error(err);
   }
 
-  if (err.message.includes('fetch failed')) {
+  if (isMeiliError) {
     if (messageCount === 0) {
       console.error('Meilisearch error, search will be disabled');
       messageCount++;
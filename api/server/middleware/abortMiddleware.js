@@ -1,21 +1,51 @@
 const { sendMessage, sendError, countTokens, isEnabled } = require('~/server/utils');
 const { saveMessage, getConvo, getConvoTitle } = require('~/models');
+const { withFileUrls } = require('~/server/services/Files/strategies');
 const clearPendingReq = require('~/cache/clearPendingReq');
+const {
+  onAbortRequest,
+  registerAbortKey,
+  unregisterAbortKey,
+  requestAbort,
+} = require('~/cache/abortBus');
 const abortControllers = require('./abortControllers');
+const { createStream } = require('~/server/services/StreamService');
 const spendTokens = require('~/models/spendTokens');
 
+/**
+ * Aborts a request of this instance.
+ * @param {string} abortKey
+ * @returns {Promise<Object>} The final response of the aborted request.
+ */
+async function abortRequest(abortKey) {
+  const { abortController } = abortControllers.get(abortKey);
+  const ret = await abortController.abortCompletion();
+  console.log('Aborted request', abortKey);
+  abortControllers.delete(abortKey);
+  unregisterAbortKey(abortKey);
+  return ret;
+}
+
+onAbortRequest(async (abortKey) =>
+  abortControllers.has(abortKey) ? await abortRequest(abortKey) : null,
+);
+
 async function abortMessage(req, res) {
   const { abortKey } = req.body;
 
+  if (!abortControllers.has(abortKey)) {
+    // when running multiple instances, the request may be handled by another one
+    const ret = await requestAbort(abortKey);
+    if (ret) {
+      return res.send(JSON.stringify(ret));
+    }
+  }
+
   if (!abortControllers.has(abortKey) && !res.headersSent) {
     return res.status(404).send({ message: 'Request not found' });
   }
 
-  const { abortController } = abortControllers.get(abortKey);
-  const ret = await abortController.abortCompletion();
-  console.log('Aborted request', abortKey);
-  abortControllers.delete(abortKey);
-  res.send(JSON.stringify(ret));
+  res.send(JSON.stringify(await abortRequest(abortKey)));
 }
 
 const handleAbort = () => {
@@ -34,13 +64,17 @@ const handleAbort = () => {
 const createAbortController = (req, res, getAbortData) => {
   const abortController = new AbortController();
   const { endpointOption } = req.body;
+  // the generation outlives the connection, and can be resumed by its stream id
+  const stream = createStream(req, res);
   const onStart = (userMessage) => {
-    sendMessage(res, { message: userMessage, created: true });
+    sendMessage(res, { message: userMessage, created: true, streamId: stream.id });
     const abortKey = userMessage?.conversationId ?? req.user.id;
     abortControllers.set(abortKey, { abortController, ...endpointOption });
+    registerAbortKey(abortKey);
 
-    res.on('finish', function () {
+    stream.on('end', function () {
       abortControllers.delete(abortKey);
+      unregisterAbortKey(abortKey);
     });
   };
 
@@ -63,7 +97,7 @@ const createAbortController = (req, res, getAbortData) => {
     };
 
     await spendTokens(
-      { ...responseMessage, context: 'incomplete', user },
+      { ...responseMessage, endpoint: endpointOption.endpoint, context: 'incomplete', user },
       { promptTokens, completionTokens },
     );
 
@@ -73,8 +107,8 @@ const createAbortController = (req, res, getAbortData) => {
       title: await getConvoTitle(user, conversationId),
       final: true,
       conversation: await getConvo(user, conversationId),
-      requestMessage: userMessage,
-      responseMessage: responseMessage,
+      requestMessage: await withFileUrls(userMessage, user),
+      responseMessage: await withFileUrls(responseMessage, user),
     };
   };
 
@@ -100,6 +134,7 @@ const handleAbortError = async (res, req, error, data) => {
         const { abortController } = abortControllers.get(conversationId);
         abortController.abort();
         abortControllers.delete(conversationId);
+        unregisterAbortKey(conversationId);
       }
     };
 
@@ -1,14 +1,10 @@
-const Keyv = require('keyv');
 const uap = require('ua-parser-js');
 const denyRequest = require('./denyRequest');
 const { getLogStores } = require('../../cache');
 const { isEnabled, removePorts } = require('../utils');
-const keyvRedis = require('../../cache/keyvRedis');
 const User = require('../../models/User');
 
-const banCache = isEnabled(process.env.USE_REDIS)
-  ? new Keyv({ store: keyvRedis })
-  : new Keyv({ namespace: 'bans', ttl: 0 });
+const banCache = getLogStores('ban_cache');
 const message = 'Your account has been temporarily banned due to violations of our service.';
 
 /**
@@ -105,7 +101,7 @@ const checkBan = async (req, res, next = () => {}) => {
     userBan = await banLogs.get(userId);
   }
 
-  const isBanned = !!(ipBan || userBan);
+  const isBanned = ipBan || userBan;
 
   if (!isBanned) {
     return next();
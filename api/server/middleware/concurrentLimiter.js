@@ -14,7 +14,8 @@ const ttl = 1000 * 60 * 1;
  *
  * This middleware checks if a user has exceeded a specified concurrent request limit.
  * If the user exceeds the limit, an error is returned. If the user is within the limit,
- * their request count is incremented. After the request is processed, the count is decremented.
+ * their request count is incremented. After the request is processed, the count is decremented;
+ * a generation that continues after the client disconnects keeps its slot until it ends.
  * If the `cache` store is not available, the middleware will skip its logic.
  *
  * @function
@@ -64,9 +65,19 @@ const concurrentLimiter = async (req, res, next) => {
     await clearPendingReq({ userId, cache });
   };
 
+  const onClose = () => {
+    /** @type {import('events').EventEmitter & { finished: boolean } | undefined} */
+    const stream = res.locals?.stream;
+    if (stream && !stream.finished) {
+      stream.once('end', cleanUp);
+      return;
+    }
+    cleanUp();
+  };
+
   if (pendingRequests < limit) {
     res.on('finish', cleanUp);
-    res.on('close', cleanUp);
+    res.on('close', onClose);
   }
 
   next();
@@ -2,9 +2,11 @@ const abortMiddleware = require('./abortMiddleware');
 const checkBan = require('./checkBan');
 const uaParser = require('./uaParser');
 const setHeaders = require('./setHeaders');
+const requireAdmin = require('./requireAdmin');
 const loginLimiter = require('./loginLimiter');
 const requireJwtAuth = require('./requireJwtAuth');
 const registerLimiter = require('./registerLimiter');
+const verifyEmailLimiter = require('./verifyEmailLimiter');
 const messageLimiters = require('./messageLimiters');
 const requireLocalAuth = require('./requireLocalAuth');
 const validateEndpoint = require('./validateEndpoint');
@@ -12,6 +14,7 @@ const concurrentLimiter = require('./concurrentLimiter');
 const validateMessageReq = require('./validateMessageReq');
 const buildEndpointOption = require('./buildEndpointOption');
 const validateRegistration = require('./validateRegistration');
+const requireTwoFactorSetupAuth = require('./requireTwoFactorSetupAuth');
 
 module.exports = {
   ...abortMiddleware,
@@ -19,13 +22,16 @@ module.exports = {
   checkBan,
   uaParser,
   setHeaders,
+  requireAdmin,
   loginLimiter,
   requireJwtAuth,
   registerLimiter,
+  verifyEmailLimiter,
   requireLocalAuth,
   validateEndpoint,
   concurrentLimiter,
   validateMessageReq,
   buildEndpointOption,
   validateRegistration,
+  requireTwoFactorSetupAuth,
 };
@@ -0,0 +1,17 @@
+const { SystemRoles } = require('librechat-data-provider');
+
+/**
+ * Only lets admin users through; must be used after `requireJwtAuth`.
+ *
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Next middleware function.
+ */
+const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== SystemRoles.ADMIN) {
+    return res.status(403).json({ message: 'Forbidden' });
+  }
+  next();
+};
+
+module.exports = requireAdmin;
@@ -0,0 +1,30 @@
+const User = require('~/models/User');
+const requireJwtAuth = require('./requireJwtAuth');
+const { verifyTwoFactorToken } = require('~/server/services/TwoFactorService');
+
+/**
+ * Authenticates the requests enrolling in two-factor authentication: with the access token
+ * of a logged-in user, or with the `setup` token of a login that requires 2FA (`REQUIRE_2FA`),
+ * in which case `req.twoFactorSetup` is set and the enrollment completes the login.
+ */
+const requireTwoFactorSetupAuth = async (req, res, next) => {
+  const { tempToken } = req.body ?? {};
+  if (!tempToken) {
+    return requireJwtAuth(req, res, next);
+  }
+
+  try {
+    const userId = verifyTwoFactorToken(tempToken, 'setup');
+    const user = userId ? await User.findById(userId) : null;
+    if (!user || user.disabled) {
+      return res.status(422).send({ message: 'Your login expired, please log in again' });
+    }
+    req.user = user;
+    req.twoFactorSetup = true;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = requireTwoFactorSetupAuth;
@@ -0,0 +1,21 @@
+const rateLimit = require('express-rate-limit');
+const { removePorts } = require('../utils');
+
+const { VERIFY_EMAIL_WINDOW = 2, VERIFY_EMAIL_MAX = 2 } = process.env;
+const windowMs = VERIFY_EMAIL_WINDOW * 60 * 1000;
+const max = VERIFY_EMAIL_MAX;
+const windowInMinutes = windowMs / 60000;
+const message = `Too many verification emails requested, please try again after ${windowInMinutes} minutes`;
+
+const handler = async (req, res) => {
+  return res.status(429).json({ message });
+};
+
+const verifyEmailLimiter = rateLimit({
+  windowMs,
+  max,
+  handler,
+  keyGenerator: removePorts,
+});
+
+module.exports = verifyEmailLimiter;
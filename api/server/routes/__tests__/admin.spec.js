@@ -0,0 +1,183 @@
+const request = require('supertest');
+const express = require('express');
+const {
+  listUsers,
+  createUser,
+  deleteUser,
+  addUserBalance,
+  banUser,
+} = require('~/server/services/AdminService');
+const { disableTwoFactor } = require('~/server/services/TwoFactorService');
+const { getSearchProvider } = require('~/server/services/Search');
+
+jest.mock('~/server/services/AdminService', () => ({
+  listUsers: jest.fn(),
+  createUser: jest.fn(),
+  setUserDisabled: jest.fn(),
+  deleteUser: jest.fn(),
+  resetUserPassword: jest.fn(),
+  addUserBalance: jest.fn(),
+  getUserViolations: jest.fn(),
+  banUser: jest.fn(),
+  unbanUser: jest.fn(),
+}));
+
+jest.mock('~/server/services/TwoFactorService', () => ({
+  disableTwoFactor: jest.fn(),
+}));
+
+jest.mock('~/server/services/Search', () => ({
+  getSearchProvider: jest.fn(),
+}));
+
+const adminId = '65a000000000000000000001';
+const userId = '65a000000000000000000002';
+
+jest.mock('~/server/middleware/requireJwtAuth', () => (req, res, next) => {
+  req.user = { id: adminId, role: req.headers['x-role'] ?? 'ADMIN' };
+  next();
+});
+
+const admin = require('../admin');
+const app = express();
+app.use(express.json());
+app.use('/api/admin', admin);
+
+describe('/api/admin', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('should reject users without the admin role', async () => {
+    const response = await request(app).get('/api/admin/users').set('x-role', 'USER');
+
+    expect(response.statusCode).toBe(403);
+    expect(listUsers).not.toHaveBeenCalled();
+  });
+
+  it('should search users', async () => {
+    listUsers.mockResolvedValue({ users: [], pages: 1, pageNumber: 2, pageSize: 25 });
+
+    const response = await request(app).get('/api/admin/users?search=john&pageNumber=2');
+
+    expect(response.statusCode).toBe(200);
+    expect(listUsers).toHaveBeenCalledWith({ search: 'john', pageNumber: 2 });
+  });
+
+  it('should create a user with a valid role only', async () => {
+    createUser.mockResolvedValue({ status: 201, user: { id: userId } });
+    const body = { email: 'john@example.com', password: 'password', name: 'John' };
+
+    const invalid = await request(app)
+      .post('/api/admin/users')
+      .send({ ...body, role: 'OWNER' });
+    const created = await request(app).post('/api/admin/users').send(body);
+
+    expect(invalid.statusCode).toBe(400);
+    expect(created.statusCode).toBe(201);
+    expect(createUser).toHaveBeenCalledWith({ ...body, username: undefined, role: 'USER' });
+  });
+
+  it('should return 404 for unknown or invalid user IDs', async () => {
+    deleteUser.mockResolvedValue(false);
+
+    const unknown = await request(app).delete(`/api/admin/users/${userId}`);
+    const invalid = await request(app).delete('/api/admin/users/not-an-id');
+
+    expect(unknown.statusCode).toBe(404);
+    expect(invalid.statusCode).toBe(404);
+    expect(deleteUser).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not let admins delete, disable or ban themselves', async () => {
+    process.env.BAN_VIOLATIONS = 'true';
+
+    const responses = await Promise.all([
+      request(app).delete(`/api/admin/users/${adminId}`),
+      request(app).post(`/api/admin/users/${adminId}/disable`),
+      request(app).post(`/api/admin/users/${adminId}/ban`).send({ duration: 60 }),
+    ]);
+
+    responses.forEach((response) => expect(response.statusCode).toBe(400));
+    expect(deleteUser).not.toHaveBeenCalled();
+    expect(banUser).not.toHaveBeenCalled();
+  });
+
+  it('should reset the two-factor authentication of a user', async () => {
+    disableTwoFactor.mockResolvedValue(true);
+
+    const response = await request(app).delete(`/api/admin/users/${userId}/2fa`);
+
+    expect(response.statusCode).toBe(200);
+    expect(disableTwoFactor).toHaveBeenCalledWith(userId);
+  });
+
+  it('should grant credits only when balances are enabled', async () => {
+    addUserBalance.mockResolvedValue(2000);
+
+    delete process.env.CHECK_BALANCE;
+    const disabled = await request(app)
+      .post(`/api/admin/users/${userId}/balance`)
+      .send({ amount: 1000 });
+
+    process.env.CHECK_BALANCE = 'true';
+    const invalid = await request(app)
+      .post(`/api/admin/users/${userId}/balance`)
+      .send({ amount: -5 });
+    const granted = await request(app)
+      .post(`/api/admin/users/${userId}/balance`)
+      .send({ amount: 1000 });
+
+    expect(disabled.statusCode).toBe(400);
+    expect(invalid.statusCode).toBe(400);
+    expect(granted.statusCode).toBe(200);
+    expect(granted.body).toEqual({ balance: 2000 });
+    expect(addUserBalance).toHaveBeenCalledWith(userId, 1000);
+  });
+
+  it('should ban a user for the given number of minutes', async () => {
+    process.env.BAN_VIOLATIONS = 'true';
+    banUser.mockResolvedValue('2024-01-01T01:00:00.000Z');
+
+    const response = await request(app)
+      .post(`/api/admin/users/${userId}/ban`)
+      .send({ duration: 60 });
+
+    expect(response.statusCode).toBe(200);
+    expect(banUser).toHaveBeenCalledWith(userId, 3600000);
+  });
+
+  it('should start the search index sync in the background and report its progress', async () => {
+    const progress = [{ indexName: 'messages', status: 'syncing', total: 10, indexed: 0 }];
+    const provider = {
+      sync: jest.fn(() => new Promise(() => {})),
+      getSyncProgress: () => progress,
+    };
+    getSearchProvider.mockReturnValue(provider);
+
+    const forbidden = await request(app).post('/api/admin/search/sync').set('x-role', 'USER');
+    const started = await request(app).post('/api/admin/search/sync');
+    const status = await request(app).get('/api/admin/search/sync');
+
+    expect(forbidden.statusCode).toBe(403);
+    expect(started.statusCode).toBe(202);
+    expect(started.body).toEqual(progress);
+    expect(status.body).toEqual(progress);
+    expect(provider.sync).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject the sync when the search provider has no index', async () => {
+    getSearchProvider.mockReturnValue({ searchMessages: jest.fn() });
+
+    const response = await request(app).post('/api/admin/search/sync');
+
+    expect(response.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,59 @@
+const request = require('supertest');
+const express = require('express');
+const Transaction = require('~/models/Transaction');
+
+jest.mock('~/models/Transaction', () => ({
+  getHistory: jest.fn(),
+  getUsage: jest.fn(),
+}));
+
+const userId = '65a000000000000000000001';
+
+jest.mock('~/server/middleware/requireJwtAuth', () => (req, res, next) => {
+  req.user = { id: userId, role: 'USER' };
+  next();
+});
+
+const balance = require('../balance');
+const app = express();
+app.use('/api/balance', balance);
+
+describe('/api/balance', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return paginated transactions', async () => {
+    Transaction.getHistory.mockResolvedValue({
+      transactions: [],
+      pages: 1,
+      pageNumber: 2,
+      pageSize: 100,
+    });
+
+    const response = await request(app).get('/api/balance/history?pageNumber=2&pageSize=500');
+
+    expect(response.statusCode).toBe(200);
+    expect(Transaction.getHistory).toHaveBeenCalledWith(userId, { pageNumber: 2, pageSize: 100 });
+  });
+
+  it('should return the usage of the last 30 days by default', async () => {
+    Transaction.getUsage.mockResolvedValue([]);
+
+    const response = await request(app).get('/api/balance/usage?groupBy=endpoint');
+
+    expect(response.statusCode).toBe(200);
+    const { user, groupBy, startDate, endDate } = Transaction.getUsage.mock.calls[0][0];
+    expect(user).toBe(userId);
+    expect(groupBy).toBe('endpoint');
+    expect(Date.now() - startDate.getTime()).toBeGreaterThanOrEqual(30 * 24 * 60 * 60 * 1000);
+    expect(endDate).toBeUndefined();
+  });
+
+  it('should reject unknown groupings', async () => {
+    const response = await request(app).get('/api/balance/usage?groupBy=user');
+
+    expect(response.statusCode).toBe(400);
+    expect(Transaction.getUsage).not.toHaveBeenCalled();
+  });
+});
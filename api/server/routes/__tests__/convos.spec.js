@@ -0,0 +1,175 @@
+const request = require('supertest');
+const express = require('express');
+const {
+  getConvosByCursor,
+  bulkUpdateConvos,
+  deleteConvoTag,
+  encodeConvoCursor,
+} = require('~/models/Conversation');
+const { isTitleEnabled, regenerateTitle } = require('~/server/services/TitleService');
+
+jest.mock('~/models', () => ({
+  getConvo: jest.fn(),
+  saveConvo: jest.fn(),
+}));
+
+jest.mock('~/models/Conversation', () => ({
+  encodeConvoCursor: jest.requireActual('~/models/Conversation').encodeConvoCursor,
+  decodeConvoCursor: jest.requireActual('~/models/Conversation').decodeConvoCursor,
+  bulkActions: ['tag', 'untag', 'pin', 'unpin', 'archive', 'unarchive'],
+  getConvoTags: jest.fn(),
+  deleteConvoTag: jest.fn(),
+  getConvosByCursor: jest.fn(),
+  bulkUpdateConvos: jest.fn(),
+  deleteConvos: jest.fn(),
+}));
+
+jest.mock('~/server/services/ImportService', () => ({
+  importConversations: jest.fn(),
+}));
+
+jest.mock('~/server/services/TitleService', () => ({
+  isTitleEnabled: jest.fn(() => true),
+  regenerateTitle: jest.fn(),
+}));
+
+jest.mock('~/server/middleware/requireJwtAuth', () => (req, res, next) => {
+  req.user = { id: 'user-id' };
+  next();
+});
+
+const convos = require('../convos');
+const app = express();
+app.use(express.json());
+app.use('/api/convos', convos);
+
+describe('/api/convos', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should pass the cursor, limit and filters to getConvosByCursor', async () => {
+    getConvosByCursor.mockResolvedValue({ conversations: [], nextCursor: null });
+    const cursor = encodeConvoCursor({ updatedAt: new Date(), conversationId: 'convo-id' });
+
+    const response = await request(app).get(
+      `/api/convos?cursor=${cursor}&limit=500&tags=work&tags=ideas&pinned=false&endpoint=openAI&startDate=2024-01-01&endDate=invalid`,
+    );
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toEqual({ conversations: [], nextCursor: null });
+    expect(getConvosByCursor).toHaveBeenCalledWith('user-id', {
+      cursor,
+      limit: 100,
+      filters: {
+        tags: ['work', 'ideas'],
+        isPinned: false,
+        endpoint: 'openAI',
+        startDate: new Date('2024-01-01'),
+      },
+    });
+  });
+
+  it('should reject an invalid cursor', async () => {
+    const response = await request(app).get('/api/convos?cursor=not-a-cursor');
+
+    expect(response.statusCode).toBe(400);
+    expect(getConvosByCursor).not.toHaveBeenCalled();
+  });
+
+  it('should apply a bulk action', async () => {
+    bulkUpdateConvos.mockResolvedValue({ matchedCount: 2, modifiedCount: 2 });
+
+    const response = await request(app)
+      .post('/api/convos/bulk')
+      .send({ arg: { conversationIds: ['a', 'b'], action: 'tag', tags: [' work ', ''] } });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toEqual({ matchedCount: 2, modifiedCount: 2 });
+    expect(bulkUpdateConvos).toHaveBeenCalledWith('user-id', ['a', 'b'], 'tag', ['work']);
+  });
+
+  it('should reject invalid bulk requests', async () => {
+    const invalidArgs = [
+      { conversationIds: [], action: 'pin' },
+      { conversationIds: ['a'], action: 'delete' },
+      { conversationIds: ['a'], action: 'untag', tags: [] },
+    ];
+
+    for (const arg of invalidArgs) {
+      const response = await request(app).post('/api/convos/bulk').send({ arg });
+      expect(response.statusCode).toBe(400);
+    }
+    expect(bulkUpdateConvos).not.toHaveBeenCalled();
+  });
+
+  it('should list archived conversations', async () => {
+    getConvosByCursor.mockResolvedValue({ conversations: [], nextCursor: null });
+
+    await request(app).get('/api/convos?archived=true');
+
+    expect(getConvosByCursor).toHaveBeenCalledWith('user-id', {
+      cursor: undefined,
+      limit: 25,
+      filters: { isArchived: true },
+    });
+  });
+
+  it('should archive and restore a conversation', async () => {
+    bulkUpdateConvos.mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+
+    const archived = await request(app)
+      .post('/api/convos/archive')
+      .send({ arg: { conversationId: 'convo-id' } });
+    const restored = await request(app)
+      .post('/api/convos/unarchive')
+      .send({ arg: { conversationId: 'convo-id' } });
+
+    expect(archived.statusCode).toBe(200);
+    expect(restored.statusCode).toBe(200);
+    expect(bulkUpdateConvos).toHaveBeenNthCalledWith(1, 'user-id', ['convo-id'], 'archive');
+    expect(bulkUpdateConvos).toHaveBeenNthCalledWith(2, 'user-id', ['convo-id'], 'unarchive');
+  });
+
+  it('should return 404 when archiving an unknown conversation', async () => {
+    bulkUpdateConvos.mockResolvedValue({ matchedCount: 0, modifiedCount: 0 });
+
+    const response = await request(app)
+      .post('/api/convos/archive')
+      .send({ arg: { conversationId: 'unknown' } });
+
+    expect(response.statusCode).toBe(404);
+  });
+
+  it('should regenerate the title of a conversation', async () => {
+    regenerateTitle.mockResolvedValue({ conversationId: 'convo-id', title: 'New Title' });
+
+    const response = await request(app)
+      .post('/api/convos/gen_title')
+      .send({ arg: { conversationId: 'convo-id' } });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toEqual({ conversationId: 'convo-id', title: 'New Title' });
+    expect(regenerateTitle).toHaveBeenCalledWith(expect.anything(), 'convo-id');
+  });
+
+  it('should not regenerate titles when they are disabled', async () => {
+    isTitleEnabled.mockReturnValueOnce(false);
+
+    const response = await request(app)
+      .post('/api/convos/gen_title')
+      .send({ arg: { conversationId: 'convo-id' } });
+
+    expect(response.statusCode).toBe(400);
+    expect(regenerateTitle).not.toHaveBeenCalled();
+  });
+
+  it('should remove a tag from all conversations', async () => {
+    deleteConvoTag.mockResolvedValue({ matchedCount: 3, modifiedCount: 3 });
+
+    const response = await request(app).delete('/api/convos/tags/my%20folder');
+
+    expect(response.statusCode).toBe(200);
+    expect(deleteConvoTag).toHaveBeenCalledWith('user-id', 'my folder');
+  });
+});
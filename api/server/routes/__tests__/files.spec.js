@@ -0,0 +1,144 @@
+const request = require('supertest');
+const express = require('express');
+const { getFiles, deleteFiles, getFilesByCursor, getStorageUsage } = require('~/models');
+const { deleteFileVectors } = require('~/server/services/Files/retrieval');
+
+const mockStrategy = {
+  getUrl: jest.fn(async (filepath) => `https://storage.example.com${filepath}?sig=signed`),
+  delete: jest.fn(),
+};
+
+jest.mock('~/models', () => ({
+  getFiles: jest.fn(),
+  deleteFiles: jest.fn(),
+  getFilesByCursor: jest.fn(),
+  getStorageUsage: jest.fn(),
+}));
+
+jest.mock('~/models/File', () => ({
+  decodeFileCursor: jest.requireActual('~/models/File').decodeFileCursor,
+}));
+
+jest.mock('~/server/middleware', () => {
+  const next = (req, res, next) => next();
+  return {
+    requireJwtAuth: (req, res, next) => {
+      req.user = { id: 'user-id' };
+      next();
+    },
+    checkBan: next,
+    uaParser: next,
+  };
+});
+
+jest.mock('~/server/services/Files', () => ({
+  localStrategy: jest.fn(),
+  localDocumentStrategy: jest.fn(),
+}));
+
+jest.mock('~/server/services/Files/retrieval', () => ({
+  deleteFileVectors: jest.fn(),
+}));
+
+jest.mock('~/server/services/Files/strategies', () => ({
+  getStrategy: () => mockStrategy,
+}));
+
+const files = require('../files');
+const app = express();
+app.use(express.json());
+app.use('/api/files', files);
+
+const file = {
+  file_id: 'file-id',
+  filename: 'image.png',
+  filepath: '/images/user-id/image.webp',
+  type: 'image/webp',
+  bytes: 1024,
+  createdAt: '2024-01-01T00:00:00.000Z',
+};
+
+describe('/api/files', () => {
+  const originalEnv = process.env;
+
+  afterEach(() => {
+    process.env = originalEnv;
+    jest.clearAllMocks();
+  });
+
+  it('lists the files of the user with signed URLs', async () => {
+    getFilesByCursor.mockResolvedValue({ files: [{ ...file }], nextCursor: 'next' });
+
+    const response = await request(app).get('/api/files?type=image&search=%20image%20&limit=500');
+
+    expect(response.statusCode).toBe(200);
+    expect(getFilesByCursor).toHaveBeenCalledWith('user-id', {
+      cursor: undefined,
+      limit: 100,
+      filters: { type: 'image', search: 'image' },
+    });
+    expect(response.body).toEqual({
+      files: [{ ...file, url: 'https://storage.example.com/images/user-id/image.webp?sig=signed' }],
+      nextCursor: 'next',
+    });
+  });
+
+  it('rejects invalid cursors and ignores unknown filters', async () => {
+    getFilesByCursor.mockResolvedValue({ files: [], nextCursor: null });
+
+    const invalid = await request(app).get('/api/files?cursor=invalid');
+    const unknown = await request(app).get('/api/files?type=video');
+
+    expect(invalid.statusCode).toBe(400);
+    expect(unknown.statusCode).toBe(200);
+    expect(getFilesByCursor).toHaveBeenCalledTimes(1);
+    expect(getFilesByCursor.mock.calls[0][1].filters).toEqual({});
+  });
+
+  it('gets the storage usage and quota of the user', async () => {
+    process.env = { ...originalEnv, USER_STORAGE_QUOTA: '10' };
+    getStorageUsage.mockResolvedValue(2048);
+
+    const response = await request(app).get('/api/files/storage');
+
+    expect(response.body).toEqual({ bytes: 2048, quota: 10 * 1024 * 1024 });
+  });
+
+  it('only deletes the files of the user, from their stored paths', async () => {
+    const fileId = '1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed';
+    const otherFileId = '6ec0bd7f-11c0-43da-975e-2a8ad9ebae0b';
+    getFiles.mockResolvedValue([{ ...file, file_id: fileId }]);
+
+    const response = await request(app)
+      .delete('/api/files')
+      .send({
+        files: [
+          { file_id: fileId, filepath: 'https://storage.example.com/anything' },
+          { file_id: otherFileId, filepath: '/images/other-user/image.webp' },
+        ],
+      });
+
+    expect(response.statusCode).toBe(200);
+    expect(getFiles).toHaveBeenCalledWith({
+      file_id: { $in: [fileId, otherFileId] },
+      user: 'user-id',
+    });
+    expect(deleteFiles).toHaveBeenCalledWith([fileId]);
+    expect(deleteFileVectors).toHaveBeenCalledWith([fileId]);
+    expect(mockStrategy.delete).toHaveBeenCalledTimes(1);
+    expect(mockStrategy.delete).toHaveBeenCalledWith('/images/user-id/image.webp');
+  });
+
+  it('rejects uploads once the storage quota is used up', async () => {
+    process.env = { ...originalEnv, USER_STORAGE_QUOTA: '1' };
+    getStorageUsage.mockResolvedValue(1024 * 1024);
+
+    const response = await request(app)
+      .post('/api/files')
+      .field('file_id', '1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed')
+      .attach('file', Buffer.from('Notes'), 'notes.txt');
+
+    expect(response.statusCode).toBe(413);
+    expect(response.body.message).toContain('Storage quota exceeded');
+  });
+});
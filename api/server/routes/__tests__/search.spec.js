@@ -0,0 +1,116 @@
+const request = require('supertest');
+const express = require('express');
+const { getConvosQueried } = require('~/models/Conversation');
+const { getMessagePaths } = require('~/models/Message');
+const { getSearchProvider, isSearchEnabled } = require('~/server/services/Search');
+
+jest.mock('~/models/Conversation', () => ({
+  getConvosQueried: jest.fn(),
+}));
+
+jest.mock('~/models/Message', () => ({
+  getMessagePaths: jest.fn(),
+}));
+
+jest.mock('~/server/services/Search', () => ({
+  getSearchProvider: jest.fn(),
+  isSearchEnabled: jest.fn(),
+}));
+
+jest.mock('~/cache/getLogStores', () => () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+}));
+
+jest.mock('~/server/middleware/requireJwtAuth', () => (req, res, next) => {
+  req.user = { id: 'user-id' };
+  next();
+});
+
+const search = require('../search');
+const app = express();
+app.use('/api/search', search);
+
+const convo = { conversationId: 'convo-id', title: 'Trip ideas', model: 'gpt-4' };
+const provider = {
+  searchMessages: jest.fn(),
+  searchConvos: jest.fn(),
+};
+
+describe('/api/search', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getSearchProvider.mockReturnValue(provider);
+    provider.searchMessages.mockResolvedValue([
+      { messageId: 'message-id', conversationId: 'convo-id', text: '**Paris**' },
+    ]);
+    provider.searchConvos.mockResolvedValue([convo]);
+    getMessagePaths.mockResolvedValue({ 'message-id': ['parent-id', 'message-id'] });
+    getConvosQueried.mockResolvedValue({
+      conversations: [convo],
+      pages: 1,
+      pageNumber: '1',
+      pageSize: 14,
+      convoMap: { 'convo-id': convo },
+    });
+  });
+
+  it('should search the messages and titles of the user with the provider', async () => {
+    const response = await request(app).get('/api/search?q=paris');
+
+    expect(response.statusCode).toBe(200);
+    expect(provider.searchMessages).toHaveBeenCalledWith('user-id', 'paris', {});
+    expect(provider.searchConvos).toHaveBeenCalledWith('user-id', 'paris', {});
+    expect(response.body.conversations).toEqual([convo]);
+    expect(response.body.messages).toEqual([
+      {
+        messageId: 'message-id',
+        conversationId: 'convo-id',
+        text: '**Paris**',
+        searchResult: true,
+        title: 'Trip ideas',
+        model: 'gpt-4',
+        path: ['parent-id', 'message-id'],
+      },
+    ]);
+    expect(getMessagePaths).toHaveBeenCalledWith('user-id', [
+      expect.objectContaining({ messageId: 'message-id', conversationId: 'convo-id' }),
+    ]);
+  });
+
+  it('should pass the valid filters to the provider and the conversations query', async () => {
+    await request(app).get(
+      '/api/search?q=paris&endpoint=openAI&model=gpt-4&startDate=2024-01-01T00:00:00.000Z&endDate=invalid',
+    );
+
+    const filters = {
+      endpoint: 'openAI',
+      model: 'gpt-4',
+      startDate: new Date('2024-01-01T00:00:00.000Z'),
+    };
+    expect(provider.searchMessages).toHaveBeenCalledWith('user-id', 'paris', filters);
+    expect(provider.searchConvos).toHaveBeenCalledWith('user-id', 'paris', filters);
+    expect(getConvosQueried).toHaveBeenCalledWith(
+      'user-id',
+      [{ conversationId: 'convo-id', count: 2, title: 'Trip ideas' }],
+      1,
+      undefined,
+      filters,
+    );
+  });
+
+  it('should only search messages when filtering by sender', async () => {
+    await request(app).get('/api/search?q=paris&sender=User');
+
+    expect(provider.searchMessages).toHaveBeenCalledWith('user-id', 'paris', { sender: 'User' });
+    expect(provider.searchConvos).not.toHaveBeenCalled();
+  });
+
+  it('should report whether search is enabled', async () => {
+    isSearchEnabled.mockResolvedValue(true);
+
+    const response = await request(app).get('/api/search/enable');
+
+    expect(response.body).toBe(true);
+  });
+});
@@ -0,0 +1,127 @@
+const request = require('supertest');
+const express = require('express');
+const {
+  getSharedLink,
+  getSharedLinks,
+  createSharedLink,
+  updateSharedLink,
+  deleteSharedLink,
+} = require('~/models');
+
+jest.mock('~/models', () => ({
+  getSharedLink: jest.fn(),
+  getSharedLinks: jest.fn(),
+  createSharedLink: jest.fn(),
+  updateSharedLink: jest.fn(),
+  deleteSharedLink: jest.fn(),
+}));
+
+jest.mock('~/server/middleware/requireJwtAuth', () => (req, res, next) => {
+  if (!req.headers.authorization) {
+    return res.status(401).send('Unauthorized');
+  }
+  req.user = { id: 'user-id' };
+  next();
+});
+
+const share = require('../share');
+const app = express();
+app.use(express.json());
+app.use('/api/share', share);
+
+const link = { shareId: 'share-id', conversationId: 'convo-id', title: 'Shared Chat' };
+
+describe('/api/share', () => {
+  it('should serve a shared link without authentication', async () => {
+    getSharedLink.mockResolvedValue({ ...link, user: 'owner-id', messages: [] });
+
+    const response = await request(app).get('/api/share/share-id');
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toEqual({ ...link, messages: [] });
+    expect(getSharedLink).toHaveBeenCalledWith('share-id');
+  });
+
+  it('should return 404 for an unknown or revoked link', async () => {
+    getSharedLink.mockResolvedValue(null);
+    const response = await request(app).get('/api/share/unknown');
+    expect(response.statusCode).toBe(404);
+  });
+
+  it('should require authentication to list, create, update and revoke links', async () => {
+    const responses = await Promise.all([
+      request(app).get('/api/share'),
+      request(app).post('/api/share').send({ conversationId: 'convo-id' }),
+      request(app).patch('/api/share/share-id'),
+      request(app).delete('/api/share/share-id'),
+    ]);
+
+    responses.forEach((response) => expect(response.statusCode).toBe(401));
+  });
+
+  it('should list the links of the user', async () => {
+    getSharedLinks.mockResolvedValue([link]);
+
+    const response = await request(app).get('/api/share').set('Authorization', 'Bearer token');
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toEqual([link]);
+    expect(getSharedLinks).toHaveBeenCalledWith('user-id');
+  });
+
+  it('should create a link for a conversation of the user', async () => {
+    createSharedLink.mockResolvedValue(link);
+
+    const response = await request(app)
+      .post('/api/share')
+      .set('Authorization', 'Bearer token')
+      .send({ conversationId: 'convo-id' });
+
+    expect(response.statusCode).toBe(201);
+    expect(response.body).toEqual(link);
+    expect(createSharedLink).toHaveBeenCalledWith('user-id', 'convo-id');
+  });
+
+  it('should not create a link without a conversation of the user', async () => {
+    createSharedLink.mockResolvedValue(null);
+
+    const missing = await request(app)
+      .post('/api/share')
+      .set('Authorization', 'Bearer token')
+      .send({});
+    const notFound = await request(app)
+      .post('/api/share')
+      .set('Authorization', 'Bearer token')
+      .send({ conversationId: 'other-convo-id' });
+
+    expect(missing.statusCode).toBe(400);
+    expect(notFound.statusCode).toBe(404);
+  });
+
+  it('should update and revoke the links of the user', async () => {
+    updateSharedLink.mockResolvedValue(link);
+    deleteSharedLink.mockResolvedValue({ deletedCount: 1 });
+
+    const updated = await request(app)
+      .patch('/api/share/share-id')
+      .set('Authorization', 'Bearer token');
+    const revoked = await request(app)
+      .delete('/api/share/share-id')
+      .set('Authorization', 'Bearer token');
+
+    expect(updated.statusCode).toBe(200);
+    expect(updateSharedLink).toHaveBeenCalledWith('user-id', 'share-id');
+    expect(revoked.statusCode).toBe(204);
+    expect(deleteSharedLink).toHaveBeenCalledWith('user-id', 'share-id');
+  });
+
+  it('should return 404 when revoking a link of another user', async () => {
+    deleteSharedLink.mockResolvedValue({ deletedCount: 0 });
+
+    const response = await request(app)
+      .delete('/api/share/share-id')
+      .set('Authorization', 'Bearer token');
+
+    expect(response.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,221 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { SystemRoles } = require('librechat-data-provider');
+const {
+  listUsers,
+  createUser,
+  setUserDisabled,
+  deleteUser,
+  resetUserPassword,
+  addUserBalance,
+  getUserViolations,
+  banUser,
+  unbanUser,
+} = require('~/server/services/AdminService');
+const requireJwtAuth = require('~/server/middleware/requireJwtAuth');
+const requireAdmin = require('~/server/middleware/requireAdmin');
+const { allUsageController } = require('~/server/controllers/UsageController');
+const { disableTwoFactor } = require('~/server/services/TwoFactorService');
+const { getSearchProvider } = require('~/server/services/Search');
+const { isEnabled } = require('~/server/utils');
+
+const router = express.Router();
+router.use(requireJwtAuth);
+router.use(requireAdmin);
+
+router.param('userId', (req, res, next, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return res.status(404).send({ message: 'User not found' });
+  }
+  next();
+});
+
+/** Admins can't lock themselves out: disabling, deleting or banning their own account is rejected */
+const notSelf = (req, res, next) => {
+  if (req.params.userId === req.user.id) {
+    return res.status(400).send({ message: 'You cannot do this to your own account' });
+  }
+  next();
+};
+
+// LIST/SEARCH users
+router.get('/users', async (req, res) => {
+  const pageNumber = Math.max(parseInt(req.query.pageNumber, 10) || 1, 1);
+  try {
+    res.status(200).send(await listUsers({ search: req.query.search, pageNumber }));
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error getting users' });
+  }
+});
+
+// CREATE a local account
+router.post('/users', async (req, res) => {
+  const { email, password, name, username, role = SystemRoles.USER } = req.body ?? {};
+  if (!Object.values(SystemRoles).includes(role)) {
+    return res.status(400).send({ message: 'Invalid role' });
+  }
+
+  try {
+    const { status, message, user } = await createUser({ email, password, name, username, role });
+    res.status(status).send(user ?? { message });
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error creating user' });
+  }
+});
+
+// DELETE a user and their data
+router.delete('/users/:userId', notSelf, async (req, res) => {
+  try {
+    if (!(await deleteUser(req.params.userId))) {
+      return res.status(404).send({ message: 'User not found' });
+    }
+    res.status(200).send({ message: 'User deleted' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error deleting user' });
+  }
+});
+
+const setDisabled = (disabled) => async (req, res) => {
+  try {
+    const user = await setUserDisabled(req.params.userId, disabled);
+    if (!user) {
+      return res.status(404).send({ message: 'User not found' });
+    }
+    res.status(200).send(user);
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error updating user' });
+  }
+};
+
+router.post('/users/:userId/disable', notSelf, setDisabled(true));
+router.post('/users/:userId/enable', setDisabled(false));
+
+// RESET the password of a user
+router.post('/users/:userId/password', async (req, res) => {
+  const { password } = req.body ?? {};
+  if (typeof password !== 'string' || password.length < 8 || password.length > 128) {
+    return res.status(400).send({ message: 'Password must be 8 to 128 characters long' });
+  }
+
+  try {
+    if (!(await resetUserPassword(req.params.userId, password))) {
+      return res.status(404).send({ message: 'User not found' });
+    }
+    res.status(200).send({ message: 'Password reset' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error resetting password' });
+  }
+});
+
+// RESET the two-factor authentication of a user who lost their authenticator and backup codes
+router.delete('/users/:userId/2fa', async (req, res) => {
+  try {
+    if (!(await disableTwoFactor(req.params.userId))) {
+      return res.status(404).send({ message: 'User not found' });
+    }
+    res.status(200).send({ message: 'Two-factor authentication reset' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error resetting two-factor authentication' });
+  }
+});
+
+// GRANT token credits
+router.post('/users/:userId/balance', async (req, res) => {
+  if (!isEnabled(process.env.CHECK_BALANCE)) {
+    return res.status(400).send({ message: 'Balances are disabled: set CHECK_BALANCE=true' });
+  }
+
+  const amount = Number(req.body?.amount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return res.status(400).send({ message: 'Amount must be a positive number' });
+  }
+
+  try {
+    const balance = await addUserBalance(req.params.userId, amount);
+    if (balance === null) {
+      return res.status(404).send({ message: 'User not found' });
+    }
+    res.status(200).send({ balance });
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error adding balance' });
+  }
+});
+
+// READ the violation logs of a user
+router.get('/users/:userId/violations', async (req, res) => {
+  try {
+    res.status(200).send(await getUserViolations(req.params.userId));
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error getting violations' });
+  }
+});
+
+// BAN a user for `duration` minutes
+router.post('/users/:userId/ban', notSelf, async (req, res) => {
+  if (!isEnabled(process.env.BAN_VIOLATIONS)) {
+    return res.status(400).send({ message: 'Bans are disabled: set BAN_VIOLATIONS=true' });
+  }
+
+  const duration = Number(req.body?.duration);
+  if (!Number.isFinite(duration) || duration <= 0) {
+    return res.status(400).send({ message: 'Duration must be a positive number of minutes' });
+  }
+
+  try {
+    const bannedUntil = await banUser(req.params.userId, duration * 60000);
+    if (!bannedUntil) {
+      return res.status(404).send({ message: 'User not found' });
+    }
+    res.status(200).send({ bannedUntil });
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error banning user' });
+  }
+});
+
+// UNBAN a user
+router.delete('/users/:userId/ban', async (req, res) => {
+  try {
+    await unbanUser(req.params.userId);
+    res.status(200).send({ message: 'User unbanned' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error unbanning user' });
+  }
+});
+
+// READ the daily usage of all users, or of `userId`
+router.get('/usage', allUsageController);
+
+// READ the progress of the search index sync
+router.get('/search/sync', (req, res) => {
+  const provider = getSearchProvider();
+  if (!provider.getSyncProgress) {
+    return res.status(400).send({ message: 'The search provider has no index to sync' });
+  }
+  res.status(200).send(provider.getSyncProgress());
+});
+
+// SYNC the search index with the database, in the background
+router.post('/search/sync', (req, res) => {
+  const provider = getSearchProvider();
+  if (!provider.sync) {
+    return res.status(400).send({ message: 'The search provider has no index to sync' });
+  }
+
+  provider.sync().catch((error) => {
+    console.log('[Search] Error syncing the search index');
+    console.error(error);
+  });
+  res.status(202).send(provider.getSyncProgress?.() ?? []);
+});
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const AskController = require('~/server/controllers/AskController');
-const { initializeClient } = require('~/server/services/Endpoints/google');
+const { addTitle, initializeClient } = require('~/server/services/Endpoints/google');
 const {
   setHeaders,
   handleAbort,
@@ -13,7 +13,7 @@ const router = express.Router();
 router.post('/abort', handleAbort());
 
 router.post('/', validateEndpoint, buildEndpointOption, setHeaders, async (req, res, next) => {
-  await AskController(req, res, next, initializeClient);
+  await AskController(req, res, next, initializeClient, addTitle);
 });
 
 module.exports = router;
@@ -5,6 +5,7 @@ const { validateTools } = require('~/app');
 const { addTitle } = require('~/server/services/Endpoints/openAI');
 const { initializeClient } = require('~/server/services/Endpoints/gptPlugins');
 const { saveMessage, getConvoTitle, getConvo } = require('~/models');
+const { withFileUrls } = require('~/server/services/Files/strategies');
 const { sendMessage, createOnProgress } = require('~/server/utils');
 const {
   handleAbort,
@@ -198,8 +199,8 @@ router.post('/', validateEndpoint, buildEndpointOption, setHeaders, async (req,
       title: await getConvoTitle(user, conversationId),
       final: true,
       conversation: await getConvo(user, conversationId),
-      requestMessage: userMessage,
-      responseMessage: response,
+      requestMessage: await withFileUrls(userMessage, user),
+      responseMessage: await withFileUrls(response, user),
     });
     res.end();
 
@@ -1,15 +1,18 @@
 const express = require('express');
 const openAI = require('./openAI');
+const custom = require('./custom');
 const google = require('./google');
 const bingAI = require('./bingAI');
 const anthropic = require('./anthropic');
 const gptPlugins = require('./gptPlugins');
 const askChatGPTBrowser = require('./askChatGPTBrowser');
 const { isEnabled } = require('~/server/utils');
+const { getStream } = require('~/server/services/StreamService');
 const { EModelEndpoint } = require('librechat-data-provider');
 const {
   uaParser,
   checkBan,
+  setHeaders,
   requireJwtAuth,
   concurrentLimiter,
   messageIpLimiter,
@@ -24,6 +27,19 @@ router.use(requireJwtAuth);
 router.use(checkBan);
 router.use(uaParser);
 
+/**
+ * Resumes a generation stream, sending the events generated so far before the new ones.
+ * Registered before the message limiters, as it doesn't start a new generation.
+ */
+router.get('/stream/:streamId', (req, res) => {
+  const stream = getStream(req.params.streamId, req.user.id);
+  if (!stream) {
+    return res.status(404).json({ message: 'Stream not found' });
+  }
+
+  setHeaders(req, res, () => stream.attach(res));
+});
+
 if (isEnabled(LIMIT_CONCURRENT_MESSAGES)) {
   router.use(concurrentLimiter);
 }
@@ -41,6 +57,7 @@ router.use(`/${EModelEndpoint.chatGPTBrowser}`, askChatGPTBrowser);
 router.use(`/${EModelEndpoint.gptPlugins}`, gptPlugins);
 router.use(`/${EModelEndpoint.anthropic}`, anthropic);
 router.use(`/${EModelEndpoint.google}`, google);
+router.use(`/${EModelEndpoint.custom}`, custom);
 router.use(`/${EModelEndpoint.bingAI}`, bingAI);
 
 module.exports = router;
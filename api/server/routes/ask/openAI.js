@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { sendMessage, createOnProgress } = require('~/server/utils');
 const { saveMessage, getConvoTitle, getConvo } = require('~/models');
+const { withFileUrls } = require('~/server/services/Files/strategies');
 const { getResponseSender } = require('librechat-data-provider');
 const { addTitle, initializeClient } = require('~/server/services/Endpoints/openAI');
 const {
@@ -119,17 +120,14 @@ router.post('/', validateEndpoint, buildEndpointOption, setHeaders, async (req,
       response = { ...response, ...metadata };
     }
 
-    if (client.options.attachments) {
-      userMessage.files = client.options.attachments;
-      delete userMessage.image_urls;
-    }
+    delete userMessage.image_urls;
 
     sendMessage(res, {
       title: await getConvoTitle(user, conversationId),
       final: true,
       conversation: await getConvo(user, conversationId),
-      requestMessage: userMessage,
-      responseMessage: response,
+      requestMessage: await withFileUrls(userMessage, user),
+      responseMessage: await withFileUrls(response, user),
     });
     res.end();
 
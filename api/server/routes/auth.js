@@ -4,16 +4,27 @@ const {
   resetPasswordController,
   refreshController,
   registrationController,
+  verifyEmailController,
+  resendVerificationController,
 } = require('../controllers/AuthController');
 const { loginController } = require('../controllers/auth/LoginController');
 const { logoutController } = require('../controllers/auth/LogoutController');
+const {
+  enableTwoFactorController,
+  confirmTwoFactorController,
+  disableTwoFactorController,
+  regenerateBackupCodesController,
+  twoFactorLoginController,
+} = require('../controllers/TwoFactorController');
 const {
   checkBan,
   loginLimiter,
   registerLimiter,
+  verifyEmailLimiter,
   requireJwtAuth,
   requireLocalAuth,
   validateRegistration,
+  requireTwoFactorSetupAuth,
 } = require('../middleware');
 
 const router = express.Router();
@@ -23,7 +34,16 @@ router.post('/logout', requireJwtAuth, logoutController);
 router.post('/login', loginLimiter, checkBan, requireLocalAuth, loginController);
 router.post('/refresh', refreshController);
 router.post('/register', registerLimiter, checkBan, validateRegistration, registrationController);
+router.post('/verify', verifyEmailController);
+router.post('/verify/resend', verifyEmailLimiter, resendVerificationController);
 router.post('/requestPasswordReset', resetPasswordRequestController);
 router.post('/resetPassword', resetPasswordController);
 
+//Two-factor authentication
+router.post('/2fa/login', loginLimiter, checkBan, twoFactorLoginController);
+router.post('/2fa/enable', requireTwoFactorSetupAuth, enableTwoFactorController);
+router.post('/2fa/confirm', requireTwoFactorSetupAuth, confirmTwoFactorController);
+router.post('/2fa/disable', requireJwtAuth, disableTwoFactorController);
+router.post('/2fa/backup-codes', requireJwtAuth, regenerateBackupCodesController);
+
 module.exports = router;
@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const controller = require('../controllers/Balance');
-const { requireJwtAuth } = require('../middleware/');
+const { usageController, balanceHistoryController } = require('../controllers/UsageController');
+const requireJwtAuth = require('../middleware/requireJwtAuth');
 
 router.get('/', requireJwtAuth, controller);
+router.get('/history', requireJwtAuth, balanceHistoryController);
+router.get('/usage', requireJwtAuth, usageController);
 
 module.exports = router;
@@ -30,6 +30,7 @@ router.get('/', async function (req, res) {
         !!process.env.EMAIL_PASSWORD &&
         !!process.env.EMAIL_FROM,
       checkBalance: isEnabled(process.env.CHECK_BALANCE),
+      titleConvo: isEnabled(process.env.TITLE_CONVO ?? 'true'),
     };
 
     if (typeof process.env.CUSTOM_FOOTER === 'string') {
@@ -1,14 +1,97 @@
+const multer = require('multer');
 const express = require('express');
 const router = express.Router();
 const { getConvo, saveConvo } = require('../../models');
-const { getConvosByPage, deleteConvos } = require('../../models/Conversation');
+const {
+  bulkActions,
+  getConvoTags,
+  deleteConvoTag,
+  getConvosByCursor,
+  decodeConvoCursor,
+  bulkUpdateConvos,
+  deleteConvos,
+} = require('../../models/Conversation');
+const { importConversations } = require('../services/ImportService');
+const { isTitleEnabled, regenerateTitle } = require('../services/TitleService');
 const requireJwtAuth = require('../middleware/requireJwtAuth');
 
+const importSizeLimit = 50 * 1024 * 1024; // 50 MB
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: importSizeLimit },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype !== 'application/json' && !file.originalname.endsWith('.json')) {
+      return cb(new Error('Unsupported file type. Only JSON files are allowed.'), false);
+    }
+    cb(null, true);
+  },
+}).single('file');
+
 router.use(requireJwtAuth);
 
+/**
+ * Parses the optional conversation list filters from the query string.
+ * @param {Object} query - The request query.
+ * @returns {Object} The filters for `getConvosByCursor`.
+ */
+const parseConvoFilters = ({ archived, tags, pinned, endpoint, startDate, endDate }) => {
+  const filters = {};
+  if (archived === 'true') {
+    filters.isArchived = true;
+  }
+  if (tags) {
+    filters.tags = [].concat(tags).filter(Boolean);
+  }
+  if (pinned === 'true' || pinned === 'false') {
+    filters.isPinned = pinned === 'true';
+  }
+  if (endpoint) {
+    filters.endpoint = endpoint;
+  }
+  for (const [key, value] of Object.entries({ startDate, endDate })) {
+    const date = value ? new Date(value) : null;
+    if (date && !isNaN(date.getTime())) {
+      filters[key] = date;
+    }
+  }
+  return filters;
+};
+
+const maxLimit = 100;
+
 router.get('/', async (req, res) => {
-  const pageNumber = req.query.pageNumber || 1;
-  res.status(200).send(await getConvosByPage(req.user.id, pageNumber));
+  const { cursor } = req.query;
+  if (cursor && !decodeConvoCursor(cursor)) {
+    return res.status(400).json({ message: 'Invalid cursor' });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), maxLimit);
+  const filters = parseConvoFilters(req.query);
+
+  try {
+    res.status(200).json(await getConvosByCursor(req.user.id, { cursor, limit, filters }));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Error getting conversations' });
+  }
+});
+
+router.get('/tags', async (req, res) => {
+  try {
+    res.status(200).json(await getConvoTags(req.user.id));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Error getting conversation tags' });
+  }
+});
+
+router.delete('/tags/:tag', async (req, res) => {
+  try {
+    res.status(200).json(await deleteConvoTag(req.user.id, req.params.tag));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Error deleting conversation tag' });
+  }
 });
 
 router.get('/:conversationId', async (req, res) => {
@@ -57,4 +140,105 @@ router.post('/update', async (req, res) => {
   }
 });
 
+router.post('/gen_title', async (req, res) => {
+  const { conversationId } = req.body.arg ?? {};
+  if (!conversationId) {
+    return res.status(400).json({ message: 'No conversationId provided' });
+  }
+  if (!isTitleEnabled()) {
+    return res.status(400).json({ message: 'Title generation is disabled' });
+  }
+
+  try {
+    const convo = await regenerateTitle(req, conversationId);
+    if (!convo) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    res.status(200).json(convo);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Error generating the title' });
+  }
+});
+
+/**
+ * Creates the handler that archives or restores the conversation in `req.body.arg`.
+ * @param {'archive' | 'unarchive'} action
+ */
+const setArchived = (action) => async (req, res) => {
+  const { conversationId } = req.body.arg ?? {};
+  if (!conversationId) {
+    return res.status(400).json({ message: 'No conversationId provided' });
+  }
+
+  try {
+    const result = await bulkUpdateConvos(req.user.id, [conversationId], action);
+    if (!result.matchedCount) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    res.status(200).json(result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Error updating conversation' });
+  }
+};
+
+router.post('/archive', setArchived('archive'));
+
+router.post('/unarchive', setArchived('unarchive'));
+
+router.post('/bulk', async (req, res) => {
+  const { conversationIds, action, tags = [] } = req.body.arg ?? {};
+
+  if (!Array.isArray(conversationIds) || !conversationIds.length) {
+    return res.status(400).json({ message: 'No conversationIds provided' });
+  }
+
+  if (!bulkActions.includes(action)) {
+    return res.status(400).json({ message: `Invalid action: ${action}` });
+  }
+
+  const validTags = Array.isArray(tags)
+    ? tags.filter((tag) => typeof tag === 'string' && tag.trim()).map((tag) => tag.trim())
+    : [];
+  if ((action === 'tag' || action === 'untag') && !validTags.length) {
+    return res.status(400).json({ message: 'No tags provided' });
+  }
+
+  try {
+    const result = await bulkUpdateConvos(req.user.id, conversationIds, action, validTags);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Error updating conversations' });
+  }
+});
+
+router.post('/import', (req, res) => {
+  upload(req, res, async (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({ message: uploadError.message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file provided' });
+    }
+
+    let data;
+    try {
+      data = JSON.parse(req.file.buffer.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({ message: 'Invalid JSON file' });
+    }
+
+    try {
+      const summary = await importConversations(req.user.id, data);
+      res.status(201).json(summary);
+    } catch (error) {
+      console.error('Error importing conversations:', error);
+      res.status(400).json({ message: error.message });
+    }
+  });
+});
+
 module.exports = router;
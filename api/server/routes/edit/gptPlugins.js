@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { validateTools } = require('~/app');
 const { saveMessage, getConvoTitle, getConvo } = require('~/models');
+const { withFileUrls } = require('~/server/services/Files/strategies');
 const { getResponseSender } = require('librechat-data-provider');
 const { initializeClient } = require('~/server/services/Endpoints/gptPlugins');
 const { sendMessage, createOnProgress, formatSteps, formatAction } = require('~/server/utils');
@@ -171,8 +172,8 @@ router.post('/', validateEndpoint, buildEndpointOption, setHeaders, async (req,
       title: await getConvoTitle(user, conversationId),
       final: true,
       conversation: await getConvo(user, conversationId),
-      requestMessage: userMessage,
-      responseMessage: response,
+      requestMessage: await withFileUrls(userMessage, user),
+      responseMessage: await withFileUrls(response, user),
     });
     res.end();
   } catch (error) {
@@ -3,6 +3,7 @@ const router = express.Router();
 const { getResponseSender } = require('librechat-data-provider');
 const { initializeClient } = require('~/server/services/Endpoints/openAI');
 const { saveMessage, getConvoTitle, getConvo } = require('~/models');
+const { withFileUrls } = require('~/server/services/Files/strategies');
 const { sendMessage, createOnProgress } = require('~/server/utils');
 const {
   handleAbort,
@@ -123,8 +124,8 @@ router.post('/', validateEndpoint, buildEndpointOption, setHeaders, async (req,
       title: await getConvoTitle(user, conversationId),
       final: true,
       conversation: await getConvo(user, conversationId),
-      requestMessage: userMessage,
-      responseMessage: response,
+      requestMessage: await withFileUrls(userMessage, user),
+      responseMessage: await withFileUrls(response, user),
     });
     res.end();
   } catch (error) {
@@ -1,31 +1,106 @@
 const { z } = require('zod');
 const fs = require('fs').promises;
 const express = require('express');
-const { deleteFiles } = require('~/models');
-const path = require('path');
+const { getFiles, deleteFiles, getFilesByCursor, getStorageUsage } = require('~/models');
+const { decodeFileCursor } = require('~/models/File');
+const { localDocumentStrategy } = require('~/server/services/Files');
+const { getStrategy } = require('~/server/services/Files/strategies');
+const { quotaExceeded, getStorageQuota } = require('~/server/services/Files/quota');
+const { deleteFileVectors } = require('~/server/services/Files/retrieval');
+const { isSupportedDocument } = require('~/server/services/Files/documents');
+const upload = require('./multer');
 
 const router = express.Router();
 
 const isUUID = z.string().uuid();
 
-const isValidPath = (req, base, subfolder, filepath) => {
-  const normalizedBase = path.resolve(base, subfolder, req.user.id);
-  const normalizedFilepath = path.resolve(filepath);
-  return normalizedFilepath.startsWith(normalizedBase);
+const maxLimit = 100;
+
+/**
+ * Parses the optional file list filters from the query string.
+ * @param {Object} query - The request query.
+ * @returns {{ type?: 'image' | 'document', search?: string }} The filters for `getFilesByCursor`.
+ */
+const parseFileFilters = ({ type, search }) => {
+  const filters = {};
+  if (type === 'image' || type === 'document') {
+    filters.type = type;
+  }
+  if (typeof search === 'string' && search.trim()) {
+    filters.search = search.trim();
+  }
+  return filters;
 };
 
-const deleteFile = async (req, file) => {
-  const { publicPath } = req.app.locals.config;
-  const parts = file.filepath.split(path.sep);
-  const subfolder = parts[1];
-  const filepath = path.join(publicPath, file.filepath);
+router.get('/', async (req, res) => {
+  const { cursor } = req.query;
+  if (cursor && !decodeFileCursor(cursor)) {
+    return res.status(400).json({ message: 'Invalid cursor' });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), maxLimit);
+  const filters = parseFileFilters(req.query);
 
-  if (!isValidPath(req, publicPath, subfolder, filepath)) {
-    throw new Error('Invalid file path');
+  try {
+    const { files, nextCursor } = await getFilesByCursor(req.user.id, { cursor, limit, filters });
+    const strategy = getStrategy();
+    for (const file of files) {
+      file.url = await strategy.getUrl(file.filepath);
+    }
+    res.status(200).json({ files, nextCursor });
+  } catch (error) {
+    console.error('Error getting files:', error);
+    res.status(500).json({ message: 'Error getting files' });
   }
+});
 
-  await fs.unlink(filepath);
-};
+router.get('/storage', async (req, res) => {
+  try {
+    res.status(200).json({ bytes: await getStorageUsage(req.user.id), quota: getStorageQuota() });
+  } catch (error) {
+    console.error('Error getting storage usage:', error);
+    res.status(500).json({ message: 'Error getting storage usage' });
+  }
+});
+
+router.post('/', upload.single('file'), async (req, res) => {
+  const file = req.file;
+  const metadata = req.body;
+
+  try {
+    if (!file) {
+      throw new Error('No file provided');
+    }
+
+    if (!metadata.file_id) {
+      throw new Error('No file_id provided');
+    }
+
+    if (!isSupportedDocument(file.originalname)) {
+      throw new Error('Only documents can be uploaded, images are uploaded to /images');
+    }
+
+    /* parse to validate api call */
+    isUUID.parse(metadata.file_id);
+    metadata.temp_file_id = metadata.file_id;
+    metadata.file_id = req.file_id;
+    await localDocumentStrategy({ req, res, file, metadata });
+  } catch (error) {
+    console.error('Error processing file:', error);
+    try {
+      await fs.unlink(file.path);
+    } catch (error) {
+      /* the document strategy already removes its temp file */
+      if (error.code !== 'ENOENT') {
+        console.error('Error deleting file:', error);
+      }
+    }
+    if (error.code === quotaExceeded) {
+      return res.status(413).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error processing file' });
+  }
+});
 
 router.delete('/', async (req, res) => {
   try {
@@ -34,9 +109,6 @@ router.delete('/', async (req, res) => {
       if (!file.file_id) {
         return false;
       }
-      if (!file.filepath) {
-        return false;
-      }
       return isUUID.safeParse(file.file_id).success;
     });
 
@@ -45,11 +117,17 @@ router.delete('/', async (req, res) => {
       return;
     }
 
-    const file_ids = files.map((file) => file.file_id);
+    /* only the files of the user are deleted, from the paths they were stored at */
+    const userFiles = await getFiles({
+      file_id: { $in: files.map((file) => file.file_id) },
+      user: req.user.id,
+    });
+    const file_ids = userFiles.map((file) => file.file_id);
     const promises = [];
     promises.push(await deleteFiles(file_ids));
-    for (const file of files) {
-      promises.push(deleteFile(req, file));
+    promises.push(deleteFileVectors(file_ids));
+    for (const file of userFiles) {
+      promises.push(getStrategy().delete(file.filepath));
     }
 
     await Promise.all(promises);
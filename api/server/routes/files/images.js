@@ -3,6 +3,7 @@ const fs = require('fs').promises;
 const express = require('express');
 const upload = require('./multer');
 const { localStrategy } = require('~/server/services/Files');
+const { quotaExceeded } = require('~/server/services/Files/quota');
 
 const router = express.Router();
 
@@ -41,6 +42,9 @@ router.post('/', upload.single('file'), async (req, res) => {
     } catch (error) {
       console.error('Error deleting file:', error);
     }
+    if (error.code === quotaExceeded) {
+      return res.status(413).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error processing file' });
   }
 
@@ -9,6 +9,7 @@ const {
   // messageUserLimiter,
 } = require('../../middleware');
 
+const { quotaExceeded } = require('~/server/services/Files/quota');
 const files = require('./files');
 const images = require('./images');
 
@@ -19,4 +20,11 @@ router.use(uaParser);
 router.use('/', files);
 router.use('/images', images);
 
+/* rejected uploads, e.g. of unsupported files or exceeding the storage quota */
+// eslint-disable-next-line no-unused-vars
+router.use((error, req, res, next) => {
+  console.error('Error uploading file:', error.message);
+  res.status(error.code === quotaExceeded ? 413 : 400).json({ message: error.message });
+});
+
 module.exports = router;
@@ -2,13 +2,16 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const multer = require('multer');
+const { imageMimeTypes, fileSizeLimit } = require('librechat-data-provider');
+const { isSupportedDocument } = require('~/server/services/Files/documents');
+const { checkStorageQuota } = require('~/server/services/Files/quota');
 
-const supportedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-const sizeLimit = 20 * 1024 * 1024; // 20 MB
+const isImage = (file) => imageMimeTypes.includes(file.mimetype);
 
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    const outputPath = path.join(req.app.locals.config.imageOutput, 'temp');
+    const { imageOutput, uploads } = req.app.locals.config;
+    const outputPath = path.join(isImage(file) ? imageOutput : uploads, 'temp');
     if (!fs.existsSync(outputPath)) {
       fs.mkdirSync(outputPath, { recursive: true });
     }
@@ -17,21 +20,30 @@ const storage = multer.diskStorage({
   filename: function (req, file, cb) {
     req.file_id = crypto.randomUUID();
     const fileExt = path.extname(file.originalname);
-    cb(null, `img-${req.file_id}${fileExt}`);
+    cb(null, `${isImage(file) ? 'img' : 'file'}-${req.file_id}${fileExt}`);
   },
 });
 
-const fileFilter = (req, file, cb) => {
-  if (!supportedTypes.includes(file.mimetype)) {
+const fileFilter = async (req, file, cb) => {
+  if (!isImage(file) && !isSupportedDocument(file.originalname)) {
     return cb(
-      new Error('Unsupported file type. Only JPEG, JPG, PNG, and WEBP files are allowed.'),
+      new Error(
+        'Unsupported file type. Only images (JPEG, JPG, PNG, WEBP) and documents (PDF, DOCX, text, Markdown, CSV and source files) are allowed.',
+      ),
       false,
     );
   }
 
+  try {
+    /* the size of the file is only checked once processed */
+    await checkStorageQuota(req.user.id);
+  } catch (error) {
+    return cb(error, false);
+  }
+
   cb(null, true);
 };
 
-const upload = multer({ storage, fileFilter, limits: { fileSize: sizeLimit } });
+const upload = multer({ storage, fileFilter, limits: { fileSize: fileSizeLimit } });
 
 module.exports = upload;
@@ -17,6 +17,8 @@ const user = require('./user');
 const config = require('./config');
 const assistants = require('./assistants');
 const files = require('./files');
+const share = require('./share');
+const admin = require('./admin');
 
 module.exports = {
   search,
@@ -38,4 +40,6 @@ module.exports = {
   config,
   assistants,
   files,
+  share,
+  admin,
 };
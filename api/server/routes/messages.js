@@ -8,13 +8,16 @@ const {
   deleteMessages,
 } = require('../../models');
 const { countTokens } = require('../utils');
+const { withFileUrls } = require('~/server/services/Files/strategies');
 const { requireJwtAuth, validateMessageReq } = require('../middleware/');
 
 router.use(requireJwtAuth);
 
 router.get('/:conversationId', validateMessageReq, async (req, res) => {
   const { conversationId } = req.params;
-  res.status(200).send(await getMessages({ conversationId }));
+  const messages = await getMessages({ conversationId });
+  const withUrls = (message) => withFileUrls(message, req.user.id);
+  res.status(200).send(await Promise.all(messages.map(withUrls)));
 });
 
 // CREATE
@@ -28,7 +31,9 @@ router.post('/:conversationId', validateMessageReq, async (req, res) => {
 // READ
 router.get('/:conversationId/:messageId', validateMessageReq, async (req, res) => {
   const { conversationId, messageId } = req.params;
-  res.status(200).send(await getMessages({ conversationId, messageId }));
+  const messages = await getMessages({ conversationId, messageId });
+  const withUrls = (message) => withFileUrls(message, req.user.id);
+  res.status(200).send(await Promise.all(messages.map(withUrls)));
 });
 
 // UPDATE
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const controller = require('../controllers/ModelController');
+const { modelController, modelRatesController } = require('../controllers/ModelController');
 const { requireJwtAuth } = require('../middleware/');
 
-router.get('/', requireJwtAuth, controller);
+router.get('/', requireJwtAuth, modelController);
+router.get('/rates', requireJwtAuth, modelRatesController);
 
 module.exports = router;
@@ -1,34 +1,45 @@
-const Keyv = require('keyv');
 const express = require('express');
 const router = express.Router();
-const { MeiliSearch } = require('meilisearch');
-const { Message } = require('../../models/Message');
-const { Conversation, getConvosQueried } = require('../../models/Conversation');
+const { getConvosQueried } = require('../../models/Conversation');
+const { getMessagePaths } = require('../../models/Message');
+const { getSearchProvider, isSearchEnabled } = require('../services/Search');
 const { reduceHits } = require('../../lib/utils/reduceHits');
 const { cleanUpPrimaryKeyValue } = require('../../lib/utils/misc');
 const requireJwtAuth = require('../middleware/requireJwtAuth');
-const keyvRedis = require('../../cache/keyvRedis');
-const { isEnabled } = require('../utils');
+const getLogStores = require('../../cache/getLogStores');
 
-const expiration = 60 * 1000;
-const cache = isEnabled(process.env.USE_REDIS)
-  ? new Keyv({ store: keyvRedis })
-  : new Keyv({ namespace: 'search', ttl: expiration });
+const cache = getLogStores('search');
 
-router.use(requireJwtAuth);
+/**
+ * Parses the optional search filters from the query string, ignoring invalid dates.
+ * @param {Object} query - The request query.
+ * @returns {SearchFilters}
+ */
+const parseSearchFilters = ({ endpoint, model, sender, startDate, endDate }) => {
+  const filters = {};
+  for (const [key, value] of Object.entries({ endpoint, model, sender })) {
+    if (typeof value === 'string' && value) {
+      filters[key] = value;
+    }
+  }
+  for (const [key, value] of Object.entries({ startDate, endDate })) {
+    const date = value ? new Date(value) : null;
+    if (date && !isNaN(date.getTime())) {
+      filters[key] = date;
+    }
+  }
+  return filters;
+};
 
-router.get('/sync', async function (req, res) {
-  await Message.syncWithMeili();
-  await Conversation.syncWithMeili();
-  res.send('synced');
-});
+router.use(requireJwtAuth);
 
 router.get('/', async function (req, res) {
   try {
     let user = req.user.id ?? '';
     const { q } = req.query;
     const pageNumber = req.query.pageNumber || 1;
-    const key = `${user}:search:${q}`;
+    const filters = parseSearchFilters(req.query);
+    const key = `${user}:search:${q}:${JSON.stringify(filters)}`;
     const cached = await cache.get(key);
     if (cached) {
       console.log('cache hit', key);
@@ -39,31 +50,18 @@ router.get('/', async function (req, res) {
       return;
     }
 
-    // const message = await Message.meiliSearch(q);
-    const messages = (
-      await Message.meiliSearch(
-        q,
-        {
-          attributesToHighlight: ['text'],
-          highlightPreTag: '**',
-          highlightPostTag: '**',
-        },
-        true,
-      )
-    ).hits.map((message) => {
-      const { _formatted, ...rest } = message;
-      return {
-        ...rest,
-        searchResult: true,
-        text: _formatted.text,
-      };
-    });
-    const titles = (await Conversation.meiliSearch(q)).hits;
+    const provider = getSearchProvider();
+    const messages = (await provider.searchMessages(user, q, filters)).map((message) => ({
+      ...message,
+      searchResult: true,
+    }));
+    // Titles have no sender, so only messages are searched when filtering by sender
+    const titles = filters.sender ? [] : await provider.searchConvos(user, q, filters);
     const sortedHits = reduceHits(messages, titles);
     // debugging:
     // console.log('user:', user, 'message hits:', messages.length, 'convo hits:', titles.length);
     // console.log('sorted hits:', sortedHits.length);
-    const result = await getConvosQueried(user, sortedHits, pageNumber);
+    const result = await getConvosQueried(user, sortedHits, pageNumber, undefined, filters);
 
     const activeMessages = [];
     for (let i = 0; i < messages.length; i++) {
@@ -78,10 +76,15 @@ router.get('/', async function (req, res) {
         activeMessages.push(message);
       }
     }
-    result.messages = activeMessages;
+    // The path of each hit lets the client open the branch it is in
+    const paths = await getMessagePaths(user, activeMessages);
+    result.messages = activeMessages.map((message) => ({
+      ...message,
+      path: paths[message.messageId],
+    }));
     if (result.cache) {
-      result.cache.messages = activeMessages;
-      cache.set(key, result.cache, expiration);
+      result.cache.messages = result.messages;
+      cache.set(key, result.cache);
       delete result.cache;
     }
     delete result.convoMap;
@@ -96,31 +99,16 @@ router.get('/', async function (req, res) {
 
 router.get('/test', async function (req, res) {
   const { q } = req.query;
-  const messages = (
-    await Message.meiliSearch(q, { attributesToHighlight: ['text'] }, true)
-  ).hits.map((message) => {
-    const { _formatted, ...rest } = message;
-    return { ...rest, searchResult: true, text: _formatted.text };
-  });
-  res.send(messages);
+  const messages = await getSearchProvider().searchMessages(
+    req.user.id,
+    q,
+    parseSearchFilters(req.query),
+  );
+  res.send(messages.map((message) => ({ ...message, searchResult: true })));
 });
 
 router.get('/enable', async function (req, res) {
-  let result = false;
-  try {
-    const client = new MeiliSearch({
-      host: process.env.MEILI_HOST,
-      apiKey: process.env.MEILI_MASTER_KEY,
-    });
-
-    const { status } = await client.health();
-    // console.log(`Meilisearch: ${status}`);
-    result = status === 'available' && !!process.env.SEARCH;
-    return res.send(result);
-  } catch (error) {
-    // console.error(error);
-    return res.send(false);
-  }
+  res.send(await isSearchEnabled());
 });
 
 module.exports = router;
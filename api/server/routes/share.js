@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSharedLink,
+  getSharedLinks,
+  createSharedLink,
+  updateSharedLink,
+  deleteSharedLink,
+} = require('../../models');
+const requireJwtAuth = require('../middleware/requireJwtAuth');
+const { withFileUrls } = require('~/server/services/Files/strategies');
+
+// LIST the links of the user
+router.get('/', requireJwtAuth, async (req, res) => {
+  try {
+    res.status(200).send(await getSharedLinks(req.user.id));
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error getting shared links' });
+  }
+});
+
+// READ, public: anyone with the link can view the conversation snapshot
+router.get('/:shareId', async (req, res) => {
+  try {
+    const link = await getSharedLink(req.params.shareId);
+    if (!link) {
+      return res.status(404).send({ message: 'Shared link not found' });
+    }
+    const { user, ...sharedLink } = link;
+    if (sharedLink.messages) {
+      sharedLink.messages = await Promise.all(
+        sharedLink.messages.map((message) => withFileUrls(message, user?.toString())),
+      );
+    }
+    res.status(200).send(sharedLink);
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error getting shared link' });
+  }
+});
+
+// CREATE
+router.post('/', requireJwtAuth, async (req, res) => {
+  const { conversationId } = req.body ?? {};
+  if (!conversationId) {
+    return res.status(400).send({ message: 'conversationId is required' });
+  }
+
+  try {
+    const sharedLink = await createSharedLink(req.user.id, conversationId);
+    if (!sharedLink) {
+      return res.status(404).send({ message: 'Conversation not found' });
+    }
+    res.status(201).send(sharedLink);
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error creating shared link' });
+  }
+});
+
+// UPDATE: snapshot the current state of the conversation
+router.patch('/:shareId', requireJwtAuth, async (req, res) => {
+  try {
+    const sharedLink = await updateSharedLink(req.user.id, req.params.shareId);
+    if (!sharedLink) {
+      return res.status(404).send({ message: 'Shared link not found' });
+    }
+    res.status(200).send(sharedLink);
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error updating shared link' });
+  }
+});
+
+// DELETE: revoke the link
+router.delete('/:shareId', requireJwtAuth, async (req, res) => {
+  try {
+    const result = await deleteSharedLink(req.user.id, req.params.shareId);
+    if (!result?.deletedCount) {
+      return res.status(404).send({ message: 'Shared link not found' });
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error(error);
+    res.status(500).send({ message: 'Error deleting shared link' });
+  }
+});
+
+module.exports = router;
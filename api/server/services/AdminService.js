@@ -0,0 +1,259 @@
+const bcrypt = require('bcryptjs');
+const { SystemRoles } = require('librechat-data-provider');
+const { User, Key, Session, Balance, Transaction } = require('~/models');
+const PluginAuth = require('~/models/schema/pluginAuthSchema');
+const { Conversation } = require('~/models/Conversation');
+const { SharedLink } = require('~/models/Share');
+const { Message } = require('~/models/Message');
+const { Preset } = require('~/models/Preset');
+const { isEnabled } = require('~/server/utils');
+const { getLogStores } = require('~/cache');
+const { registerUser } = require('./AuthService');
+
+const violationTypes = [
+  'concurrent',
+  'non_browser',
+  'message_limit',
+  'token_balance',
+  'registrations',
+  'logins',
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Returns the active ban of a user, if any.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<{ expiresAt: number } | undefined>}
+ */
+const getUserBan = async (userId) => await getLogStores('ban').get(userId);
+
+/**
+ * Adds the balance and ban status to the public fields of a user.
+ * @param {import('mongoose').Document} user - The user document.
+ * @param {number} [balance] - The token credits of the user.
+ */
+const toAdminUser = async (user, balance) => {
+  const ban = await getUserBan(user._id.toString());
+  return {
+    ...user.toJSON(),
+    balance: balance ?? 0,
+    bannedUntil: ban?.expiresAt ? new Date(ban.expiresAt).toISOString() : null,
+  };
+};
+
+/**
+ * Lists the users matching a search on their email, name or username, newest first.
+ * @param {Object} params
+ * @param {string} [params.search] - Text the email, name or username contains.
+ * @param {number} [params.pageNumber=1] - The page to return.
+ * @param {number} [params.pageSize=25] - The number of users per page.
+ */
+const listUsers = async ({ search, pageNumber = 1, pageSize = 25 }) => {
+  const filter = {};
+  if (search) {
+    const regex = new RegExp(escapeRegExp(search), 'i');
+    filter.$or = [{ email: regex }, { name: regex }, { username: regex }];
+  }
+
+  const totalUsers = await User.countDocuments(filter);
+  const pages = Math.max(Math.ceil(totalUsers / pageSize), 1);
+  const users = await User.find(filter)
+    .sort({ createdAt: -1 })
+    .skip((pageNumber - 1) * pageSize)
+    .limit(pageSize);
+
+  const balances = await Balance.find(
+    { user: { $in: users.map((user) => user._id) } },
+    'user tokenCredits',
+  ).lean();
+  const balanceByUser = new Map(balances.map((b) => [b.user.toString(), b.tokenCredits]));
+
+  return {
+    users: await Promise.all(
+      users.map((user) => toAdminUser(user, balanceByUser.get(user._id.toString()))),
+    ),
+    pages,
+    pageNumber,
+    pageSize,
+  };
+};
+
+/**
+ * Creates a local account with a verified email, skipping the registration limits and settings.
+ * @param {Object} params
+ * @param {string} params.email
+ * @param {string} params.password
+ * @param {string} params.name
+ * @param {string} [params.username]
+ * @param {string} [params.role=SystemRoles.USER]
+ * @returns {Promise<{ status: number, message?: string, user?: Object }>}
+ */
+const createUser = async ({ email, password, name, username = '', role = SystemRoles.USER }) => {
+  const existingUser = await User.findOne({ email }, '_id').lean();
+  if (existingUser) {
+    return { status: 409, message: 'A user with that email already exists' };
+  }
+
+  const response = await registerUser(
+    {
+      email,
+      password,
+      confirm_password: password,
+      name,
+      username,
+    },
+    { emailVerified: true },
+  );
+  if (response.status !== 200) {
+    return response;
+  }
+
+  const user = await User.findByIdAndUpdate(response.user._id, { role }, { new: true });
+  return { status: 201, user: await toAdminUser(user) };
+};
+
+/**
+ * Disables or re-enables a user; disabling also ends all their sessions.
+ * @param {string} userId - The user ID.
+ * @param {boolean} disabled - Whether the account is disabled.
+ * @returns {Promise<Object | null>} The updated user, or null if not found.
+ */
+const setUserDisabled = async (userId, disabled) => {
+  const user = await User.findByIdAndUpdate(userId, { disabled }, { new: true });
+  if (!user) {
+    return null;
+  }
+  if (disabled) {
+    await Session.deleteAllUserSessions(userId);
+  }
+  return await toAdminUser(user);
+};
+
+/**
+ * Deletes a user along with their conversations, messages, presets, keys and sessions.
+ * Transactions are kept as a record of the spent tokens.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<boolean>} Whether the user existed.
+ */
+const deleteUser = async (userId) => {
+  const user = await User.findById(userId, '_id').lean();
+  if (!user) {
+    return false;
+  }
+
+  await Promise.all([
+    Conversation.deleteMany({ user: userId }),
+    Message.deleteMany({ user: userId }),
+    Preset.deleteMany({ user: userId }),
+    SharedLink.deleteMany({ user: userId }),
+    Key.deleteMany({ userId }),
+    PluginAuth.deleteMany({ userId }),
+    Balance.deleteMany({ user: userId }),
+    Session.deleteAllUserSessions(userId),
+    getLogStores('ban').delete(userId),
+  ]);
+  await User.deleteOne({ _id: userId });
+  return true;
+};
+
+/**
+ * Sets a new password for a user and ends all their sessions.
+ * @param {string} userId - The user ID.
+ * @param {string} password - The new password.
+ * @returns {Promise<boolean>} Whether the user existed.
+ */
+const resetUserPassword = async (userId, password) => {
+  const hash = bcrypt.hashSync(password, 10);
+  const { matchedCount } = await User.updateOne({ _id: userId }, { $set: { password: hash } });
+  if (!matchedCount) {
+    return false;
+  }
+  await Session.deleteAllUserSessions(userId);
+  return true;
+};
+
+/**
+ * Grants token credits to a user by creating an `admin` credits transaction.
+ * @param {string} userId - The user ID.
+ * @param {number} amount - The token credits to add.
+ * @returns {Promise<number | null>} The new balance, or null if the user was not found.
+ */
+const addUserBalance = async (userId, amount) => {
+  const user = await User.findById(userId, '_id').lean();
+  if (!user) {
+    return null;
+  }
+
+  const balance = await Transaction.create({
+    user: user._id,
+    tokenType: 'credits',
+    context: 'admin',
+    rawAmount: amount,
+  });
+  return balance?.tokenCredits ?? null;
+};
+
+/**
+ * Returns the violations logged for a user, most recent first.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<Object[]>}
+ */
+const getUserViolations = async (userId) => {
+  const logs = getLogStores('general');
+  // `logViolation` keys the logs by violation type when using Redis
+  const keys = isEnabled(process.env.USE_REDIS)
+    ? violationTypes.map((type) => `${type}:${userId}`)
+    : [userId];
+
+  const violations = [];
+  for (const key of keys) {
+    violations.push(...((await logs.get(key)) ?? []));
+  }
+  return violations.sort((a, b) => new Date(b.date) - new Date(a.date));
+};
+
+/**
+ * Bans a user for the given duration and ends all their sessions.
+ * @param {string} userId - The user ID.
+ * @param {number} duration - The duration of the ban, in milliseconds.
+ * @returns {Promise<string | null>} The expiry date of the ban, or null if the user was not found.
+ */
+const banUser = async (userId, duration) => {
+  const user = await User.findById(userId, '_id').lean();
+  if (!user) {
+    return null;
+  }
+
+  const expiresAt = Date.now() + duration;
+  await getLogStores('ban').set(
+    userId,
+    { type: 'admin', violation_count: 0, duration, expiresAt },
+    duration,
+  );
+  await Session.deleteAllUserSessions(userId);
+  console.log(`[BAN] Banning user ${userId} for ${duration / 1000 / 60} minutes (admin)`);
+  return new Date(expiresAt).toISOString();
+};
+
+/**
+ * Lifts the ban of a user, including the ban cached by `checkBan`.
+ * @param {string} userId - The user ID.
+ */
+const unbanUser = async (userId) => {
+  const banCacheKey = isEnabled(process.env.USE_REDIS) ? `ban_cache:user:${userId}` : userId;
+  await getLogStores('ban').delete(userId);
+  await getLogStores('ban_cache').delete(banCacheKey);
+};
+
+module.exports = {
+  listUsers,
+  createUser,
+  setUserDisabled,
+  deleteUser,
+  resetUserPassword,
+  addUserBalance,
+  getUserViolations,
+  banUser,
+  unbanUser,
+};
@@ -4,7 +4,7 @@ const User = require('../../models/User');
 const Session = require('../../models/Session');
 const Token = require('../../models/schema/tokenSchema');
 const { registerSchema, errorsToString } = require('../../strategies/validators');
-const { sendEmail } = require('../utils');
+const { sendEmail, isEnabled } = require('../utils');
 const domains = {
   client: process.env.DOMAIN_CLIENT,
   server: process.env.DOMAIN_SERVER,
@@ -12,6 +12,53 @@ const domains = {
 
 const isProduction = process.env.NODE_ENV === 'production';
 
+const isEmailEnabled = () =>
+  (!!process.env.EMAIL_SERVICE || !!process.env.EMAIL_HOST) &&
+  !!process.env.EMAIL_USERNAME &&
+  !!process.env.EMAIL_PASSWORD &&
+  !!process.env.EMAIL_FROM;
+
+/** How long the links of password reset and verification emails are valid */
+const resetTokenExpiry = 15 * 60 * 1000;
+const verifyTokenExpiry = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether local accounts must verify their email before logging in.
+ * Verification can only be required when emails can be sent.
+ */
+const isEmailVerificationRequired = () =>
+  isEmailEnabled() && !isEnabled(process.env.ALLOW_UNVERIFIED_EMAIL_LOGIN ?? 'true');
+
+/**
+ * Emails a verification link to a user, replacing any previous one.
+ *
+ * @param {Object} user - The user document.
+ */
+const sendVerificationEmail = async (user) => {
+  await Token.deleteMany({ userId: user._id, type: 'verify_email' });
+
+  const verifyToken = crypto.randomBytes(32).toString('hex');
+  const hash = bcrypt.hashSync(verifyToken, 10);
+
+  await new Token({
+    userId: user._id,
+    token: hash,
+    type: 'verify_email',
+    expiresAt: new Date(Date.now() + verifyTokenExpiry),
+  }).save();
+
+  const link = `${domains.client}/verify?token=${verifyToken}&userId=${user._id}`;
+  sendEmail(
+    user.email,
+    'Verify your email',
+    {
+      name: user.name,
+      link,
+    },
+    'verifyEmail.handlebars',
+  );
+};
+
 /**
  * Logout user
  *
@@ -41,12 +88,14 @@ const logoutUser = async (userId, refreshToken) => {
 };
 
 /**
- * Register a new user
+ * Register a new user, and email them a verification link unless their email is already verified
  *
  * @param {Object} user <email, password, name, username>
+ * @param {Object} [options]
+ * @param {boolean} [options.emailVerified=false] - Whether the email is known to be verified
  * @returns
  */
-const registerUser = async (user) => {
+const registerUser = async (user, { emailVerified = false } = {}) => {
   const { error } = registerSchema.safeParse(user);
   if (error) {
     const errorMessage = errorsToString(error.errors);
@@ -89,6 +138,7 @@ const registerUser = async (user) => {
       name,
       avatar: null,
       role: isFirstRegisteredUser ? 'ADMIN' : 'USER',
+      emailVerified,
     });
 
     const salt = bcrypt.genSaltSync(10);
@@ -96,12 +146,63 @@ const registerUser = async (user) => {
     newUser.password = hash;
     await newUser.save();
 
+    if (!emailVerified && isEmailEnabled()) {
+      await sendVerificationEmail(newUser);
+    }
+
     return { status: 200, user: newUser };
   } catch (err) {
     return { status: 500, message: err?.message || 'Something went wrong' };
   }
 };
 
+/**
+ * Verify the email of a user
+ *
+ * @param {String} userId
+ * @param {String} token
+ * @returns {Promise<{ status: number, message: string }>}
+ */
+const verifyEmail = async (userId, token) => {
+  // MongoDB only removes the expired tokens once a minute
+  const verifyToken = await Token.findOne({
+    userId,
+    type: 'verify_email',
+    expiresAt: { $gt: new Date() },
+  });
+  if (!verifyToken || !bcrypt.compareSync(token, verifyToken.token)) {
+    return { status: 400, message: 'Invalid or expired email verification token' };
+  }
+
+  await User.updateOne({ _id: userId }, { $set: { emailVerified: true } });
+  await verifyToken.deleteOne();
+
+  return { status: 200, message: 'Email verification was successful' };
+};
+
+/**
+ * Resend the verification email of a local account.
+ * The response is the same whether or not the account exists, to not reveal registered emails.
+ *
+ * @param {String} email
+ * @returns {Promise<{ status: number, message: string }>}
+ */
+const resendVerificationEmail = async (email) => {
+  const response = {
+    status: 200,
+    message: 'If an unverified account uses this email, a verification link was sent to it',
+  };
+  if (!isEmailEnabled()) {
+    return { status: 400, message: 'Emails are not configured' };
+  }
+
+  const user = await User.findOne({ email, provider: 'local' });
+  if (user && !user.emailVerified) {
+    await sendVerificationEmail(user);
+  }
+  return response;
+};
+
 /**
  * Request password reset
  *
@@ -114,7 +215,7 @@ const requestPasswordReset = async (email) => {
     return new Error('Email does not exist');
   }
 
-  let token = await Token.findOne({ userId: user._id });
+  let token = await Token.findOne({ userId: user._id, type: 'reset_password' });
   if (token) {
     await token.deleteOne();
   }
@@ -125,18 +226,12 @@ const requestPasswordReset = async (email) => {
   await new Token({
     userId: user._id,
     token: hash,
-    createdAt: Date.now(),
+    expiresAt: new Date(Date.now() + resetTokenExpiry),
   }).save();
 
   const link = `${domains.client}/reset-password?token=${resetToken}&userId=${user._id}`;
 
-  const emailEnabled =
-    (!!process.env.EMAIL_SERVICE || !!process.env.EMAIL_HOST) &&
-    !!process.env.EMAIL_USERNAME &&
-    !!process.env.EMAIL_PASSWORD &&
-    !!process.env.EMAIL_FROM;
-
-  if (emailEnabled) {
+  if (isEmailEnabled()) {
     sendEmail(
       user.email,
       'Password Reset Request',
@@ -161,7 +256,11 @@ const requestPasswordReset = async (email) => {
  * @returns
  */
 const resetPassword = async (userId, token, password) => {
-  let passwordResetToken = await Token.findOne({ userId });
+  let passwordResetToken = await Token.findOne({
+    userId,
+    type: 'reset_password',
+    expiresAt: { $gt: new Date() },
+  });
 
   if (!passwordResetToken) {
     return new Error('Invalid or expired password reset token');
@@ -235,7 +334,10 @@ const setAuthTokens = async (userId, res, sessionId = null) => {
 };
 
 module.exports = {
+  isEmailVerificationRequired,
   registerUser,
+  verifyEmail,
+  resendVerificationEmail,
   logoutUser,
   requestPasswordReset,
   resetPassword,
@@ -0,0 +1,156 @@
+const bcrypt = require('bcryptjs');
+const User = require('~/models/User');
+const Token = require('~/models/schema/tokenSchema');
+const { sendEmail } = require('~/server/utils');
+const {
+  registerUser,
+  verifyEmail,
+  resendVerificationEmail,
+  isEmailVerificationRequired,
+} = require('./AuthService');
+
+jest.mock('~/models/User', () => {
+  const User = jest.fn(function (data) {
+    Object.assign(this, { _id: 'user-id', ...data });
+    this.save = jest.fn();
+  });
+  User.findOne = jest.fn();
+  User.countDocuments = jest.fn(async () => 1);
+  User.updateOne = jest.fn();
+  return User;
+});
+
+jest.mock('~/models/schema/tokenSchema', () => {
+  const Token = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn();
+  });
+  Token.findOne = jest.fn();
+  Token.deleteMany = jest.fn();
+  return Token;
+});
+
+jest.mock('~/models/Session', () => ({}));
+
+jest.mock('~/server/utils', () => ({
+  ...jest.requireActual('~/server/utils/handleText'),
+  sendEmail: jest.fn(),
+}));
+
+const user = {
+  name: 'John Doe',
+  email: 'john@example.com',
+  username: 'john',
+  password: 'password',
+  confirm_password: 'password',
+};
+
+describe('AuthService email verification', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = {
+      ...originalEnv,
+      EMAIL_SERVICE: 'gmail',
+      EMAIL_USERNAME: 'librechat',
+      EMAIL_PASSWORD: 'secret',
+      EMAIL_FROM: 'noreply@librechat.ai',
+    };
+    delete process.env.ALLOW_UNVERIFIED_EMAIL_LOGIN;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('emails a verification link to new users', async () => {
+    User.findOne.mockReturnValue({ lean: async () => null });
+
+    const response = await registerUser(user);
+
+    expect(response.status).toBe(200);
+    expect(response.user.emailVerified).toBe(false);
+    expect(Token.deleteMany).toHaveBeenCalledWith({ userId: 'user-id', type: 'verify_email' });
+    expect(Token).toHaveBeenCalledWith(expect.objectContaining({ type: 'verify_email' }));
+    expect(sendEmail).toHaveBeenCalledWith(
+      user.email,
+      'Verify your email',
+      { name: user.name, link: expect.stringContaining('/verify?token=') },
+      'verifyEmail.handlebars',
+    );
+  });
+
+  it('does not email users whose email is already verified', async () => {
+    User.findOne.mockReturnValue({ lean: async () => null });
+
+    const response = await registerUser(user, { emailVerified: true });
+
+    expect(response.user.emailVerified).toBe(true);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('verifies the email with a valid token only', async () => {
+    const deleteOne = jest.fn();
+    Token.findOne.mockResolvedValue({ token: bcrypt.hashSync('valid-token', 10), deleteOne });
+
+    const invalid = await verifyEmail('user-id', 'invalid-token');
+    const valid = await verifyEmail('user-id', 'valid-token');
+
+    expect(invalid.status).toBe(400);
+    expect(valid.status).toBe(200);
+    expect(Token.findOne).toHaveBeenCalledWith({
+      userId: 'user-id',
+      type: 'verify_email',
+      expiresAt: { $gt: expect.any(Date) },
+    });
+    expect(User.updateOne).toHaveBeenCalledTimes(1);
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: 'user-id' },
+      { $set: { emailVerified: true } },
+    );
+    expect(deleteOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps verification links valid after the 15 minutes of password reset links', async () => {
+    User.findOne.mockReturnValue({ lean: async () => null });
+    await registerUser(user);
+
+    const savedToken = Token.mock.instances[0];
+    savedToken.deleteOne = jest.fn();
+    Token.findOne.mockImplementation(async ({ expiresAt }) =>
+      savedToken.expiresAt > expiresAt.$gt ? savedToken : null,
+    );
+    const [, token] = sendEmail.mock.calls[0][2].link.match(/token=([^&]+)/);
+    const now = Date.now();
+    jest.useFakeTimers();
+
+    jest.setSystemTime(now + 16 * 60 * 1000);
+    expect((await verifyEmail('user-id', token)).status).toBe(200);
+
+    jest.setSystemTime(now + 25 * 60 * 60 * 1000);
+    expect((await verifyEmail('user-id', token)).status).toBe(400);
+    jest.useRealTimers();
+  });
+
+  it('answers resend requests the same way for unknown and verified users', async () => {
+    User.findOne.mockResolvedValueOnce(null);
+    User.findOne.mockResolvedValueOnce({ _id: 'user-id', emailVerified: true });
+
+    const unknown = await resendVerificationEmail('unknown@example.com');
+    const verified = await resendVerificationEmail(user.email);
+
+    expect(unknown).toEqual(verified);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('requires verification only when emails are configured and unverified logins are disallowed', () => {
+    expect(isEmailVerificationRequired()).toBe(false);
+
+    process.env.ALLOW_UNVERIFIED_EMAIL_LOGIN = 'false';
+    expect(isEmailVerificationRequired()).toBe(true);
+
+    delete process.env.EMAIL_SERVICE;
+    expect(isEmailVerificationRequired()).toBe(false);
+  });
+});
@@ -0,0 +1,21 @@
+const { EModelEndpoint } = require('librechat-data-provider');
+const { mapModelsToAzureCredentials } = require('~/utils');
+const getCustomConfig = require('./getCustomConfig');
+
+/**
+ * Retrieves the Azure OpenAI deployments of the config file, keyed by model name.
+ * @function getAzureDeployments
+ * @returns {Promise<Object.<string, AzureCredentials[]> | null>} A promise that resolves to null when no Azure groups are configured, otherwise to the deployments of each model, primary first.
+ * */
+async function getAzureDeployments() {
+  const customConfig = await getCustomConfig();
+  const groups = customConfig?.endpoints?.[EModelEndpoint.azureOpenAI]?.groups;
+
+  if (!Array.isArray(groups) || groups.length === 0) {
+    return null;
+  }
+
+  return mapModelsToAzureCredentials(groups);
+}
+
+module.exports = getAzureDeployments;
@@ -0,0 +1,22 @@
+const { CacheKeys } = require('~/common/enums');
+const loadCustomConfig = require('./loadCustomConfig');
+const { getLogStores } = require('~/cache');
+
+/**
+ * Retrieves the custom configuration object, from the cache when available,
+ * otherwise by (re)loading the config file.
+ * @function getCustomConfig
+ * @returns {Promise<TCustomConfig | null>} A promise that resolves to null or the custom config object.
+ * */
+async function getCustomConfig() {
+  const cache = getLogStores(CacheKeys.CONFIG);
+  let customConfig = await cache.get(CacheKeys.CUSTOM_CONFIG);
+
+  if (!customConfig) {
+    customConfig = await loadCustomConfig();
+  }
+
+  return customConfig ?? null;
+}
+
+module.exports = getCustomConfig;
@@ -0,0 +1,61 @@
+const { EModelEndpoint, extractEnvVariable } = require('librechat-data-provider');
+const { fetchModels } = require('~/server/services/ModelService');
+const { isUserProvided } = require('~/server/utils');
+const getAzureDeployments = require('./getAzureDeployments');
+const getCustomConfig = require('./getCustomConfig');
+
+/**
+ * Load the model lists of the Azure OpenAI deployments and custom endpoints defined in the config file
+ * @function loadConfigModels
+ * @returns {Promise<Object.<string, string[]>>} An object whose keys are endpoint names and values are their model lists.
+ */
+async function loadConfigModels() {
+  const customConfig = await getCustomConfig();
+
+  if (!customConfig) {
+    return {};
+  }
+
+  const { endpoints = {} } = customConfig;
+  const modelsConfig = {};
+
+  const azureDeployments = await getAzureDeployments();
+  if (azureDeployments) {
+    modelsConfig[EModelEndpoint.azureOpenAI] = Object.keys(azureDeployments);
+  }
+
+  if (!Array.isArray(endpoints[EModelEndpoint.custom])) {
+    return modelsConfig;
+  }
+
+  const customEndpoints = endpoints[EModelEndpoint.custom].filter(
+    (endpoint) =>
+      endpoint.baseURL &&
+      endpoint.apiKey &&
+      endpoint.name &&
+      endpoint.models &&
+      (endpoint.models.fetch || endpoint.models.default),
+  );
+
+  for (let i = 0; i < customEndpoints.length; i++) {
+    const endpoint = customEndpoints[i];
+    const { models, name, baseURL, apiKey } = endpoint;
+
+    const API_KEY = extractEnvVariable(apiKey);
+    const BASE_URL = extractEnvVariable(baseURL);
+
+    modelsConfig[name] = [];
+
+    if (models.fetch && !isUserProvided(API_KEY) && !isUserProvided(BASE_URL)) {
+      modelsConfig[name] = await fetchModels({ baseURL: BASE_URL, apiKey: API_KEY, name });
+    }
+
+    if (modelsConfig[name].length === 0 && Array.isArray(models.default)) {
+      modelsConfig[name] = models.default;
+    }
+  }
+
+  return modelsConfig;
+}
+
+module.exports = loadConfigModels;
@@ -0,0 +1,51 @@
+const path = require('path');
+const { configSchema } = require('librechat-data-provider');
+const { CacheKeys } = require('~/common/enums');
+const { setPricing } = require('~/models/tx');
+const { getLogStores } = require('~/cache');
+const { loadYaml } = require('~/utils');
+
+const projectRoot = path.resolve(__dirname, '..', '..', '..', '..');
+const defaultConfigPath = path.resolve(projectRoot, 'librechat.yaml');
+
+/**
+ * Load custom configuration files and caches the object if the `cache` field at root is true.
+ * Validation via parsing the config file with the config schema.
+ * The file path can be overridden with the `CONFIG_PATH` environment variable.
+ * Also applies the token rates of the `pricing` section.
+ * @function loadCustomConfig
+ * @returns {Promise<TCustomConfig | null>} A promise that resolves to null or the custom config object.
+ * */
+async function loadCustomConfig() {
+  const configPath = process.env.CONFIG_PATH
+    ? path.resolve(projectRoot, process.env.CONFIG_PATH)
+    : defaultConfigPath;
+
+  const customConfig = loadYaml(configPath);
+  if (!customConfig || customConfig instanceof Error) {
+    if (customConfig?.code !== 'ENOENT') {
+      console.error(`Failed to load custom config file at ${configPath}`, customConfig);
+    } else {
+      console.log(`No custom config file found at ${configPath}`);
+    }
+    return null;
+  }
+
+  const result = configSchema.strict().safeParse(customConfig);
+  if (!result.success) {
+    console.error(`Invalid custom config file at ${configPath}`, result.error);
+    return null;
+  }
+
+  console.log('Loaded custom config file');
+  setPricing(result.data.pricing);
+
+  if (customConfig.cache) {
+    const cache = getLogStores(CacheKeys.CONFIG);
+    await cache.set(CacheKeys.CUSTOM_CONFIG, customConfig);
+  }
+
+  return customConfig;
+}
+
+module.exports = loadCustomConfig;
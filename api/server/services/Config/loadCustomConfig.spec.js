@@ -0,0 +1,122 @@
+jest.mock('~/utils', () => ({
+  loadYaml: jest.fn(),
+}));
+
+const mockSet = jest.fn();
+jest.mock('~/cache', () => ({
+  getLogStores: jest.fn(() => ({
+    set: mockSet,
+  })),
+}));
+
+const { loadYaml } = require('~/utils');
+const { getConfiguredRate, setPricing } = require('~/models/tx');
+const loadCustomConfig = require('./loadCustomConfig');
+
+describe('loadCustomConfig', () => {
+  const originalEnvironment = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnvironment };
+    delete process.env.CONFIG_PATH;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    process.env = originalEnvironment;
+  });
+
+  const validConfig = {
+    version: '1.0.0',
+    cache: true,
+    endpoints: {
+      custom: [
+        {
+          name: 'Mistral',
+          apiKey: '${MISTRAL_API_KEY}',
+          baseURL: 'https://api.mistral.ai/v1',
+          models: { default: ['mistral-tiny'], fetch: true },
+        },
+      ],
+    },
+  };
+
+  it('should return null when the config file does not exist', async () => {
+    const error = new Error('not found');
+    error.code = 'ENOENT';
+    loadYaml.mockReturnValueOnce(error);
+
+    const result = await loadCustomConfig();
+
+    expect(result).toBeNull();
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('should return null and log an error when the config file is invalid', async () => {
+    loadYaml.mockReturnValueOnce({ version: '1.0.0', endpoints: { unknown: [] } });
+
+    const result = await loadCustomConfig();
+
+    expect(result).toBeNull();
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it('should reject custom endpoints named after a default endpoint', async () => {
+    loadYaml.mockReturnValueOnce({
+      version: '1.0.0',
+      endpoints: {
+        custom: [{ ...validConfig.endpoints.custom[0], name: 'openAI' }],
+      },
+    });
+
+    expect(await loadCustomConfig()).toBeNull();
+  });
+
+  it('should return and cache a valid config', async () => {
+    loadYaml.mockReturnValueOnce(validConfig);
+
+    const result = await loadCustomConfig();
+
+    expect(result).toEqual(validConfig);
+    expect(mockSet).toHaveBeenCalledWith('customConfig', validConfig);
+  });
+
+  it('should not cache the config when `cache` is not enabled', async () => {
+    loadYaml.mockReturnValueOnce({ ...validConfig, cache: false });
+
+    const result = await loadCustomConfig();
+
+    expect(result).toEqual({ ...validConfig, cache: false });
+    expect(mockSet).not.toHaveBeenCalled();
+  });
+
+  it('should load the file set by the `CONFIG_PATH` environment variable', async () => {
+    process.env.CONFIG_PATH = '/custom/path/config.yaml';
+    loadYaml.mockReturnValueOnce(validConfig);
+
+    await loadCustomConfig();
+
+    expect(loadYaml).toHaveBeenCalledWith('/custom/path/config.yaml');
+  });
+
+  it('should apply the configured pricing', async () => {
+    const pricing = [{ model: 'claude-2', prompt: 8, completion: 24, effectiveDate: '2024-01-01' }];
+    loadYaml.mockReturnValueOnce({ ...validConfig, pricing });
+
+    await loadCustomConfig();
+
+    expect(getConfiguredRate('claude-2.1', 'anthropic', new Date('2023-12-31'))).toBeUndefined();
+    expect(getConfiguredRate('claude-2.1', 'anthropic')).toMatchObject({ prompt: 8 });
+    setPricing();
+  });
+
+  it('should reject invalid pricing patterns', async () => {
+    loadYaml.mockReturnValueOnce({
+      ...validConfig,
+      pricing: [{ model: '(gpt', match: 'regex', prompt: 1, completion: 1 }],
+    });
+
+    expect(await loadCustomConfig()).toBeNull();
+  });
+});
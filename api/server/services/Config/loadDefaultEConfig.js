@@ -1,4 +1,5 @@
 const { EModelEndpoint } = require('librechat-data-provider');
+const getAzureDeployments = require('./getAzureDeployments');
 const loadAsyncEndpoints = require('./loadAsyncEndpoints');
 const { config } = require('./EndpointService');
 
@@ -9,7 +10,11 @@ const { config } = require('./EndpointService');
  */
 async function loadDefaultEndpointsConfig() {
   const { google, gptPlugins } = await loadAsyncEndpoints();
-  const { openAI, bingAI, anthropic, azureOpenAI, chatGPTBrowser } = config;
+  const { openAI, bingAI, anthropic, chatGPTBrowser } = config;
+  /* Deployments of the config file enable Azure OpenAI without the AZURE_API_KEY env variable,
+   * but a user-provided AZURE_API_KEY still asks users for their key */
+  const azureDeployments = await getAzureDeployments();
+  const azureOpenAI = config.azureOpenAI || (azureDeployments ? { userProvide: false } : false);
 
   let enabledEndpoints = [
     EModelEndpoint.openAI,
@@ -22,6 +22,8 @@ async function loadDefaultModels() {
     [EModelEndpoint.azureOpenAI]: azureOpenAI,
     [EModelEndpoint.assistant]: openAI.filter(fitlerAssistantModels),
     [EModelEndpoint.google]: [
+      'gemini-pro',
+      'gemini-pro-vision',
       'chat-bison',
       'chat-bison-32k',
       'codechat-bison',
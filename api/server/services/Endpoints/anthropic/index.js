@@ -1,8 +1,9 @@
+const { addTitle } = require('~/server/services/TitleService');
 const buildOptions = require('./buildOptions');
 const initializeClient = require('./initializeClient');
 
 module.exports = {
-  // addTitle, // todo
+  addTitle,
   buildOptions,
   initializeClient,
 };
@@ -1,6 +1,7 @@
 const { PluginsClient } = require('~/app');
 const { isEnabled } = require('~/server/utils');
 const { getAzureCredentials } = require('~/utils');
+const getAzureDeployments = require('~/server/services/Config/getAzureDeployments');
 const { getUserKey, checkUserKeyExpiry } = require('~/server/services/UserService');
 
 const initializeClient = async ({ req, res, endpointOption }) => {
@@ -46,7 +47,15 @@ const initializeClient = async ({ req, res, endpointOption }) => {
   let apiKey = isUserProvided ? userKey : OPENAI_API_KEY;
 
   if (useAzure || (apiKey && apiKey.includes('azure') && !clientOptions.azure)) {
-    clientOptions.azure = isUserProvided ? JSON.parse(userKey) : getAzureCredentials();
+    const azureDeployments = isUserProvided ? null : await getAzureDeployments();
+    const [deployment, ...failover] = azureDeployments?.[endpointOption.modelOptions?.model] ?? [];
+
+    if (deployment) {
+      clientOptions.azure = deployment;
+      clientOptions.azureFailover = failover;
+    } else {
+      clientOptions.azure = isUserProvided ? JSON.parse(userKey) : getAzureCredentials();
+    }
     apiKey = clientOptions.azure.azureOpenAIApiKey;
   }
 
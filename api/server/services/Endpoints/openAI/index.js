@@ -1,4 +1,4 @@
-const addTitle = require('./addTitle');
+const { addTitle } = require('~/server/services/TitleService');
 const buildOptions = require('./buildOptions');
 const initializeClient = require('./initializeClient');
 
@@ -1,6 +1,7 @@
 const { OpenAIClient } = require('~/app');
 const initializeClient = require('./initializeClient');
 const { getUserKey } = require('~/server/services/UserService');
+const getAzureDeployments = require('~/server/services/Config/getAzureDeployments');
 
 // Mock getUserKey since it's the only function we want to mock
 jest.mock('~/server/services/UserService', () => ({
@@ -8,6 +9,8 @@ jest.mock('~/server/services/UserService', () => ({
   checkUserKeyExpiry: jest.requireActual('~/server/services/UserService').checkUserKeyExpiry,
 }));
 
+jest.mock('~/server/services/Config/getAzureDeployments', () => jest.fn().mockResolvedValue(null));
+
 describe('initializeClient', () => {
   // Set up environment variables
   const originalEnvironment = process.env;
@@ -149,6 +152,30 @@ describe('initializeClient', () => {
     );
   });
 
+  test('should use the config file deployments of the selected Azure model', async () => {
+    const primary = {
+      azureOpenAIApiKey: 'eastus-key',
+      azureOpenAIApiInstanceName: 'eastus',
+      azureOpenAIApiDeploymentName: 'gpt-4-32k',
+      azureOpenAIApiVersion: '2023-07-01-preview',
+    };
+    const secondary = { ...primary, azureOpenAIApiKey: 'westeurope-key' };
+    getAzureDeployments.mockResolvedValueOnce({ 'gpt-4-32k': [primary, secondary] });
+
+    const req = {
+      body: { key: null, endpoint: 'azureOpenAI' },
+      user: { id: '123' },
+    };
+    const res = {};
+    const endpointOption = { modelOptions: { model: 'gpt-4-32k' } };
+
+    const { client, openAIApiKey } = await initializeClient({ req, res, endpointOption });
+
+    expect(openAIApiKey).toBe('eastus-key');
+    expect(client.azure).toEqual(primary);
+    expect(client.options.azureFailover).toEqual([secondary]);
+  });
+
   it('should handle user-provided keys and check expiry', async () => {
     // Set up the req.body to simulate user-provided key scenario
     const req = {
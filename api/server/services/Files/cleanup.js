@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const { imageOutput, uploads } = require('~/config');
+const { getFiles, deleteFiles } = require('~/models');
+const { deleteFileVectors } = require('./retrieval');
+const { getStrategy } = require('./strategies');
+
+const cleanupInterval = 60 * 60 * 1000; // 1 hour
+/** Files this recent are left alone, as they may still be uploading */
+const gracePeriod = 60 * 60 * 1000;
+/**
+ * The uploads of each user are stored under `/images/<user>/` and `/uploads/<user>/`, named after
+ * their multer temp file. Other files, such as the images generated by tools, have no record.
+ */
+const userFileRegex =
+  /^\/(images|uploads)\/[a-f\d]{24}\/(img|file)-[a-f\d]{8}(-[a-f\d]{4}){3}-[a-f\d]{12}(\.[^/]*)?$/;
+
+/**
+ * Deletes stored files, logging the ones that could not be deleted.
+ * @param {string[]} filepaths
+ * @returns {Promise<number>} The number of deleted files.
+ */
+const deleteStoredFiles = async (filepaths) => {
+  const results = await Promise.allSettled(
+    filepaths.map((filepath) => getStrategy().delete(filepath)),
+  );
+  for (const [index, result] of results.entries()) {
+    if (result.status === 'rejected' && result.reason?.code !== 'ENOENT') {
+      console.error(`[FileCleanup] Error deleting ${filepaths[index]}:`, result.reason);
+    }
+  }
+  return results.filter((result) => result.status === 'fulfilled').length;
+};
+
+/**
+ * Deletes the files that were uploaded but never sent, once their TTL expired,
+ * before MongoDB removes their records and their path is lost.
+ * @returns {Promise<number>} The number of deleted files.
+ */
+const deleteExpiredFiles = async () => {
+  const files = await getFiles({ expiresAt: { $lt: new Date() } });
+  if (files.length === 0) {
+    return 0;
+  }
+
+  const file_ids = files.map((file) => file.file_id);
+  await deleteStoredFiles(files.map((file) => file.filepath));
+  await deleteFileVectors(file_ids);
+  await deleteFiles(file_ids);
+  return files.length;
+};
+
+/**
+ * Deletes the stored files of users that no file record refers to,
+ * e.g. the ones whose record MongoDB removed on expiry.
+ * @returns {Promise<number>} The number of deleted files.
+ */
+const deleteOrphanedFiles = async () => {
+  const strategy = getStrategy();
+  const before = Date.now() - gracePeriod;
+  const stored = [...(await strategy.list('/images/')), ...(await strategy.list('/uploads/'))]
+    .filter(({ filepath, lastModified }) => userFileRegex.test(filepath) && lastModified < before)
+    .map(({ filepath }) => filepath);
+
+  if (stored.length === 0) {
+    return 0;
+  }
+
+  const files = await getFiles({ filepath: { $in: stored } });
+  const referenced = new Set(files.map((file) => file.filepath));
+  return await deleteStoredFiles(stored.filter((filepath) => !referenced.has(filepath)));
+};
+
+/**
+ * Deletes the uploads left in the temporary directories, e.g. by interrupted requests.
+ * @returns {Promise<number>} The number of deleted files.
+ */
+const deleteTempFiles = async () => {
+  const before = Date.now() - gracePeriod;
+  let deletedCount = 0;
+
+  for (const directory of [path.join(imageOutput, 'temp'), path.join(uploads, 'temp')]) {
+    let filenames;
+    try {
+      filenames = await fs.promises.readdir(directory);
+    } catch (error) {
+      continue;
+    }
+
+    for (const filename of filenames) {
+      const filepath = path.join(directory, filename);
+      try {
+        const { mtimeMs } = await fs.promises.stat(filepath);
+        if (mtimeMs < before) {
+          await fs.promises.unlink(filepath);
+          deletedCount++;
+        }
+      } catch (error) {
+        console.error(`[FileCleanup] Error deleting ${filepath}:`, error);
+      }
+    }
+  }
+
+  return deletedCount;
+};
+
+/**
+ * Removes the files that are no longer needed from the storage.
+ * @returns {Promise<{ expired: number, orphaned: number, temp: number }>} The deleted files.
+ */
+const cleanupFiles = async () => {
+  const deleted = {
+    expired: await deleteExpiredFiles(),
+    orphaned: await deleteOrphanedFiles(),
+    temp: await deleteTempFiles(),
+  };
+  if (deleted.expired || deleted.orphaned || deleted.temp) {
+    console.log(
+      `[FileCleanup] Deleted ${deleted.expired} expired, ${deleted.orphaned} orphaned and ${deleted.temp} temporary file(s)`,
+    );
+  }
+  return deleted;
+};
+
+/**
+ * Periodically removes expired, orphaned and temporary files from the storage.
+ * @returns {NodeJS.Timeout} The scheduled interval.
+ */
+const scheduleFileCleanup = () => {
+  const run = () =>
+    cleanupFiles().catch((error) => console.error('[FileCleanup] Error cleaning up files:', error));
+
+  run();
+  const interval = setInterval(run, cleanupInterval);
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  cleanupFiles,
+  scheduleFileCleanup,
+};
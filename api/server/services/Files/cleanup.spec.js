@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getFiles, deleteFiles } = require('~/models');
+const { deleteFileVectors } = require('./retrieval');
+
+const mockRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'file-cleanup-'));
+const mockStrategy = { list: jest.fn(), delete: jest.fn() };
+
+jest.mock('~/config', () => ({
+  imageOutput: require('path').join(mockRoot, 'images'),
+  uploads: require('path').join(mockRoot, 'uploads'),
+}));
+
+jest.mock('~/models', () => ({
+  getFiles: jest.fn(),
+  deleteFiles: jest.fn(),
+}));
+
+jest.mock('./retrieval', () => ({
+  deleteFileVectors: jest.fn(),
+}));
+
+jest.mock('./strategies', () => ({
+  getStrategy: () => mockStrategy,
+}));
+
+const { cleanupFiles } = require('./cleanup');
+
+const user = '65a1b2c3d4e5f6a7b8c9d0e1';
+const orphaned = 'img-0b5b6c1e-3c4e-4f7a-9d2b-1f0e8a7c6d5e.webp';
+const referenced = 'img-7d3f2a1b-5e6c-4d8f-a9b0-c1d2e3f4a5b6.webp';
+const uploading = 'img-1a2b3c4d-5e6f-4a8b-9c0d-e1f2a3b4c5d6.webp';
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+describe('cleanupFiles', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(mockRoot, { recursive: true, force: true });
+  });
+
+  it('deletes the files whose TTL expired, with their records and vectors', async () => {
+    const expired = { file_id: 'expired-id', filepath: `/uploads/${user}/file-expired.pdf` };
+    getFiles.mockResolvedValueOnce([expired]);
+    mockStrategy.list.mockResolvedValue([]);
+
+    const deleted = await cleanupFiles();
+
+    expect(getFiles.mock.calls[0][0]).toEqual({ expiresAt: { $lt: expect.any(Date) } });
+    expect(mockStrategy.delete).toHaveBeenCalledWith(expired.filepath);
+    expect(deleteFileVectors).toHaveBeenCalledWith(['expired-id']);
+    expect(deleteFiles).toHaveBeenCalledWith(['expired-id']);
+    expect(deleted.expired).toBe(1);
+  });
+
+  it('deletes the stored files of users without records, once old enough', async () => {
+    getFiles.mockResolvedValueOnce([]);
+    const images = [
+      { filepath: `/images/${user}/${orphaned}`, lastModified: hoursAgo(2) },
+      { filepath: `/images/${user}/${referenced}`, lastModified: hoursAgo(2) },
+      { filepath: `/images/${user}/${uploading}`, lastModified: new Date() },
+      { filepath: '/images/img-generated.png', lastModified: hoursAgo(2) },
+      { filepath: '/images/openid/avatar.png', lastModified: hoursAgo(2) },
+    ];
+    mockStrategy.list.mockImplementation(async (prefix) => (prefix === '/images/' ? images : []));
+    getFiles.mockResolvedValueOnce([{ filepath: `/images/${user}/${referenced}` }]);
+
+    const deleted = await cleanupFiles();
+
+    expect(getFiles).toHaveBeenLastCalledWith({
+      filepath: { $in: [`/images/${user}/${orphaned}`, `/images/${user}/${referenced}`] },
+    });
+    expect(mockStrategy.delete).toHaveBeenCalledTimes(1);
+    expect(mockStrategy.delete).toHaveBeenCalledWith(`/images/${user}/${orphaned}`);
+    expect(deleted.orphaned).toBe(1);
+  });
+
+  it('keeps the images generated by tools, which have no record', async () => {
+    getFiles.mockResolvedValue([]);
+    const images = [
+      { filepath: `/images/${user}/img-lgCf7ppcbhqQrz6a5ear6FOb.png`, lastModified: hoursAgo(2) },
+      { filepath: `/images/${user}/1.png`, lastModified: hoursAgo(2) },
+    ];
+    mockStrategy.list.mockImplementation(async (prefix) => (prefix === '/images/' ? images : []));
+
+    const deleted = await cleanupFiles();
+
+    expect(mockStrategy.delete).not.toHaveBeenCalled();
+    expect(deleted.orphaned).toBe(0);
+  });
+
+  it('deletes the temporary uploads left behind', async () => {
+    getFiles.mockResolvedValue([]);
+    mockStrategy.list.mockResolvedValue([]);
+
+    const tempPath = path.join(mockRoot, 'uploads', 'temp');
+    fs.mkdirSync(tempPath, { recursive: true });
+    fs.writeFileSync(path.join(tempPath, 'file-old.txt'), 'old');
+    fs.writeFileSync(path.join(tempPath, 'file-new.txt'), 'new');
+    fs.utimesSync(path.join(tempPath, 'file-old.txt'), hoursAgo(2), hoursAgo(2));
+
+    const deleted = await cleanupFiles();
+
+    expect(fs.readdirSync(tempPath)).toEqual(['file-new.txt']);
+    expect(deleted.temp).toBe(1);
+  });
+});
@@ -0,0 +1,64 @@
+const truncationNote = '\n[The rest of the document was truncated to fit in the context window]';
+
+/**
+ * Truncates a text to a number of tokens, cutting it proportionally until it fits.
+ *
+ * @param {string} text - The text to truncate.
+ * @param {number} tokenLimit - The maximum number of tokens of the text.
+ * @param {(text: string) => number} getTokenCount - Counts the tokens of a text.
+ * @returns {string} The text, or its beginning if it exceeds the limit.
+ */
+function truncateToTokens(text, tokenLimit, getTokenCount) {
+  let tokenCount = getTokenCount(text);
+  while (tokenCount > tokenLimit && text.length > 0) {
+    text = text.slice(0, Math.floor(((text.length * tokenLimit) / tokenCount) * 0.9));
+    tokenCount = getTokenCount(text);
+  }
+  return text;
+}
+
+/**
+ * Formats the text extracted from documents to add it to a message.
+ * The token limit is shared between the documents, each one being truncated to its share.
+ *
+ * @param {Object} params
+ * @param {Array<{ filename: string, text: string }>} params.documents - The documents attached to the message.
+ * @param {number} params.tokenLimit - The maximum number of tokens of the formatted documents.
+ * @param {(text: string) => number} params.getTokenCount - Counts the tokens of a text.
+ * @returns {string} The formatted documents, or an empty string if none fit in the limit.
+ */
+function formatDocumentContext({ documents, tokenLimit, getTokenCount }) {
+  const header = 'Documents attached by the user:\n\n';
+  let remainingTokens = tokenLimit - getTokenCount(header);
+  const parts = [];
+
+  documents.forEach((document, i) => {
+    const start = `<document filename="${document.filename}">\n`;
+    const end = '\n</document>\n\n';
+    const overhead = getTokenCount(`${start}${end}${truncationNote}`);
+    const share = Math.floor(remainingTokens / (documents.length - i)) - overhead;
+    if (share <= 0) {
+      return;
+    }
+
+    let text = truncateToTokens(document.text, share, getTokenCount);
+    if (!text) {
+      return;
+    }
+
+    if (text.length < document.text.length) {
+      text += truncationNote;
+    }
+
+    const part = `${start}${text}${end}`;
+    remainingTokens -= getTokenCount(part);
+    parts.push(part);
+  });
+
+  return parts.length > 0 ? `${header}${parts.join('')}` : '';
+}
+
+module.exports = {
+  truncateToTokens,
+  formatDocumentContext,
+};
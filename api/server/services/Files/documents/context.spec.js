@@ -0,0 +1,58 @@
+const { truncateToTokens, formatDocumentContext } = require('./context');
+
+/** Counts one token per word */
+const getTokenCount = (text) => text.split(/\s+/).filter(Boolean).length;
+
+describe('truncateToTokens', () => {
+  it('keeps texts within the limit as is', () => {
+    expect(truncateToTokens('one two three', 3, getTokenCount)).toBe('one two three');
+  });
+
+  it('truncates texts exceeding the limit', () => {
+    const text = Array.from({ length: 100 }, (_, i) => `word${i}`).join(' ');
+    const truncated = truncateToTokens(text, 10, getTokenCount);
+
+    expect(getTokenCount(truncated)).toBeLessThanOrEqual(10);
+    expect(text.startsWith(truncated)).toBe(true);
+  });
+});
+
+describe('formatDocumentContext', () => {
+  it('formats the documents with their filenames', () => {
+    const context = formatDocumentContext({
+      documents: [
+        { filename: 'a.txt', text: 'First document' },
+        { filename: 'b.md', text: 'Second document' },
+      ],
+      tokenLimit: 1000,
+      getTokenCount,
+    });
+
+    expect(context).toBe(
+      'Documents attached by the user:\n\n' +
+        '<document filename="a.txt">\nFirst document\n</document>\n\n' +
+        '<document filename="b.md">\nSecond document\n</document>\n\n',
+    );
+  });
+
+  it('shares the token limit between the documents', () => {
+    const text = Array.from({ length: 500 }, (_, i) => `word${i}`).join(' ');
+    const context = formatDocumentContext({
+      documents: [
+        { filename: 'a.txt', text },
+        { filename: 'b.txt', text: 'Short document' },
+      ],
+      tokenLimit: 200,
+      getTokenCount,
+    });
+
+    expect(getTokenCount(context)).toBeLessThanOrEqual(200);
+    expect(context).toContain('[The rest of the document was truncated');
+    expect(context).toContain('<document filename="b.txt">\nShort document\n</document>');
+  });
+
+  it('returns an empty string when no document fits', () => {
+    const documents = [{ filename: 'a.txt', text: 'First document' }];
+    expect(formatDocumentContext({ documents, tokenLimit: 5, getTokenCount })).toBe('');
+  });
+});
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const mammoth = require('mammoth');
+// The package entry runs a debug script when loaded without a parent module
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { documentExtensions } = require('librechat-data-provider');
+
+/** Limit of the text stored for a document, in characters */
+const MAX_TEXT_LENGTH = 1000000;
+
+/**
+ * Checks if the text of a file can be extracted, based on its extension.
+ * @param {string} filename - The name of the file.
+ * @returns {boolean}
+ */
+function isSupportedDocument(filename) {
+  return documentExtensions.includes(path.extname(filename).toLowerCase());
+}
+
+/**
+ * Extracts the text of a PDF, DOCX or plain text file (text, Markdown, CSV, source code...).
+ *
+ * @param {string} filepath - The path of the file on disk.
+ * @param {string} filename - The original name of the file, used to determine its format.
+ * @returns {Promise<string>} The extracted text, trimmed and limited to `MAX_TEXT_LENGTH` characters.
+ * @throws Will throw an error if the file format is not supported.
+ */
+async function extractText(filepath, filename) {
+  const extension = path.extname(filename).toLowerCase();
+  if (!documentExtensions.includes(extension)) {
+    throw new Error(`Unsupported document type: ${extension}`);
+  }
+
+  let text;
+  if (extension === '.pdf') {
+    const data = await pdfParse(await fs.promises.readFile(filepath));
+    text = data.text;
+  } else if (extension === '.docx') {
+    const result = await mammoth.extractRawText({ path: filepath });
+    text = result.value;
+  } else {
+    text = await fs.promises.readFile(filepath, 'utf8');
+  }
+
+  return text.trim().slice(0, MAX_TEXT_LENGTH);
+}
+
+module.exports = {
+  MAX_TEXT_LENGTH,
+  isSupportedDocument,
+  extractText,
+};
@@ -0,0 +1,38 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { extractText, isSupportedDocument } = require('./extract');
+
+describe('extract', () => {
+  let tempDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'documents-'));
+  });
+
+  afterAll(async () => {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('supports documents and source files, but not images', () => {
+    expect(isSupportedDocument('report.PDF')).toBe(true);
+    expect(isSupportedDocument('notes.md')).toBe(true);
+    expect(isSupportedDocument('index.js')).toBe(true);
+    expect(isSupportedDocument('photo.png')).toBe(false);
+    expect(isSupportedDocument('README')).toBe(false);
+  });
+
+  it('extracts the text of plain text files', async () => {
+    const filepath = path.join(tempDir, 'file-id.csv');
+    await fs.promises.writeFile(filepath, 'name,value\na,1\n');
+
+    expect(await extractText(filepath, 'data.csv')).toBe('name,value\na,1');
+  });
+
+  it('rejects unsupported files', async () => {
+    const filepath = path.join(tempDir, 'file-id.png');
+    await fs.promises.writeFile(filepath, '');
+
+    await expect(extractText(filepath, 'photo.png')).rejects.toThrow('Unsupported document type');
+  });
+});
@@ -0,0 +1,7 @@
+const context = require('./context');
+const extract = require('./extract');
+
+module.exports = {
+  ...context,
+  ...extract,
+};
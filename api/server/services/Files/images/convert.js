@@ -2,34 +2,23 @@ const path = require('path');
 const sharp = require('sharp');
 const fs = require('fs');
 const { resizeImage } = require('./resize');
+const { getStrategy } = require('../strategies');
 
 async function convertToWebP(req, file, resolution = 'high') {
   const inputFilePath = file.path;
   const { buffer: resizedBuffer, width, height } = await resizeImage(inputFilePath, resolution);
   const extension = path.extname(inputFilePath);
+  const filename = path.basename(inputFilePath, extension) + '.webp';
 
-  const { imageOutput } = req.app.locals.config;
-  const userPath = path.join(imageOutput, req.user.id);
+  const data =
+    extension.toLowerCase() === '.webp'
+      ? resizedBuffer
+      : await sharp(resizedBuffer).toFormat('webp').toBuffer();
 
-  if (!fs.existsSync(userPath)) {
-    fs.mkdirSync(userPath, { recursive: true });
-  }
-
-  const newPath = path.join(userPath, path.basename(inputFilePath));
-
-  if (extension.toLowerCase() === '.webp') {
-    const bytes = Buffer.byteLength(resizedBuffer);
-    await fs.promises.writeFile(newPath, resizedBuffer);
-    const filepath = path.posix.join('/', 'images', req.user.id, path.basename(newPath));
-    return { filepath, bytes, width, height };
-  }
-
-  const outputFilePath = newPath.replace(extension, '.webp');
-  const data = await sharp(resizedBuffer).toFormat('webp').toBuffer();
-  await fs.promises.writeFile(outputFilePath, data);
-  const bytes = Buffer.byteLength(data);
-  const filepath = path.posix.join('/', 'images', req.user.id, path.basename(outputFilePath));
+  const filepath = path.posix.join('/', 'images', req.user.id, filename);
+  await getStrategy().save(filepath, data, 'image/webp');
   await fs.promises.unlink(inputFilePath);
+  const bytes = Buffer.byteLength(data);
   return { filepath, bytes, width, height };
 }
 
@@ -1,35 +1,96 @@
-const fs = require('fs');
-const path = require('path');
+const { EModelEndpoint } = require('librechat-data-provider');
 const { updateFile } = require('~/models');
+const { getFileBuffer } = require('../strategies');
 
-function encodeImage(imagePath) {
-  return new Promise((resolve, reject) => {
-    fs.readFile(imagePath, (err, data) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(data.toString('base64'));
-      }
-    });
-  });
+/**
+ * Encodes a stored image to base64.
+ * @param {string} filepath - The stored path of the image.
+ * @returns {Promise<string>}
+ */
+async function encodeImage(filepath) {
+  const data = await getFileBuffer(filepath);
+  return data.toString('base64');
 }
 
 async function updateAndEncode(req, file) {
-  const { publicPath, imageOutput } = req.app.locals.config;
-  const userPath = path.join(imageOutput, req.user.id);
-
-  if (!fs.existsSync(userPath)) {
-    fs.mkdirSync(userPath, { recursive: true });
-  }
-  const filepath = path.join(publicPath, file.filepath);
-
   const promises = [];
   promises.push(updateFile({ file_id: file.file_id }));
-  promises.push(encodeImage(filepath));
+  promises.push(encodeImage(file.filepath));
   return await Promise.all(promises);
 }
 
-async function encodeAndFormat(req, files) {
+/**
+ * Estimates the prompt tokens of an image, as billed by each API:
+ * - OpenAI: 85 tokens, plus 170 per 512px tile in high detail, once scaled to fit 2048px then 768px on its short side.
+ * - Anthropic: about one token per 750 pixels.
+ * - Google: 258 tokens per image.
+ * Images of unknown size are counted as 1024px squares.
+ * @param {Object} params
+ * @param {number} [params.width]
+ * @param {number} [params.height]
+ * @param {string} [params.endpoint] - Defaults to the OpenAI estimation.
+ * @param {string} [params.detail] - The OpenAI detail, `low`, `high` or `auto`.
+ * @returns {number}
+ */
+function calculateImageTokenCost({ width = 1024, height = 1024, endpoint, detail = 'auto' }) {
+  if (endpoint === EModelEndpoint.google) {
+    return 258;
+  }
+
+  if (endpoint === EModelEndpoint.anthropic) {
+    return Math.ceil((width * height) / 750);
+  }
+
+  if (detail === 'low') {
+    return 85;
+  }
+
+  let scale = Math.min(1, 2048 / Math.max(width, height));
+  scale *= Math.min(1, 768 / Math.min(width * scale, height * scale));
+  const tiles = Math.ceil((width * scale) / 512) * Math.ceil((height * scale) / 512);
+  return 85 + 170 * tiles;
+}
+
+/**
+ * Formats an encoded image as a content part of the endpoint's API.
+ * @param {Object} params
+ * @param {string} params.base64
+ * @param {string} params.type - The MIME type of the image.
+ * @param {string} [params.endpoint]
+ * @param {string} params.detail
+ * @returns {Object}
+ */
+function formatImage({ base64, type, endpoint, detail }) {
+  if (endpoint === EModelEndpoint.anthropic) {
+    return {
+      type: 'image',
+      source: { type: 'base64', media_type: type, data: base64 },
+    };
+  }
+
+  if (endpoint === EModelEndpoint.google) {
+    return { inlineData: { mimeType: type, data: base64 } };
+  }
+
+  return {
+    type: 'image_url',
+    image_url: {
+      url: `data:${type};base64,${base64}`,
+      detail,
+    },
+  };
+}
+
+/**
+ * Encodes the attached images and formats them for the endpoint's API:
+ * `image_url` parts for OpenAI, `image` content blocks for Anthropic and `inlineData` parts for Google.
+ * @param {Express.Request} req
+ * @param {Array<MongoFile>} files - The attached images.
+ * @param {string} [endpoint] - The endpoint of the request, OpenAI-compatible by default.
+ * @returns {Promise<{ files: Array<Object>, image_urls: Array<Object>, tokenCount: number }>}
+ * The files to save with the message, the formatted images, and their estimated prompt tokens.
+ */
+async function encodeAndFormat(req, files, endpoint) {
   const promises = [];
   for (let file of files) {
     promises.push(updateAndEncode(req, file));
@@ -43,15 +104,17 @@ async function encodeAndFormat(req, files) {
   const result = {
     files: [],
     image_urls: [],
+    tokenCount: 0,
   };
 
   for (const [file, base64] of encodedImages) {
-    result.image_urls.push({
-      type: 'image_url',
-      image_url: {
-        url: `data:image/webp;base64,${base64}`,
-        detail,
-      },
+    const type = file.type?.startsWith('image/') ? file.type : 'image/webp';
+    result.image_urls.push(formatImage({ base64, type, endpoint, detail }));
+    result.tokenCount += calculateImageTokenCost({
+      width: file.width,
+      height: file.height,
+      endpoint,
+      detail,
     });
 
     result.files.push({
@@ -69,4 +132,5 @@ async function encodeAndFormat(req, files) {
 module.exports = {
   encodeImage,
   encodeAndFormat,
+  calculateImageTokenCost,
 };
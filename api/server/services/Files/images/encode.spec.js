@@ -0,0 +1,89 @@
+const { EModelEndpoint } = require('librechat-data-provider');
+const { updateFile } = require('~/models');
+const { getFileBuffer } = require('../strategies');
+
+jest.mock('~/models', () => ({
+  updateFile: jest.fn(),
+}));
+
+jest.mock('../strategies', () => ({
+  getFileBuffer: jest.fn(),
+}));
+
+const { encodeAndFormat, calculateImageTokenCost } = require('./encode');
+
+const req = { body: {} };
+const image = {
+  file_id: 'file-id',
+  filepath: '/images/user-id/image.webp',
+  filename: 'image.png',
+  type: 'image/webp',
+  width: 1024,
+  height: 1024,
+};
+
+describe('encodeAndFormat', () => {
+  beforeEach(() => {
+    updateFile.mockImplementation(async ({ file_id }) => ({ ...image, file_id }));
+    getFileBuffer.mockResolvedValue(Buffer.from('image'));
+  });
+
+  const base64 = Buffer.from('image').toString('base64');
+
+  it('formats images as OpenAI image_url parts by default', async () => {
+    const { files, image_urls, tokenCount } = await encodeAndFormat(req, [image]);
+
+    expect(getFileBuffer).toHaveBeenCalledWith(image.filepath);
+    expect(image_urls).toEqual([
+      { type: 'image_url', image_url: { url: `data:image/webp;base64,${base64}`, detail: 'auto' } },
+    ]);
+    expect(files).toEqual([image]);
+    expect(tokenCount).toBe(765);
+  });
+
+  it('formats images as Anthropic image content blocks', async () => {
+    const { image_urls, tokenCount } = await encodeAndFormat(
+      req,
+      [image],
+      EModelEndpoint.anthropic,
+    );
+
+    expect(image_urls).toEqual([
+      { type: 'image', source: { type: 'base64', media_type: 'image/webp', data: base64 } },
+    ]);
+    expect(tokenCount).toBe(1399);
+  });
+
+  it('formats images as Google inlineData parts', async () => {
+    const { image_urls, tokenCount } = await encodeAndFormat(
+      req,
+      [image, { ...image, file_id: 'other-id' }],
+      EModelEndpoint.google,
+    );
+
+    expect(image_urls).toEqual([
+      { inlineData: { mimeType: 'image/webp', data: base64 } },
+      { inlineData: { mimeType: 'image/webp', data: base64 } },
+    ]);
+    expect(tokenCount).toBe(516);
+  });
+});
+
+describe('calculateImageTokenCost', () => {
+  it('estimates the OpenAI tokens from the 512px tiles of the scaled image', () => {
+    expect(calculateImageTokenCost({ width: 2048, height: 4096 })).toBe(1105);
+    expect(calculateImageTokenCost({ width: 400, height: 300 })).toBe(255);
+    expect(calculateImageTokenCost({ width: 2048, height: 4096, detail: 'low' })).toBe(85);
+  });
+
+  it('estimates the Anthropic tokens from the pixels of the image', () => {
+    expect(
+      calculateImageTokenCost({ width: 1092, height: 1092, endpoint: EModelEndpoint.anthropic }),
+    ).toBe(1590);
+  });
+
+  it('counts images of unknown size as 1024px squares', () => {
+    expect(calculateImageTokenCost({})).toBe(765);
+    expect(calculateImageTokenCost({ endpoint: EModelEndpoint.google })).toBe(258);
+  });
+});
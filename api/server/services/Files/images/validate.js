@@ -1,12 +1,4 @@
-const { visionModels } = require('librechat-data-provider');
-
-function validateVisionModel(model) {
-  if (!model) {
-    return false;
-  }
-
-  return visionModels.some((visionModel) => model.includes(visionModel));
-}
+const { validateVisionModel } = require('librechat-data-provider');
 
 module.exports = {
   validateVisionModel,
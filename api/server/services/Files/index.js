@@ -1,4 +1,5 @@
 const localStrategy = require('./localStrategy');
+const localDocumentStrategy = require('./localDocumentStrategy');
 const process = require('./process');
 const save = require('./save');
 
@@ -6,4 +7,5 @@ module.exports = {
   ...save,
   ...process,
   localStrategy,
+  localDocumentStrategy,
 };
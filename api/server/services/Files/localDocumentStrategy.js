@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const { createFile } = require('~/models');
+const { extractText } = require('./documents');
+const { indexFile } = require('./retrieval');
+const { getStrategy } = require('./strategies');
+const { checkStorageQuota } = require('./quota');
+
+/**
+ * Applies the strategy for document uploads.
+ * Extracts the text of the document and saves it to the uploads of the user with the
+ * configured file strategy, out of the public path, embeds its chunks when retrieval is enabled,
+ * then saves its metadata and text to the database with an expiry TTL.
+ * The extracted text is not sent back in the response.
+ *
+ * @param {Object} params - The parameters object.
+ * @param {Express.Request} params.req - The Express request object.
+ * @param {Express.Response} params.res - The Express response object.
+ * @param {Express.Multer.File} params.file - The uploaded file.
+ * @param {{ file_id: string, temp_file_id: string }} params.metadata - Additional metadata for the file.
+ * @returns {Promise<void>}
+ * @throws Will throw an error if no text could be extracted from the document.
+ * @throws Will throw an error with the `STORAGE_QUOTA_EXCEEDED` code if the quota is exceeded.
+ */
+const localDocumentStrategy = async ({ req, res, file, metadata }) => {
+  const { file_id, temp_file_id } = metadata;
+  const { uploads } = req.app.locals.config;
+  const filepath = path.posix.join(
+    '/',
+    path.basename(uploads),
+    req.user.id,
+    path.basename(file.path),
+  );
+
+  let text;
+  try {
+    await checkStorageQuota(req.user.id, file.size);
+
+    text = await extractText(file.path, file.originalname);
+    if (!text) {
+      throw new Error('No text could be extracted from the document');
+    }
+
+    await getStrategy().save(filepath, await fs.promises.readFile(file.path), file.mimetype);
+  } finally {
+    /* the temp file is removed once saved, or when the document is rejected */
+    await fs.promises.unlink(file.path).catch((error) => {
+      console.error('[localDocumentStrategy] Error deleting temp file', error);
+    });
+  }
+
+  let embedded = false;
+  try {
+    embedded = await indexFile({ user: req.user.id, file_id, text });
+  } catch (error) {
+    /* the document can still be added to the prompt as is */
+    console.error('[localDocumentStrategy] Error embedding document', error);
+  }
+
+  const { text: _text, ...result } = await createFile(
+    {
+      user: req.user.id,
+      file_id,
+      temp_file_id,
+      bytes: file.size,
+      filepath,
+      filename: file.originalname,
+      type: file.mimetype || 'text/plain',
+      text,
+      embedded,
+    },
+    true,
+  );
+  res.status(200).json({ message: 'File uploaded and processed successfully', ...result });
+};
+
+module.exports = localDocumentStrategy;
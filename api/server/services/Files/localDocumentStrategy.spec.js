@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkStorageQuota } = require('./quota');
+const { extractText } = require('./documents');
+const localDocumentStrategy = require('./localDocumentStrategy');
+
+jest.mock('~/models', () => ({
+  createFile: jest.fn(),
+}));
+
+jest.mock('./documents', () => ({
+  extractText: jest.fn(),
+}));
+
+jest.mock('./retrieval', () => ({
+  indexFile: jest.fn(),
+}));
+
+jest.mock('./strategies', () => ({
+  getStrategy: () => ({ save: jest.fn() }),
+}));
+
+jest.mock('./quota', () => ({
+  checkStorageQuota: jest.fn(),
+}));
+
+describe('localDocumentStrategy', () => {
+  let tempDir;
+  let file;
+  const req = { user: { id: 'user-id' }, app: { locals: { config: { uploads: '/uploads' } } } };
+  const metadata = { file_id: 'file-id', temp_file_id: 'temp-file-id' };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'document-upload-'));
+    file = { path: path.join(tempDir, 'file-upload.txt'), originalname: 'notes.txt', size: 5 };
+    fs.writeFileSync(file.path, 'notes');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('deletes the temp file when the storage quota is exceeded', async () => {
+    checkStorageQuota.mockRejectedValueOnce(new Error('Storage quota exceeded'));
+
+    await expect(localDocumentStrategy({ req, res: {}, file, metadata })).rejects.toThrow(
+      'Storage quota exceeded',
+    );
+    expect(fs.existsSync(file.path)).toBe(false);
+  });
+
+  it('deletes the temp file when no text can be extracted', async () => {
+    extractText.mockResolvedValueOnce('');
+
+    await expect(localDocumentStrategy({ req, res: {}, file, metadata })).rejects.toThrow(
+      'No text could be extracted from the document',
+    );
+    expect(fs.existsSync(file.path)).toBe(false);
+  });
+});
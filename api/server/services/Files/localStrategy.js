@@ -1,10 +1,14 @@
 const { createFile } = require('~/models');
 const { convertToWebP } = require('./images/convert');
+const { checkStorageQuota } = require('./quota');
+const { getStrategy } = require('./strategies');
 
 /**
- * Applies the local strategy for image uploads.
- * Saves file metadata to the database with an expiry TTL.
- * Files must be deleted from the server filesystem manually.
+ * Applies the strategy for image uploads.
+ * Converts the image to WebP and saves it with the configured file strategy,
+ * then saves file metadata to the database with an expiry TTL.
+ * Files must be deleted from the storage manually.
+ * The converted image is deleted again if it exceeds the storage quota of the user.
  *
  * @param {Object} params - The parameters object.
  * @param {Express.Request} params.req - The Express request object.
@@ -12,10 +16,17 @@ const { convertToWebP } = require('./images/convert');
  * @param {Express.Multer.File} params.file - The uploaded file.
  * @param {ImageMetadata} params.metadata - Additional metadata for the file.
  * @returns {Promise<void>}
+ * @throws Will throw an error with the `STORAGE_QUOTA_EXCEEDED` code if the quota is exceeded.
  */
 const localStrategy = async ({ req, res, file, metadata }) => {
   const { file_id, temp_file_id } = metadata;
   const { filepath, bytes, width, height } = await convertToWebP(req, file);
+  try {
+    await checkStorageQuota(req.user.id, bytes);
+  } catch (error) {
+    await getStrategy().delete(filepath);
+    throw error;
+  }
   const result = await createFile(
     {
       user: req.user.id,
@@ -13,17 +13,40 @@ const { updateFileUsage } = require('~/models');
 //     }));
 // };
 
-const processFiles = async (files) => {
+/**
+ * Increments the usage of the files attached to a message, and gets their records.
+ * @param {Array<{ file_id: string }>} files - The attached files.
+ * @param {string} user - The ID of the user sending the message.
+ * @returns {Promise<Array<MongoFile>>} The records of the user's files, leaving out unknown ones.
+ */
+const processFiles = async (files, user) => {
   const promises = [];
   for (let file of files) {
     const { file_id } = file;
-    promises.push(updateFileUsage({ file_id }));
+    promises.push(updateFileUsage({ file_id, user }));
   }
 
   // TODO: calculate token cost when image is first uploaded
-  return await Promise.all(promises);
+  const results = await Promise.all(promises);
+  return results.filter(Boolean);
 };
 
+/**
+ * Formats the attached files to save them with the message, leaving out the text of documents.
+ * @param {Array<MongoFile>} files - The attached files.
+ * @returns {Array<Object>} The files of the message.
+ */
+const getMessageFiles = (files) =>
+  files.map(({ file_id, filepath, filename, type, height, width }) => ({
+    file_id,
+    filepath,
+    filename,
+    type,
+    height,
+    width,
+  }));
+
 module.exports = {
   processFiles,
+  getMessageFiles,
 };
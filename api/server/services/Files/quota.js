@@ -0,0 +1,41 @@
+const { getStorageUsage } = require('~/models');
+
+/** The code of the errors thrown when a user's storage quota is exceeded */
+const quotaExceeded = 'STORAGE_QUOTA_EXCEEDED';
+
+/**
+ * Gets the storage quota of each user, set with `USER_STORAGE_QUOTA` in megabytes.
+ * @returns {number | null} The quota in bytes, or null if the storage is unlimited.
+ */
+const getStorageQuota = () => {
+  const quota = Number(process.env.USER_STORAGE_QUOTA);
+  return quota > 0 ? quota * 1024 * 1024 : null;
+};
+
+/**
+ * Checks that a user has room to store a file.
+ * @param {string} user - The user's ID.
+ * @param {number} [bytes=0] - The size of the file, when known.
+ * @returns {Promise<void>}
+ * @throws Will throw an error with the `STORAGE_QUOTA_EXCEEDED` code if the quota is used up,
+ * or would be exceeded by the file.
+ */
+const checkStorageQuota = async (user, bytes = 0) => {
+  const quota = getStorageQuota();
+  if (!quota) {
+    return;
+  }
+
+  const usage = await getStorageUsage(user);
+  if (usage >= quota || usage + bytes > quota) {
+    const error = new Error('Storage quota exceeded. Delete some of your files to upload more.');
+    error.code = quotaExceeded;
+    throw error;
+  }
+};
+
+module.exports = {
+  quotaExceeded,
+  getStorageQuota,
+  checkStorageQuota,
+};
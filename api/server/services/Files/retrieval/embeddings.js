@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { Embeddings } = require('langchain/embeddings/base');
+const { OpenAIEmbeddings } = require('langchain/embeddings/openai');
+
+/**
+ * Stand-in for an embeddings API, to use retrieval without one: texts are embedded as the
+ * normalized counts of their hashed words, so texts are only similar when they share words.
+ */
+class LocalEmbeddings extends Embeddings {
+  constructor(fields = {}) {
+    super(fields);
+    this.dimensions = fields.dimensions ?? 512;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {number[]}
+   */
+  embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) ?? [];
+    for (const word of words) {
+      const hash = crypto.createHash('md5').update(word).digest().readUInt32LE(0);
+      vector[hash % this.dimensions] += 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map((value) => value / norm) : vector;
+  }
+
+  async embedDocuments(texts) {
+    return texts.map((text) => this.embed(text));
+  }
+
+  async embedQuery(text) {
+    return this.embed(text);
+  }
+}
+
+/**
+ * Creates the embeddings provider set with `EMBEDDINGS_PROVIDER`:
+ * - `openAI`: the OpenAI API, with `EMBEDDINGS_API_KEY` or `OPENAI_API_KEY`
+ * - `azureOpenAI`: the Azure OpenAI deployment `AZURE_OPENAI_API_EMBEDDINGS_DEPLOYMENT_NAME`
+ * - `local`: a local stand-in, without API
+ *
+ * @returns {Embeddings | null} The embeddings provider, or null if retrieval is not enabled.
+ */
+function getEmbeddings() {
+  const {
+    EMBEDDINGS_PROVIDER,
+    EMBEDDINGS_MODEL,
+    EMBEDDINGS_API_KEY,
+    OPENAI_API_KEY,
+    AZURE_API_KEY,
+    AZURE_OPENAI_API_INSTANCE_NAME,
+    AZURE_OPENAI_API_EMBEDDINGS_DEPLOYMENT_NAME,
+    AZURE_OPENAI_API_VERSION,
+  } = process.env ?? {};
+
+  if (EMBEDDINGS_PROVIDER === 'openAI') {
+    return new OpenAIEmbeddings({
+      openAIApiKey: EMBEDDINGS_API_KEY ?? OPENAI_API_KEY,
+      modelName: EMBEDDINGS_MODEL ?? 'text-embedding-ada-002',
+    });
+  }
+
+  if (EMBEDDINGS_PROVIDER === 'azureOpenAI') {
+    return new OpenAIEmbeddings({
+      azureOpenAIApiKey: EMBEDDINGS_API_KEY ?? AZURE_API_KEY,
+      azureOpenAIApiInstanceName: AZURE_OPENAI_API_INSTANCE_NAME,
+      azureOpenAIApiDeploymentName: AZURE_OPENAI_API_EMBEDDINGS_DEPLOYMENT_NAME,
+      azureOpenAIApiVersion: AZURE_OPENAI_API_VERSION,
+    });
+  }
+
+  if (EMBEDDINGS_PROVIDER === 'local') {
+    return new LocalEmbeddings();
+  }
+
+  return null;
+}
+
+module.exports = {
+  LocalEmbeddings,
+  getEmbeddings,
+};
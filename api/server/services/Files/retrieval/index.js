@@ -0,0 +1,7 @@
+const embeddings = require('./embeddings');
+const retrieve = require('./retrieve');
+
+module.exports = {
+  ...embeddings,
+  ...retrieve,
+};
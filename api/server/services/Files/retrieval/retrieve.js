@@ -0,0 +1,125 @@
+const { tokenSplit } = require('~/app/clients/document');
+const { getEmbeddings } = require('./embeddings');
+const { addChunks, deleteChunks, similaritySearch } = require('./vectorStore');
+
+/** Size of the chunks the documents are split into, and their overlap, in tokens */
+const CHUNK_SIZE = 400;
+const CHUNK_OVERLAP = 50;
+
+const isRetrievalEnabled = () => getEmbeddings() !== null;
+
+/**
+ * Splits the text of a document into chunks, then embeds and stores them to retrieve them later.
+ *
+ * @param {Object} params
+ * @param {string} params.user - The user ID.
+ * @param {string} params.file_id - The identifier of the document.
+ * @param {string} params.text - The text of the document.
+ * @returns {Promise<boolean>} Whether the document was embedded, which requires retrieval to be enabled.
+ */
+async function indexFile({ user, file_id, text }) {
+  const embeddings = getEmbeddings();
+  if (!embeddings || !text) {
+    return false;
+  }
+
+  const texts = await tokenSplit({ text, chunkSize: CHUNK_SIZE, chunkOverlap: CHUNK_OVERLAP });
+  const vectors = await embeddings.embedDocuments(texts);
+  await addChunks(
+    texts.map((chunkText, index) => ({
+      user,
+      file_id,
+      index,
+      text: chunkText,
+      embedding: vectors[index],
+    })),
+  );
+  return true;
+}
+
+/**
+ * @param {Array<string>} file_ids - The identifiers of the documents.
+ */
+async function deleteFileVectors(file_ids) {
+  await deleteChunks(file_ids);
+}
+
+/**
+ * Gets the documents attached to messages, without duplicates.
+ * @param {Array<TMessage>} messages
+ * @returns {Array<{ file_id: string, filename?: string }>}
+ */
+function getConversationDocuments(messages) {
+  const documents = new Map();
+  for (const message of messages) {
+    for (const file of message.files ?? []) {
+      if (!file.type?.startsWith('image/')) {
+        documents.set(file.file_id, file);
+      }
+    }
+  }
+  return [...documents.values()];
+}
+
+/**
+ * Retrieves the chunks of documents most relevant to a query, and formats them as numbered
+ * sources for the model to cite as footnotes.
+ *
+ * @param {Object} params
+ * @param {string} params.user - The user ID.
+ * @param {string} params.query - The text to find relevant chunks for, usually the user message.
+ * @param {Array<{ file_id: string, filename?: string }>} params.files - The documents to search.
+ * @param {number} params.tokenLimit - The maximum number of tokens of the formatted sources.
+ * @param {(text: string) => number} params.getTokenCount - Counts the tokens of a text.
+ * @param {number} [params.k] - The maximum number of chunks, defaults to `RAG_TOP_K` or 5.
+ * @returns {Promise<{ context: string, sources: Array<TMessageSource> }>} The formatted sources
+ * to add to the prompt, and the sources to save with the response.
+ */
+async function getRetrievalContext({ user, query, files, tokenLimit, getTokenCount, k }) {
+  const embeddings = getEmbeddings();
+  if (!embeddings || files.length === 0 || tokenLimit <= 0) {
+    return { context: '', sources: [] };
+  }
+
+  const filenames = new Map(files.map((file) => [file.file_id, file.filename ?? 'Document']));
+  const chunks = await similaritySearch({
+    user,
+    file_ids: [...filenames.keys()],
+    embedding: await embeddings.embedQuery(query),
+    k: k ?? (Number(process.env.RAG_TOP_K) || 5),
+  });
+
+  const header =
+    'Sources retrieved from the documents of the conversation. When using a source, cite it with a footnote reference of its id, such as [^1], without writing the footnotes themselves.\n\n';
+  let remainingTokens = tokenLimit - getTokenCount(header);
+  const parts = [];
+  const sources = [];
+
+  for (const chunk of chunks) {
+    const id = sources.length + 1;
+    const filename = filenames.get(chunk.file_id);
+    const part = `<source id="${id}" filename="${filename}">\n${chunk.text}\n</source>\n\n`;
+    const tokenCount = getTokenCount(part);
+    if (tokenCount > remainingTokens) {
+      break;
+    }
+
+    remainingTokens -= tokenCount;
+    parts.push(part);
+    sources.push({ id, file_id: chunk.file_id, filename, text: chunk.text });
+  }
+
+  if (parts.length === 0) {
+    return { context: '', sources: [] };
+  }
+
+  return { context: `${header}${parts.join('')}`, sources };
+}
+
+module.exports = {
+  isRetrievalEnabled,
+  indexFile,
+  deleteFileVectors,
+  getConversationDocuments,
+  getRetrievalContext,
+};
@@ -0,0 +1,106 @@
+const {
+  indexFile,
+  deleteFileVectors,
+  getRetrievalContext,
+  getConversationDocuments,
+} = require('./retrieve');
+
+jest.mock('~/models', () => ({}));
+jest.mock('~/app/clients/document', () => ({
+  /* splits by paragraph, as the token splitter loads its encodings from the network */
+  tokenSplit: async ({ text }) => text.split('\n\n'),
+}));
+
+/** Counts one token per word */
+const getTokenCount = (text) => text.split(/\s+/).filter(Boolean).length;
+
+const text = [
+  'The quarterly revenue grew by twelve percent, driven by subscriptions.',
+  'The office will move to a new building in the spring.',
+  'Employees can work remotely two days a week.',
+].join('\n\n');
+
+describe('retrieval', () => {
+  const originalEnv = process.env;
+  const files = [{ file_id: 'file-id', filename: 'report.pdf' }];
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, EMBEDDINGS_PROVIDER: 'local', VECTOR_STORE: 'local' };
+  });
+
+  afterEach(async () => {
+    await deleteFileVectors(['file-id']);
+    process.env = originalEnv;
+  });
+
+  it('retrieves the chunks most relevant to the query as numbered sources', async () => {
+    expect(await indexFile({ user: 'user-id', file_id: 'file-id', text })).toBe(true);
+
+    const { context, sources } = await getRetrievalContext({
+      user: 'user-id',
+      query: 'How much did the revenue grow?',
+      files,
+      tokenLimit: 1000,
+      getTokenCount,
+      k: 2,
+    });
+
+    expect(sources).toHaveLength(2);
+    expect(sources[0]).toEqual({
+      id: 1,
+      file_id: 'file-id',
+      filename: 'report.pdf',
+      text: 'The quarterly revenue grew by twelve percent, driven by subscriptions.',
+    });
+    expect(context).toContain('such as [^1]');
+    expect(context).toContain(
+      `<source id="1" filename="report.pdf">\n${sources[0].text}\n</source>`,
+    );
+  });
+
+  it('only retrieves the chunks of the user that fit in the token limit', async () => {
+    await indexFile({ user: 'user-id', file_id: 'file-id', text });
+
+    const otherUser = await getRetrievalContext({
+      user: 'other-user',
+      query: 'revenue',
+      files,
+      tokenLimit: 1000,
+      getTokenCount,
+    });
+    expect(otherUser.sources).toEqual([]);
+
+    const { context, sources } = await getRetrievalContext({
+      user: 'user-id',
+      query: 'revenue',
+      files,
+      tokenLimit: 50,
+      getTokenCount,
+    });
+    expect(sources).toHaveLength(1);
+    expect(getTokenCount(context)).toBeLessThanOrEqual(50);
+  });
+
+  it('does not embed documents when retrieval is not enabled', async () => {
+    delete process.env.EMBEDDINGS_PROVIDER;
+
+    expect(await indexFile({ user: 'user-id', file_id: 'file-id', text })).toBe(false);
+    expect(
+      (await getRetrievalContext({ user: 'user-id', query: 'revenue', files, tokenLimit: 1000 }))
+        .sources,
+    ).toEqual([]);
+  });
+
+  it('gets the documents of the conversation', () => {
+    const messages = [
+      { files: [{ file_id: 'image-id', type: 'image/webp' }] },
+      { files: [{ file_id: 'file-id', type: 'application/pdf', filename: 'report.pdf' }] },
+      { files: [{ file_id: 'file-id', type: 'application/pdf', filename: 'report.pdf' }] },
+      { text: 'No files' },
+    ];
+
+    expect(getConversationDocuments(messages)).toEqual([
+      { file_id: 'file-id', type: 'application/pdf', filename: 'report.pdf' },
+    ]);
+  });
+});
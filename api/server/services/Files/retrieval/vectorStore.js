@@ -0,0 +1,100 @@
+const { saveFileChunks, getFileChunks, searchFileChunks, deleteFileChunks } = require('~/models');
+
+/** Chunks of the local vector store, by file_id */
+const localChunks = new Map();
+
+/** The number of chunks compared in memory when searching without a vector index */
+const maxScannedChunks = 5000;
+
+/**
+ * Vector stores of the embedded chunks, set with `VECTOR_STORE`: `mongo` (default), or `local`
+ * to keep them in memory, which only suits single instance deployments, as they are lost on restart.
+ * A store with a `search` function finds the most similar chunks with an index, the chunks of the
+ * others are compared in memory.
+ */
+const vectorStores = {
+  mongo: {
+    addChunks: saveFileChunks,
+    getChunks: getFileChunks,
+    deleteChunks: deleteFileChunks,
+    /* Atlas Vector Search, when an index is configured with `MONGO_VECTOR_SEARCH_INDEX` */
+    getSearch: () => {
+      const index = process.env.MONGO_VECTOR_SEARCH_INDEX;
+      return index ? (params) => searchFileChunks({ ...params, index }) : null;
+    },
+  },
+  local: {
+    addChunks: async (chunks) => {
+      for (const chunk of chunks) {
+        localChunks.set(chunk.file_id, [...(localChunks.get(chunk.file_id) ?? []), chunk]);
+      }
+    },
+    getChunks: async (user, file_ids, limit) =>
+      file_ids
+        .flatMap((file_id) => localChunks.get(file_id) ?? [])
+        .filter((chunk) => String(chunk.user) === String(user))
+        .slice(0, limit || undefined),
+    getSearch: () => null,
+    deleteChunks: async (file_ids) => {
+      for (const file_id of file_ids) {
+        localChunks.delete(file_id);
+      }
+    },
+  },
+};
+
+const getVectorStore = () => vectorStores[process.env.VECTOR_STORE] ?? vectorStores.mongo;
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} The cosine similarity of the vectors.
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Finds the chunks of files most similar to an embedding, with the index of the vector store if it
+ * has one. Otherwise, up to `maxScannedChunks` chunks are compared in memory.
+ *
+ * @param {Object} params
+ * @param {string} params.user - The user ID.
+ * @param {Array<string>} params.file_ids - The identifiers of the files to search.
+ * @param {number[]} params.embedding - The embedding to compare the chunks to.
+ * @param {number} params.k - The number of chunks to return.
+ * @returns {Promise<Array<MongoFileChunk & { score: number }>>} The chunks, most similar first.
+ */
+async function similaritySearch({ user, file_ids, embedding, k }) {
+  const vectorStore = getVectorStore();
+  const search = vectorStore.getSearch();
+  if (search) {
+    return await search({ user, file_ids, embedding, k });
+  }
+
+  const chunks = await vectorStore.getChunks(user, file_ids, maxScannedChunks);
+  if (chunks.length === maxScannedChunks) {
+    console.warn(
+      `[similaritySearch] Only the first ${maxScannedChunks} chunks were searched, set MONGO_VECTOR_SEARCH_INDEX to search them all`,
+    );
+  }
+  return chunks
+    .map((chunk) => ({ ...chunk, score: cosineSimilarity(embedding, chunk.embedding) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+module.exports = {
+  addChunks: (chunks) => getVectorStore().addChunks(chunks),
+  deleteChunks: (file_ids) => getVectorStore().deleteChunks(file_ids),
+  similaritySearch,
+  cosineSimilarity,
+};
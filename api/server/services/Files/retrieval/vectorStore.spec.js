@@ -0,0 +1,44 @@
+const { getFileChunks, searchFileChunks } = require('~/models');
+const { similaritySearch } = require('./vectorStore');
+
+jest.mock('~/models', () => ({
+  getFileChunks: jest.fn(),
+  searchFileChunks: jest.fn(),
+}));
+
+describe('similaritySearch', () => {
+  const originalEnv = process.env;
+  const params = { user: 'user-id', file_ids: ['file-id'], embedding: [1, 0], k: 1 };
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, VECTOR_STORE: 'mongo' };
+    delete process.env.MONGO_VECTOR_SEARCH_INDEX;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('searches the chunks with the vector search index when configured', async () => {
+    process.env.MONGO_VECTOR_SEARCH_INDEX = 'chunks_index';
+    const chunk = { file_id: 'file-id', text: 'chunk', score: 0.9 };
+    searchFileChunks.mockResolvedValueOnce([chunk]);
+
+    expect(await similaritySearch(params)).toEqual([chunk]);
+    expect(searchFileChunks).toHaveBeenCalledWith({ ...params, index: 'chunks_index' });
+    expect(getFileChunks).not.toHaveBeenCalled();
+  });
+
+  it('compares a limited number of chunks in memory without an index', async () => {
+    getFileChunks.mockResolvedValueOnce([
+      { text: 'unrelated', embedding: [0, 1] },
+      { text: 'related', embedding: [1, 0.1] },
+    ]);
+
+    const chunks = await similaritySearch(params);
+
+    expect(getFileChunks).toHaveBeenCalledWith('user-id', ['file-id'], 5000);
+    expect(chunks.map((chunk) => chunk.text)).toEqual(['related']);
+    expect(searchFileChunks).not.toHaveBeenCalled();
+  });
+});
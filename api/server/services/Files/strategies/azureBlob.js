@@ -0,0 +1,105 @@
+const { BlobServiceClient, BlobSASPermissions } = require('@azure/storage-blob');
+const {
+  AZURE_STORAGE_CONNECTION_STRING,
+  AZURE_STORAGE_CONTAINER_NAME = 'files',
+  AZURE_STORAGE_SAS_EXPIRY,
+} = process.env ?? {};
+
+/** How long the signed URLs of the files are valid, in milliseconds. Defaults to 1 day. */
+const sasExpiry = Number(AZURE_STORAGE_SAS_EXPIRY) || 1000 * 60 * 60 * 24;
+
+/** @type {Promise<import('@azure/storage-blob').ContainerClient> | null} */
+let containerReady = null;
+
+/**
+ * Gets the client of the container of the files, creating the container on first use.
+ * The container is private: the files are only accessed through signed URLs.
+ * @returns {Promise<import('@azure/storage-blob').ContainerClient>}
+ */
+const getContainerClient = async () => {
+  if (!containerReady) {
+    if (!AZURE_STORAGE_CONNECTION_STRING) {
+      throw new Error('AZURE_STORAGE_CONNECTION_STRING is required for the azure file strategy');
+    }
+
+    const serviceClient = BlobServiceClient.fromConnectionString(AZURE_STORAGE_CONNECTION_STRING);
+    const containerClient = serviceClient.getContainerClient(AZURE_STORAGE_CONTAINER_NAME);
+    containerReady = containerClient.createIfNotExists().then(() => containerClient);
+    /* retried on next use */
+    containerReady.catch(() => (containerReady = null));
+  }
+
+  return await containerReady;
+};
+
+/**
+ * The name of the blob of a file is its stored path, without the leading slash.
+ * @param {string} filepath - The stored path of the file, e.g. `/images/<user>/<file>`.
+ * @returns {Promise<import('@azure/storage-blob').BlockBlobClient>}
+ */
+const getBlobClient = async (filepath) => {
+  const client = await getContainerClient();
+  return client.getBlockBlobClient(filepath.replace(/^\/+/, ''));
+};
+
+/**
+ * Uploads a file to the container.
+ * @param {string} filepath - The path to store the file at.
+ * @param {Buffer} buffer - The content of the file.
+ * @param {string} [contentType] - The MIME type the file is served with.
+ * @returns {Promise<void>}
+ */
+const save = async (filepath, buffer, contentType) => {
+  const blobClient = await getBlobClient(filepath);
+  await blobClient.uploadData(buffer, {
+    blobHTTPHeaders: contentType ? { blobContentType: contentType } : undefined,
+  });
+};
+
+/**
+ * Signs a read-only URL of a file, valid for `AZURE_STORAGE_SAS_EXPIRY` milliseconds.
+ * @param {string} filepath
+ * @returns {Promise<string>}
+ */
+const getUrl = async (filepath) => {
+  const blobClient = await getBlobClient(filepath);
+  return await blobClient.generateSasUrl({
+    permissions: BlobSASPermissions.parse('r'),
+    expiresOn: new Date(Date.now() + sasExpiry),
+  });
+};
+
+/**
+ * @param {string} filepath
+ * @returns {Promise<void>}
+ */
+const deleteFile = async (filepath) => {
+  const blobClient = await getBlobClient(filepath);
+  await blobClient.deleteIfExists();
+};
+
+/**
+ * @param {string} filepath
+ * @returns {Promise<NodeJS.ReadableStream>}
+ */
+const stream = async (filepath) => {
+  const blobClient = await getBlobClient(filepath);
+  const response = await blobClient.download();
+  return response.readableStreamBody;
+};
+
+/**
+ * Lists the files stored under a prefix.
+ * @param {string} prefix - The stored path of the directory, e.g. `/images/`.
+ * @returns {Promise<Array<{ filepath: string, lastModified: Date }>>}
+ */
+const list = async (prefix) => {
+  const client = await getContainerClient();
+  const files = [];
+  for await (const blob of client.listBlobsFlat({ prefix: prefix.replace(/^\/+/, '') })) {
+    files.push({ filepath: `/${blob.name}`, lastModified: blob.properties.lastModified });
+  }
+  return files;
+};
+
+module.exports = { save, getUrl, delete: deleteFile, stream, list };
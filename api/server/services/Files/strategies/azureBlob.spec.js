@@ -0,0 +1,56 @@
+/**
+ * Runs against Azurite, the Azure Storage emulator, when `AZURE_STORAGE_CONNECTION_STRING` is set:
+ *
+ * npx azurite-blob --inMemoryPersistence
+ * AZURE_STORAGE_CONNECTION_STRING=UseDevelopmentStorage=true npx jest azureBlob
+ */
+const axios = require('axios');
+
+const describeWithAzurite = process.env.AZURE_STORAGE_CONNECTION_STRING ? describe : describe.skip;
+
+describeWithAzurite('azure blob file strategy', () => {
+  const azureBlob = require('./azureBlob');
+  const filepath = '/images/user-id/image.webp';
+
+  afterAll(async () => {
+    await azureBlob.delete(filepath);
+  });
+
+  it('saves files, served through signed URLs', async () => {
+    await azureBlob.save(filepath, Buffer.from('image'), 'image/webp');
+
+    const url = await azureBlob.getUrl(filepath);
+    expect(url).toContain('/images/user-id/image.webp?');
+    expect(url).toContain('sig=');
+
+    const response = await axios.get(url, { responseType: 'text' });
+    expect(response.data).toBe('image');
+    expect(response.headers['content-type']).toBe('image/webp');
+  });
+
+  it('streams files', async () => {
+    const chunks = [];
+    for await (const chunk of await azureBlob.stream(filepath)) {
+      chunks.push(chunk);
+    }
+    expect(Buffer.concat(chunks).toString()).toBe('image');
+  });
+
+  it('lists files', async () => {
+    const files = await azureBlob.list('/images/user-id/');
+    expect(files.map((file) => file.filepath)).toContain(filepath);
+  });
+
+  it('keeps the container private', async () => {
+    const url = (await azureBlob.getUrl(filepath)).split('?')[0];
+    await expect(axios.get(url)).rejects.toThrow();
+  });
+
+  it('deletes files', async () => {
+    await azureBlob.delete('/images/user-id/deleted.webp');
+    await azureBlob.save('/images/user-id/deleted.webp', Buffer.from('image'));
+    await azureBlob.delete('/images/user-id/deleted.webp');
+
+    await expect(azureBlob.stream('/images/user-id/deleted.webp')).rejects.toThrow();
+  });
+});
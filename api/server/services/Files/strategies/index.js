@@ -0,0 +1,99 @@
+const local = require('./local');
+const azureBlob = require('./azureBlob');
+const { FILE_STRATEGY = 'local' } = process.env ?? {};
+
+/**
+ * @typedef {Object} FileStrategy
+ * @property {(filepath: string, buffer: Buffer, contentType?: string) => Promise<void>} save
+ * @property {(filepath: string) => Promise<string>} getUrl - Gets the URL the client loads the file from.
+ * @property {(filepath: string) => Promise<void>} delete
+ * @property {(filepath: string) => Promise<NodeJS.ReadableStream>} stream
+ * @property {(prefix: string) => Promise<Array<{ filepath: string, lastModified: Date }>>} list
+ */
+
+/** @type {Record<string, FileStrategy>} */
+const strategies = {
+  local,
+  azure: azureBlob,
+};
+
+/**
+ * Gets the storage of the files, selected with `FILE_STRATEGY`.
+ * Files are identified by their stored path, e.g. `/images/<user>/<file>`.
+ * @returns {FileStrategy}
+ */
+const getStrategy = () => {
+  const strategy = strategies[FILE_STRATEGY];
+  if (!strategy) {
+    throw new Error(`Invalid FILE_STRATEGY: ${FILE_STRATEGY}`);
+  }
+  return strategy;
+};
+
+/**
+ * Reads a stored file into memory.
+ * @param {string} filepath
+ * @returns {Promise<Buffer>}
+ */
+const getFileBuffer = async (filepath) => {
+  const stream = await getStrategy().stream(filepath);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+/** Markdown images of stored files, e.g. the outputs of DALL-E */
+const imageLinkRegex = /(!\[[^\]]*\]\()(\/images\/[^)\s]+)(\))/g;
+
+/**
+ * Replaces the stored paths of the files of a message, and of the images in its text,
+ * with the URLs the client loads them from.
+ * Only the images of the message's files, or stored in the folder of its user, are replaced,
+ * so that a message can't link to the files of other users.
+ * The message itself is left as is, as it is saved with the stored paths.
+ * @param {TMessage} message
+ * @param {string} [user] - The ID of the user the message belongs to.
+ * @returns {Promise<TMessage>} A copy of the message with the URLs of its files.
+ */
+const withFileUrls = async (message, user) => {
+  if (!message) {
+    return message;
+  }
+
+  const strategy = getStrategy();
+  const result = { ...message };
+
+  if (message.files?.length) {
+    result.files = await Promise.all(
+      message.files.map(async (file) =>
+        file.filepath ? { ...file, filepath: await strategy.getUrl(file.filepath) } : file,
+      ),
+    );
+  }
+
+  if (typeof message.text === 'string' && message.text.includes('](/images/')) {
+    const filepaths = new Set((message.files ?? []).map((file) => file.filepath));
+    const userFolder = user ? `/images/${user}/` : null;
+    const urls = new Map();
+    for (const [, , filepath] of message.text.matchAll(imageLinkRegex)) {
+      const inUserFolder =
+        userFolder && filepath.startsWith(userFolder) && !filepath.includes('..');
+      if (filepaths.has(filepath) || inUserFolder) {
+        urls.set(filepath, await strategy.getUrl(filepath));
+      }
+    }
+    result.text = message.text.replace(imageLinkRegex, (match, start, filepath, end) =>
+      urls.has(filepath) ? `${start}${urls.get(filepath)}${end}` : match,
+    );
+  }
+
+  return result;
+};
+
+module.exports = {
+  getStrategy,
+  getFileBuffer,
+  withFileUrls,
+};
@@ -0,0 +1,43 @@
+jest.mock('./local', () => ({
+  getUrl: jest.fn(async (filepath) => `https://storage.example.com${filepath}?sig=signed`),
+}));
+
+const { withFileUrls } = require('./index');
+
+describe('withFileUrls', () => {
+  it('signs the files of a message and the images of the user in its text', async () => {
+    const message = {
+      messageId: 'message-id',
+      text: 'Here it is: ![generated image](/images/user-id/img-test.png)',
+      files: [{ file_id: 'file-id', filepath: '/images/user-id/image.webp' }],
+    };
+
+    const result = await withFileUrls(message, 'user-id');
+
+    expect(result.files[0].filepath).toBe(
+      'https://storage.example.com/images/user-id/image.webp?sig=signed',
+    );
+    expect(result.text).toBe(
+      'Here it is: ![generated image](https://storage.example.com/images/user-id/img-test.png?sig=signed)',
+    );
+    expect(message.files[0].filepath).toBe('/images/user-id/image.webp');
+  });
+
+  it('leaves the images of other users in the text unsigned', async () => {
+    const text = [
+      '![image](/images/other-user/img-test.png)',
+      '![image](/images/user-id/../other-user/img-test.png)',
+      '![image](/images/img-test.png)',
+    ].join('\n');
+    const message = { messageId: 'message-id', text };
+
+    expect((await withFileUrls(message, 'user-id')).text).toBe(text);
+  });
+
+  it('leaves other messages as they are', async () => {
+    const message = { messageId: 'message-id', text: 'See [the docs](/docs/index.md)' };
+
+    expect(await withFileUrls(message)).toEqual(message);
+    expect(await withFileUrls(null)).toBeNull();
+  });
+});
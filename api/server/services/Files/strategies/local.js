@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const { publicPath, uploads } = require('~/config');
+
+/**
+ * Resolves the path of a file on the server filesystem.
+ * Documents are kept out of the public path, in the uploads directory.
+ * @param {string} filepath - The stored path of the file, e.g. `/images/<user>/<file>`.
+ * @returns {string} The absolute path of the file.
+ * @throws Will throw an error if the path leads out of its base directory.
+ */
+const resolvePath = (filepath) => {
+  const subfolder = filepath.split('/')[1];
+  const basePath = subfolder === path.basename(uploads) ? path.dirname(uploads) : publicPath;
+  const resolvedPath = path.resolve(basePath, `.${filepath}`);
+  const directory = path.join(basePath, subfolder);
+
+  const isInDirectory = (resolvedPath + path.sep).startsWith(directory + path.sep);
+  if (!subfolder || subfolder === '..' || !isInDirectory) {
+    throw new Error('Invalid file path');
+  }
+
+  return resolvedPath;
+};
+
+/**
+ * Saves a file to the server filesystem.
+ * @param {string} filepath - The path to store the file at.
+ * @param {Buffer} buffer - The content of the file.
+ * @returns {Promise<void>}
+ */
+const save = async (filepath, buffer) => {
+  const outputPath = resolvePath(filepath);
+  await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.promises.writeFile(outputPath, buffer);
+};
+
+/**
+ * Images are served from the public path as is.
+ * @param {string} filepath
+ * @returns {Promise<string>}
+ */
+const getUrl = async (filepath) => filepath;
+
+/**
+ * @param {string} filepath
+ * @returns {Promise<void>}
+ */
+const deleteFile = async (filepath) => {
+  await fs.promises.unlink(resolvePath(filepath));
+};
+
+/**
+ * @param {string} filepath
+ * @returns {Promise<NodeJS.ReadableStream>}
+ */
+const stream = async (filepath) => fs.createReadStream(resolvePath(filepath));
+
+/**
+ * Lists the files stored under a directory, recursively.
+ * @param {string} prefix - The stored path of the directory, e.g. `/images/`.
+ * @returns {Promise<Array<{ filepath: string, lastModified: Date }>>}
+ */
+const list = async (prefix) => {
+  const directory = path.posix.join('/', prefix);
+  let entries;
+  try {
+    entries = await fs.promises.readdir(resolvePath(directory), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const filepath = path.posix.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await list(filepath)));
+    } else if (entry.isFile()) {
+      const { mtime } = await fs.promises.stat(resolvePath(filepath));
+      files.push({ filepath, lastModified: mtime });
+    }
+  }
+  return files;
+};
+
+module.exports = { save, getUrl, delete: deleteFile, stream, list };
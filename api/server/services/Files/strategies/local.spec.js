@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'local-strategy-'));
+
+jest.mock('~/config', () => ({
+  publicPath: require('path').join(mockRoot, 'public'),
+  uploads: require('path').join(mockRoot, 'api', 'uploads'),
+}));
+
+const local = require('./local');
+
+const read = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+describe('local file strategy', () => {
+  afterAll(() => {
+    fs.rmSync(mockRoot, { recursive: true, force: true });
+  });
+
+  it('saves images to the public path, served as is', async () => {
+    await local.save('/images/user-id/image.webp', Buffer.from('image'));
+
+    expect(fs.existsSync(path.join(mockRoot, 'public', 'images', 'user-id', 'image.webp'))).toBe(
+      true,
+    );
+    expect(await local.getUrl('/images/user-id/image.webp')).toBe('/images/user-id/image.webp');
+    expect(await read(await local.stream('/images/user-id/image.webp'))).toBe('image');
+  });
+
+  it('keeps documents out of the public path', async () => {
+    await local.save('/uploads/user-id/file.txt', Buffer.from('document'));
+
+    expect(fs.existsSync(path.join(mockRoot, 'api', 'uploads', 'user-id', 'file.txt'))).toBe(true);
+    expect(fs.existsSync(path.join(mockRoot, 'public', 'uploads'))).toBe(false);
+  });
+
+  it('deletes files', async () => {
+    await local.save('/images/user-id/deleted.webp', Buffer.from('image'));
+    await local.delete('/images/user-id/deleted.webp');
+
+    expect(fs.existsSync(path.join(mockRoot, 'public', 'images', 'user-id', 'deleted.webp'))).toBe(
+      false,
+    );
+  });
+
+  it('lists the files under a directory', async () => {
+    await local.save('/uploads/user-id/listed.txt', Buffer.from('document'));
+
+    const files = await local.list('/uploads/');
+
+    const listed = files.find((file) => file.filepath === '/uploads/user-id/listed.txt');
+    expect(listed.lastModified.getTime()).toBeLessThanOrEqual(Date.now());
+    expect(await local.list('/uploads/missing/')).toEqual([]);
+  });
+
+  it('rejects paths leading out of their directory', async () => {
+    await expect(local.save('/images/../../secret.txt', Buffer.from(''))).rejects.toThrow(
+      'Invalid file path',
+    );
+    await expect(local.delete('/uploads/../../../etc/passwd')).rejects.toThrow('Invalid file path');
+    await expect(local.stream('/../secret.txt')).rejects.toThrow('Invalid file path');
+  });
+});
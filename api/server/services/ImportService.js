@@ -0,0 +1,347 @@
+const crypto = require('crypto');
+const { get_encoding } = require('tiktoken');
+const { EModelEndpoint, getResponseSender } = require('librechat-data-provider');
+const { conversationPreset } = require('~/models/schema/defaults');
+const { saveMessage, saveConvo, deleteMessages } = require('~/models');
+
+const NO_PARENT = '00000000-0000-0000-0000-000000000000';
+
+/** The conversation settings kept from an export, such as the model: other fields are ignored */
+const settingsFields = Object.keys(conversationPreset).filter((field) => field !== 'endpoint');
+
+/**
+ * Detects the format of a parsed export file.
+ * @param {unknown} data - The parsed JSON content of the export.
+ * @returns {'librechat' | 'chatgpt' | null} The detected format, or null if unsupported.
+ */
+const detectFormat = (data) => {
+  if (Array.isArray(data) && data.length > 0 && data.every((convo) => convo?.mapping)) {
+    return 'chatgpt';
+  }
+
+  if (
+    data &&
+    typeof data === 'object' &&
+    (Array.isArray(data.messages) || Array.isArray(data.messagesTree))
+  ) {
+    return 'librechat';
+  }
+
+  return null;
+};
+
+/**
+ * Orders messages so that every parent precedes its children; messages whose parent
+ * is not part of the list are attached to the root.
+ * @param {ImportedMessage[]} messages
+ * @returns {ImportedMessage[]}
+ */
+const orderParentFirst = (messages) => {
+  const ids = new Set(messages.map((message) => message.id));
+  const children = new Map();
+  for (const message of messages) {
+    const parentId = ids.has(message.parentId) ? message.parentId : NO_PARENT;
+    message.parentId = parentId;
+    if (!children.has(parentId)) {
+      children.set(parentId, []);
+    }
+    children.get(parentId).push(message);
+  }
+
+  const ordered = [];
+  const stack = [...(children.get(NO_PARENT) ?? [])].reverse();
+  while (stack.length) {
+    const message = stack.pop();
+    ordered.push(message);
+    stack.push(...[...(children.get(message.id) ?? [])].reverse());
+  }
+
+  return ordered;
+};
+
+/**
+ * Parses a LibreChat conversation export, either recursive (`messagesTree`) or flat (`messages`).
+ * @param {Object} data - The parsed export.
+ * @returns {ImportedConversation[]}
+ */
+const parseLibreChatExport = (data) => {
+  const messages = [];
+  const addMessage = (message, parentId) => {
+    messages.push({
+      id: message.messageId,
+      parentId: parentId ?? message.parentMessageId,
+      sender: message.sender,
+      text: message.text ?? '',
+      isCreatedByUser: !!message.isCreatedByUser,
+      error: message.error,
+      unfinished: message.unfinished,
+      cancelled: message.cancelled,
+      model: message.model,
+      createdAt: message.createdAt,
+    });
+  };
+
+  if (Array.isArray(data.messagesTree)) {
+    const traverse = (nodes, parentId) => {
+      for (const node of nodes) {
+        addMessage(node, parentId);
+        traverse(node.children ?? [], node.messageId);
+      }
+    };
+    traverse(data.messagesTree, NO_PARENT);
+  } else {
+    data.messages.forEach((message) => addMessage(message));
+  }
+
+  const options = data.options ?? {};
+  return [
+    {
+      title: data.title,
+      endpoint: options.endpoint ?? data.endpoint ?? EModelEndpoint.openAI,
+      options,
+      messages,
+    },
+  ];
+};
+
+/**
+ * Maps a ChatGPT model slug to the closest OpenAI API model.
+ * @param {string} [slug]
+ * @returns {string}
+ */
+const getChatGPTModel = (slug = '') => (slug.includes('gpt-4') ? 'gpt-4' : 'gpt-3.5-turbo');
+
+/**
+ * Parses a ChatGPT `conversations.json` export. System and tool messages, as well as
+ * messages without text, are skipped and their children linked to the nearest kept ancestor.
+ * @param {Object[]} data - The parsed export.
+ * @returns {ImportedConversation[]}
+ */
+const parseChatGPTExport = (data) =>
+  data.map((convo) => {
+    const { mapping } = convo;
+    const messages = [];
+    let model = 'gpt-3.5-turbo';
+
+    const isKept = (message) => {
+      const role = message?.author?.role;
+      if (role !== 'user' && role !== 'assistant') {
+        return false;
+      }
+      if (message.recipient && message.recipient !== 'all') {
+        return false;
+      }
+      return getChatGPTText(message).length > 0;
+    };
+
+    const findKeptAncestor = (parentId) => {
+      let id = parentId;
+      while (id && mapping[id]) {
+        if (isKept(mapping[id].message)) {
+          return id;
+        }
+        id = mapping[id].parent;
+      }
+      return NO_PARENT;
+    };
+
+    for (const [id, node] of Object.entries(mapping)) {
+      const { message } = node;
+      if (!isKept(message)) {
+        continue;
+      }
+
+      const isCreatedByUser = message.author.role === 'user';
+      const messageModel = isCreatedByUser
+        ? null
+        : getChatGPTModel(message.metadata?.model_slug ?? '');
+      if (messageModel) {
+        model = messageModel;
+      }
+
+      messages.push({
+        id,
+        parentId: findKeptAncestor(node.parent),
+        sender: isCreatedByUser
+          ? 'User'
+          : getResponseSender({ endpoint: EModelEndpoint.openAI, model: messageModel }),
+        text: getChatGPTText(message),
+        isCreatedByUser,
+        model: messageModel,
+        createdAt: message.create_time ? new Date(message.create_time * 1000) : undefined,
+      });
+    }
+
+    return {
+      title: convo.title,
+      endpoint: EModelEndpoint.openAI,
+      options: { model },
+      createdAt: convo.create_time ? new Date(convo.create_time * 1000) : undefined,
+      messages,
+    };
+  });
+
+/**
+ * Extracts the text of a ChatGPT export message, ignoring non-text parts such as images.
+ * @param {Object} message
+ * @returns {string}
+ */
+function getChatGPTText(message) {
+  const parts = message?.content?.parts ?? [];
+  return parts
+    .filter((part) => typeof part === 'string')
+    .join('')
+    .trim();
+}
+
+/**
+ * Picks the settings fields of the conversation options of an export.
+ * @param {Object} [options]
+ * @returns {Object}
+ */
+const pickSettings = (options = {}) => {
+  const settings = {};
+  for (const field of settingsFields) {
+    if (options[field] !== undefined) {
+      settings[field] = options[field];
+    }
+  }
+  return settings;
+};
+
+/**
+ * Saves the messages of an imported conversation, then the conversation itself.
+ * @param {string} user - The user id.
+ * @param {string} conversationId - The new conversation id.
+ * @param {ImportedConversation} convo - The parsed conversation.
+ * @param {ImportedMessage[]} messages - The messages, parents first.
+ * @param {Tiktoken} encoder - The encoder used to recompute token counts.
+ */
+const saveConversationAndMessages = async (user, conversationId, convo, messages, encoder) => {
+  const idMap = new Map([[NO_PARENT, NO_PARENT]]);
+
+  for (const message of messages) {
+    const messageId = crypto.randomUUID();
+    idMap.set(message.id, messageId);
+
+    await saveMessage({
+      user,
+      messageId,
+      conversationId,
+      parentMessageId: idMap.get(message.parentId) ?? NO_PARENT,
+      sender: message.sender ?? (message.isCreatedByUser ? 'User' : 'AI'),
+      text: message.text,
+      isCreatedByUser: message.isCreatedByUser,
+      error: message.error,
+      unfinished: message.unfinished,
+      cancelled: message.cancelled,
+      model: message.model ?? null,
+      tokenCount: encoder.encode(message.text, 'all').length,
+      createdAt: message.createdAt,
+    });
+  }
+
+  const savedConvo = await saveConvo(user, {
+    ...pickSettings(convo.options),
+    conversationId,
+    endpoint: convo.endpoint,
+    title: convo.title || 'Imported Chat',
+    createdAt: convo.createdAt ?? messages[0].createdAt,
+  });
+
+  // `saveConvo` logs its errors instead of throwing
+  if (!savedConvo?.conversationId) {
+    throw new Error('Failed to save conversation.');
+  }
+};
+
+/**
+ * Saves an imported conversation for the user with fresh conversation and message ids.
+ * The messages already saved are deleted if the conversation fails to import.
+ * @param {string} user - The user id.
+ * @param {ImportedConversation} convo - The parsed conversation.
+ * @param {Tiktoken} encoder - The encoder used to recompute token counts.
+ * @returns {Promise<number>} The number of saved messages.
+ */
+const saveImportedConversation = async (user, convo, encoder) => {
+  const messages = orderParentFirst(convo.messages);
+  if (!messages.length) {
+    throw new Error('No messages found');
+  }
+
+  const conversationId = crypto.randomUUID();
+  try {
+    await saveConversationAndMessages(user, conversationId, convo, messages, encoder);
+  } catch (error) {
+    await deleteMessages({ user, conversationId }).catch((deleteError) =>
+      console.error('Error deleting the messages of a failed import:', deleteError),
+    );
+    throw error;
+  }
+
+  return messages.length;
+};
+
+/**
+ * Imports the conversations of a LibreChat or ChatGPT JSON export for the user.
+ * Conversations that fail to import are reported without aborting the rest.
+ * @param {string} user - The user id.
+ * @param {unknown} data - The parsed JSON content of the export.
+ * @returns {Promise<{ conversations: number, messages: number, errors: { title: string, message: string }[] }>}
+ */
+const importConversations = async (user, data) => {
+  const format = detectFormat(data);
+  if (!format) {
+    throw new Error('Unsupported file format');
+  }
+
+  const convos = format === 'chatgpt' ? parseChatGPTExport(data) : parseLibreChatExport(data);
+  const summary = { conversations: 0, messages: 0, errors: [] };
+  const encoder = get_encoding('cl100k_base');
+
+  try {
+    for (const convo of convos) {
+      try {
+        summary.messages += await saveImportedConversation(user, convo, encoder);
+        summary.conversations++;
+      } catch (error) {
+        console.error(`Error importing conversation "${convo.title}":`, error);
+        summary.errors.push({ title: convo.title ?? '', message: error.message });
+      }
+    }
+  } finally {
+    encoder.free();
+  }
+
+  return summary;
+};
+
+/**
+ * @typedef {Object} ImportedMessage
+ * @property {string} id - The message id in the export.
+ * @property {string} parentId - The parent message id in the export.
+ * @property {string} [sender]
+ * @property {string} text
+ * @property {boolean} isCreatedByUser
+ * @property {boolean} [error]
+ * @property {boolean} [unfinished]
+ * @property {boolean} [cancelled]
+ * @property {string | null} [model]
+ * @property {Date | string} [createdAt]
+ */
+
+/**
+ * @typedef {Object} ImportedConversation
+ * @property {string} [title]
+ * @property {string} endpoint
+ * @property {Object} options - Conversation settings such as the model.
+ * @property {Date} [createdAt]
+ * @property {ImportedMessage[]} messages
+ */
+
+module.exports = {
+  detectFormat,
+  parseChatGPTExport,
+  parseLibreChatExport,
+  importConversations,
+};
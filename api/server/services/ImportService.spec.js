@@ -0,0 +1,199 @@
+const { saveMessage, saveConvo, deleteMessages } = require('~/models');
+const { detectFormat, importConversations } = require('./ImportService');
+
+jest.mock('~/models', () => ({
+  saveMessage: jest.fn(),
+  saveConvo: jest.fn(async (user, convo) => convo),
+  deleteMessages: jest.fn(async () => ({})),
+}));
+
+const NO_PARENT = '00000000-0000-0000-0000-000000000000';
+
+const chatGPTExport = [
+  {
+    title: 'ChatGPT Chat',
+    create_time: 1700000000,
+    mapping: {
+      root: { id: 'root', message: null, parent: null, children: ['system'] },
+      system: {
+        id: 'system',
+        message: { author: { role: 'system' }, content: { parts: [''] } },
+        parent: 'root',
+        children: ['question'],
+      },
+      question: {
+        id: 'question',
+        message: {
+          author: { role: 'user' },
+          content: { content_type: 'text', parts: ['Hello'] },
+          create_time: 1700000001,
+        },
+        parent: 'system',
+        children: ['answer'],
+      },
+      answer: {
+        id: 'answer',
+        message: {
+          author: { role: 'assistant' },
+          content: { content_type: 'text', parts: ['Hi there!'] },
+          create_time: 1700000002,
+          metadata: { model_slug: 'gpt-4' },
+          recipient: 'all',
+        },
+        parent: 'question',
+        children: [],
+      },
+    },
+  },
+];
+
+const libreChatExport = {
+  conversationId: 'old-convo',
+  endpoint: 'anthropic',
+  title: 'LibreChat Chat',
+  recursive: true,
+  options: { endpoint: 'anthropic', model: 'claude-2' },
+  messagesTree: [
+    {
+      messageId: 'old-1',
+      parentMessageId: NO_PARENT,
+      sender: 'User',
+      text: 'Hello',
+      isCreatedByUser: true,
+      children: [
+        {
+          messageId: 'old-2',
+          parentMessageId: 'old-1',
+          sender: 'Claude',
+          text: 'Hi!',
+          isCreatedByUser: false,
+          children: [],
+        },
+      ],
+    },
+  ],
+};
+
+describe('ImportService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('detects the export format', () => {
+    expect(detectFormat(chatGPTExport)).toBe('chatgpt');
+    expect(detectFormat(libreChatExport)).toBe('librechat');
+    expect(detectFormat({ messages: [] })).toBe('librechat');
+    expect(detectFormat({ foo: 'bar' })).toBeNull();
+    expect(detectFormat([])).toBeNull();
+  });
+
+  it('imports a ChatGPT export, skipping system messages and relinking children', async () => {
+    const summary = await importConversations('user-id', chatGPTExport);
+
+    expect(summary).toEqual({ conversations: 1, messages: 2, errors: [] });
+    const [[question], [answer]] = saveMessage.mock.calls;
+    expect(question).toMatchObject({
+      user: 'user-id',
+      parentMessageId: NO_PARENT,
+      text: 'Hello',
+      isCreatedByUser: true,
+      createdAt: new Date(1700000001000),
+    });
+    expect(answer).toMatchObject({
+      parentMessageId: question.messageId,
+      conversationId: question.conversationId,
+      sender: 'GPT-4',
+      model: 'gpt-4',
+      text: 'Hi there!',
+    });
+    expect(answer.tokenCount).toBeGreaterThan(0);
+    expect(question.messageId).not.toBe('question');
+
+    expect(saveConvo).toHaveBeenCalledWith('user-id', {
+      conversationId: question.conversationId,
+      endpoint: 'openAI',
+      model: 'gpt-4',
+      title: 'ChatGPT Chat',
+      createdAt: new Date(1700000000000),
+    });
+  });
+
+  it('imports a recursive LibreChat export with fresh ids', async () => {
+    const summary = await importConversations('user-id', libreChatExport);
+
+    expect(summary).toEqual({ conversations: 1, messages: 2, errors: [] });
+    const [[first], [second]] = saveMessage.mock.calls;
+    expect(first.messageId).not.toBe('old-1');
+    expect(first.parentMessageId).toBe(NO_PARENT);
+    expect(second.parentMessageId).toBe(first.messageId);
+    expect(second.sender).toBe('Claude');
+    expect(saveConvo).toHaveBeenCalledWith(
+      'user-id',
+      expect.objectContaining({
+        endpoint: 'anthropic',
+        model: 'claude-2',
+        title: 'LibreChat Chat',
+      }),
+    );
+  });
+
+  it('imports a flat LibreChat export, saving parents before children', async () => {
+    const messages = [
+      { messageId: 'b', parentMessageId: 'a', text: 'Reply', isCreatedByUser: false },
+      { messageId: 'a', parentMessageId: NO_PARENT, text: 'Question', isCreatedByUser: true },
+    ];
+    await importConversations('user-id', { endpoint: 'openAI', title: 'Flat', messages });
+
+    const [[first], [second]] = saveMessage.mock.calls;
+    expect(first.text).toBe('Question');
+    expect(second.parentMessageId).toBe(first.messageId);
+  });
+
+  it('reports conversations that fail to import', async () => {
+    saveMessage.mockRejectedValueOnce(new Error('Failed to save message.'));
+    const summary = await importConversations('user-id', [
+      ...chatGPTExport,
+      { title: 'Empty', mapping: {} },
+    ]);
+
+    expect(summary.conversations).toBe(0);
+    expect(summary.errors).toEqual([
+      { title: 'ChatGPT Chat', message: 'Failed to save message.' },
+      { title: 'Empty', message: 'No messages found' },
+    ]);
+  });
+
+  it('only keeps the settings of the conversation options', async () => {
+    await importConversations('user-id', {
+      ...libreChatExport,
+      options: { model: 'claude-2', user: 'other-user', isArchived: true, tags: ['x'] },
+    });
+
+    const [[, convo]] = saveConvo.mock.calls;
+    expect(convo.model).toBe('claude-2');
+    expect(convo).not.toHaveProperty('user');
+    expect(convo).not.toHaveProperty('isArchived');
+    expect(convo).not.toHaveProperty('tags');
+  });
+
+  it('deletes the saved messages of a conversation that fails to save', async () => {
+    saveConvo.mockResolvedValueOnce({ message: 'Error saving conversation' });
+    const summary = await importConversations('user-id', chatGPTExport);
+
+    const [[question]] = saveMessage.mock.calls;
+    expect(summary.conversations).toBe(0);
+    expect(summary.errors).toEqual([
+      { title: 'ChatGPT Chat', message: 'Failed to save conversation.' },
+    ]);
+    expect(deleteMessages).toHaveBeenCalledWith({
+      user: 'user-id',
+      conversationId: question.conversationId,
+    });
+  });
+
+  it('rejects unsupported files', async () => {
+    await expect(importConversations('user-id', { foo: 'bar' })).rejects.toThrow(
+      'Unsupported file format',
+    );
+  });
+});
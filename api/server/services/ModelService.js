@@ -1,19 +1,50 @@
 const HttpsProxyAgent = require('https-proxy-agent');
 const axios = require('axios');
-const Keyv = require('keyv');
-const { isEnabled } = require('~/server/utils');
 const { extractBaseURL } = require('~/utils');
-const keyvRedis = require('~/cache/keyvRedis');
+const getLogStores = require('~/cache/getLogStores');
 // const { getAzureCredentials, genAzureChatCompletion } = require('~/utils/');
 const { openAIApiKey, userProvidedOpenAI } = require('./Config/EndpointService').config;
 
-const modelsCache = isEnabled(process.env.USE_REDIS)
-  ? new Keyv({ store: keyvRedis })
-  : new Keyv({ namespace: 'models' });
+const modelsCache = getLogStores('models');
 
 const { OPENROUTER_API_KEY, OPENAI_REVERSE_PROXY, CHATGPT_MODELS, ANTHROPIC_MODELS, PROXY } =
   process.env ?? {};
 
+/**
+ * Fetches the list of model ids from an OpenAI-compatible `/models` endpoint.
+ * @param {Object} params - The parameters for the request.
+ * @param {string} params.apiKey - The API key used for authorization.
+ * @param {string} params.baseURL - The base URL of the API.
+ * @param {string} [params.name='OpenAI'] - The name of the API, used in log messages.
+ * @returns {Promise<string[]>} The fetched model ids, or an empty array if the request failed.
+ */
+const fetchModels = async ({ apiKey, baseURL, name = 'OpenAI' }) => {
+  let models = [];
+
+  if (!baseURL) {
+    return models;
+  }
+
+  try {
+    const payload = {
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+      },
+    };
+
+    if (PROXY) {
+      payload.httpsAgent = new HttpsProxyAgent(PROXY);
+    }
+
+    const res = await axios.get(`${baseURL}/models`, payload);
+    models = res.data.data.map((item) => item.id);
+  } catch (err) {
+    console.log(`Failed to fetch models from ${name} API`);
+  }
+
+  return models;
+};
+
 const fetchOpenAIModels = async (opts = { azure: false, plugins: false }, _models = []) => {
   let models = _models.slice() ?? [];
   let apiKey = openAIApiKey;
@@ -115,6 +146,8 @@ const getChatGPTBrowserModels = () => {
 
 const getAnthropicModels = () => {
   let models = [
+    'claude-3-opus-20240229',
+    'claude-3-sonnet-20240229',
     'claude-2.1',
     'claude-2',
     'claude-1.2',
@@ -131,6 +164,7 @@ const getAnthropicModels = () => {
 };
 
 module.exports = {
+  fetchModels,
   getOpenAIModels,
   getChatGPTBrowserModels,
   getAnthropicModels,
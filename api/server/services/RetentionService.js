@@ -0,0 +1,45 @@
+const { deleteArchivedConvos } = require('~/models/Conversation');
+
+const dayInMs = 24 * 60 * 60 * 1000;
+const retentionInterval = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Deletes the conversations that were archived more than `retentionDays` days ago.
+ * @param {number} retentionDays - The number of days archived conversations are kept.
+ * @returns {Promise<number>} The number of deleted conversations.
+ */
+const deleteExpiredArchives = async (retentionDays) => {
+  const archivedBefore = new Date(Date.now() - retentionDays * dayInMs);
+  const { deletedCount } = await deleteArchivedConvos(archivedBefore);
+  if (deletedCount) {
+    console.log(`[Retention] Deleted ${deletedCount} archived conversation(s)`);
+  }
+  return deletedCount;
+};
+
+/**
+ * Periodically deletes expired archived conversations when `ARCHIVE_RETENTION_DAYS` is set
+ * to a positive number of days; archived conversations are kept forever otherwise.
+ * @returns {NodeJS.Timeout | null} The scheduled interval, or null if retention is disabled.
+ */
+const scheduleArchiveRetention = () => {
+  const retentionDays = Number(process.env.ARCHIVE_RETENTION_DAYS);
+  if (!retentionDays || retentionDays <= 0) {
+    return null;
+  }
+
+  const run = () =>
+    deleteExpiredArchives(retentionDays).catch((error) =>
+      console.error('[Retention] Error deleting archived conversations:', error),
+    );
+
+  run();
+  const interval = setInterval(run, retentionInterval);
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  deleteExpiredArchives,
+  scheduleArchiveRetention,
+};
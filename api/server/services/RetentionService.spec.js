@@ -0,0 +1,49 @@
+const { deleteArchivedConvos } = require('~/models/Conversation');
+const { deleteExpiredArchives, scheduleArchiveRetention } = require('./RetentionService');
+
+jest.mock('~/models/Conversation', () => ({
+  deleteArchivedConvos: jest.fn(),
+}));
+
+describe('RetentionService', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    deleteArchivedConvos.mockResolvedValue({ deletedCount: 2, messages: { deletedCount: 6 } });
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('deletes conversations archived before the retention period', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(new Date('2024-01-31T00:00:00.000Z').getTime());
+
+    const deletedCount = await deleteExpiredArchives(30);
+
+    expect(deletedCount).toBe(2);
+    expect(deleteArchivedConvos).toHaveBeenCalledWith(new Date('2024-01-01T00:00:00.000Z'));
+    Date.now.mockRestore();
+  });
+
+  it('does not schedule the job when retention is disabled', () => {
+    delete process.env.ARCHIVE_RETENTION_DAYS;
+    expect(scheduleArchiveRetention()).toBeNull();
+
+    process.env.ARCHIVE_RETENTION_DAYS = '0';
+    expect(scheduleArchiveRetention()).toBeNull();
+    expect(deleteArchivedConvos).not.toHaveBeenCalled();
+  });
+
+  it('runs the job right away and then periodically', () => {
+    process.env.ARCHIVE_RETENTION_DAYS = '30';
+
+    const interval = scheduleArchiveRetention();
+
+    expect(interval).not.toBeNull();
+    expect(deleteArchivedConvos).toHaveBeenCalledTimes(1);
+    clearInterval(interval);
+  });
+});
@@ -0,0 +1,142 @@
+const { SearchClient, AzureKeyCredential } = require('@azure/search-documents');
+const Message = require('~/models/schema/messageSchema');
+const {
+  AZURE_SEARCH_ENDPOINT,
+  AZURE_SEARCH_API_KEY,
+  AZURE_SEARCH_MESSAGES_INDEX = 'messages',
+  AZURE_SEARCH_CONVOS_INDEX = 'convos',
+} = process.env ?? {};
+
+/** The maximum number of hits of each search, as with Meilisearch */
+const top = 20;
+
+/** @type {Record<string, SearchClient>} */
+const clients = {};
+
+/**
+ * Gets the client of an index. The indexes are filled by Azure AI Search indexers
+ * over the `messages` and `conversations` collections, see the docs of `SEARCH_PROVIDER`.
+ * @param {string} indexName
+ * @returns {SearchClient}
+ */
+const getClient = (indexName) => {
+  if (!AZURE_SEARCH_ENDPOINT || !AZURE_SEARCH_API_KEY) {
+    throw new Error('AZURE_SEARCH_ENDPOINT and AZURE_SEARCH_API_KEY are required for azure search');
+  }
+
+  if (!clients[indexName]) {
+    clients[indexName] = new SearchClient(
+      AZURE_SEARCH_ENDPOINT,
+      indexName,
+      new AzureKeyCredential(AZURE_SEARCH_API_KEY),
+    );
+  }
+  return clients[indexName];
+};
+
+/** Quotes an OData string, escaping its quotes by doubling them */
+const quote = (value) => `'${value.replace(/'/g, '$&$&')}'`;
+
+/**
+ * Builds the OData filter of an index, always scoped to the user's documents.
+ * @param {string} user - The user's ID.
+ * @param {SearchFilters} filters
+ * @param {string[]} attributes - The filterable fields of the index, besides `user` and `createdAt`.
+ * @returns {string}
+ */
+const buildODataFilter = (user, filters, attributes) => {
+  const conditions = [`user eq ${quote(user)}`];
+  for (const attribute of attributes) {
+    if (filters[attribute]) {
+      conditions.push(`${attribute} eq ${quote(filters[attribute])}`);
+    }
+  }
+  if (filters.startDate) {
+    conditions.push(`createdAt ge ${filters.startDate.toISOString()}`);
+  }
+  if (filters.endDate) {
+    conditions.push(`createdAt le ${filters.endDate.toISOString()}`);
+  }
+  return conditions.join(' and ');
+};
+
+/**
+ * Applies the highlighted fragments of a hit to the full text, as Meilisearch highlights the whole text.
+ * @param {string} text
+ * @param {string[]} [fragments] - The fragments of the text, with the matches in `**`.
+ * @returns {string}
+ */
+const applyHighlights = (text, fragments = []) => {
+  let result = text;
+  for (const fragment of fragments) {
+    result = result.replace(fragment.replace(/\*\*/g, ''), fragment);
+  }
+  return result;
+};
+
+/**
+ * Checks that the messages index can be reached.
+ * @returns {Promise<boolean>}
+ */
+const isAvailable = async () => {
+  await getClient(AZURE_SEARCH_MESSAGES_INDEX).getDocumentsCount();
+  return true;
+};
+
+/**
+ * Searches the user's messages, populated from MongoDB.
+ * @param {string} user - The user's ID.
+ * @param {string} q - The search query.
+ * @param {SearchFilters} [filters]
+ * @returns {Promise<TMessage[]>} The messages, with the matches highlighted in `**` in their text.
+ */
+const searchMessages = async (user, q, filters = {}) => {
+  const { results } = await getClient(AZURE_SEARCH_MESSAGES_INDEX).search(q, {
+    top,
+    select: ['messageId'],
+    filter: buildODataFilter(user, filters, ['sender']),
+    highlightFields: 'text',
+    highlightPreTag: '**',
+    highlightPostTag: '**',
+  });
+
+  const hits = [];
+  for await (const result of results) {
+    hits.push(result);
+  }
+
+  const messageIds = hits.map((hit) => hit.document.messageId);
+  const messages = await Message.find({ user, messageId: { $in: messageIds } }).lean();
+  const messageMap = new Map(messages.map((message) => [message.messageId, message]));
+
+  return hits
+    .filter((hit) => messageMap.has(hit.document.messageId))
+    .map((hit) => {
+      const message = messageMap.get(hit.document.messageId);
+      return { ...message, text: applyHighlights(message.text, hit.highlights?.text) };
+    });
+};
+
+/**
+ * Searches the titles of the user's conversations.
+ * @param {string} user - The user's ID.
+ * @param {string} q - The search query.
+ * @param {SearchFilters} [filters]
+ * @returns {Promise<Array<{ conversationId: string, title: string }>>}
+ */
+const searchConvos = async (user, q, filters = {}) => {
+  const { results } = await getClient(AZURE_SEARCH_CONVOS_INDEX).search(q, {
+    top,
+    select: ['conversationId', 'title'],
+    searchFields: ['title'],
+    filter: buildODataFilter(user, filters, ['endpoint', 'model']),
+  });
+
+  const convos = [];
+  for await (const result of results) {
+    convos.push(result.document);
+  }
+  return convos;
+};
+
+module.exports = { isAvailable, searchMessages, searchConvos };
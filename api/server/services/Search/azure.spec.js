@@ -0,0 +1,83 @@
+const { SearchClient } = require('@azure/search-documents');
+const Message = require('~/models/schema/messageSchema');
+
+jest.mock('@azure/search-documents', () => ({
+  SearchClient: jest.fn(),
+  AzureKeyCredential: jest.fn(),
+}));
+
+jest.mock('~/models/schema/messageSchema', () => ({ find: jest.fn() }));
+
+process.env.AZURE_SEARCH_ENDPOINT = 'https://search.example.com';
+process.env.AZURE_SEARCH_API_KEY = 'api-key';
+
+const { searchMessages, searchConvos } = require('./azure');
+
+const search = jest.fn();
+SearchClient.mockImplementation((endpoint, indexName) => ({
+  search: (...args) => search(indexName, ...args),
+}));
+
+async function* toResults(results) {
+  yield* results;
+}
+
+describe('azure search', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('populates the message hits from MongoDB and highlights their full text', async () => {
+    search.mockResolvedValue({
+      results: toResults([
+        {
+          document: { messageId: 'message-id' },
+          highlights: { text: ['a trip to **Paris**'] },
+        },
+        { document: { messageId: 'deleted-id' } },
+      ]),
+    });
+    Message.find.mockReturnValue({
+      lean: async () => [
+        { messageId: 'message-id', conversationId: 'convo-id', text: 'Plan a trip to Paris' },
+      ],
+    });
+
+    const messages = await searchMessages('user-id', 'paris', {
+      sender: 'O\'Brien',
+      startDate: new Date('2024-01-01T00:00:00.000Z'),
+    });
+
+    expect(search).toHaveBeenCalledWith(
+      'messages',
+      'paris',
+      expect.objectContaining({
+        filter:
+          'user eq \'user-id\' and sender eq \'O\'\'Brien\' and createdAt ge 2024-01-01T00:00:00.000Z',
+        highlightFields: 'text',
+      }),
+    );
+    expect(Message.find).toHaveBeenCalledWith({
+      user: 'user-id',
+      messageId: { $in: ['message-id', 'deleted-id'] },
+    });
+    expect(messages).toEqual([
+      { messageId: 'message-id', conversationId: 'convo-id', text: 'Plan a trip to **Paris**' },
+    ]);
+  });
+
+  it('searches the titles of the conversations with their filters', async () => {
+    search.mockResolvedValue({
+      results: toResults([{ document: { conversationId: 'convo-id', title: 'Paris' } }]),
+    });
+
+    const convos = await searchConvos('user-id', 'paris', { endpoint: 'openAI' });
+
+    expect(search).toHaveBeenCalledWith(
+      'convos',
+      'paris',
+      expect.objectContaining({ filter: 'user eq \'user-id\' and endpoint eq \'openAI\'' }),
+    );
+    expect(convos).toEqual([{ conversationId: 'convo-id', title: 'Paris' }]);
+  });
+});
@@ -0,0 +1,61 @@
+const searchProvider = require('~/lib/db/searchProvider');
+const { isEnabled } = require('~/server/utils');
+
+/**
+ * @typedef {Object} SearchFilters
+ * @property {string} [endpoint] - Only conversations of this endpoint.
+ * @property {string} [model] - Only conversations of this model.
+ * @property {string} [sender] - Only messages of this sender; conversation titles are not searched.
+ * @property {Date} [startDate] - Only documents created at or after this date.
+ * @property {Date} [endDate] - Only documents created at or before this date.
+ */
+
+/**
+ * @typedef {Object} SearchProvider
+ * @property {() => Promise<boolean>} isAvailable - Whether the backend can be searched.
+ * @property {(user: string, q: string, filters?: SearchFilters) => Promise<TMessage[]>} searchMessages
+ * Searches the user's messages, with the matches highlighted in `**` in their text.
+ * @property {(user: string, q: string, filters?: SearchFilters) => Promise<Array<{ conversationId: string, title: string }>>} searchConvos
+ * Searches the titles of the user's conversations.
+ * @property {() => Promise<void>} [sync] - Syncs the backend's index with MongoDB, if it keeps its own.
+ * @property {() => Object[]} [getSyncProgress] - The progress of the current, or last, sync of each index.
+ */
+
+/** @type {Record<string, () => SearchProvider>} */
+const providers = {
+  meilisearch: () => require('./meilisearch'),
+  mongo: () => require('./mongo'),
+  azure: () => require('./azure'),
+};
+
+/**
+ * Gets the backend of the search, selected with `SEARCH_PROVIDER`.
+ * Providers are loaded on use, so that only the selected one's client is required.
+ * @returns {SearchProvider}
+ */
+const getSearchProvider = () => {
+  const provider = providers[searchProvider];
+  if (!provider) {
+    throw new Error(`Invalid SEARCH_PROVIDER: ${searchProvider}`);
+  }
+  return provider();
+};
+
+/**
+ * Whether search is enabled with `SEARCH` and its backend is available.
+ * @returns {Promise<boolean>}
+ */
+const isSearchEnabled = async () => {
+  if (!isEnabled(process.env.SEARCH)) {
+    return false;
+  }
+
+  try {
+    return await getSearchProvider().isAvailable();
+  } catch (error) {
+    console.error(`[Search] The ${searchProvider} search is unavailable:`, error.message);
+    return false;
+  }
+};
+
+module.exports = { getSearchProvider, isSearchEnabled };
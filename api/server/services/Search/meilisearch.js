@@ -0,0 +1,107 @@
+const { MeiliSearch } = require('meilisearch');
+const { Message } = require('~/models/Message');
+const { Conversation } = require('~/models/Conversation');
+const { MEILI_HOST, MEILI_MASTER_KEY } = process.env ?? {};
+
+/** The filterable attributes of each index besides `user` and `createdAt`, see `mongoMeili` */
+const messageFilters = ['sender'];
+const convoFilters = ['endpoint', 'model'];
+/**
+ * The attributes of the conversation saved with messages; messages saved before they were
+ * also match, and are left out by `getConvosQueried` instead when their conversation doesn't.
+ */
+const messageConvoFilters = ['endpoint', 'model'];
+
+const quote = (value) => `"${value.replace(/(["\\])/g, '\\$1')}"`;
+
+/**
+ * Builds the Meilisearch filter of an index, always scoped to the user's documents.
+ * @param {string} user - The user's ID.
+ * @param {SearchFilters} filters
+ * @param {string[]} attributes - The filterable attributes of the index, besides `user` and `createdAt`.
+ * @param {string[]} [optionalAttributes] - Filterable attributes that documents may lack, which then match.
+ * @returns {string}
+ */
+const buildMeiliFilter = (user, filters, attributes, optionalAttributes = []) => {
+  const conditions = [`user = ${quote(user)}`];
+  for (const attribute of attributes) {
+    if (filters[attribute]) {
+      conditions.push(`${attribute} = ${quote(filters[attribute])}`);
+    }
+  }
+  for (const attribute of optionalAttributes) {
+    if (filters[attribute]) {
+      conditions.push(`(${attribute} = ${quote(filters[attribute])} OR ${attribute} NOT EXISTS)`);
+    }
+  }
+  // `createdAt` is indexed as a Unix timestamp, in seconds
+  if (filters.startDate) {
+    conditions.push(`createdAt >= ${Math.floor(filters.startDate.getTime() / 1000)}`);
+  }
+  if (filters.endDate) {
+    conditions.push(`createdAt <= ${Math.floor(filters.endDate.getTime() / 1000)}`);
+  }
+  return conditions.join(' AND ');
+};
+
+/**
+ * Checks that the Meilisearch server is up.
+ * @returns {Promise<boolean>}
+ */
+const isAvailable = async () => {
+  const client = new MeiliSearch({ host: MEILI_HOST, apiKey: MEILI_MASTER_KEY });
+  const { status } = await client.health();
+  return status === 'available';
+};
+
+/**
+ * Searches the user's messages, populated from MongoDB.
+ * @param {string} user - The user's ID.
+ * @param {string} q - The search query.
+ * @param {SearchFilters} [filters]
+ * @returns {Promise<TMessage[]>} The messages, with the matches highlighted in `**` in their text.
+ */
+const searchMessages = async (user, q, filters = {}) => {
+  const { hits } = await Message.meiliSearch(
+    q,
+    {
+      attributesToHighlight: ['text'],
+      highlightPreTag: '**',
+      highlightPostTag: '**',
+      filter: buildMeiliFilter(user, filters, messageFilters, messageConvoFilters),
+    },
+    true,
+  );
+  return hits.map(({ _formatted, ...message }) => ({ ...message, text: _formatted.text }));
+};
+
+/**
+ * Searches the titles of the user's conversations.
+ * @param {string} user - The user's ID.
+ * @param {string} q - The search query.
+ * @param {SearchFilters} [filters]
+ * @returns {Promise<Array<{ conversationId: string, title: string }>>}
+ */
+const searchConvos = async (user, q, filters = {}) => {
+  const { hits } = await Conversation.meiliSearch(q, {
+    filter: buildMeiliFilter(user, filters, convoFilters),
+  });
+  return hits;
+};
+
+/**
+ * Indexes the new and changed messages and conversations, and removes the deleted ones.
+ * @returns {Promise<void>}
+ */
+const sync = async () => {
+  await Message.syncWithMeili();
+  await Conversation.syncWithMeili();
+};
+
+/**
+ * Gets the progress of the current, or last, sync of the messages and conversations.
+ * @returns {MeiliSyncProgress[]}
+ */
+const getSyncProgress = () => [Message.getMeiliSyncProgress(), Conversation.getMeiliSyncProgress()];
+
+module.exports = { isAvailable, searchMessages, searchConvos, sync, getSyncProgress };
@@ -0,0 +1,63 @@
+const { Message } = require('~/models/Message');
+const { Conversation } = require('~/models/Conversation');
+
+jest.mock('~/models/Message', () => ({
+  Message: { meiliSearch: jest.fn() },
+}));
+
+jest.mock('~/models/Conversation', () => ({
+  Conversation: { meiliSearch: jest.fn() },
+}));
+
+const { searchMessages, searchConvos } = require('./meilisearch');
+
+describe('meilisearch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('scopes the messages to the user and returns their highlighted text', async () => {
+    Message.meiliSearch.mockResolvedValue({
+      hits: [{ messageId: 'message-id', text: 'Paris', _formatted: { text: '**Paris**' } }],
+    });
+
+    const messages = await searchMessages('user-id', 'paris');
+
+    expect(Message.meiliSearch).toHaveBeenCalledWith(
+      'paris',
+      expect.objectContaining({ highlightPreTag: '**', filter: 'user = "user-id"' }),
+      true,
+    );
+    expect(messages).toEqual([{ messageId: 'message-id', text: '**Paris**' }]);
+  });
+
+  it('applies the sender, model and date filters to the messages', async () => {
+    Message.meiliSearch.mockResolvedValue({ hits: [] });
+
+    await searchMessages('user-id', 'paris', {
+      sender: 'Some "Bot"',
+      model: 'gpt-4',
+      startDate: new Date('2024-01-01T00:00:00.000Z'),
+    });
+
+    expect(Message.meiliSearch.mock.calls[0][1].filter).toBe(
+      'user = "user-id" AND sender = "Some \\"Bot\\"" AND (model = "gpt-4" OR model NOT EXISTS) AND createdAt >= 1704067200',
+    );
+  });
+
+  it('applies the endpoint, model and date filters to the conversations', async () => {
+    Conversation.meiliSearch.mockResolvedValue({ hits: [{ conversationId: 'convo-id' }] });
+
+    const convos = await searchConvos('user-id', 'paris', {
+      endpoint: 'openAI',
+      model: 'gpt-4',
+      endDate: new Date('2024-01-31T23:59:59.999Z'),
+    });
+
+    expect(Conversation.meiliSearch).toHaveBeenCalledWith('paris', {
+      filter:
+        'user = "user-id" AND endpoint = "openAI" AND model = "gpt-4" AND createdAt <= 1706745599',
+    });
+    expect(convos).toEqual([{ conversationId: 'convo-id' }]);
+  });
+});
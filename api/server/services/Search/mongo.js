@@ -0,0 +1,121 @@
+const Message = require('~/models/schema/messageSchema');
+const Conversation = require('~/models/schema/convoSchema');
+
+/** The maximum number of hits of each search, as with Meilisearch */
+const limit = 20;
+
+/**
+ * Builds the `createdAt` condition of the date filters.
+ * @param {SearchFilters} filters
+ * @returns {Object | undefined}
+ */
+const buildDateFilter = ({ startDate, endDate }) => {
+  if (!startDate && !endDate) {
+    return;
+  }
+  const createdAt = {};
+  if (startDate) {
+    createdAt.$gte = startDate;
+  }
+  if (endDate) {
+    createdAt.$lte = endDate;
+  }
+  return createdAt;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Highlights the words of the text starting with the terms of the query in `**`, as Meilisearch does.
+ * Text indexes match the stems of the words, so a term also highlights its longer forms.
+ * @param {string} text
+ * @param {string} q - The search query; negated terms, e.g. `-draft`, are not highlighted.
+ * @returns {string}
+ */
+const highlight = (text, q) => {
+  const terms = q
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith('-'))
+    .map((term) => escapeRegExp(term.replace(/^"|"$/g, '')))
+    .filter(Boolean);
+
+  if (!text || terms.length === 0) {
+    return text;
+  }
+
+  const regex = new RegExp(`((?:${terms.join('|')})[\\p{L}\\p{N}]*)`, 'giu');
+  return text.replace(regex, '**$1**');
+};
+
+/**
+ * Checks that the text index of the messages exists with a cheap `$text` query,
+ * as `$text` queries fail without it.
+ * @returns {Promise<boolean>}
+ */
+const isAvailable = async () => {
+  await Message.findOne({ $text: { $search: 'librechat' } }, { _id: 1 }).lean();
+  return true;
+};
+
+/**
+ * Searches the user's messages with the text index of their `text`, by relevance.
+ * @param {string} user - The user's ID.
+ * @param {string} q - The search query.
+ * @param {SearchFilters} [filters]
+ * @returns {Promise<TMessage[]>} The messages, with the matches highlighted in `**` in their text.
+ */
+const searchMessages = async (user, q, filters = {}) => {
+  const query = { user, $text: { $search: q } };
+  if (filters.sender) {
+    query.sender = filters.sender;
+  }
+  // Messages saved without an endpoint or model are filtered by `getConvosQueried` instead
+  for (const key of ['endpoint', 'model']) {
+    if (filters[key]) {
+      query[key] = { $in: [filters[key], null] };
+    }
+  }
+  const createdAt = buildDateFilter(filters);
+  if (createdAt) {
+    query.createdAt = createdAt;
+  }
+
+  const messages = await Message.find(query, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .lean();
+
+  return messages.map((result) => {
+    const { score: _score, ...message } = result;
+    return { ...message, text: highlight(message.text, q) };
+  });
+};
+
+/**
+ * Searches the titles of the user's conversations with their text index, by relevance.
+ * @param {string} user - The user's ID.
+ * @param {string} q - The search query.
+ * @param {SearchFilters} [filters]
+ * @returns {Promise<Array<{ conversationId: string, title: string }>>}
+ */
+const searchConvos = async (user, q, filters = {}) => {
+  const query = { user, $text: { $search: q } };
+  if (filters.endpoint) {
+    query.endpoint = filters.endpoint;
+  }
+  if (filters.model) {
+    query.model = filters.model;
+  }
+  const createdAt = buildDateFilter(filters);
+  if (createdAt) {
+    query.createdAt = createdAt;
+  }
+
+  const projection = { _id: 0, conversationId: 1, title: 1, score: { $meta: 'textScore' } };
+  return await Conversation.find(query, projection)
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .lean();
+};
+
+module.exports = { highlight, isAvailable, searchMessages, searchConvos };
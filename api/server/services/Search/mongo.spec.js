@@ -0,0 +1,83 @@
+const Message = require('~/models/schema/messageSchema');
+const Conversation = require('~/models/schema/convoSchema');
+
+jest.mock('~/models/schema/messageSchema', () => ({ find: jest.fn(), findOne: jest.fn() }));
+jest.mock('~/models/schema/convoSchema', () => ({ find: jest.fn() }));
+
+const { highlight, isAvailable, searchMessages, searchConvos } = require('./mongo');
+
+const mockFind = (model, results) => {
+  const query = {
+    sort: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    lean: jest.fn(async () => results),
+  };
+  model.find.mockReturnValue(query);
+  return query;
+};
+
+describe('mongo search', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('is available once the text index of the messages exists', async () => {
+    Message.findOne.mockReturnValue({ lean: async () => null });
+    await expect(isAvailable()).resolves.toBe(true);
+    expect(Message.findOne.mock.calls[0][0]).toEqual({ $text: { $search: 'librechat' } });
+
+    Message.findOne.mockReturnValue({
+      lean: async () => {
+        throw new Error('text index required for $text query');
+      },
+    });
+    await expect(isAvailable()).rejects.toThrow('text index required');
+  });
+
+  it('highlights the words starting with the terms of the query', () => {
+    expect(highlight('Running to Paris, then run back', 'run paris')).toBe(
+      '**Running** to **Paris**, then **run** back',
+    );
+    expect(highlight('A draft of the plan', '"plan" -draft')).toBe('A draft of the **plan**');
+    expect(highlight('Costs ($) matter, not (x)', '($)')).toBe('Costs **($)** matter, not (x)');
+  });
+
+  it('searches the text index of the messages of the user by relevance', async () => {
+    const query = mockFind(Message, [
+      { messageId: 'message-id', text: 'Trip to Paris', score: 1.5 },
+    ]);
+    const startDate = new Date('2024-01-01T00:00:00.000Z');
+
+    const messages = await searchMessages('user-id', 'paris', {
+      sender: 'User',
+      endpoint: 'openAI',
+      startDate,
+    });
+
+    expect(Message.find).toHaveBeenCalledWith(
+      {
+        user: 'user-id',
+        $text: { $search: 'paris' },
+        sender: 'User',
+        endpoint: { $in: ['openAI', null] },
+        createdAt: { $gte: startDate },
+      },
+      { score: { $meta: 'textScore' } },
+    );
+    expect(query.sort).toHaveBeenCalledWith({ score: { $meta: 'textScore' } });
+    expect(query.limit).toHaveBeenCalledWith(20);
+    expect(messages).toEqual([{ messageId: 'message-id', text: 'Trip to **Paris**' }]);
+  });
+
+  it('searches the titles of the conversations of the user with their filters', async () => {
+    mockFind(Conversation, [{ conversationId: 'convo-id', title: 'Paris' }]);
+
+    const convos = await searchConvos('user-id', 'paris', { endpoint: 'openAI', model: 'gpt-4' });
+
+    expect(Conversation.find).toHaveBeenCalledWith(
+      { user: 'user-id', $text: { $search: 'paris' }, endpoint: 'openAI', model: 'gpt-4' },
+      expect.objectContaining({ conversationId: 1, title: 1 }),
+    );
+    expect(convos).toEqual([{ conversationId: 'convo-id', title: 'Paris' }]);
+  });
+});
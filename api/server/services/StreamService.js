@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+/** How long a finished stream can still be resumed, in milliseconds */
+const FINISHED_STREAM_TTL = 1000 * 60;
+
+/** @type {Map<string, GenerationStream>} */
+const streams = new Map();
+
+/**
+ * Whether the event is a progress update. Progress updates carry the whole text generated so far,
+ * so only the latest one needs to be buffered.
+ * @param {string} chunk - A Server Sent Event.
+ * @returns {boolean}
+ */
+const isProgressEvent = (chunk) => {
+  if (typeof chunk !== 'string' || !chunk.startsWith('event: message\ndata: ')) {
+    return false;
+  }
+
+  try {
+    const data = JSON.parse(chunk.slice('event: message\ndata: '.length));
+    return data?.message === true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Buffers the Server Sent Events of a generation and forwards them to every attached response,
+ * so that the generation doesn't depend on the connection of the request that started it.
+ */
+class GenerationStream extends EventEmitter {
+  /**
+   * @param {string} user - The id of the user who started the generation.
+   */
+  constructor(user) {
+    super();
+    this.id = crypto.randomUUID();
+    this.user = user;
+    this.events = [];
+    this.lastEventIsProgress = false;
+    this.finished = false;
+    /** @type {Map<Express.Response, { write: Function, end: Function }>} */
+    this.responses = new Map();
+  }
+
+  /**
+   * Buffers an event and sends it to the attached responses.
+   * @param {string} chunk - A Server Sent Event.
+   */
+  write(chunk) {
+    const isProgress = isProgressEvent(chunk);
+    if (isProgress && this.lastEventIsProgress) {
+      this.events[this.events.length - 1] = chunk;
+    } else {
+      this.events.push(chunk);
+    }
+    this.lastEventIsProgress = isProgress;
+
+    for (const { write } of this.responses.values()) {
+      write(chunk);
+    }
+  }
+
+  /**
+   * Ends the stream and its attached responses. The stream stays resumable for a short time,
+   * for clients that were reconnecting when the generation finished.
+   */
+  end() {
+    if (this.finished) {
+      return;
+    }
+
+    this.finished = true;
+    for (const { end } of this.responses.values()) {
+      end();
+    }
+    this.responses.clear();
+    this.emit('end');
+
+    setTimeout(() => streams.delete(this.id), FINISHED_STREAM_TTL).unref();
+  }
+
+  /**
+   * Sends the buffered events to a response, then keeps it updated until the stream ends.
+   * @param {Express.Response} res - A response whose headers are already set.
+   */
+  attach(res) {
+    const write = res.write.bind(res);
+    const end = res.end.bind(res);
+
+    for (const chunk of this.events) {
+      write(chunk);
+    }
+
+    if (this.finished) {
+      end();
+      return;
+    }
+
+    this.responses.set(res, { write, end });
+    res.on('close', () => this.responses.delete(res));
+  }
+}
+
+/**
+ * Creates a resumable stream for a generation, and routes the writes to the response through it.
+ * The generation then continues if the client disconnects, and can be resumed with `getStream`.
+ * @param {Express.Request} req - The request starting the generation.
+ * @param {Express.Response} res - The response to stream the generation to.
+ * @returns {GenerationStream}
+ */
+const createStream = (req, res) => {
+  const stream = new GenerationStream(req.user.id);
+  stream.attach(res);
+
+  res.write = (chunk) => {
+    stream.write(chunk);
+    return true;
+  };
+  res.end = (chunk) => {
+    if (chunk) {
+      stream.write(chunk);
+    }
+    stream.end();
+    return res;
+  };
+
+  /* lets the request middleware know when the generation, rather than the connection, is done */
+  res.locals.stream = stream;
+  streams.set(stream.id, stream);
+  return stream;
+};
+
+/**
+ * Gets a stream of the user by its id.
+ * @param {string} streamId
+ * @param {string} user - The id of the user requesting the stream.
+ * @returns {GenerationStream | undefined}
+ */
+const getStream = (streamId, user) => {
+  const stream = streams.get(streamId);
+  if (stream?.user !== user) {
+    return;
+  }
+  return stream;
+};
+
+module.exports = {
+  createStream,
+  getStream,
+};
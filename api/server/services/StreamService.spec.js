@@ -0,0 +1,82 @@
+const { EventEmitter } = require('events');
+const { createStream, getStream } = require('./StreamService');
+
+const createResponse = () => {
+  const res = new EventEmitter();
+  res.body = '';
+  res.locals = {};
+  res.write = jest.fn((chunk) => (res.body += chunk));
+  res.end = jest.fn();
+  return res;
+};
+
+const event = (data) => `event: message\ndata: ${JSON.stringify(data)}\n\n`;
+
+describe('StreamService', () => {
+  const req = { user: { id: 'user-id' } };
+
+  it('forwards the writes to the response of the generation', () => {
+    const res = createResponse();
+    const write = res.write;
+    const end = res.end;
+    const stream = createStream(req, res);
+
+    res.write(event({ created: true, streamId: stream.id }));
+    res.end();
+
+    expect(write).toHaveBeenCalledWith(event({ created: true, streamId: stream.id }));
+    expect(end).toHaveBeenCalled();
+    expect(res.locals.stream).toBe(stream);
+  });
+
+  it('resumes a stream with the events generated so far, keeping only the latest progress', () => {
+    const res = createResponse();
+    const stream = createStream(req, res);
+
+    res.write(event({ message: { text: 'Hello' }, created: true }));
+    res.write(event({ text: 'Hi', message: true }));
+    res.write(event({ text: 'Hi there', message: true }));
+
+    const resumed = createResponse();
+    getStream(stream.id, 'user-id').attach(resumed);
+    res.write(event({ text: 'Hi there!', message: true }));
+
+    expect(stream.events).toEqual([
+      event({ message: { text: 'Hello' }, created: true }),
+      event({ text: 'Hi there!', message: true }),
+    ]);
+    expect(resumed.write.mock.calls.map(([chunk]) => chunk)).toEqual([
+      event({ message: { text: 'Hello' }, created: true }),
+      event({ text: 'Hi there', message: true }),
+      event({ text: 'Hi there!', message: true }),
+    ]);
+  });
+
+  it('continues the generation after its response is closed', () => {
+    const res = createResponse();
+    const write = res.write;
+    const stream = createStream(req, res);
+    const onEnd = jest.fn();
+    stream.on('end', onEnd);
+
+    res.emit('close');
+    res.write(event({ text: 'Hi', message: true }));
+    res.end(event({ final: true }));
+
+    expect(write).not.toHaveBeenCalled();
+    expect(onEnd).toHaveBeenCalled();
+
+    const resumed = createResponse();
+    getStream(stream.id, 'user-id').attach(resumed);
+
+    expect(resumed.body).toBe(event({ text: 'Hi', message: true }) + event({ final: true }));
+    expect(resumed.end).toHaveBeenCalled();
+  });
+
+  it('only resumes the streams of the user', () => {
+    const stream = createStream(req, createResponse());
+
+    expect(getStream(stream.id, 'other-user')).toBeUndefined();
+    expect(getStream('unknown', 'user-id')).toBeUndefined();
+  });
+});
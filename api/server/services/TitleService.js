@@ -0,0 +1,169 @@
+const { parseConvo, EModelEndpoint } = require('librechat-data-provider');
+const openAI = require('~/server/services/Endpoints/openAI/initializeClient');
+const openAIOptions = require('~/server/services/Endpoints/openAI/buildOptions');
+const custom = require('~/server/services/Endpoints/custom/initializeClient');
+const customOptions = require('~/server/services/Endpoints/custom/buildOptions');
+const google = require('~/server/services/Endpoints/google/initializeClient');
+const googleOptions = require('~/server/services/Endpoints/google/buildOptions');
+const anthropic = require('~/server/services/Endpoints/anthropic/initializeClient');
+const anthropicOptions = require('~/server/services/Endpoints/anthropic/buildOptions');
+const gptPlugins = require('~/server/services/Endpoints/gptPlugins/initializeClient');
+const gptPluginsOptions = require('~/server/services/Endpoints/gptPlugins/buildOptions');
+const { getUserKeyExpiry } = require('~/server/services/UserService');
+const { getConvo, getMessages, saveConvo } = require('~/models');
+const { isEnabled } = require('~/server/utils');
+
+const titleEndpoints = {
+  [EModelEndpoint.openAI]: { initializeClient: openAI, buildOptions: openAIOptions },
+  [EModelEndpoint.azureOpenAI]: { initializeClient: openAI, buildOptions: openAIOptions },
+  [EModelEndpoint.custom]: { initializeClient: custom, buildOptions: customOptions },
+  [EModelEndpoint.google]: { initializeClient: google, buildOptions: googleOptions },
+  [EModelEndpoint.anthropic]: { initializeClient: anthropic, buildOptions: anthropicOptions },
+  [EModelEndpoint.gptPlugins]: { initializeClient: gptPlugins, buildOptions: gptPluginsOptions },
+};
+
+/** Titles are generated unless `TITLE_CONVO` is disabled */
+const isTitleEnabled = () => isEnabled(process.env.TITLE_CONVO ?? 'true');
+
+/**
+ * Initializes a client to generate titles with, outside of a chat request.
+ * @param {Express.Request} req - The request of the user the title is for.
+ * @param {Object} params
+ * @param {string} params.endpoint - The endpoint of the client.
+ * @param {string} [params.endpointType] - The type of the endpoint, for custom endpoints.
+ * @param {Object} [params.conversation] - The conversation settings to initialize the client with.
+ * @param {string} [params.titleModel] - The model to generate titles with.
+ */
+const initializeTitleClient = async (req, { endpoint, endpointType, conversation, titleModel }) => {
+  const titleEndpoint = titleEndpoints[endpointType ?? endpoint];
+  if (!titleEndpoint) {
+    throw new Error(`Titles can't be generated with the "${endpoint}" endpoint`);
+  }
+
+  const { initializeClient, buildOptions } = titleEndpoint;
+  const parsedConvo = parseConvo({
+    endpoint,
+    endpointType,
+    conversation: conversation ?? { model: titleModel },
+  });
+  const endpointOption = buildOptions(endpoint, parsedConvo, endpointType);
+  if (titleModel) {
+    endpointOption.titleModel = titleModel;
+  }
+
+  const { expiresAt } = await getUserKeyExpiry({ userId: req.user.id, name: endpoint });
+  const { client } = await initializeClient({
+    req: { user: req.user, body: { endpoint, endpointType, key: expiresAt } },
+    res: null,
+    endpointOption,
+  });
+  client.user = req.user.id;
+  return client;
+};
+
+/**
+ * Generates a title with the endpoint and model set by `TITLE_ENDPOINT` and `TITLE_MODEL`,
+ * or else with the client of the conversation.
+ * @param {Express.Request} req - The request of the user the title is for.
+ * @param {Object} params
+ * @param {string} params.text - The text of the first user message.
+ * @param {string} [params.responseText] - The text of the first response.
+ * @param {BaseClient} params.client - The client of the conversation.
+ * @returns {Promise<string | undefined>}
+ */
+const generateTitle = async (req, { text, responseText, client }) => {
+  const { TITLE_ENDPOINT, TITLE_MODEL } = process.env;
+
+  let titleClient = client;
+  if (TITLE_ENDPOINT) {
+    try {
+      titleClient = await initializeTitleClient(req, {
+        endpoint: TITLE_ENDPOINT,
+        titleModel: TITLE_MODEL,
+      });
+      titleClient.conversationId = client.conversationId;
+    } catch (error) {
+      console.error(`[TitleService] Error initializing the ${TITLE_ENDPOINT} title client`, error);
+      titleClient = client;
+    }
+  }
+
+  return await titleClient.titleConvo({ text, responseText });
+};
+
+/**
+ * Titles a new conversation after its first response, unless titles are disabled.
+ * @param {Express.Request} req
+ * @param {Object} params
+ * @param {string} params.text - The text of the first user message.
+ * @param {Object} params.response - The first response.
+ * @param {BaseClient} params.client - The client of the conversation.
+ */
+const addTitle = async (req, { text, response, client }) => {
+  if (!isTitleEnabled() || client.options.titleConvo === false) {
+    return;
+  }
+
+  // If the request was aborted, don't generate the title.
+  if (client.abortController?.signal.aborted) {
+    return;
+  }
+
+  const title = await generateTitle(req, { text, responseText: response?.text, client });
+  if (!title) {
+    return;
+  }
+
+  await saveConvo(req.user.id, {
+    conversationId: response.conversationId,
+    title,
+  });
+};
+
+/**
+ * Generates a new title for a conversation from its first exchange, and saves it.
+ * @param {Express.Request} req
+ * @param {string} conversationId
+ * @returns {Promise<Object | null>} The updated conversation, or null if it was not found.
+ * @throws {Error} If the conversation has no response yet or no title could be generated.
+ */
+const regenerateTitle = async (req, conversationId) => {
+  const convo = await getConvo(req.user.id, conversationId);
+  if (!convo) {
+    return null;
+  }
+
+  const messages = await getMessages({ conversationId, user: req.user.id });
+  const message = messages.find((message) => message.isCreatedByUser);
+  const response = messages.find(
+    (response) => !response.isCreatedByUser && response.parentMessageId === message?.messageId,
+  );
+  if (!message || !response) {
+    throw new Error('The conversation has no response to title yet');
+  }
+
+  const client = await initializeTitleClient(req, {
+    endpoint: convo.endpoint,
+    endpointType: convo.endpointType,
+    conversation: convo,
+  });
+  client.conversationId = conversationId;
+
+  const title = await generateTitle(req, {
+    text: message.text,
+    responseText: response.text,
+    client,
+  });
+  if (!title) {
+    throw new Error('No title could be generated');
+  }
+
+  return await saveConvo(req.user.id, { conversationId, title });
+};
+
+module.exports = {
+  isTitleEnabled,
+  generateTitle,
+  addTitle,
+  regenerateTitle,
+};
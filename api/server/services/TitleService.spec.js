@@ -0,0 +1,128 @@
+const { getConvo, getMessages, saveConvo } = require('~/models');
+const initializeAnthropic = require('~/server/services/Endpoints/anthropic/initializeClient');
+const initializeGoogle = require('~/server/services/Endpoints/google/initializeClient');
+const { addTitle, regenerateTitle } = require('./TitleService');
+
+jest.mock('~/models', () => ({
+  getConvo: jest.fn(),
+  getMessages: jest.fn(),
+  saveConvo: jest.fn(),
+}));
+
+jest.mock('~/server/services/UserService', () => ({
+  getUserKeyExpiry: jest.fn(async () => ({ expiresAt: null })),
+}));
+
+jest.mock('~/server/services/Endpoints/openAI/initializeClient', () => jest.fn());
+jest.mock('~/server/services/Endpoints/custom/initializeClient', () => jest.fn());
+jest.mock('~/server/services/Endpoints/google/initializeClient', () => jest.fn());
+jest.mock('~/server/services/Endpoints/anthropic/initializeClient', () => jest.fn());
+jest.mock('~/server/services/Endpoints/gptPlugins/initializeClient', () => jest.fn());
+
+const createClient = (title) => ({
+  options: {},
+  conversationId: 'convo-id',
+  abortController: new AbortController(),
+  titleConvo: jest.fn(async () => title),
+});
+
+describe('TitleService', () => {
+  const originalEnv = process.env;
+  const req = { user: { id: 'user-id' } };
+  const response = { conversationId: 'convo-id', text: 'Hi there!' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    delete process.env.TITLE_CONVO;
+    delete process.env.TITLE_ENDPOINT;
+    delete process.env.TITLE_MODEL;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('titles new conversations with the client of the conversation', async () => {
+    const client = createClient('Friendly Greeting');
+
+    await addTitle(req, { text: 'Hello', response, client });
+
+    expect(client.titleConvo).toHaveBeenCalledWith({ text: 'Hello', responseText: 'Hi there!' });
+    expect(saveConvo).toHaveBeenCalledWith('user-id', {
+      conversationId: 'convo-id',
+      title: 'Friendly Greeting',
+    });
+  });
+
+  it('does not title conversations when titles are disabled', async () => {
+    process.env.TITLE_CONVO = 'false';
+    const client = createClient('Friendly Greeting');
+
+    await addTitle(req, { text: 'Hello', response, client });
+
+    expect(client.titleConvo).not.toHaveBeenCalled();
+    expect(saveConvo).not.toHaveBeenCalled();
+  });
+
+  it('titles with the configured endpoint and model', async () => {
+    process.env.TITLE_ENDPOINT = 'anthropic';
+    process.env.TITLE_MODEL = 'claude-instant-1';
+    const client = createClient('Unused Title');
+    const titleClient = createClient('Friendly Greeting');
+    initializeAnthropic.mockResolvedValue({ client: titleClient });
+
+    await addTitle(req, { text: 'Hello', response, client });
+
+    const { endpointOption } = initializeAnthropic.mock.calls[0][0];
+    expect(endpointOption.titleModel).toBe('claude-instant-1');
+    expect(endpointOption.modelOptions.model).toBe('claude-instant-1');
+    expect(client.titleConvo).not.toHaveBeenCalled();
+    expect(titleClient.user).toBe('user-id');
+    expect(saveConvo).toHaveBeenCalledWith('user-id', {
+      conversationId: 'convo-id',
+      title: 'Friendly Greeting',
+    });
+  });
+
+  it('falls back to the client of the conversation if the title endpoint fails', async () => {
+    process.env.TITLE_ENDPOINT = 'anthropic';
+    const client = createClient('Friendly Greeting');
+    initializeAnthropic.mockRejectedValue(new Error('API key not provided.'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await addTitle(req, { text: 'Hello', response, client });
+
+    expect(client.titleConvo).toHaveBeenCalled();
+    expect(saveConvo).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  it('regenerates a title from the first exchange of a conversation', async () => {
+    const client = createClient('Weather Talk');
+    getConvo.mockResolvedValue({ conversationId: 'convo-id', endpoint: 'google' });
+    getMessages.mockResolvedValue([
+      { messageId: '1', isCreatedByUser: true, text: 'How is the weather?' },
+      { messageId: '2', parentMessageId: '1', isCreatedByUser: false, text: 'Sunny.' },
+      { messageId: '3', parentMessageId: '2', isCreatedByUser: true, text: 'Thanks' },
+    ]);
+    initializeGoogle.mockResolvedValue({ client });
+    saveConvo.mockResolvedValue({ conversationId: 'convo-id', title: 'Weather Talk' });
+
+    const convo = await regenerateTitle(req, 'convo-id');
+
+    expect(getMessages).toHaveBeenCalledWith({ conversationId: 'convo-id', user: 'user-id' });
+    expect(client.titleConvo).toHaveBeenCalledWith({
+      text: 'How is the weather?',
+      responseText: 'Sunny.',
+    });
+    expect(convo).toEqual({ conversationId: 'convo-id', title: 'Weather Talk' });
+  });
+
+  it('returns null when regenerating the title of an unknown conversation', async () => {
+    getConvo.mockResolvedValue(null);
+
+    expect(await regenerateTitle(req, 'unknown')).toBeNull();
+    expect(getMessages).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const User = require('~/models/User');
+const { encrypt, decrypt } = require('~/server/utils/crypto');
+const { isEnabled } = require('~/server/utils');
+
+/** TOTP parameters, the defaults of authenticator apps (RFC 6238) */
+const digits = 6;
+const period = 30;
+/** The number of time steps before and after the current one accepted, for clock drift */
+const window = 1;
+
+const backupCodeCount = 10;
+/** How long the user has to complete the second login step, or the required enrollment */
+const tokenExpiry = '5m';
+
+const base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Whether all local accounts must use two-factor authentication:
+ * users without it must enroll when logging in.
+ */
+const isTwoFactorRequired = () => isEnabled(process.env.REQUIRE_2FA);
+
+/**
+ * Encodes bytes in base32 (RFC 4648, without padding), the format of authenticator app secrets.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const toBase32 = (buffer) => {
+  let output = '';
+  let value = 0;
+  let bits = 0;
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += base32Alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += base32Alphabet[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decodes a base32 string, ignoring padding, spaces and case.
+ * @param {string} text
+ * @returns {Buffer}
+ */
+const fromBase32 = (text) => {
+  const bytes = [];
+  let value = 0;
+  let bits = 0;
+  for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+    const index = base32Alphabet.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generates the one-time password of a time step (RFC 4226).
+ * @param {string} secret - The base32 secret.
+ * @param {number} step - The time step, the Unix time divided by the period.
+ * @returns {string}
+ */
+const generateTOTP = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', fromBase32(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return code.toString().padStart(digits, '0');
+};
+
+/**
+ * Verifies a one-time password against the current time step and the adjacent ones.
+ * @param {string} secret - The base32 secret.
+ * @param {string} code - The code entered by the user.
+ * @param {Object} [options]
+ * @param {number} [options.time=Date.now()] - The current time, in milliseconds.
+ * @param {number} [options.lastStep] - The last step used; its code and earlier ones are rejected.
+ * @returns {number | null} The time step of the code, or null if it is invalid.
+ */
+const verifyTOTP = (secret, code, { time = Date.now(), lastStep } = {}) => {
+  const normalized = `${code ?? ''}`.replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = Math.floor(time / 1000 / period);
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (lastStep != null && step <= lastStep) {
+      continue;
+    }
+    const expected = generateTOTP(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Builds the `otpauth://` URI encoded in the enrollment QR code.
+ * @param {string} secret - The base32 secret.
+ * @param {string} email - The account name shown in the authenticator app.
+ * @returns {string}
+ */
+const getOtpAuthUrl = (secret, email) => {
+  const issuer = process.env.APP_TITLE || 'LibreChat';
+  const label = encodeURIComponent(`${issuer}:${email}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits, period });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const normalizeBackupCode = (code) => `${code}`.replace(/[\s-]/g, '').toLowerCase();
+
+/**
+ * Generates single-use backup codes, such as `3f9a-c2d1`, to log in without the authenticator app.
+ * They are hashed with bcrypt, as passwords are.
+ * @returns {Promise<{ codes: string[], hashes: string[] }>} The codes to show, and their hashes.
+ */
+const generateBackupCodes = async () => {
+  const codes = Array.from({ length: backupCodeCount }, () => {
+    const code = crypto.randomBytes(4).toString('hex');
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+  });
+  const hashes = await Promise.all(codes.map((code) => bcrypt.hash(normalizeBackupCode(code), 10)));
+  return { codes, hashes };
+};
+
+/**
+ * Finds the stored hash of a backup code, comparing it with each one as they are salted.
+ * @param {string[]} hashes - The hashes of the unused backup codes.
+ * @param {string} backupCode
+ * @returns {Promise<string | null>}
+ */
+const findBackupCodeHash = async (hashes, backupCode) => {
+  const code = normalizeBackupCode(backupCode);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(code, hash)) {
+      return hash;
+    }
+  }
+  return null;
+};
+
+/** Two-factor tokens are signed with their own key, so that they can't be used as access tokens */
+const getTokenSecret = () =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update('2fa').digest('hex');
+
+/**
+ * Creates the short-lived token identifying a user between the password and the 2FA login steps.
+ * @param {string} userId
+ * @param {'login' | 'setup'} purpose - Whether the user must enter a code, or enroll first.
+ * @returns {string}
+ */
+const createTwoFactorToken = (userId, purpose) =>
+  jwt.sign({ id: `${userId}`, purpose }, getTokenSecret(), { expiresIn: tokenExpiry });
+
+/**
+ * Verifies a two-factor token.
+ * @param {string} token
+ * @param {'login' | 'setup'} purpose
+ * @returns {string | null} The user ID, or null if the token is invalid, expired or for another use.
+ */
+const verifyTwoFactorToken = (token, purpose) => {
+  try {
+    const payload = jwt.verify(token, getTokenSecret());
+    return payload.purpose === purpose ? payload.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Starts the enrollment of a user: a new secret is stored, but 2FA is only enabled once
+ * `enableTwoFactor` verifies a code from it.
+ * @param {Object} user - The user document.
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+const startTwoFactorSetup = async (user) => {
+  const secret = toBase32(crypto.randomBytes(20));
+  await User.updateOne({ _id: user._id }, { $set: { totpSecret: encrypt(secret) } });
+  return { secret, otpauthUrl: getOtpAuthUrl(secret, user.email) };
+};
+
+/**
+ * Enables two-factor authentication once the user entered a code from the new secret.
+ * @param {Object} user - The user document.
+ * @param {string} code
+ * @returns {Promise<string[] | null>} The backup codes, or null if the code is invalid.
+ */
+const enableTwoFactor = async (user, code) => {
+  if (user.twoFactorEnabled || !user.totpSecret) {
+    return null;
+  }
+
+  const step = verifyTOTP(decrypt(user.totpSecret), code);
+  if (step === null) {
+    return null;
+  }
+
+  const { codes, hashes } = await generateBackupCodes();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { twoFactorEnabled: true, totpLastStep: step, backupCodes: hashes } },
+  );
+  return codes;
+};
+
+/**
+ * Verifies the second factor of a user, with a code from their authenticator app or a backup code,
+ * which is then used up.
+ * @param {Object} user - The user document.
+ * @param {Object} params
+ * @param {string} [params.code] - The one-time password.
+ * @param {string} [params.backupCode]
+ * @returns {Promise<boolean>}
+ */
+const verifyTwoFactor = async (user, { code, backupCode }) => {
+  if (!user.twoFactorEnabled || !user.totpSecret) {
+    return false;
+  }
+
+  if (backupCode) {
+    const hash = await findBackupCodeHash(user.backupCodes ?? [], backupCode);
+    if (!hash) {
+      return false;
+    }
+    // Pulling the code only succeeds once, even for concurrent requests
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id },
+      { $pull: { backupCodes: hash } },
+    );
+    return modifiedCount > 0;
+  }
+
+  const step = verifyTOTP(decrypt(user.totpSecret), code, { lastStep: user.totpLastStep });
+  if (step === null) {
+    return false;
+  }
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, $or: [{ totpLastStep: { $lt: step } }, { totpLastStep: null }] },
+    { $set: { totpLastStep: step } },
+  );
+  return modifiedCount > 0;
+};
+
+/**
+ * Replaces the backup codes of a user.
+ * @param {Object} user - The user document.
+ * @returns {Promise<string[]>} The new backup codes.
+ */
+const regenerateBackupCodes = async (user) => {
+  const { codes, hashes } = await generateBackupCodes();
+  await User.updateOne({ _id: user._id }, { $set: { backupCodes: hashes } });
+  return codes;
+};
+
+/**
+ * Disables two-factor authentication, removing the secret and backup codes.
+ * @param {string} userId
+ * @returns {Promise<boolean>} Whether the user existed.
+ */
+const disableTwoFactor = async (userId) => {
+  const { matchedCount } = await User.updateOne(
+    { _id: userId },
+    {
+      $set: { twoFactorEnabled: false, backupCodes: [] },
+      $unset: { totpSecret: 1, totpLastStep: 1 },
+    },
+  );
+  return matchedCount > 0;
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  toBase32,
+  generateTOTP,
+  verifyTOTP,
+  getOtpAuthUrl,
+  createTwoFactorToken,
+  verifyTwoFactorToken,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  verifyTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+};
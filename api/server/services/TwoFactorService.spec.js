@@ -0,0 +1,104 @@
+const bcrypt = require('bcryptjs');
+const User = require('~/models/User');
+const { encrypt } = require('~/server/utils/crypto');
+const {
+  toBase32,
+  generateTOTP,
+  verifyTOTP,
+  createTwoFactorToken,
+  verifyTwoFactorToken,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  verifyTwoFactor,
+} = require('./TwoFactorService');
+
+jest.mock('~/models/User', () => ({
+  updateOne: jest.fn(async () => ({ matchedCount: 1, modifiedCount: 1 })),
+}));
+
+// The secret of the RFC 6238 test vectors
+const secret = toBase32(Buffer.from('12345678901234567890'));
+
+describe('TwoFactorService', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, JWT_SECRET: 'secret' };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('should generate the codes of the RFC 6238 test vectors', () => {
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(generateTOTP(secret, Math.floor(59 / 30))).toBe('287082');
+    expect(generateTOTP(secret, Math.floor(1111111109 / 30))).toBe('081804');
+  });
+
+  it('should accept the codes of adjacent time steps, unless already used', () => {
+    const time = 1111111109 * 1000;
+    const step = Math.floor(1111111109 / 30);
+    const previousCode = generateTOTP(secret, step - 1);
+
+    expect(verifyTOTP(secret, '081 804', { time })).toBe(step);
+    expect(verifyTOTP(secret, previousCode, { time })).toBe(step - 1);
+    expect(verifyTOTP(secret, previousCode, { time, lastStep: step - 1 })).toBeNull();
+    expect(verifyTOTP(secret, generateTOTP(secret, step - 2), { time })).toBeNull();
+    expect(verifyTOTP(secret, 'abcdef', { time })).toBeNull();
+  });
+
+  it('should only verify two-factor tokens for their purpose', () => {
+    const token = createTwoFactorToken('user-id', 'login');
+
+    expect(verifyTwoFactorToken(token, 'login')).toBe('user-id');
+    expect(verifyTwoFactorToken(token, 'setup')).toBeNull();
+    expect(verifyTwoFactorToken(`${token}x`, 'login')).toBeNull();
+  });
+
+  it('should store the secret encrypted, and enable 2FA with a valid code', async () => {
+    const user = { _id: 'user-id', email: 'john@example.com' };
+    const { secret: newSecret, otpauthUrl } = await startTwoFactorSetup(user);
+    const totpSecret = User.updateOne.mock.calls[0][1].$set.totpSecret;
+
+    expect(totpSecret).toBe(encrypt(newSecret));
+    expect(otpauthUrl).toContain(`secret=${newSecret}`);
+
+    const code = generateTOTP(newSecret, Math.floor(Date.now() / 30000));
+    expect(await enableTwoFactor({ ...user, totpSecret }, '000000x')).toBeNull();
+
+    const backupCodes = await enableTwoFactor({ ...user, totpSecret }, code);
+    const { $set } = User.updateOne.mock.calls[1][1];
+    expect(backupCodes).toHaveLength(10);
+    expect(backupCodes[0]).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}$/);
+    expect($set.twoFactorEnabled).toBe(true);
+    expect($set.backupCodes).toHaveLength(10);
+    expect($set.backupCodes[0]).toMatch(/^\$2/);
+    expect(await bcrypt.compare(backupCodes[0].replace('-', ''), $set.backupCodes[0])).toBe(true);
+  });
+
+  it('should use up backup codes and reject reused codes', async () => {
+    const hash = await bcrypt.hash('abcd1234', 10);
+    const user = {
+      _id: 'user-id',
+      twoFactorEnabled: true,
+      totpSecret: encrypt(secret),
+      backupCodes: [await bcrypt.hash('ffff0000', 10), hash],
+    };
+    const step = Math.floor(Date.now() / 30000);
+
+    expect(await verifyTwoFactor(user, { backupCode: 'abcd-0000' })).toBe(false);
+    expect(User.updateOne).not.toHaveBeenCalled();
+
+    expect(await verifyTwoFactor(user, { backupCode: 'ABCD-1234' })).toBe(true);
+    expect(User.updateOne.mock.calls[0][1].$pull.backupCodes).toBe(hash);
+
+    User.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+    expect(await verifyTwoFactor(user, { backupCode: 'ABCD-1234' })).toBe(false);
+
+    expect(await verifyTwoFactor(user, { code: generateTOTP(secret, step) })).toBe(true);
+    expect(
+      await verifyTwoFactor({ ...user, totpLastStep: step }, { code: generateTOTP(secret, step) }),
+    ).toBe(false);
+  });
+});
@@ -155,9 +155,19 @@ function isEnabled(value) {
   return value?.toLowerCase()?.trim() === 'true';
 }
 
+/**
+ * Checks if the given value is the `user_provided` placeholder, meaning the user supplies it from the client.
+ *
+ * @function
+ * @param {string|null|undefined} value - The value to check.
+ * @returns {boolean} Returns `true` if the value is exactly 'user_provided', otherwise returns `false`.
+ */
+const isUserProvided = (value) => value === 'user_provided';
+
 module.exports = {
   createOnProgress,
   isEnabled,
+  isUserProvided,
   handleText,
   formatSteps,
   formatAction,
@@ -11,8 +11,11 @@ const jwtLogin = async () =>
     async (payload, done) => {
       try {
         const user = await User.findById(payload.id);
-        if (user) {
+        if (user && !user.disabled) {
           done(null, user);
+        } else if (user) {
+          console.log('JwtStrategy => user is disabled');
+          done(null, false);
         } else {
           console.log('JwtStrategy => no user found');
           done(null, false);
@@ -1,5 +1,6 @@
 const { Strategy: PassportLocalStrategy } = require('passport-local');
 const User = require('../models/User');
+const { isEmailVerificationRequired } = require('../server/services/AuthService');
 const { loginSchema, errorsToString } = require('./validators');
 const logger = require('../utils/logger');
 
@@ -46,6 +47,18 @@ async function passportLogin(req, email, password, done) {
       return done(null, false, { message: 'Incorrect password.' });
     }
 
+    if (user.disabled) {
+      logError('Passport Local Strategy - User is disabled', { email });
+      logger.error(`[Login] [Login failed] [Username: ${email}] [Request-IP: ${req.ip}]`);
+      return done(null, false, { message: 'This account has been disabled.' });
+    }
+
+    if (!user.emailVerified && isEmailVerificationRequired()) {
+      logError('Passport Local Strategy - Email not verified', { email });
+      logger.error(`[Login] [Login failed] [Username: ${email}] [Request-IP: ${req.ip}]`);
+      return done(null, false, { message: 'Email not verified.' });
+    }
+
     logger.info(`[Login] [Login successful] [Username: ${email}] [Request-IP: ${req.ip}]`);
     return done(null, user);
   } catch (err) {
@@ -20,6 +20,36 @@
  * @memberof typedefs
  */
 
+/**
+ * @exports TCustomConfig
+ * @typedef {import('librechat-data-provider').TCustomConfig} TCustomConfig
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TAzureGroup
+ * @typedef {import('librechat-data-provider').TAzureGroup} TAzureGroup
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TPricing
+ * @typedef {import('librechat-data-provider').TPricing} TPricing
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TConfig
+ * @typedef {import('librechat-data-provider').TConfig} TConfig
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TModelsConfig
+ * @typedef {import('librechat-data-provider').TModelsConfig} TModelsConfig
+ * @memberof typedefs
+ */
+
 /**
  * @exports ImageMetadata
  * @typedef {Object} ImageMetadata
@@ -36,6 +66,24 @@
  * @memberof typedefs
  */
 
+/**
+ * @exports MongoFileChunk
+ * @typedef {import('~/models/schema/fileChunkSchema.js').MongoFileChunk} MongoFileChunk
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TMessage
+ * @typedef {import('librechat-data-provider').TMessage} TMessage
+ * @memberof typedefs
+ */
+
+/**
+ * @exports TMessageSource
+ * @typedef {import('librechat-data-provider').TMessageSource} TMessageSource
+ * @memberof typedefs
+ */
+
 /**
  * @exports AssistantCreateParams
  * @typedef {import('librechat-data-provider').AssistantCreateParams} AssistantCreateParams
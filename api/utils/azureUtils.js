@@ -6,6 +6,7 @@
  * @property {string} azureOpenAIApiVersion - The Azure OpenAI API version.
  */
 
+const { extractEnvVariable } = require('librechat-data-provider');
 const { isEnabled } = require('../server/utils');
 
 /**
@@ -71,9 +72,41 @@ const getAzureCredentials = () => {
   };
 };
 
+/**
+ * Maps each model of the configured Azure OpenAI deployment groups to the credentials of every
+ * deployment serving it. Deployments are listed in group order: the first entry is the primary
+ * deployment of the model and the following entries are its failovers.
+ * A model set to `true` uses its own name as the deployment name and the version of the group.
+ * @param {TAzureGroup[]} [groups=[]] - The `endpoints.azureOpenAI.groups` of the config file.
+ * @returns {Object.<string, AzureCredentials[]>} An object whose keys are model names and values are the credentials of their deployments.
+ */
+const mapModelsToAzureCredentials = (groups = []) => {
+  const modelCredentials = {};
+
+  for (const { apiKey, instanceName, version, models = {} } of groups) {
+    for (const [model, modelConfig] of Object.entries(models)) {
+      if (!modelConfig) {
+        continue;
+      }
+
+      const deployment = typeof modelConfig === 'object' ? modelConfig : {};
+      modelCredentials[model] = modelCredentials[model] ?? [];
+      modelCredentials[model].push({
+        azureOpenAIApiKey: extractEnvVariable(apiKey),
+        azureOpenAIApiInstanceName: extractEnvVariable(instanceName),
+        azureOpenAIApiDeploymentName: deployment.deploymentName ?? model,
+        azureOpenAIApiVersion: deployment.version ?? version,
+      });
+    }
+  }
+
+  return modelCredentials;
+};
+
 module.exports = {
   sanitizeModelName,
   genAzureEndpoint,
   genAzureChatCompletion,
   getAzureCredentials,
+  mapModelsToAzureCredentials,
 };
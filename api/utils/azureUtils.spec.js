@@ -0,0 +1,66 @@
+const { mapModelsToAzureCredentials } = require('./azureUtils');
+
+describe('mapModelsToAzureCredentials', () => {
+  const originalEnvironment = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnvironment, EASTUS_API_KEY: 'eastus-key' };
+  });
+
+  afterAll(() => {
+    process.env = originalEnvironment;
+  });
+
+  const groups = [
+    {
+      group: 'eastus',
+      apiKey: '${EASTUS_API_KEY}',
+      instanceName: 'librechat-eastus',
+      version: '2023-07-01-preview',
+      models: {
+        'gpt-4-32k': { deploymentName: 'chat-gpt4-32k' },
+        'gpt-35-turbo': true,
+        'text-davinci-003': false,
+      },
+    },
+    {
+      group: 'westeurope',
+      apiKey: 'westeurope-key',
+      instanceName: 'librechat-westeurope',
+      version: '2023-07-01-preview',
+      models: {
+        'gpt-4-32k': { deploymentName: 'gpt-4-32k', version: '2023-12-01-preview' },
+      },
+    },
+  ];
+
+  it('should list the deployments of each model in group order', () => {
+    const result = mapModelsToAzureCredentials(groups);
+
+    expect(Object.keys(result)).toEqual(['gpt-4-32k', 'gpt-35-turbo']);
+    expect(result['gpt-4-32k']).toEqual([
+      {
+        azureOpenAIApiKey: 'eastus-key',
+        azureOpenAIApiInstanceName: 'librechat-eastus',
+        azureOpenAIApiDeploymentName: 'chat-gpt4-32k',
+        azureOpenAIApiVersion: '2023-07-01-preview',
+      },
+      {
+        azureOpenAIApiKey: 'westeurope-key',
+        azureOpenAIApiInstanceName: 'librechat-westeurope',
+        azureOpenAIApiDeploymentName: 'gpt-4-32k',
+        azureOpenAIApiVersion: '2023-12-01-preview',
+      },
+    ]);
+  });
+
+  it('should use the model name as deployment name for models set to true', () => {
+    const [deployment] = mapModelsToAzureCredentials(groups)['gpt-35-turbo'];
+    expect(deployment.azureOpenAIApiDeploymentName).toBe('gpt-35-turbo');
+    expect(deployment.azureOpenAIApiVersion).toBe('2023-07-01-preview');
+  });
+
+  it('should return an empty object without groups', () => {
+    expect(mapModelsToAzureCredentials()).toEqual({});
+  });
+});
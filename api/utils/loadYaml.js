@@ -0,0 +1,18 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+/**
+ * Reads and parses a YAML (or JSON) file.
+ * @param {string} filepath - The path of the file to load.
+ * @returns {Object | Error} The parsed contents, or the error raised while reading/parsing.
+ */
+function loadYaml(filepath) {
+  try {
+    const fileContents = fs.readFileSync(filepath, 'utf8');
+    return yaml.load(fileContents);
+  } catch (e) {
+    return e;
+  }
+}
+
+module.exports = loadYaml;
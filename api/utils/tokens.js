@@ -67,10 +67,14 @@ const maxTokensMap = {
     /* PaLM2, -5 from max: 8192 */
     'text-': 8187,
     'chat-': 8187,
+    /* Gemini, max input tokens */
+    gemini: 30720,
+    'gemini-pro-vision': 12288,
   },
   [EModelEndpoint.anthropic]: {
     'claude-2.1': 200000,
     'claude-': 100000,
+    'claude-3': 200000,
   },
 };
 
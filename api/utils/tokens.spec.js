@@ -99,6 +99,16 @@ describe('getModelMaxTokens', () => {
     });
   });
 
+  test('should return correct tokens for Claude 3 models', () => {
+    expect(getModelMaxTokens('claude-3-opus-20240229', EModelEndpoint.anthropic)).toBe(200000);
+    expect(getModelMaxTokens('claude-3-sonnet-20240229', EModelEndpoint.anthropic)).toBe(200000);
+  });
+
+  test('should return correct tokens for Gemini models', () => {
+    expect(getModelMaxTokens('gemini-pro', EModelEndpoint.google)).toBe(30720);
+    expect(getModelMaxTokens('gemini-pro-vision', EModelEndpoint.google)).toBe(12288);
+  });
+
   // Tests for Google models
   test('should return correct tokens for exact match - Google models', () => {
     expect(getModelMaxTokens('text-bison-32k', EModelEndpoint.google)).toBe(
@@ -1,4 +1,13 @@
-import type { TConversation, TMessage, TPreset, TLoginUser, TUser } from 'librechat-data-provider';
+import type {
+  TConversation,
+  TMessage,
+  TPreset,
+  TLoginUser,
+  TUser,
+  TLoginResponse,
+  TTwoFactorCode,
+  TTwoFactorChallenge,
+} from 'librechat-data-provider';
 import type { UseMutationResult } from '@tanstack/react-query';
 
 export type TSetOption = (param: number | string) => (newValue: number | string | boolean) => void;
@@ -22,6 +31,14 @@ export enum NotificationSeverity {
   ERROR = 'error',
 }
 
+export enum DragTypes {
+  CONVERSATION = 'conversation',
+}
+
+export type TConvoDragItem = {
+  conversationId: string;
+};
+
 export type TShowToast = {
   message: string;
   severity?: NotificationSeverity;
@@ -110,6 +127,16 @@ export type TMessageProps = {
   setSiblingIdx?: ((value: number) => void | React.Dispatch<React.SetStateAction<number>>) | null;
 };
 
+/** The search hit being jumped to from the search results */
+export type TSearchTarget = {
+  conversationId: string;
+  messageId: string;
+  /** The IDs from the root message to the hit, selecting the branches it is in */
+  path: string[];
+  /** The search query, whose terms are highlighted in the hit */
+  query: string;
+};
+
 export type TInitialProps = {
   text: string;
   edit: boolean;
@@ -125,6 +152,8 @@ export type TAdditionalProps = {
   siblingIdx: number;
   enterEdit: (cancel: boolean) => void;
   setSiblingIdx: (value: number) => void;
+  /** The search query whose terms are highlighted */
+  highlight?: string;
 };
 
 export type TMessageContent = TInitialProps & TAdditionalProps;
@@ -133,7 +162,7 @@ export type TText = Pick<TInitialProps, 'text'>;
 export type TEditProps = Pick<TInitialProps, 'text' | 'isSubmitting'> &
   Omit<TAdditionalProps, 'isCreatedByUser'>;
 export type TDisplayProps = TText &
-  Pick<TAdditionalProps, 'isCreatedByUser' | 'message'> & {
+  Pick<TAdditionalProps, 'isCreatedByUser' | 'message' | 'highlight'> & {
     showCursor?: boolean;
   };
 
@@ -175,6 +204,11 @@ export type TAuthContext = {
   error: string | undefined;
   login: (data: TLoginUser) => void;
   logout: () => void;
+  /** Set when the login requires a code, or the enrollment in 2FA */
+  twoFactor?: TTwoFactorChallenge;
+  verifyTwoFactor: (data: TTwoFactorCode) => void;
+  completeLogin: (data: TLoginResponse) => void;
+  cancelTwoFactor: () => void;
 };
 
 export type TUserContext = {
@@ -196,6 +230,8 @@ export type IconProps = Pick<TMessage, 'isCreatedByUser' | 'model' | 'error'> &
     message?: boolean;
     className?: string;
     endpoint?: string | null;
+    endpointType?: string | null;
+    iconURL?: string;
   };
 
 export type Option = Record<string, unknown> & {
@@ -220,6 +256,8 @@ export interface ExtendedFile {
   size: number;
   preview: string;
   progress: number;
+  /** A stored file attached again from the file manager, which is kept when removed */
+  reused?: boolean;
 }
 
 export type ContextType = { navVisible: boolean; setNavVisible: (visible: boolean) => void };
@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import { UserPlus } from 'lucide-react';
+import { useGetAdminUsersQuery } from '~/data-provider';
+import { useAuthContext, useLocalize } from '~/hooks';
+import useDocumentTitle from '~/hooks/useDocumentTitle';
+import { Spinner } from '~/components/svg';
+import { Input } from '~/components/ui';
+import CreateUserForm from './CreateUserForm';
+import UserRow from './UserRow';
+
+/** Lists, searches and manages the users; only rendered for `ADMIN` users */
+export default function AdminPanel() {
+  const localize = useLocalize();
+  const { user: currentUser } = useAuthContext();
+  const [searchText, setSearchText] = useState('');
+  const [search, setSearch] = useState('');
+  const [pageNumber, setPageNumber] = useState(1);
+  const [showCreateUser, setShowCreateUser] = useState(false);
+  const { data, isLoading } = useGetAdminUsersQuery(search, pageNumber);
+  const users = data?.users ?? [];
+  const pages = data?.pages ?? 1;
+
+  useDocumentTitle(localize('com_admin_title'));
+
+  return (
+    <main className="h-full overflow-y-auto bg-white text-sm text-gray-800 dark:bg-gray-800 dark:text-gray-100">
+      <div className="mx-auto flex max-w-5xl flex-col gap-4 p-6">
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-semibold">{localize('com_admin_title')}</h1>
+          <button
+            type="button"
+            onClick={() => setShowCreateUser((prev) => !prev)}
+            className="flex items-center gap-1 rounded-md border border-gray-300 px-3 py-1 hover:bg-gray-100 dark:border-gray-600 dark:hover:bg-gray-700"
+          >
+            <UserPlus className="h-4 w-4" />
+            {localize('com_admin_create_user')}
+          </button>
+        </div>
+        {showCreateUser && <CreateUserForm onCreated={() => setShowCreateUser(false)} />}
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            setPageNumber(1);
+            setSearch(searchText.trim());
+          }}
+        >
+          <Input
+            type="search"
+            value={searchText}
+            placeholder={localize('com_admin_search_users')}
+            aria-label={localize('com_admin_search_users')}
+            onChange={(e) => setSearchText(e.target.value)}
+          />
+        </form>
+        {isLoading ? (
+          <Spinner className="m-auto" />
+        ) : users.length === 0 ? (
+          <div className="text-gray-500 dark:text-gray-400">{localize('com_admin_no_users')}</div>
+        ) : (
+          <table className="w-full text-left">
+            <thead className="text-xs uppercase text-gray-500 dark:text-gray-400">
+              <tr>
+                <th className="py-2">{localize('com_admin_user')}</th>
+                <th>{localize('com_admin_role')}</th>
+                <th>{localize('com_admin_balance')}</th>
+                <th>{localize('com_admin_status')}</th>
+                <th>{localize('com_admin_actions')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((user) => (
+                <UserRow key={user.id} user={user} isCurrentUser={user.id === currentUser?.id} />
+              ))}
+            </tbody>
+          </table>
+        )}
+        {pages > 1 && (
+          <div className="flex items-center justify-end gap-2 text-xs">
+            <button
+              type="button"
+              disabled={pageNumber <= 1}
+              onClick={() => setPageNumber((prev) => prev - 1)}
+              className="rounded-md px-2 py-1 hover:bg-gray-100 disabled:opacity-50 dark:hover:bg-gray-700"
+            >
+              {localize('com_ui_prev')}
+            </button>
+            <span>{`${pageNumber} / ${pages}`}</span>
+            <button
+              type="button"
+              disabled={pageNumber >= pages}
+              onClick={() => setPageNumber((prev) => prev + 1)}
+              className="rounded-md px-2 py-1 hover:bg-gray-100 disabled:opacity-50 dark:hover:bg-gray-700"
+            >
+              {localize('com_ui_next')}
+            </button>
+          </div>
+        )}
+      </div>
+    </main>
+  );
+}
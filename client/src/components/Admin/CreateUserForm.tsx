@@ -0,0 +1,86 @@
+import { useState } from 'react';
+import { SystemRoles } from 'librechat-data-provider';
+import type { TAdminCreateUserRequest } from 'librechat-data-provider';
+import { useCreateAdminUserMutation } from '~/data-provider';
+import { Input } from '~/components/ui';
+import { useLocalize } from '~/hooks';
+
+const defaultUser: TAdminCreateUserRequest = {
+  email: '',
+  password: '',
+  name: '',
+  username: '',
+  role: SystemRoles.USER,
+};
+
+export default function CreateUserForm({ onCreated }: { onCreated: () => void }) {
+  const localize = useLocalize();
+  const [user, setUser] = useState(defaultUser);
+  const [error, setError] = useState('');
+  const createMutation = useCreateAdminUserMutation({
+    onSuccess: () => {
+      setUser(defaultUser);
+      onCreated();
+    },
+    onError: (error) =>
+      setError(
+        (error as { response?: { data?: { message?: string } } })?.response?.data?.message ??
+          localize('com_admin_action_error'),
+      ),
+  });
+
+  const setField = (field: keyof TAdminCreateUserRequest) => (value: string) =>
+    setUser((prev) => ({ ...prev, [field]: value }));
+
+  const fields: [keyof TAdminCreateUserRequest, string, string][] = [
+    ['email', 'email', localize('com_auth_email')],
+    ['name', 'text', localize('com_auth_full_name')],
+    ['username', 'text', localize('com_auth_username')],
+    ['password', 'password', localize('com_auth_password')],
+  ];
+
+  return (
+    <form
+      className="flex flex-wrap items-center gap-2"
+      data-testid="create-user-form"
+      onSubmit={(e) => {
+        e.preventDefault();
+        setError('');
+        createMutation.mutate(user);
+      }}
+    >
+      {fields.map(([field, type, label]) => (
+        <Input
+          key={field}
+          type={type}
+          required={field !== 'username'}
+          value={user[field]}
+          placeholder={label}
+          aria-label={label}
+          onChange={(e) => setField(field)(e.target.value)}
+          className="h-8 w-48"
+        />
+      ))}
+      <select
+        value={user.role}
+        aria-label={localize('com_admin_role')}
+        onChange={(e) => setField('role')(e.target.value)}
+        className="h-8 rounded-md border border-slate-300 bg-transparent px-2 dark:border-slate-700"
+      >
+        {Object.values(SystemRoles).map((role) => (
+          <option key={role} value={role}>
+            {role}
+          </option>
+        ))}
+      </select>
+      <button
+        type="submit"
+        disabled={createMutation.isLoading}
+        className="rounded-md border border-gray-300 px-3 py-1 hover:bg-gray-100 disabled:opacity-50 dark:border-gray-600 dark:hover:bg-gray-700"
+      >
+        {localize('com_admin_create_user')}
+      </button>
+      {error && <div className="w-full text-xs text-red-700 dark:text-red-500">{error}</div>}
+    </form>
+  );
+}
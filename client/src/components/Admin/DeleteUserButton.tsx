@@ -0,0 +1,43 @@
+import { Trash2 } from 'lucide-react';
+import type { TAdminUser } from 'librechat-data-provider';
+import { Dialog, DialogTrigger, Label } from '~/components/ui';
+import DialogTemplate from '~/components/ui/DialogTemplate';
+import { useDeleteAdminUserMutation } from '~/data-provider';
+import { useLocalize } from '~/hooks';
+
+export default function DeleteUserButton({ user }: { user: TAdminUser }) {
+  const localize = useLocalize();
+  const deleteMutation = useDeleteAdminUserMutation();
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>
+        <button
+          type="button"
+          title={localize('com_ui_delete')}
+          className="rounded-md p-1 text-red-700 hover:bg-gray-100 dark:text-red-500 dark:hover:bg-gray-700"
+        >
+          <Trash2 size={16} />
+        </button>
+      </DialogTrigger>
+      <DialogTemplate
+        title={localize('com_admin_delete_user')}
+        className="max-w-[450px]"
+        main={
+          <div className="flex w-full flex-col items-center gap-2">
+            <div className="grid w-full items-center gap-2">
+              <Label className="text-left text-sm font-medium">
+                {localize('com_admin_delete_user_confirm')} <strong>{user.email}</strong>
+              </Label>
+            </div>
+          </div>
+        }
+        selection={{
+          selectHandler: () => deleteMutation.mutate(user.id),
+          selectClasses: 'bg-red-600 hover:bg-red-700 dark:hover:bg-red-800 text-white',
+          selectText: localize('com_ui_delete'),
+        }}
+      />
+    </Dialog>
+  );
+}
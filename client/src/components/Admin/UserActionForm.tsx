@@ -0,0 +1,62 @@
+import { useState } from 'react';
+import { Input } from '~/components/ui';
+import { useLocalize } from '~/hooks';
+
+type TUserActionFormProps = {
+  type: 'password' | 'number';
+  placeholder: string;
+  isLoading: boolean;
+  onSubmit: (value: string) => void;
+  onCancel: () => void;
+};
+
+/** Inline form asking for the single value of a user action, e.g. a new password */
+export default function UserActionForm({
+  type,
+  placeholder,
+  isLoading,
+  onSubmit,
+  onCancel,
+}: TUserActionFormProps) {
+  const localize = useLocalize();
+  const [value, setValue] = useState('');
+
+  return (
+    <form
+      className="flex items-center gap-2"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (value) {
+          onSubmit(value);
+        }
+      }}
+    >
+      <Input
+        autoFocus
+        type={type}
+        min={type === 'number' ? 1 : undefined}
+        minLength={type === 'password' ? 8 : undefined}
+        maxLength={type === 'password' ? 128 : undefined}
+        value={value}
+        placeholder={placeholder}
+        aria-label={placeholder}
+        onChange={(e) => setValue(e.target.value)}
+        className="h-8 w-48"
+      />
+      <button
+        type="submit"
+        disabled={isLoading || !value}
+        className="rounded-md border border-gray-300 px-2 py-1 hover:bg-gray-100 disabled:opacity-50 dark:border-gray-600 dark:hover:bg-gray-700"
+      >
+        {localize('com_ui_submit')}
+      </button>
+      <button
+        type="button"
+        onClick={onCancel}
+        className="rounded-md px-2 py-1 hover:bg-gray-100 dark:hover:bg-gray-700"
+      >
+        {localize('com_ui_cancel')}
+      </button>
+    </form>
+  );
+}
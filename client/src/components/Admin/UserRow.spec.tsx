@@ -0,0 +1,130 @@
+import 'test/matchMedia.mock';
+import React from 'react';
+import { RecoilRoot } from 'recoil';
+import { render, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import type { TAdminUser } from 'librechat-data-provider';
+import * as mockDataProvider from '~/data-provider';
+import UserRow from './UserRow';
+
+jest.mock('~/data-provider');
+
+const user: TAdminUser = {
+  id: 'user-id',
+  username: 'john',
+  email: 'john@example.com',
+  name: 'John',
+  avatar: '',
+  role: 'USER',
+  provider: 'local',
+  plugins: [],
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt: '2024-01-01T00:00:00.000Z',
+  disabled: false,
+  balance: 1000,
+  bannedUntil: null,
+};
+
+const setup = (props: Partial<TAdminUser> = {}, isCurrentUser = false) => {
+  const mutate = {
+    disabled: jest.fn(),
+    password: jest.fn(),
+    balance: jest.fn(),
+    ban: jest.fn(),
+    unban: jest.fn(),
+    twoFactor: jest.fn(),
+  };
+  const mutations = [
+    ['useSetAdminUserDisabledMutation', mutate.disabled],
+    ['useResetAdminUserPasswordMutation', mutate.password],
+    ['useAddAdminUserBalanceMutation', mutate.balance],
+    ['useBanAdminUserMutation', mutate.ban],
+    ['useUnbanAdminUserMutation', mutate.unban],
+    ['useResetAdminUserTwoFactorMutation', mutate.twoFactor],
+    ['useDeleteAdminUserMutation', jest.fn()],
+  ] as const;
+  for (const [hook, fn] of mutations) {
+    jest
+      .spyOn(mockDataProvider, hook)
+      //@ts-ignore - we don't need all parameters of the UseMutationResult
+      .mockReturnValue({ mutate: fn, isLoading: false });
+  }
+  jest
+    .spyOn(mockDataProvider, 'useGetAdminUserViolationsQuery')
+    //@ts-ignore - we don't need all parameters of the QueryObserverSuccessResult
+    .mockReturnValue({ data: [], isLoading: false });
+
+  const renderResult = render(
+    <RecoilRoot>
+      <table>
+        <tbody>
+          <UserRow user={{ ...user, ...props }} isCurrentUser={isCurrentUser} />
+        </tbody>
+      </table>
+    </RecoilRoot>,
+  );
+  return { ...renderResult, mutate };
+};
+
+describe('UserRow', () => {
+  it('renders the user and their status', () => {
+    const { getByText } = setup({ disabled: true });
+
+    expect(getByText('john@example.com')).toBeInTheDocument();
+    expect(getByText('1000')).toBeInTheDocument();
+    expect(getByText('Disabled')).toBeInTheDocument();
+  });
+
+  it('disables an account', () => {
+    const { getByTitle, mutate } = setup();
+
+    fireEvent.click(getByTitle('Disable account'));
+
+    expect(mutate.disabled).toHaveBeenCalledWith({ userId: 'user-id', disabled: true });
+  });
+
+  it('bans a user for the given number of minutes', () => {
+    const { getByTitle, getByLabelText, getByText, mutate } = setup();
+
+    fireEvent.click(getByTitle('Ban'));
+    fireEvent.change(getByLabelText('Ban duration (minutes)'), { target: { value: '60' } });
+    fireEvent.click(getByText('Submit'));
+
+    expect(mutate.ban).toHaveBeenCalledWith({ userId: 'user-id', duration: 60 });
+  });
+
+  it('unbans a banned user', () => {
+    const { getByTitle, mutate } = setup({ bannedUntil: '2024-01-01T01:00:00.000Z' });
+
+    fireEvent.click(getByTitle('Unban'));
+
+    expect(mutate.unban).toHaveBeenCalledWith('user-id');
+  });
+
+  it('resets the two-factor authentication of a user who enabled it', () => {
+    const { queryByTitle, unmount } = setup();
+    expect(queryByTitle('Reset two-factor authentication')).not.toBeInTheDocument();
+    unmount();
+
+    const { getByTitle, mutate } = setup({ twoFactorEnabled: true });
+    fireEvent.click(getByTitle('Reset two-factor authentication'));
+
+    expect(mutate.twoFactor).toHaveBeenCalledWith('user-id');
+  });
+
+  it('shows the violations of a user', () => {
+    const { getByTitle, getByText } = setup();
+
+    fireEvent.click(getByTitle('Violations'));
+
+    expect(getByText('No violations logged.')).toBeInTheDocument();
+  });
+
+  it('does not let admins disable, ban or delete themselves', () => {
+    const { getByTitle, queryByTitle } = setup({}, true);
+
+    expect(getByTitle('Disable account')).toBeDisabled();
+    expect(getByTitle('Ban')).toBeDisabled();
+    expect(queryByTitle('Delete')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,194 @@
+import { useState } from 'react';
+import { Ban, Coins, Key, ShieldAlert, ShieldOff, UserCheck, UserX } from 'lucide-react';
+import type { TAdminUser } from 'librechat-data-provider';
+import {
+  useSetAdminUserDisabledMutation,
+  useResetAdminUserPasswordMutation,
+  useAddAdminUserBalanceMutation,
+  useBanAdminUserMutation,
+  useUnbanAdminUserMutation,
+  useResetAdminUserTwoFactorMutation,
+} from '~/data-provider';
+import DeleteUserButton from './DeleteUserButton';
+import UserActionForm from './UserActionForm';
+import Violations from './Violations';
+import { useLocalize } from '~/hooks';
+
+type TUserAction = 'password' | 'balance' | 'ban' | 'violations';
+
+const actionButtonClass =
+  'rounded-md p-1 hover:bg-gray-100 disabled:opacity-50 dark:hover:bg-gray-700';
+
+export default function UserRow({
+  user,
+  isCurrentUser,
+}: {
+  user: TAdminUser;
+  isCurrentUser: boolean;
+}) {
+  const localize = useLocalize();
+  const [action, setAction] = useState<TUserAction | null>(null);
+  const [error, setError] = useState('');
+
+  const closeAction = () => {
+    setAction(null);
+    setError('');
+  };
+  const mutationOptions = {
+    onSuccess: closeAction,
+    onError: (error: unknown) =>
+      setError(
+        (error as { response?: { data?: { message?: string } } })?.response?.data?.message ??
+          localize('com_admin_action_error'),
+      ),
+  };
+
+  const disabledMutation = useSetAdminUserDisabledMutation(mutationOptions);
+  const passwordMutation = useResetAdminUserPasswordMutation(mutationOptions);
+  const balanceMutation = useAddAdminUserBalanceMutation(mutationOptions);
+  const banMutation = useBanAdminUserMutation(mutationOptions);
+  const unbanMutation = useUnbanAdminUserMutation(mutationOptions);
+  const twoFactorMutation = useResetAdminUserTwoFactorMutation(mutationOptions);
+
+  const toggleAction = (nextAction: TUserAction) => {
+    setError('');
+    setAction((prev) => (prev === nextAction ? null : nextAction));
+  };
+
+  let status = localize('com_admin_active');
+  if (user.disabled) {
+    status = localize('com_admin_disabled');
+  } else if (user.bannedUntil) {
+    status = localize('com_admin_banned_until', new Date(user.bannedUntil).toLocaleString());
+  }
+
+  return (
+    <>
+      <tr className="border-b border-black/10 dark:border-white/10" data-testid="admin-user">
+        <td className="py-2 pr-2">
+          <div className="font-medium">{user.name}</div>
+          <div className="text-xs text-gray-500 dark:text-gray-400">{user.email}</div>
+        </td>
+        <td className="pr-2">{user.role}</td>
+        <td className="pr-2">{user.balance}</td>
+        <td className="pr-2">{status}</td>
+        <td>
+          <div className="flex gap-1">
+            {user.disabled ? (
+              <button
+                type="button"
+                title={localize('com_admin_enable')}
+                className={actionButtonClass}
+                onClick={() => disabledMutation.mutate({ userId: user.id, disabled: false })}
+              >
+                <UserCheck size={16} />
+              </button>
+            ) : (
+              <button
+                type="button"
+                title={localize('com_admin_disable')}
+                className={actionButtonClass}
+                disabled={isCurrentUser}
+                onClick={() => disabledMutation.mutate({ userId: user.id, disabled: true })}
+              >
+                <UserX size={16} />
+              </button>
+            )}
+            {user.bannedUntil ? (
+              <button
+                type="button"
+                title={localize('com_admin_unban')}
+                className={actionButtonClass}
+                onClick={() => unbanMutation.mutate(user.id)}
+              >
+                <Ban size={16} className="text-red-700 dark:text-red-500" />
+              </button>
+            ) : (
+              <button
+                type="button"
+                title={localize('com_admin_ban')}
+                className={actionButtonClass}
+                disabled={isCurrentUser}
+                onClick={() => toggleAction('ban')}
+              >
+                <Ban size={16} />
+              </button>
+            )}
+            <button
+              type="button"
+              title={localize('com_admin_reset_password')}
+              className={actionButtonClass}
+              onClick={() => toggleAction('password')}
+            >
+              <Key size={16} />
+            </button>
+            {user.twoFactorEnabled && (
+              <button
+                type="button"
+                title={localize('com_admin_reset_2fa')}
+                className={actionButtonClass}
+                onClick={() => twoFactorMutation.mutate(user.id)}
+              >
+                <ShieldOff size={16} />
+              </button>
+            )}
+            <button
+              type="button"
+              title={localize('com_admin_add_credits')}
+              className={actionButtonClass}
+              onClick={() => toggleAction('balance')}
+            >
+              <Coins size={16} />
+            </button>
+            <button
+              type="button"
+              title={localize('com_admin_violations')}
+              className={actionButtonClass}
+              onClick={() => toggleAction('violations')}
+            >
+              <ShieldAlert size={16} />
+            </button>
+            {!isCurrentUser && <DeleteUserButton user={user} />}
+          </div>
+        </td>
+      </tr>
+      {(action || error) && (
+        <tr className="border-b border-black/10 dark:border-white/10">
+          <td colSpan={5} className="py-2">
+            {action === 'password' && (
+              <UserActionForm
+                type="password"
+                placeholder={localize('com_admin_new_password')}
+                isLoading={passwordMutation.isLoading}
+                onSubmit={(password) => passwordMutation.mutate({ userId: user.id, password })}
+                onCancel={closeAction}
+              />
+            )}
+            {action === 'balance' && (
+              <UserActionForm
+                type="number"
+                placeholder={localize('com_admin_credits_amount')}
+                isLoading={balanceMutation.isLoading}
+                onSubmit={(amount) => balanceMutation.mutate({ userId: user.id, amount: +amount })}
+                onCancel={closeAction}
+              />
+            )}
+            {action === 'ban' && (
+              <UserActionForm
+                type="number"
+                placeholder={localize('com_admin_ban_duration')}
+                isLoading={banMutation.isLoading}
+                onSubmit={(duration) =>
+                  banMutation.mutate({ userId: user.id, duration: +duration })
+                }
+                onCancel={closeAction}
+              />
+            )}
+            {action === 'violations' && <Violations userId={user.id} />}
+            {error && <div className="mt-1 text-xs text-red-700 dark:text-red-500">{error}</div>}
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,38 @@
+import { useGetAdminUserViolationsQuery } from '~/data-provider';
+import { Spinner } from '~/components/svg';
+import { useLocalize } from '~/hooks';
+
+/** Violation logs of a user, as recorded by `logViolation` on the server */
+export default function Violations({ userId }: { userId: string }) {
+  const localize = useLocalize();
+  const { data: violations = [], isLoading } = useGetAdminUserViolationsQuery(userId);
+
+  if (isLoading) {
+    return <Spinner className="h-4 w-4" />;
+  }
+
+  if (violations.length === 0) {
+    return (
+      <div className="text-xs text-gray-500 dark:text-gray-400">
+        {localize('com_admin_no_violations')}
+      </div>
+    );
+  }
+
+  return (
+    <ul className="flex max-h-48 flex-col gap-1 overflow-y-auto text-xs" data-testid="violations">
+      {violations.map((violation, i) => (
+        <li key={i} className="flex gap-2">
+          <span className="text-gray-500 dark:text-gray-400">
+            {new Date(violation.date).toLocaleString()}
+          </span>
+          <span className="font-medium">{violation.type}</span>
+          <span>{`#${violation.violation_count}`}</span>
+          {violation.ban && (
+            <span className="text-red-700 dark:text-red-500">{localize('com_admin_ban')}</span>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1 @@
+export { default as AdminPanel } from './AdminPanel';
@@ -0,0 +1,37 @@
+import { useState } from 'react';
+import copy from 'copy-to-clipboard';
+import { useLocalize } from '~/hooks';
+
+/** The backup codes of a user, only shown once: when enabling 2FA, or regenerating them */
+export default function BackupCodes({ codes }: { codes: string[] }) {
+  const localize = useLocalize();
+  const [copied, setCopied] = useState(false);
+
+  const copyCodes = () => {
+    copy(codes.join('\n'));
+    setCopied(true);
+  };
+
+  return (
+    <div className="flex flex-col gap-2 text-sm">
+      <p className="text-gray-600 dark:text-gray-300">
+        {localize('com_auth_2fa_backup_codes_info')}
+      </p>
+      <ul
+        className="grid grid-cols-2 gap-1 rounded-md bg-gray-100 p-3 font-mono dark:bg-gray-800"
+        data-testid="backup-codes"
+      >
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <button
+        type="button"
+        className="self-start text-sm font-medium text-green-500 hover:underline"
+        onClick={copyCodes}
+      >
+        {localize(copied ? 'com_ui_copied_to_clipboard' : 'com_auth_2fa_copy_codes')}
+      </button>
+    </div>
+  );
+}
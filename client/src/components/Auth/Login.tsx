@@ -1,14 +1,25 @@
 import { useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useGetStartupConfig } from 'librechat-data-provider/react-query';
+import type { TTwoFactorConfirmResponse } from 'librechat-data-provider';
 import { GoogleIcon, FacebookIcon, OpenIDIcon, GithubIcon, DiscordIcon } from '~/components';
 import { useAuthContext } from '~/hooks/AuthContext';
 import { getLoginError } from '~/utils';
 import { useLocalize } from '~/hooks';
+import TwoFactorSetup from './TwoFactorSetup';
+import TwoFactorForm from './TwoFactorForm';
 import LoginForm from './LoginForm';
 
 function Login() {
-  const { login, error, isAuthenticated } = useAuthContext();
+  const {
+    login,
+    error,
+    isAuthenticated,
+    twoFactor,
+    verifyTwoFactor,
+    completeLogin,
+    cancelTwoFactor,
+  } = useAuthContext();
   const { data: startupConfig } = useGetStartupConfig();
   const localize = useLocalize();
 
@@ -20,6 +31,37 @@ function Login() {
     }
   }, [isAuthenticated, navigate]);
 
+  const completeSetup = ({ token, user }: TTwoFactorConfirmResponse) => {
+    if (token && user) {
+      completeLogin({ token, user });
+    }
+  };
+
+  if (twoFactor) {
+    return (
+      <div className="flex min-h-screen flex-col items-center justify-center bg-white pt-6 sm:pt-0">
+        <div className="mt-6 w-96 overflow-hidden bg-white px-6 py-4 sm:max-w-md sm:rounded-lg">
+          <h1 className="mb-4 text-center text-3xl font-semibold">
+            {localize(twoFactor.twoFactorSetupRequired ? 'com_auth_2fa_setup' : 'com_auth_2fa')}
+          </h1>
+          {error && (
+            <div
+              className="relative mt-4 rounded border border-red-400 bg-red-100 px-4 py-3 text-red-700"
+              role="alert"
+            >
+              {localize(getLoginError(error))}
+            </div>
+          )}
+          {twoFactor.twoFactorSetupRequired ? (
+            <TwoFactorSetup tempToken={twoFactor.tempToken} onComplete={completeSetup} />
+          ) : (
+            <TwoFactorForm onSubmit={verifyTwoFactor} onCancel={cancelTwoFactor} />
+          )}
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="flex min-h-screen flex-col items-center justify-center bg-white pt-6 sm:pt-0">
       <div className="mt-6 w-96 overflow-hidden bg-white px-6 py-4 sm:max-w-md sm:rounded-lg">
@@ -32,6 +74,14 @@ function Login() {
             role="alert"
           >
             {localize(getLoginError(error))}
+            {getLoginError(error) === 'com_auth_error_login_unverified' && (
+              <a
+                href="/verify-email"
+                className="mt-2 block font-semibold text-green-600 hover:underline"
+              >
+                {localize('com_auth_resend_verification')}
+              </a>
+            )}
           </div>
         )}
         {startupConfig?.emailLoginEnabled && <LoginForm onSubmit={login} />}
@@ -27,7 +27,16 @@ function Registration() {
 
   const onRegisterUserFormSubmit = (data: TRegisterUser) => {
     registerUser.mutate(data, {
-      onSuccess: () => {
+      onSuccess: ({ user, verificationRequired, twoFactorSetupRequired, tempToken }) => {
+        if (verificationRequired) {
+          navigate(`/verify-email?email=${encodeURIComponent(user.email)}`);
+          return;
+        }
+        if (twoFactorSetupRequired && tempToken) {
+          // the enrollment is completed on the login page
+          navigate('/login', { state: { twoFactor: { twoFactorSetupRequired, tempToken } } });
+          return;
+        }
         navigate('/c/new');
       },
       onError: (error) => {
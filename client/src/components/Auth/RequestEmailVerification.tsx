@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { useSearchParams } from 'react-router-dom';
+import { useResendVerificationEmailMutation } from 'librechat-data-provider/react-query';
+import type { TResendVerificationEmail } from 'librechat-data-provider';
+import { useLocalize } from '~/hooks';
+
+function RequestEmailVerification() {
+  const localize = useLocalize();
+  const [params] = useSearchParams();
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm<TResendVerificationEmail>({ defaultValues: { email: params.get('email') ?? '' } });
+  const resendVerificationEmail = useResendVerificationEmailMutation();
+  const [requestError, setRequestError] = useState<boolean>(false);
+
+  const onSubmit = (data: TResendVerificationEmail) => {
+    resendVerificationEmail.mutate(data, {
+      onError: () => {
+        setRequestError(true);
+        setTimeout(() => {
+          setRequestError(false);
+        }, 5000);
+      },
+    });
+  };
+
+  return (
+    <div className="flex min-h-screen flex-col items-center justify-center bg-white pt-6 sm:pt-0">
+      <div className="mt-6 w-96 overflow-hidden bg-white px-6 py-4 sm:max-w-md sm:rounded-lg">
+        <h1 className="mb-4 text-center text-3xl font-semibold">
+          {localize('com_auth_check_inbox')}
+        </h1>
+        {requestError && (
+          <div
+            className="relative mt-4 rounded border border-red-400 bg-red-100 px-4 py-3 text-red-700"
+            role="alert"
+          >
+            {localize('com_auth_error_resend_verification')}
+          </div>
+        )}
+        <div
+          className="relative mt-4 rounded border border-green-400 bg-green-100 px-4 py-3 text-green-700"
+          role="alert"
+        >
+          {resendVerificationEmail.isSuccess
+            ? localize('com_auth_verification_email_resent')
+            : localize('com_auth_verification_email_sent')}
+        </div>
+        <form
+          className="mt-6"
+          aria-label="Email verification form"
+          method="POST"
+          onSubmit={handleSubmit(onSubmit)}
+        >
+          <div className="mb-2">
+            <div className="relative">
+              <input
+                type="email"
+                id="email"
+                autoComplete="email"
+                aria-label={localize('com_auth_email')}
+                {...register('email', {
+                  required: localize('com_auth_email_required'),
+                  maxLength: {
+                    value: 120,
+                    message: localize('com_auth_email_max_length'),
+                  },
+                  pattern: {
+                    value: /\S+@\S+\.\S+/,
+                    message: localize('com_auth_email_pattern'),
+                  },
+                })}
+                aria-invalid={!!errors.email}
+                className="peer block w-full appearance-none rounded-md border border-gray-300 bg-gray-50 px-2.5 pb-2.5 pt-5 text-sm text-gray-900 focus:border-green-500 focus:outline-none focus:ring-0"
+                placeholder=" "
+              ></input>
+              <label
+                htmlFor="email"
+                className="pointer-events-none absolute left-2.5 top-4 z-10 origin-[0] -translate-y-4 scale-75 transform text-sm text-gray-500 duration-100 peer-placeholder-shown:translate-y-0 peer-placeholder-shown:scale-100 peer-focus:-translate-y-4 peer-focus:scale-75 peer-focus:text-green-500"
+              >
+                {localize('com_auth_email_address')}
+              </label>
+            </div>
+            {errors.email && (
+              <span role="alert" className="mt-1 text-sm text-black">
+                {errors.email.message}
+              </span>
+            )}
+          </div>
+          <div className="mt-6">
+            <button
+              type="submit"
+              disabled={!!errors.email || resendVerificationEmail.isLoading}
+              className="w-full transform rounded-md bg-green-500 px-4 py-3 tracking-wide text-white transition-colors duration-200 hover:bg-green-600 focus:bg-green-600 focus:outline-none"
+            >
+              {localize('com_auth_resend_verification')}
+            </button>
+          </div>
+        </form>
+        <p className="my-4 text-center text-sm font-light text-gray-700">
+          <a href="/login" className="p-1 font-medium text-green-500 hover:underline">
+            {localize('com_auth_login')}
+          </a>
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default RequestEmailVerification;
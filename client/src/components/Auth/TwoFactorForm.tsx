@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import type { TTwoFactorCode } from 'librechat-data-provider';
+import { useLocalize } from '~/hooks';
+
+type TTwoFactorFormProps = {
+  onSubmit: (data: TTwoFactorCode) => void;
+  onCancel: () => void;
+};
+
+/** The second login step: a code from the authenticator app, or a backup code */
+function TwoFactorForm({ onSubmit, onCancel }: TTwoFactorFormProps) {
+  const localize = useLocalize();
+  const [useBackupCode, setUseBackupCode] = useState(false);
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm<{ code: string }>();
+
+  const toggleBackupCode = () => {
+    reset();
+    setUseBackupCode((prev) => !prev);
+  };
+
+  const label = localize(useBackupCode ? 'com_auth_2fa_backup_code' : 'com_auth_2fa_code');
+  const codePattern = {
+    value: /^\s*\d{3}\s?\d{3}\s*$/,
+    message: localize('com_auth_2fa_code_pattern'),
+  };
+
+  return (
+    <form
+      className="mt-6"
+      aria-label="Two-factor authentication form"
+      method="POST"
+      onSubmit={handleSubmit(({ code }) =>
+        onSubmit(useBackupCode ? { backupCode: code } : { code }),
+      )}
+    >
+      <p className="mb-4 text-sm text-gray-600">
+        {useBackupCode
+          ? localize('com_auth_2fa_backup_code_prompt')
+          : localize('com_auth_2fa_code_prompt')}
+      </p>
+      <div className="mb-2">
+        <div className="relative">
+          <input
+            type="text"
+            id="code"
+            autoComplete="one-time-code"
+            inputMode={useBackupCode ? 'text' : 'numeric'}
+            autoFocus
+            aria-label={label}
+            {...register('code', {
+              required: localize('com_auth_2fa_code_required'),
+              pattern: useBackupCode ? undefined : codePattern,
+            })}
+            aria-invalid={!!errors.code}
+            className="peer block w-full appearance-none rounded-md border border-gray-300 bg-gray-50 px-2.5 pb-2.5 pt-5 text-sm text-gray-900 focus:border-green-500 focus:outline-none focus:ring-0"
+            placeholder=" "
+          ></input>
+          <label
+            htmlFor="code"
+            className="pointer-events-none absolute left-2.5 top-4 z-10 origin-[0] -translate-y-4 scale-75 transform text-sm text-gray-500 duration-100 peer-placeholder-shown:translate-y-0 peer-placeholder-shown:scale-100 peer-focus:-translate-y-4 peer-focus:scale-75 peer-focus:text-green-500"
+          >
+            {label}
+          </label>
+        </div>
+        {errors.code && (
+          <span role="alert" className="mt-1 text-sm text-black">
+            {errors.code.message}
+          </span>
+        )}
+      </div>
+      <div className="flex justify-between">
+        <button
+          type="button"
+          className="text-sm font-medium text-green-500 hover:underline"
+          onClick={toggleBackupCode}
+        >
+          {useBackupCode
+            ? localize('com_auth_2fa_use_app')
+            : localize('com_auth_2fa_use_backup_code')}
+        </button>
+        <button
+          type="button"
+          className="text-sm font-medium text-gray-500 hover:underline"
+          onClick={onCancel}
+        >
+          {localize('com_auth_2fa_back')}
+        </button>
+      </div>
+      <div className="mt-6">
+        <button
+          aria-label="Verify"
+          type="submit"
+          className="w-full transform rounded-md bg-green-500 px-4 py-3 tracking-wide text-white transition-colors duration-200 hover:bg-green-600 focus:bg-green-600 focus:outline-none"
+        >
+          {localize('com_auth_continue')}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default TwoFactorForm;
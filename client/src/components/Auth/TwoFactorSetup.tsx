@@ -0,0 +1,106 @@
+import { useEffect, useState } from 'react';
+import {
+  useEnableTwoFactorMutation,
+  useConfirmTwoFactorMutation,
+} from 'librechat-data-provider/react-query';
+import type { TTwoFactorConfirmResponse } from 'librechat-data-provider';
+import type { TResError } from '~/common';
+import BackupCodes from './BackupCodes';
+import { useLocalize } from '~/hooks';
+
+type TTwoFactorSetupProps = {
+  /** The token of a login requiring the enrollment; omitted for logged-in users */
+  tempToken?: string;
+  onComplete: (data: TTwoFactorConfirmResponse) => void;
+};
+
+/**
+ * Enrolls the user in two-factor authentication: scanning the QR code of a new secret,
+ * confirming it with a code, then saving the backup codes.
+ */
+export default function TwoFactorSetup({ tempToken, onComplete }: TTwoFactorSetupProps) {
+  const localize = useLocalize();
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const enableTwoFactor = useEnableTwoFactorMutation();
+  const confirmTwoFactor = useConfirmTwoFactorMutation();
+
+  useEffect(() => {
+    enableTwoFactor.mutate(tempToken, {
+      onError: (error) =>
+        setError((error as TResError).response?.data?.message ?? localize('com_auth_2fa_error')),
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tempToken]);
+
+  const confirm = (event: React.FormEvent) => {
+    event.preventDefault();
+    setError('');
+    confirmTwoFactor.mutate(
+      { code, tempToken },
+      { onError: () => setError(localize('com_auth_2fa_invalid_code')) },
+    );
+  };
+
+  if (confirmTwoFactor.data) {
+    const data = confirmTwoFactor.data;
+    return (
+      <div className="flex flex-col gap-4">
+        <BackupCodes codes={data.backupCodes} />
+        <button
+          type="button"
+          className="w-full rounded-md bg-green-500 px-4 py-2 text-white hover:bg-green-600"
+          onClick={() => onComplete(data)}
+        >
+          {localize('com_auth_continue')}
+        </button>
+      </div>
+    );
+  }
+
+  const setup = enableTwoFactor.data;
+  return (
+    <form
+      className="flex flex-col gap-3 text-sm"
+      aria-label="Two-factor setup form"
+      onSubmit={confirm}
+    >
+      <p className="text-gray-600 dark:text-gray-300">{localize('com_auth_2fa_setup_info')}</p>
+      {setup && (
+        <>
+          <img
+            src={setup.qrCode}
+            alt={localize('com_auth_2fa_qr_code')}
+            className="h-40 w-40 self-center"
+          />
+          <p className="text-gray-600 dark:text-gray-300">{localize('com_auth_2fa_secret_info')}</p>
+          <code className="break-all rounded-md bg-gray-100 p-2 text-center dark:bg-gray-800">
+            {setup.secret}
+          </code>
+        </>
+      )}
+      <input
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        aria-label={localize('com_auth_2fa_code')}
+        placeholder={localize('com_auth_2fa_code')}
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        className="rounded-md border border-gray-300 bg-gray-50 px-2.5 py-2 text-gray-900 focus:border-green-500 focus:outline-none focus:ring-0 dark:border-gray-600 dark:bg-gray-800 dark:text-gray-100"
+      />
+      {error && (
+        <div role="alert" className="text-red-700 dark:text-red-500">
+          {error}
+        </div>
+      )}
+      <button
+        type="submit"
+        disabled={!setup || !code.trim() || confirmTwoFactor.isLoading}
+        className="w-full rounded-md bg-green-500 px-4 py-2 text-white hover:bg-green-600 disabled:opacity-50"
+      >
+        {localize('com_auth_2fa_enable')}
+      </button>
+    </form>
+  );
+}
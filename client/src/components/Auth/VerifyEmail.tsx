@@ -0,0 +1,71 @@
+import { useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useVerifyEmailMutation } from 'librechat-data-provider/react-query';
+import { useLocalize } from '~/hooks';
+
+function VerifyEmail() {
+  const localize = useLocalize();
+  const navigate = useNavigate();
+  const [params] = useSearchParams();
+  const verifyEmail = useVerifyEmailMutation();
+  const { mutate } = verifyEmail;
+  // the token is deleted once used, so it must only be sent once
+  const verifying = useRef(false);
+
+  useEffect(() => {
+    const token = params.get('token');
+    const userId = params.get('userId');
+    if (verifying.current || !token || !userId) {
+      return;
+    }
+    verifying.current = true;
+    mutate({ token, userId });
+  }, [params, mutate]);
+
+  const isInvalid = verifyEmail.isError || !params.get('token') || !params.get('userId');
+
+  let headerText = localize('com_auth_verifying_email');
+  if (verifyEmail.isSuccess) {
+    headerText = localize('com_auth_email_verified');
+  } else if (isInvalid) {
+    headerText = localize('com_auth_email_verification_failed');
+  }
+
+  return (
+    <div className="flex min-h-screen flex-col items-center justify-center bg-white pt-6 sm:pt-0">
+      <div className="mt-6 w-96 overflow-hidden bg-white px-6 py-4 sm:max-w-md sm:rounded-lg">
+        <h1 className="mb-4 text-center text-3xl font-semibold">{headerText}</h1>
+        {verifyEmail.isSuccess && (
+          <>
+            <div
+              className="relative mb-8 mt-4 rounded border border-green-400 bg-green-100 px-4 py-3 text-center text-green-700"
+              role="alert"
+            >
+              {localize('com_auth_email_verified_login')}
+            </div>
+            <button
+              onClick={() => navigate('/login')}
+              aria-label={localize('com_auth_sign_in')}
+              className="w-full transform rounded-md bg-green-500 px-4 py-3 tracking-wide text-white transition-colors duration-200 hover:bg-green-600 focus:bg-green-600 focus:outline-none"
+            >
+              {localize('com_auth_continue')}
+            </button>
+          </>
+        )}
+        {!verifyEmail.isSuccess && isInvalid && (
+          <div
+            className="relative mt-4 rounded border border-red-400 bg-red-100 px-4 py-3 text-red-700"
+            role="alert"
+          >
+            {localize('com_auth_error_invalid_verification_token')}{' '}
+            <a className="font-semibold text-green-600 hover:underline" href="/verify-email">
+              {localize('com_auth_resend_verification')}
+            </a>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
@@ -143,3 +143,32 @@ test('Navigates to / on successful login', async () => {
 
   waitFor(() => expect(history.location.pathname).toBe('/'));
 });
+
+test('asks for the two-factor code before logging in', async () => {
+  const mutate = jest.fn();
+  jest.spyOn(mockDataProvider, 'useTwoFactorLoginMutation').mockReturnValue({
+    mutate,
+    isLoading: false,
+  } as unknown as ReturnType<typeof mockDataProvider.useTwoFactorLoginMutation>);
+  const { getByLabelText, getByRole, findByLabelText } = setup({
+    // @ts-ignore - we don't need all parameters of the QueryObserverResult
+    useLoginUserReturnValue: {
+      isLoading: false,
+      isError: false,
+      mutate: jest.fn((data, options) =>
+        options.onSuccess({ twoFactorRequired: true, tempToken: 'temp' }),
+      ),
+    },
+  });
+
+  await userEvent.type(getByLabelText(/email/i), 'test@test.com');
+  await userEvent.type(getByLabelText(/password/i), 'password');
+  await userEvent.click(getByRole('button', { name: /Sign in/i }));
+  await userEvent.type(await findByLabelText(/Authentication code/i), '123456');
+  await userEvent.click(getByRole('button', { name: /Verify/i }));
+
+  expect(mutate).toHaveBeenCalledWith(
+    { code: '123456', tempToken: 'temp' },
+    expect.objectContaining({ onSuccess: expect.any(Function) }),
+  );
+});
@@ -0,0 +1,81 @@
+import { render } from 'test/layout-test-utils';
+import VerifyEmail from '../VerifyEmail';
+import * as mockDataProvider from 'librechat-data-provider/react-query';
+
+jest.mock('librechat-data-provider/react-query');
+
+const setup = ({
+  url = '/verify?token=mock-token&userId=mock-user',
+  useVerifyEmailMutationReturnValue = {
+    isLoading: false,
+    isError: false,
+    isSuccess: false,
+    mutate: jest.fn(),
+  },
+} = {}) => {
+  window.history.pushState({}, '', url);
+  jest
+    .spyOn(mockDataProvider, 'useGetUserQuery')
+    //@ts-ignore - we don't need all parameters of the QueryObserverSuccessResult
+    .mockReturnValue({ isLoading: false, isError: false, data: {} });
+  jest
+    .spyOn(mockDataProvider, 'useRefreshTokenMutation')
+    //@ts-ignore - we don't need all parameters of the QueryObserverSuccessResult
+    .mockReturnValue({ isLoading: false, isError: false, mutate: jest.fn() });
+  jest
+    .spyOn(mockDataProvider, 'useVerifyEmailMutation')
+    //@ts-ignore - we don't need all parameters of the QueryObserverSuccessResult
+    .mockReturnValue(useVerifyEmailMutationReturnValue);
+
+  return render(<VerifyEmail />);
+};
+
+test('sends the token of the link once', () => {
+  const mutate = jest.fn();
+  const { getByText } = setup({
+    useVerifyEmailMutationReturnValue: {
+      isLoading: true,
+      isError: false,
+      isSuccess: false,
+      mutate,
+    },
+  });
+
+  expect(getByText(/Verifying your email/i)).toBeInTheDocument();
+  expect(mutate).toHaveBeenCalledTimes(1);
+  expect(mutate).toHaveBeenCalledWith({ token: 'mock-token', userId: 'mock-user' });
+});
+
+test('shows the verification success', () => {
+  const { getByText } = setup({
+    useVerifyEmailMutationReturnValue: {
+      isLoading: false,
+      isError: false,
+      isSuccess: true,
+      mutate: jest.fn(),
+    },
+  });
+
+  expect(getByText(/Email Verified/i)).toBeInTheDocument();
+  expect(getByText(/You may now login/i)).toBeInTheDocument();
+});
+
+test('offers to resend the email when the link is invalid', () => {
+  const mutate = jest.fn();
+  const { getByText, getByRole } = setup({
+    url: '/verify?userId=mock-user',
+    useVerifyEmailMutationReturnValue: {
+      isLoading: false,
+      isError: false,
+      isSuccess: false,
+      mutate,
+    },
+  });
+
+  expect(getByText(/Verification Failed/i)).toBeInTheDocument();
+  expect(getByRole('link', { name: /Resend verification email/i })).toHaveAttribute(
+    'href',
+    '/verify-email',
+  );
+  expect(mutate).not.toHaveBeenCalled();
+});
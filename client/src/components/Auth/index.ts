@@ -1,5 +1,7 @@
 export { default as Login } from './Login';
 export { default as Registration } from './Registration';
 export { default as ResetPassword } from './ResetPassword';
+export { default as VerifyEmail } from './VerifyEmail';
+export { default as RequestEmailVerification } from './RequestEmailVerification';
 export { default as ApiErrorWatcher } from './ApiErrorWatcher';
 export { default as RequestPasswordReset } from './RequestPasswordReset';
@@ -49,9 +49,13 @@ export default function ChatForm({ index = 0 }) {
               onChange={(e: ChangeEvent<HTMLTextAreaElement>) => setText(e.target.value)}
               setText={setText}
               submitMessage={submitMessage}
-              endpoint={conversation?.endpoint}
+              endpoint={conversation?.endpointType ?? conversation?.endpoint}
+            />
+            <AttachFile
+              endpoint={conversation?.endpointType ?? conversation?.endpoint ?? ''}
+              model={conversation?.model}
+              disabled={requiresKey}
             />
-            <AttachFile endpoint={conversation?.endpoint ?? ''} disabled={requiresKey} />
             {isSubmitting && showStopButton ? (
               <StopButton stop={handleStopGenerating} setShowStopButton={setShowStopButton} />
             ) : (
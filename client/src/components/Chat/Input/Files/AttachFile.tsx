@@ -1,13 +1,21 @@
-import { EModelEndpoint, supportsFiles } from 'librechat-data-provider';
+import {
+  EModelEndpoint,
+  supportsFiles,
+  imageMimeTypes,
+  supportsImageInput,
+  documentExtensions,
+} from 'librechat-data-provider';
 import { AttachmentIcon } from '~/components/svg';
 import { FileUpload } from '~/components/ui';
 import { useFileHandling } from '~/hooks';
 
 export default function AttachFile({
   endpoint,
+  model,
   disabled = false,
 }: {
-  endpoint: EModelEndpoint | '';
+  endpoint: EModelEndpoint | string;
+  model?: string | null;
   disabled?: boolean | null;
 }) {
   const { handleFileChange } = useFileHandling();
@@ -17,7 +25,14 @@ export default function AttachFile({
 
   return (
     <div className="absolute bottom-2 left-2 md:bottom-3 md:left-4">
-      <FileUpload handleFileChange={handleFileChange} className="flex">
+      <FileUpload
+        handleFileChange={handleFileChange}
+        accept={[
+          ...(supportsImageInput(endpoint, model) ? imageMimeTypes : []),
+          ...documentExtensions,
+        ].join(',')}
+        className="flex"
+      >
         <button
           disabled={!!disabled}
           type="button"
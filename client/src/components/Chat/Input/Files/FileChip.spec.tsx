@@ -0,0 +1,23 @@
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import FileChip from './FileChip';
+
+describe('FileChip', () => {
+  it('renders the name and type of the document', () => {
+    const { getByText, queryByRole } = render(<FileChip filename="report.final.pdf" />);
+
+    expect(getByText('report.final.pdf')).toBeInTheDocument();
+    expect(getByText('PDF')).toBeInTheDocument();
+    expect(queryByRole('button')).not.toBeInTheDocument();
+  });
+
+  it('removes the document', () => {
+    const onDelete = jest.fn();
+    const { getByRole } = render(<FileChip filename="notes.md" onDelete={onDelete} />);
+
+    fireEvent.click(getByRole('button'));
+
+    expect(onDelete).toHaveBeenCalled();
+  });
+});
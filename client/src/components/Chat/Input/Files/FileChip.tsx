@@ -0,0 +1,37 @@
+import { FileText } from 'lucide-react';
+import { getFileExtension } from 'librechat-data-provider';
+import { Spinner } from '~/components/svg';
+import RemoveFile from './RemoveFile';
+
+/** Chip of an attached document, showing its name and type */
+export default function FileChip({
+  filename,
+  onDelete,
+  progress = 1,
+}: {
+  filename: string;
+  onDelete?: () => void;
+  progress?: number; // between 0 and 1
+}) {
+  const extension = getFileExtension(filename).slice(1).toUpperCase();
+
+  return (
+    <div
+      className="group relative inline-block text-sm text-black/70 dark:text-white/90"
+      data-testid="file-chip"
+    >
+      <div className="relative overflow-hidden rounded-xl border border-gray-200 dark:border-gray-600">
+        <div className="flex h-14 max-w-xs items-center gap-2 p-2">
+          <div className="flex h-10 w-10 shrink-0 items-center justify-center rounded-lg bg-blue-500 text-white">
+            {progress < 1 ? <Spinner /> : <FileText className="h-5 w-5" />}
+          </div>
+          <div className="overflow-hidden">
+            <div className="truncate font-medium">{filename}</div>
+            <div className="truncate text-gray-500 dark:text-gray-400">{extension || 'File'}</div>
+          </div>
+        </div>
+      </div>
+      {onDelete && <RemoveFile onRemove={onDelete} />}
+    </div>
+  );
+}
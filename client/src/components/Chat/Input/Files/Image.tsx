@@ -1,3 +1,5 @@
+import RemoveFile from './RemoveFile';
+
 type styleProps = {
   backgroundImage?: string;
   backgroundSize?: string;
@@ -85,27 +87,7 @@ const Image = ({
           )}
         </div>
       </div>
-      <button
-        type="button"
-        className="absolute right-1 top-1 -translate-y-1/2 translate-x-1/2 rounded-full border border-white bg-gray-500 p-0.5 text-white transition-colors hover:bg-black hover:opacity-100 group-hover:opacity-100 md:opacity-0"
-        onClick={onDelete}
-      >
-        <span>
-          <svg
-            stroke="currentColor"
-            fill="none"
-            strokeWidth="2"
-            viewBox="0 0 24 24"
-            strokeLinecap="round"
-            strokeLinejoin="round"
-            className="icon-sm"
-            xmlns="http://www.w3.org/2000/svg"
-          >
-            <line x1="18" y1="6" x2="6" y2="18"></line>
-            <line x1="6" y1="6" x2="18" y2="18"></line>
-          </svg>
-        </span>
-      </button>
+      <RemoveFile onRemove={onDelete} />
     </div>
   );
 };
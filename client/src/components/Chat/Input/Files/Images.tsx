@@ -4,6 +4,7 @@ import type { BatchFile } from 'librechat-data-provider';
 import { useDeleteFilesMutation } from '~/data-provider';
 import { useSetFilesToDelete } from '~/hooks';
 import { ExtendedFile } from '~/common';
+import FileChip from './FileChip';
 import Image from './Image';
 
 export default function Images({
@@ -88,6 +89,10 @@ export default function Images({
       return updatedFiles;
     });
 
+    if (_file.reused) {
+      return;
+    }
+
     setFileDeleteBatch((prevBatch) => {
       const newBatch = [...prevBatch, file];
       debouncedDelete(newBatch);
@@ -99,6 +104,16 @@ export default function Images({
     <div className="mx-2 mt-2 flex flex-wrap gap-2 px-2.5 md:pl-0 md:pr-4">
       {files.map((file: ExtendedFile, index: number) => {
         const handleDelete = () => deleteFile(file);
+        if (!file.file.type.startsWith('image/')) {
+          return (
+            <FileChip
+              key={index}
+              filename={file.file.name}
+              onDelete={handleDelete}
+              progress={file.progress}
+            />
+          );
+        }
         return (
           <Image key={index} url={file.preview} onDelete={handleDelete} progress={file.progress} />
         );
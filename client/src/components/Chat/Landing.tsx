@@ -1,13 +1,19 @@
 import type { ReactNode } from 'react';
 import { EModelEndpoint } from 'librechat-data-provider';
+import { useGetEndpointsQuery } from 'librechat-data-provider/react-query';
 import { icons } from './Menus/Endpoints/Icons';
 import { useChatContext } from '~/Providers';
 import { useLocalize } from '~/hooks';
 
 export default function Landing({ Header }: { Header?: ReactNode }) {
   const { conversation } = useChatContext();
+  const { data: endpointsConfig } = useGetEndpointsQuery();
   const localize = useLocalize();
   let { endpoint } = conversation ?? {};
+  const iconURL = endpointsConfig?.[endpoint ?? '']?.iconURL;
+  if (conversation?.endpointType === EModelEndpoint.custom) {
+    endpoint = EModelEndpoint.custom;
+  }
   if (
     endpoint === EModelEndpoint.assistant ||
     endpoint === EModelEndpoint.chatGPTBrowser ||
@@ -22,7 +28,7 @@ export default function Landing({ Header }: { Header?: ReactNode }) {
       <div className="flex h-full flex-col items-center justify-center">
         <div className="mb-3 h-[72px] w-[72px]">
           <div className="gizmo-shadow-stroke relative flex h-full items-center justify-center rounded-full bg-white text-black">
-            {icons[endpoint ?? 'unknown']({ size: 41, className: 'h-2/3 w-2/3' })}
+            {icons[endpoint ?? 'unknown']({ size: 41, className: 'h-2/3 w-2/3', iconURL })}
           </div>
         </div>
         <div className="mb-5 text-2xl font-medium dark:text-white">
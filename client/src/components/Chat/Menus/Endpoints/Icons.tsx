@@ -7,9 +7,29 @@ import {
   BingAIMinimalIcon,
   GoogleMinimalIcon,
   LightningIcon,
+  CustomMinimalIcon,
 } from '~/components/svg';
 import { cn } from '~/utils';
 
+type IconProps = { size?: number; className?: string; iconURL?: string };
+
+/** Icon of an endpoint defined in the custom config file: its `iconURL` if set, or a generic icon */
+const CustomIcon = ({ size = 25, className = '', iconURL }: IconProps) => {
+  if (iconURL) {
+    return (
+      <img
+        src={iconURL}
+        alt="Endpoint Icon"
+        width={size}
+        height={size}
+        className={cn('rounded-sm', className)}
+      />
+    );
+  }
+
+  return <CustomMinimalIcon size={size} className={className} />;
+};
+
 export const icons = {
   [EModelEndpoint.azureOpenAI]: AzureMinimalIcon,
   [EModelEndpoint.openAI]: GPTIcon,
@@ -39,5 +59,6 @@ export const icons = {
       ></path>
     </svg>
   ),
+  [EModelEndpoint.custom]: CustomIcon,
   unknown: GPTIcon,
 };
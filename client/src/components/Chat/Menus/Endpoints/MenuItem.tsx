@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { Settings } from 'lucide-react';
 import { EModelEndpoint } from 'librechat-data-provider';
+import { useGetEndpointsQuery } from 'librechat-data-provider/react-query';
 import type { FC } from 'react';
 import { useLocalize, useUserKey } from '~/hooks';
 import { SetKeyDialog } from '~/components/Input/SetKeyDialog';
@@ -10,7 +11,7 @@ import { cn } from '~/utils';
 
 type MenuItemProps = {
   title: string;
-  value: EModelEndpoint;
+  value: EModelEndpoint | string;
   selected: boolean;
   description?: string;
   userProvidesKey: boolean;
@@ -26,21 +27,26 @@ const MenuItem: FC<MenuItemProps> = ({
   userProvidesKey,
   ...rest
 }) => {
-  const Icon = icons[endpoint] ?? icons.unknown;
+  const { data: endpointsConfig } = useGetEndpointsQuery();
+  const endpointType = endpointsConfig?.[endpoint]?.type;
+  const iconURL = endpointsConfig?.[endpoint]?.iconURL;
+  const Icon = icons[endpointType ?? endpoint] ?? icons.unknown;
   const [isDialogOpen, setDialogOpen] = useState(false);
   const { newConversation } = useChatContext();
   const { getExpiry } = useUserKey(endpoint);
   const localize = useLocalize();
   const expiryTime = getExpiry();
 
-  const onSelectEndpoint = (newEndpoint: EModelEndpoint) => {
+  const onSelectEndpoint = (newEndpoint: EModelEndpoint | string) => {
     if (!newEndpoint) {
       return;
     } else {
       if (!expiryTime) {
         setDialogOpen(true);
       }
-      newConversation({ template: { endpoint: newEndpoint, conversationId: 'new' } });
+      newConversation({
+        template: { endpoint: newEndpoint, endpointType, conversationId: 'new' },
+      });
     }
   };
 
@@ -56,7 +62,7 @@ const MenuItem: FC<MenuItemProps> = ({
         <div className="flex grow items-center justify-between gap-2">
           <div>
             <div className="flex items-center gap-2">
-              {<Icon size={18} className="icon-md shrink-0 dark:text-white" />}
+              {<Icon size={18} iconURL={iconURL} className="icon-md shrink-0 dark:text-white" />}
               <div>
                 {title}
                 <div className="text-token-text-tertiary">{description}</div>
@@ -128,7 +134,12 @@ const MenuItem: FC<MenuItemProps> = ({
         </div>
       </div>
       {userProvidesKey && (
-        <SetKeyDialog open={isDialogOpen} onOpenChange={setDialogOpen} endpoint={endpoint} />
+        <SetKeyDialog
+          open={isDialogOpen}
+          onOpenChange={setDialogOpen}
+          endpoint={endpoint}
+          endpointType={endpointType}
+        />
       )}
     </>
   );
@@ -6,8 +6,8 @@ import MenuSeparator from '../UI/MenuSeparator';
 import MenuItem from './MenuItem';
 
 const EndpointItems: FC<{
-  endpoints: EModelEndpoint[];
-  selected: EModelEndpoint | '';
+  endpoints: (EModelEndpoint | string)[];
+  selected: EModelEndpoint | string;
 }> = ({ endpoints, selected }) => {
   const { data: endpointsConfig } = useGetEndpointsQuery();
   return (
@@ -19,7 +19,8 @@ const EndpointItems: FC<{
           } else if (!endpointsConfig?.[endpoint]) {
             return null;
           }
-          const userProvidesKey = endpointsConfig?.[endpoint]?.userProvide;
+          const userProvidesKey =
+            endpointsConfig?.[endpoint]?.userProvide || endpointsConfig?.[endpoint]?.userProvideURL;
           return (
             <Close asChild key={`endpoint-${endpoint}`}>
               <div key={`endpoint-${endpoint}`}>
@@ -16,7 +16,7 @@ const EndpointsMenu: FC = () => {
   const selected = conversation?.endpoint ?? '';
   return (
     <Root>
-      <TitleButton primaryText={alternateName[selected] + ' '} />
+      <TitleButton primaryText={(alternateName[selected] ?? selected) + ' '} />
       <Portal>
         <div
           style={{
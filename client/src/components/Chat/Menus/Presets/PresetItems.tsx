@@ -4,6 +4,7 @@ import { Close } from '@radix-ui/react-popover';
 import { Flipper, Flipped } from 'react-flip-toolkit';
 import type { FC } from 'react';
 import type { TPreset } from 'librechat-data-provider';
+import { useGetEndpointsQuery } from 'librechat-data-provider/react-query';
 import FileUpload from '~/components/Input/EndpointMenu/FileUpload';
 import { PinIcon, EditIcon, TrashIcon } from '~/components/svg';
 import DialogTemplate from '~/components/ui/DialogTemplate';
@@ -32,6 +33,7 @@ const PresetItems: FC<{
   onFileSelected,
 }) => {
   const defaultPreset = useRecoilValue(store.defaultPreset);
+  const { data: endpointsConfig } = useGetEndpointsQuery();
   const localize = useLocalize();
   return (
     <>
@@ -103,8 +105,9 @@ const PresetItems: FC<{
                       title={getPresetTitle(preset)}
                       disableHover={true}
                       onClick={() => onSelectPreset(preset)}
-                      icon={icons[preset.endpoint ?? 'unknown']({
+                      icon={icons[preset.endpointType ?? preset.endpoint ?? 'unknown']({
                         className: 'icon-md mr-1 dark:text-white',
+                        iconURL: endpointsConfig?.[preset.endpoint ?? '']?.iconURL,
                       })}
                       selected={false}
                       data-testid={`preset-item-${preset}`}
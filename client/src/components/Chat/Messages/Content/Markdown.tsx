@@ -9,7 +9,7 @@ import remarkMath from 'remark-math';
 import remarkGfm from 'remark-gfm';
 import rehypeRaw from 'rehype-raw';
 import { useChatContext } from '~/Providers';
-import { langSubset, validateIframe } from '~/utils';
+import { langSubset, validateIframe, formatSourceFootnotes } from '~/utils';
 import CodeBlock from '~/components/Messages/Content/CodeBlock';
 
 type TCodeProps = {
@@ -35,6 +35,9 @@ const code = React.memo(({ inline, className, children }: TCodeProps) => {
   }
 });
 
+/** Opens links in a new tab, except the anchors of the footnotes */
+const linkTarget = (href: string) => (href.startsWith('#') ? undefined : '_new');
+
 const p = React.memo(({ children }: { children: React.ReactNode }) => {
   return <p className="mb-2 whitespace-pre-wrap">{children}</p>;
 });
@@ -47,6 +50,7 @@ const Markdown = React.memo(({ content, message, showCursor }: TContentProps) =>
   const { isEdited, messageId } = message ?? {};
   const isLatestMessage = messageId === latestMessage?.messageId;
   const currentContent = content?.replace('z-index: 1;', '') ?? '';
+  const footnotes = formatSourceFootnotes(message?.sources);
 
   useEffect(() => {
     let timer1: NodeJS.Timeout, timer2: NodeJS.Timeout;
@@ -100,7 +104,9 @@ const Markdown = React.memo(({ content, message, showCursor }: TContentProps) =>
     <ReactMarkdown
       remarkPlugins={[supersub, remarkGfm, [remarkMath, { singleDollarTextMath: true }]]}
       rehypePlugins={rehypePlugins}
-      linkTarget="_new"
+      linkTarget={linkTarget}
+      /* keeps the ids of the footnotes unique across messages */
+      remarkRehypeOptions={{ clobberPrefix: `${messageId ?? 'message'}-` }}
       components={
         {
           code,
@@ -112,7 +118,7 @@ const Markdown = React.memo(({ content, message, showCursor }: TContentProps) =>
     >
       {isLatestMessage && isSubmitting && !isInitializing
         ? currentContent + cursor
-        : currentContent}
+        : currentContent + footnotes}
     </ReactMarkdown>
   );
 });
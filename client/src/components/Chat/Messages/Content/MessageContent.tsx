@@ -1,6 +1,7 @@
 import { Fragment, Suspense } from 'react';
 import type { TResPlugin } from 'librechat-data-provider';
 import type { TMessageContent, TText, TDisplayProps } from '~/common';
+import FileChip from '~/components/Chat/Input/Files/FileChip';
 import Plugin from '~/components/Messages/Content/Plugin';
 import Error from '~/components/Messages/Content/Error';
 import { DelayedRender } from '~/components/ui';
@@ -32,6 +33,7 @@ const DisplayMessage = ({ text, isCreatedByUser, message, showCursor }: TDisplay
   const imageFiles = message?.files
     ? message.files.filter((file) => file.type.startsWith('image/'))
     : null;
+  const documentFiles = message?.files?.filter((file) => !file.type.startsWith('image/')) ?? [];
   return (
     <Container>
       {imageFiles &&
@@ -46,6 +48,13 @@ const DisplayMessage = ({ text, isCreatedByUser, message, showCursor }: TDisplay
             // i={i}
           />
         ))}
+      {documentFiles.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {documentFiles.map((file) => (
+            <FileChip key={file.file_id} filename={file.filename ?? 'Document'} />
+          ))}
+        </div>
+      )}
       <div
         className={cn(
           'markdown prose dark:prose-invert light w-full break-words',
@@ -0,0 +1,45 @@
+import { Archive } from 'lucide-react';
+import type { MouseEvent } from 'react';
+import { useParams } from 'react-router-dom';
+import { useArchiveConversationMutation } from '~/data-provider';
+import { useLocalize, useNewConvo } from '~/hooks';
+
+export default function ArchiveButton({
+  conversationId,
+  retainView,
+}: {
+  conversationId: string;
+  retainView: () => void;
+}) {
+  const localize = useLocalize();
+  const { newConversation } = useNewConvo();
+  const { conversationId: currentConvoId } = useParams();
+  const archiveMutation = useArchiveConversationMutation();
+
+  const archiveHandler = (e: MouseEvent<HTMLButtonElement>) => {
+    e.preventDefault();
+    e.stopPropagation();
+    archiveMutation.mutate(
+      { conversationId },
+      {
+        onSuccess: () => {
+          if (currentConvoId == conversationId) {
+            newConversation();
+          }
+          retainView();
+        },
+      },
+    );
+  };
+
+  return (
+    <button
+      className="p-1 hover:text-white"
+      onClick={archiveHandler}
+      disabled={archiveMutation.isLoading}
+      title={localize('com_ui_archive')}
+    >
+      <Archive className="h-4 w-4" />
+    </button>
+  );
+}
@@ -2,35 +2,68 @@ import Convo from './Convo';
 import Conversation from './Conversation';
 import { useLocation } from 'react-router-dom';
 import { TConversation } from 'librechat-data-provider';
+import { groupConversationsByDate } from '~/utils';
+import { useLocalize } from '~/hooks';
 
 export default function Conversations({
   conversations,
   moveToTop,
   toggleNav,
+  grouped = false,
+  isSection = false,
+  folder,
 }: {
   conversations: TConversation[];
   moveToTop: () => void;
   toggleNav: () => void;
+  /** Show the conversations under date headers (Today, Yesterday, ...) */
+  grouped?: boolean;
+  /** Lists a sidebar section (pinned or folder) instead of the main list */
+  isSection?: boolean;
+  /** The folder (tag) the conversations are listed in */
+  folder?: string;
 }) {
+  const localize = useLocalize();
   const location = useLocation();
   const { pathname } = location;
   const ConvoItem = pathname.includes('chat') ? Conversation : Convo;
 
+  const renderConvos = (convos: TConversation[], offset = 0) =>
+    convos.map((convo: TConversation, i) => {
+      return (
+        <ConvoItem
+          key={convo.conversationId}
+          conversation={convo}
+          retainView={moveToTop}
+          toggleNav={toggleNav}
+          folder={folder}
+          // only the main list shows a newly created conversation first
+          i={isSection ? -1 : i + offset}
+        />
+      );
+    });
+
+  if (!conversations || conversations.length === 0) {
+    return null;
+  }
+
+  if (!grouped) {
+    return <>{renderConvos(conversations)}</>;
+  }
+
+  let offset = 0;
   return (
     <>
-      {conversations &&
-        conversations.length > 0 &&
-        conversations.map((convo: TConversation, i) => {
-          return (
-            <ConvoItem
-              key={convo.conversationId}
-              conversation={convo}
-              retainView={moveToTop}
-              toggleNav={toggleNav}
-              i={i}
-            />
-          );
-        })}
+      {groupConversationsByDate(conversations).map(([group, convos]) => {
+        const items = renderConvos(convos, offset);
+        offset += convos.length;
+        return (
+          <div key={group} className="flex flex-col gap-2">
+            <h3 className="px-3 pt-3 text-xs font-medium text-gray-500">{localize(group)}</h3>
+            {items}
+          </div>
+        );
+      })}
     </>
   );
 }
@@ -1,31 +1,55 @@
 import { useRecoilValue } from 'recoil';
+import { useDrag } from 'react-dnd';
 import { useState, useRef } from 'react';
 import { useParams } from 'react-router-dom';
-import { useUpdateConversationMutation } from 'librechat-data-provider/react-query';
+import {
+  useGetEndpointsQuery,
+  useGetStartupConfig,
+  useUpdateConversationMutation,
+} from 'librechat-data-provider/react-query';
 import type { MouseEvent, FocusEvent, KeyboardEvent } from 'react';
-import { useConversations, useNavigateToConvo } from '~/hooks';
+import type { TConvoDragItem } from '~/common';
+import { useConversations, useNavigateToConvo, useLocalize } from '~/hooks';
+import { useGenTitleMutation } from '~/data-provider';
+import { NotificationSeverity, DragTypes } from '~/common';
 import { MinimalIcon } from '~/components/Endpoints';
-import { NotificationSeverity } from '~/common';
 import { useToastContext } from '~/Providers';
 import DeleteButton from './NewDeleteButton';
+import ArchiveButton from './ArchiveButton';
 import RenameButton from './RenameButton';
+import FolderButton from './FolderButton';
+import PinButton from './PinButton';
 import store from '~/store';
 
 type KeyEvent = KeyboardEvent<HTMLInputElement>;
 
-export default function Conversation({ conversation, retainView, toggleNav, i }) {
+export default function Conversation({ conversation, retainView, toggleNav, i, folder }) {
   const { conversationId: currentConvoId } = useParams();
   const activeConvos = useRecoilValue(store.allConversationsSelector);
   const updateConvoMutation = useUpdateConversationMutation(currentConvoId ?? '');
   const { refreshConversations } = useConversations();
   const { navigateToConvo } = useNavigateToConvo();
   const { showToast } = useToastContext();
+  const { data: endpointsConfig } = useGetEndpointsQuery();
+  const { data: startupConfig } = useGetStartupConfig();
+  const genTitleMutation = useGenTitleMutation();
+  const localize = useLocalize();
 
   const { conversationId, title } = conversation;
   const inputRef = useRef<HTMLInputElement | null>(null);
   const [titleInput, setTitleInput] = useState(title);
   const [renaming, setRenaming] = useState(false);
 
+  const [{ isDragging }, drag] = useDrag(
+    () => ({
+      type: DragTypes.CONVERSATION,
+      item: { conversationId } as TConvoDragItem,
+      canDrag: () => !renaming,
+      collect: (monitor) => ({ isDragging: monitor.isDragging() }),
+    }),
+    [conversationId, renaming],
+  );
+
   const clickHandler = async () => {
     if (currentConvoId === conversationId) {
       return;
@@ -84,9 +108,32 @@ export default function Conversation({ conversation, retainView, toggleNav, i })
     );
   };
 
+  const onRegenerate = (e: MouseEvent<HTMLButtonElement>) => {
+    e.preventDefault();
+    setRenaming(false);
+    genTitleMutation.mutate(
+      { conversationId },
+      {
+        onSuccess: (convo) => {
+          setTitleInput(convo.title);
+          refreshConversations();
+        },
+        onError: () => {
+          showToast({
+            message: localize('com_ui_regenerate_title_error'),
+            severity: NotificationSeverity.ERROR,
+            showIcon: true,
+          });
+        },
+      },
+    );
+  };
+
   const icon = MinimalIcon({
     size: 20,
     endpoint: conversation.endpoint,
+    endpointType: conversation.endpointType,
+    iconURL: endpointsConfig?.[conversation.endpoint]?.iconURL,
     model: conversation.model,
     error: false,
     className: 'mr-0',
@@ -100,8 +147,9 @@ export default function Conversation({ conversation, retainView, toggleNav, i })
   };
 
   const aProps = {
-    className:
-      'animate-flash group relative flex cursor-pointer items-center gap-3 break-all rounded-md bg-gray-900 py-3 px-3 pr-14 hover:bg-gray-900',
+    className: `animate-flash group relative flex cursor-pointer items-center gap-3 break-all rounded-md bg-gray-900 py-3 px-3 ${
+      folder ? 'pr-32' : 'pr-28'
+    } hover:bg-gray-900`,
   };
 
   const activeConvo =
@@ -114,7 +162,14 @@ export default function Conversation({ conversation, retainView, toggleNav, i })
   }
 
   return (
-    <a data-testid="convo-item" onClick={() => clickHandler()} {...aProps} title={title}>
+    <a
+      ref={drag}
+      data-testid="convo-item"
+      onClick={() => clickHandler()}
+      {...aProps}
+      className={`${aProps.className}${isDragging ? ' opacity-50' : ''}`}
+      title={title}
+    >
       {icon}
       <div className="relative line-clamp-1 max-h-5 flex-1 text-ellipsis break-all">
         {renaming === true ? (
@@ -133,7 +188,15 @@ export default function Conversation({ conversation, retainView, toggleNav, i })
       </div>
       {activeConvo ? (
         <div className="visible absolute right-1 z-10 flex text-gray-400">
-          <RenameButton renaming={renaming} onRename={onRename} renameHandler={renameHandler} />
+          <PinButton conversationId={conversationId} isPinned={!!conversation.isPinned} />
+          {folder && <FolderButton conversationId={conversationId} folder={folder} />}
+          <RenameButton
+            renaming={renaming}
+            onRename={onRename}
+            renameHandler={renameHandler}
+            onRegenerate={startupConfig?.titleConvo ? onRegenerate : undefined}
+          />
+          <ArchiveButton conversationId={conversationId} retainView={retainView} />
           <DeleteButton
             conversationId={conversationId}
             retainView={retainView}
@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { useDrop } from 'react-dnd';
+import { ChevronDown, ChevronRight, Folder as FolderIcon, Trash2 } from 'lucide-react';
+import type { TConvoDragItem } from '~/common';
+import {
+  useFilteredConversationsInfiniteQuery,
+  useBulkUpdateConversationsMutation,
+  useDeleteConversationTagMutation,
+} from '~/data-provider';
+import { DragTypes } from '~/common';
+import { useLocalize } from '~/hooks';
+import Conversations from './Conversations';
+import { cn } from '~/utils';
+
+type FolderProps = {
+  tag: string;
+  count: number;
+  moveToTop: () => void;
+  toggleNav: () => void;
+  /** Called once the folder was deleted */
+  onDelete?: (tag: string) => void;
+};
+
+export default function Folder({ tag, count, moveToTop, toggleNav, onDelete }: FolderProps) {
+  const localize = useLocalize();
+  const [open, setOpen] = useState(false);
+  const { data, fetchNextPage, hasNextPage, isFetchingNextPage } =
+    useFilteredConversationsInfiniteQuery({ tags: [tag] }, { enabled: open });
+  const { mutate } = useBulkUpdateConversationsMutation();
+  const deleteTagMutation = useDeleteConversationTagMutation();
+
+  const [{ isOver }, drop] = useDrop(
+    () => ({
+      accept: DragTypes.CONVERSATION,
+      drop: ({ conversationId }: TConvoDragItem) =>
+        mutate({ conversationIds: [conversationId], action: 'tag', tags: [tag] }),
+      collect: (monitor) => ({ isOver: monitor.isOver() }),
+    }),
+    [tag, mutate],
+  );
+
+  const deleteFolder = () => {
+    if (count === 0) {
+      onDelete?.(tag);
+      return;
+    }
+    deleteTagMutation.mutate(tag, { onSuccess: () => onDelete?.(tag) });
+  };
+
+  return (
+    <div data-testid="convo-folder">
+      <div
+        ref={drop}
+        className={cn(
+          'group flex cursor-pointer items-center gap-2 rounded-md px-3 py-2 hover:bg-gray-900',
+          isOver ? 'bg-gray-800' : '',
+        )}
+        onClick={() => setOpen((prev) => !prev)}
+      >
+        {open ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+        <FolderIcon className="h-4 w-4" />
+        <span className="flex-1 truncate">{tag}</span>
+        <span className="text-xs text-gray-500">{count}</span>
+        <button
+          type="button"
+          className="invisible p-1 text-gray-400 hover:text-white group-hover:visible"
+          title={localize('com_ui_delete_folder')}
+          disabled={deleteTagMutation.isLoading}
+          onClick={(e) => {
+            e.stopPropagation();
+            deleteFolder();
+          }}
+        >
+          <Trash2 className="h-4 w-4" />
+        </button>
+      </div>
+      {open && (
+        <div className="ml-3 flex flex-col gap-2 border-l border-white/20 pl-1">
+          {count === 0 ? (
+            <div className="px-3 py-2 text-xs text-gray-500">{localize('com_ui_folder_empty')}</div>
+          ) : (
+            <>
+              <Conversations
+                conversations={data?.pages.flatMap((page) => page.conversations) ?? []}
+                moveToTop={moveToTop}
+                toggleNav={toggleNav}
+                folder={tag}
+                isSection={true}
+              />
+              {hasNextPage && (
+                <button
+                  type="button"
+                  disabled={isFetchingNextPage}
+                  onClick={() => fetchNextPage()}
+                  className="rounded-md px-3 py-1 text-left text-xs text-gray-400 hover:bg-gray-900 disabled:opacity-50"
+                >
+                  {localize('com_nav_load_more')}
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+import { FolderMinus } from 'lucide-react';
+import type { MouseEvent } from 'react';
+import { useBulkUpdateConversationsMutation } from '~/data-provider';
+import { useLocalize } from '~/hooks';
+
+/** Removes the conversation from the folder it is listed in */
+export default function FolderButton({
+  conversationId,
+  folder,
+}: {
+  conversationId: string;
+  folder: string;
+}) {
+  const localize = useLocalize();
+  const bulkUpdateMutation = useBulkUpdateConversationsMutation();
+
+  const removeFromFolder = (e: MouseEvent<HTMLButtonElement>) => {
+    e.preventDefault();
+    e.stopPropagation();
+    bulkUpdateMutation.mutate({
+      conversationIds: [conversationId],
+      action: 'untag',
+      tags: [folder],
+    });
+  };
+
+  return (
+    <button
+      className="p-1 hover:text-white"
+      onClick={removeFromFolder}
+      disabled={bulkUpdateMutation.isLoading}
+      title={localize('com_ui_remove_from_folder')}
+    >
+      <FolderMinus className="h-4 w-4" />
+    </button>
+  );
+}
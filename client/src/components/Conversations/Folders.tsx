@@ -0,0 +1,94 @@
+import { useCallback, useState } from 'react';
+import { FolderPlus } from 'lucide-react';
+import type { KeyboardEvent } from 'react';
+import { useGetConversationTagsQuery } from '~/data-provider';
+import { useAuthContext, useLocalize } from '~/hooks';
+import Folder from './Folder';
+
+/**
+ * Lists the user's conversation folders, i.e. the tags of their conversations.
+ * New folders only exist locally until a conversation is dropped into them.
+ */
+export default function Folders({
+  moveToTop,
+  toggleNav,
+}: {
+  moveToTop: () => void;
+  toggleNav: () => void;
+}) {
+  const localize = useLocalize();
+  const { isAuthenticated } = useAuthContext();
+  const { data: tags = [] } = useGetConversationTagsQuery({ enabled: isAuthenticated });
+  const [newFolders, setNewFolders] = useState<string[]>([]);
+  const [creating, setCreating] = useState(false);
+  const [folderName, setFolderName] = useState('');
+
+  const removeNewFolder = useCallback(
+    (tag: string) => setNewFolders((prev) => prev.filter((folder) => folder !== tag)),
+    [],
+  );
+
+  const createFolder = () => {
+    const name = folderName.trim();
+    setCreating(false);
+    setFolderName('');
+    if (!name || tags.some(({ tag }) => tag === name) || newFolders.includes(name)) {
+      return;
+    }
+    setNewFolders((prev) => [...prev, name]);
+  };
+
+  const handleKeyDown = (e: KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'Enter') {
+      createFolder();
+    } else if (e.key === 'Escape') {
+      setCreating(false);
+      setFolderName('');
+    }
+  };
+
+  const folders = [
+    ...tags,
+    ...newFolders
+      .filter((folder) => !tags.some(({ tag }) => tag === folder))
+      .map((tag) => ({ tag, count: 0 })),
+  ];
+
+  return (
+    <div className="flex flex-col gap-1">
+      <div className="flex items-center justify-between px-3 pt-3">
+        <h3 className="text-xs font-medium text-gray-500">{localize('com_ui_folders')}</h3>
+        <button
+          type="button"
+          className="p-1 text-gray-400 hover:text-white"
+          title={localize('com_ui_new_folder')}
+          onClick={() => setCreating(true)}
+        >
+          <FolderPlus className="h-4 w-4" />
+        </button>
+      </div>
+      {creating && (
+        <input
+          autoFocus
+          type="text"
+          className="mx-3 rounded-md border border-blue-500 bg-transparent px-2 py-1 text-sm outline-none"
+          placeholder={localize('com_ui_folder_name')}
+          value={folderName}
+          onChange={(e) => setFolderName(e.target.value)}
+          onBlur={createFolder}
+          onKeyDown={handleKeyDown}
+        />
+      )}
+      {folders.map(({ tag, count }) => (
+        <Folder
+          key={tag}
+          tag={tag}
+          count={count}
+          moveToTop={moveToTop}
+          toggleNav={toggleNav}
+          onDelete={removeNewFolder}
+        />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import { Pin, PinOff } from 'lucide-react';
+import type { MouseEvent } from 'react';
+import { useBulkUpdateConversationsMutation } from '~/data-provider';
+import { useLocalize } from '~/hooks';
+
+export default function PinButton({
+  conversationId,
+  isPinned,
+}: {
+  conversationId: string;
+  isPinned: boolean;
+}) {
+  const localize = useLocalize();
+  const bulkUpdateMutation = useBulkUpdateConversationsMutation();
+
+  const togglePin = (e: MouseEvent<HTMLButtonElement>) => {
+    e.preventDefault();
+    e.stopPropagation();
+    bulkUpdateMutation.mutate({
+      conversationIds: [conversationId],
+      action: isPinned ? 'unpin' : 'pin',
+    });
+  };
+
+  return (
+    <button
+      className="p-1 hover:text-white"
+      onClick={togglePin}
+      disabled={bulkUpdateMutation.isLoading}
+      title={localize(isPinned ? 'com_ui_unpin' : 'com_ui_pin')}
+    >
+      {isPinned ? <PinOff className="h-4 w-4" /> : <Pin className="h-4 w-4" />}
+    </button>
+  );
+}
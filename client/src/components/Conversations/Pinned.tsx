@@ -0,0 +1,43 @@
+import { useFilteredConversationsInfiniteQuery } from '~/data-provider';
+import { useAuthContext, useLocalize } from '~/hooks';
+import Conversations from './Conversations';
+
+export default function Pinned({
+  moveToTop,
+  toggleNav,
+}: {
+  moveToTop: () => void;
+  toggleNav: () => void;
+}) {
+  const localize = useLocalize();
+  const { isAuthenticated } = useAuthContext();
+  const { data, fetchNextPage, hasNextPage, isFetchingNextPage } =
+    useFilteredConversationsInfiniteQuery({ isPinned: true }, { enabled: isAuthenticated });
+  const conversations = data?.pages.flatMap((page) => page.conversations) ?? [];
+
+  if (!conversations.length) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-col gap-2">
+      <h3 className="px-3 pt-3 text-xs font-medium text-gray-500">{localize('com_ui_pinned')}</h3>
+      <Conversations
+        conversations={conversations}
+        moveToTop={moveToTop}
+        toggleNav={toggleNav}
+        isSection={true}
+      />
+      {hasNextPage && (
+        <button
+          type="button"
+          disabled={isFetchingNextPage}
+          onClick={() => fetchNextPage()}
+          className="rounded-md px-3 py-1 text-left text-xs text-gray-400 hover:bg-gray-900 disabled:opacity-50"
+        >
+          {localize('com_nav_load_more')}
+        </button>
+      )}
+    </div>
+  );
+}
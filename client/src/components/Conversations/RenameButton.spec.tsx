@@ -0,0 +1,40 @@
+import 'test/matchMedia.mock';
+import React from 'react';
+import { RecoilRoot } from 'recoil';
+import { render, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import RenameButton from './RenameButton';
+
+const setup = (props: { renaming: boolean; onRegenerate?: () => void }) => {
+  const handlers = { onRename: jest.fn(), renameHandler: jest.fn() };
+  const renderResult = render(
+    <RecoilRoot>
+      <RenameButton {...handlers} {...props} />
+    </RecoilRoot>,
+  );
+  return { ...renderResult, ...handlers };
+};
+
+describe('RenameButton', () => {
+  it('regenerates the title while renaming', () => {
+    const onRegenerate = jest.fn();
+    const { getByTitle, onRename } = setup({ renaming: true, onRegenerate });
+
+    fireEvent.click(getByTitle('Regenerate title'));
+
+    expect(onRegenerate).toHaveBeenCalledTimes(1);
+    expect(onRename).not.toHaveBeenCalled();
+  });
+
+  it('only shows the regenerate action while renaming, when titles are enabled', () => {
+    const { queryByTitle, rerender } = setup({ renaming: false, onRegenerate: jest.fn() });
+    expect(queryByTitle('Regenerate title')).not.toBeInTheDocument();
+
+    rerender(
+      <RecoilRoot>
+        <RenameButton renaming={true} onRename={jest.fn()} renameHandler={jest.fn()} />
+      </RecoilRoot>,
+    );
+    expect(queryByTitle('Regenerate title')).not.toBeInTheDocument();
+  });
+});
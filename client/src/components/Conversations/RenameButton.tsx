@@ -1,10 +1,13 @@
+import { RotateCw } from 'lucide-react';
 import type { MouseEvent, ReactElement } from 'react';
 import { RenameIcon, CheckMark } from '~/components/svg';
+import { useLocalize } from '~/hooks';
 
 interface RenameButtonProps {
   renaming: boolean;
   renameHandler: (e: MouseEvent<HTMLButtonElement>) => void;
   onRename: (e: MouseEvent<HTMLButtonElement>) => void;
+  onRegenerate?: (e: MouseEvent<HTMLButtonElement>) => void;
   twcss?: string;
 }
 
@@ -12,16 +15,31 @@ export default function RenameButton({
   renaming,
   renameHandler,
   onRename,
+  onRegenerate,
   twcss,
 }: RenameButtonProps): ReactElement {
+  const localize = useLocalize();
   const handler = renaming ? onRename : renameHandler;
   const classProp: { className?: string } = { className: 'p-1 hover:text-white' };
   if (twcss) {
     classProp.className = twcss;
   }
   return (
-    <button {...classProp} onClick={handler}>
-      {renaming ? <CheckMark /> : <RenameIcon />}
-    </button>
+    <>
+      {renaming && onRegenerate && (
+        <button
+          {...classProp}
+          // keeps the title input focused, so that it isn't saved on blur first
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={onRegenerate}
+          title={localize('com_ui_regenerate_title')}
+        >
+          <RotateCw className="h-4 w-4" />
+        </button>
+      )}
+      <button {...classProp} onClick={handler}>
+        {renaming ? <CheckMark /> : <RenameIcon />}
+      </button>
+    </>
   );
 }
@@ -3,3 +3,5 @@ export { default as Conversation } from './Conversation';
 export { default as DeleteButton } from './DeleteButton';
 export { default as RenameButton } from './RenameButton';
 export { default as Conversations } from './Conversations';
+export { default as Pinned } from './Pinned';
+export { default as Folders } from './Folders';
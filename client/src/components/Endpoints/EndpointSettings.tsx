@@ -17,9 +17,9 @@ export default function Settings({
   }
 
   const { settings, multiViewSettings } = getSettings(isMultiChat);
-  const { endpoint } = conversation;
+  const { endpoint, endpointType } = conversation;
   const models = modelsConfig?.[endpoint] ?? [];
-  const OptionComponent = settings[endpoint];
+  const OptionComponent = settings[endpointType ?? endpoint];
 
   if (OptionComponent) {
     return (
@@ -36,7 +36,7 @@ export default function Settings({
     );
   }
 
-  const MultiViewComponent = multiViewSettings[endpoint];
+  const MultiViewComponent = multiViewSettings[endpointType ?? endpoint];
 
   if (!MultiViewComponent) {
     return null;
@@ -6,13 +6,24 @@ import {
   AzureMinimalIcon,
   PaLMIcon,
   CodeyIcon,
+  CustomMinimalIcon,
 } from '~/components/svg';
 import { useAuthContext } from '~/hooks/AuthContext';
 import { IconProps } from '~/common';
 import { cn } from '~/utils';
 
 const Icon: React.FC<IconProps> = (props) => {
-  const { size = 30, isCreatedByUser, button, model = '', endpoint, error, jailbreak } = props;
+  const {
+    size = 30,
+    isCreatedByUser,
+    button,
+    model = '',
+    endpoint,
+    endpointType,
+    error,
+    jailbreak,
+    iconURL,
+  } = props;
 
   const { user } = useAuthContext();
 
@@ -64,7 +75,7 @@ const Icon: React.FC<IconProps> = (props) => {
         ) : (
           <PaLMIcon size={size * 0.7} />
         ),
-        name: model?.includes('code') ? 'Codey' : 'PaLM2',
+        name: model?.includes('gemini') ? 'Gemini' : model?.includes('code') ? 'Codey' : 'PaLM2',
       },
       [EModelEndpoint.anthropic]: {
         icon: <AnthropicIcon size={size * 0.5555555555555556} />,
@@ -87,12 +98,25 @@ const Icon: React.FC<IconProps> = (props) => {
             : `rgba(0, 163, 255, ${button ? 0.75 : 1})`,
         name: 'ChatGPT',
       },
+      [EModelEndpoint.custom]: {
+        icon: <CustomMinimalIcon size={size * 0.7} />,
+        bg: 'grey',
+        name: endpoint ?? 'Custom',
+      },
       null: { icon: <GPTIcon size={size * 0.7} />, bg: 'grey', name: 'N/A' },
       default: { icon: <GPTIcon size={size * 0.7} />, bg: 'grey', name: 'UNKNOWN' },
     };
 
-    const { icon, bg, name } =
-      endpoint && endpointIcons[endpoint] ? endpointIcons[endpoint] : endpointIcons.default;
+    const iconKey = endpointType ?? endpoint;
+    const endpointIcon =
+      iconKey && endpointIcons[iconKey] ? endpointIcons[iconKey] : endpointIcons.default;
+    const { name } = endpointIcon;
+    const icon = iconURL ? (
+      <img className="rounded-sm" src={iconURL} alt={name} />
+    ) : (
+      endpointIcon.icon
+    );
+    const bg = iconURL ? 'transparent' : endpointIcon.bg;
 
     return (
       <div
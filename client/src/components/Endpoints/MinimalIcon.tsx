@@ -7,6 +7,7 @@ import {
   BingAIMinimalIcon,
   GoogleMinimalIcon,
   AnthropicIcon,
+  CustomMinimalIcon,
 } from '~/components/svg';
 import { cn } from '~/utils';
 import { IconProps } from '~/common';
@@ -16,7 +17,9 @@ const MinimalIcon: React.FC<IconProps> = (props) => {
 
   let endpoint = 'default'; // Default value for endpoint
 
-  if (typeof props.endpoint === 'string') {
+  if (typeof props.endpointType === 'string') {
+    endpoint = props.endpointType;
+  } else if (typeof props.endpoint === 'string') {
     endpoint = props.endpoint;
   }
 
@@ -34,10 +37,19 @@ const MinimalIcon: React.FC<IconProps> = (props) => {
     },
     [EModelEndpoint.bingAI]: { icon: <BingAIMinimalIcon />, name: 'BingAI' },
     [EModelEndpoint.chatGPTBrowser]: { icon: <LightningIcon />, name: 'ChatGPT' },
+    [EModelEndpoint.custom]: {
+      icon: <CustomMinimalIcon />,
+      name: props.chatGptLabel || props.endpoint || 'Custom',
+    },
     default: { icon: <OpenAIMinimalIcon />, name: 'UNKNOWN' },
   };
 
-  const { icon, name } = endpointIcons[endpoint] ?? endpointIcons.default;
+  const { icon: endpointIcon, name } = endpointIcons[endpoint] ?? endpointIcons.default;
+  const icon = props.iconURL ? (
+    <img className="rounded-sm" src={props.iconURL} alt={name} />
+  ) : (
+    endpointIcon
+  );
 
   return (
     <div
@@ -29,7 +29,8 @@ export default function Settings({ conversation, setOption, models, readonly }:
     presence_penalty: presP,
   } = conversation;
   const endpoint = conversation.endpoint || 'openAI';
-  const isOpenAI = endpoint === 'openAI' || endpoint === 'azureOpenAI';
+  const isOpenAI =
+    endpoint === 'openAI' || endpoint === 'azureOpenAI' || conversation.endpointType === 'custom';
 
   const setModel = setOption('model');
   const setChatGptLabel = setOption('chatGptLabel');
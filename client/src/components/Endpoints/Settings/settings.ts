@@ -9,6 +9,7 @@ import type { TModelSelectProps, TBaseSettingsProps, TModels } from '~/common';
 const settings: { [key: string]: FC<TModelSelectProps> } = {
   [EModelEndpoint.openAI]: OpenAISettings,
   [EModelEndpoint.azureOpenAI]: OpenAISettings,
+  [EModelEndpoint.custom]: OpenAISettings,
   [EModelEndpoint.bingAI]: BingAISettings,
   [EModelEndpoint.anthropic]: AnthropicSettings,
 };
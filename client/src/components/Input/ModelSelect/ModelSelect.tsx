@@ -28,8 +28,10 @@ export default function ModelSelect({
     return null;
   }
 
-  const { endpoint } = conversation;
-  const OptionComponent = isMultiChat ? multiChatOptions[endpoint] : options[endpoint];
+  const { endpoint, endpointType } = conversation;
+  const OptionComponent = isMultiChat
+    ? multiChatOptions[endpointType ?? endpoint]
+    : options[endpointType ?? endpoint];
   const models = modelsConfig?.[endpoint] ?? [];
 
   if (!OptionComponent) {
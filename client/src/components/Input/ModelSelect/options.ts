@@ -13,6 +13,7 @@ import PluginsByIndex from './PluginsByIndex';
 export const options: { [key: string]: FC<TModelSelectProps> } = {
   [EModelEndpoint.openAI]: OpenAI,
   [EModelEndpoint.azureOpenAI]: OpenAI,
+  [EModelEndpoint.custom]: OpenAI,
   [EModelEndpoint.bingAI]: BingAI,
   [EModelEndpoint.google]: Google,
   [EModelEndpoint.gptPlugins]: Plugins,
@@ -0,0 +1,61 @@
+/* eslint-disable react-hooks/exhaustive-deps */
+import React, { useEffect } from 'react';
+import { useGetEndpointsQuery } from 'librechat-data-provider/react-query';
+import InputWithLabel from './InputWithLabel';
+import type { TConfigProps } from '~/common';
+import { useLocalize } from '~/hooks';
+
+function parseValues(str: string): Record<string, string> {
+  try {
+    const values = JSON.parse(str);
+    return typeof values === 'object' && values !== null ? values : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/** Collects the user-provided values of a custom endpoint, saved as a JSON string */
+const CustomConfig = ({ userKey, setUserKey, endpoint }: TConfigProps) => {
+  const localize = useLocalize();
+  const { data: endpointsConfig } = useGetEndpointsQuery();
+  const { userProvide, userProvideURL } = endpointsConfig?.[endpoint] ?? {};
+
+  useEffect(() => {
+    setUserKey('');
+  }, []);
+
+  const getValue = (name: string) => parseValues(userKey)[name] ?? '';
+
+  const setValue = (name: string, value: string) => {
+    const newValues = parseValues(userKey);
+    newValues[name] = value;
+    setUserKey(JSON.stringify(newValues));
+  };
+
+  return (
+    <>
+      {userProvideURL && (
+        <InputWithLabel
+          id="baseURL"
+          value={getValue('baseURL')}
+          onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
+            setValue('baseURL', e.target.value ?? '')
+          }
+          label={localize('com_endpoint_config_custom_url')}
+        />
+      )}
+      {userProvide && (
+        <InputWithLabel
+          id="apiKey"
+          value={getValue('apiKey')}
+          onChange={(e: React.ChangeEvent<HTMLInputElement>) =>
+            setValue('apiKey', e.target.value ?? '')
+          }
+          label={localize('com_endpoint_config_key_name')}
+        />
+      )}
+    </>
+  );
+};
+
+export default CustomConfig;
@@ -7,6 +7,7 @@ import { Dialog, Dropdown } from '~/components/ui';
 import { useUserKey, useLocalize } from '~/hooks';
 import GoogleConfig from './GoogleConfig';
 import OpenAIConfig from './OpenAIConfig';
+import CustomConfig from './CustomConfig';
 import OtherConfig from './OtherConfig';
 import HelpText from './HelpText';
 
@@ -15,6 +16,7 @@ const endpointComponents = {
   [EModelEndpoint.openAI]: OpenAIConfig,
   [EModelEndpoint.azureOpenAI]: OpenAIConfig,
   [EModelEndpoint.gptPlugins]: OpenAIConfig,
+  [EModelEndpoint.custom]: CustomConfig,
   default: OtherConfig,
 };
 
@@ -31,8 +33,10 @@ const SetKeyDialog = ({
   open,
   onOpenChange,
   endpoint,
+  endpointType,
 }: Pick<TDialogProps, 'open' | 'onOpenChange'> & {
   endpoint: string;
+  endpointType?: string;
 }) => {
   const [userKey, setUserKey] = useState('');
   const [expiresAtLabel, setExpiresAtLabel] = useState(EXPIRY.TWELVE_HOURS.display);
@@ -53,7 +57,8 @@ const SetKeyDialog = ({
     setUserKey('');
   };
 
-  const EndpointComponent = endpointComponents[endpoint] ?? endpointComponents['default'];
+  const EndpointComponent =
+    endpointComponents[endpointType ?? endpoint] ?? endpointComponents['default'];
   const expiryTime = getExpiry();
 
   return (
@@ -10,7 +10,7 @@ import supersub from 'remark-supersub';
 import remarkGfm from 'remark-gfm';
 import rehypeRaw from 'rehype-raw';
 import CodeBlock from './CodeBlock';
-import { langSubset, validateIframe } from '~/utils';
+import { langSubset, validateIframe, getTermsRegex, rehypeMarkTerms } from '~/utils';
 import store from '~/store';
 
 type TCodeProps = {
@@ -23,6 +23,7 @@ type TContentProps = {
   content: string;
   message: TMessage;
   showCursor?: boolean;
+  highlight?: string;
 };
 
 const code = React.memo(({ inline, className, children }: TCodeProps) => {
@@ -40,7 +41,7 @@ const p = React.memo(({ children }: { children: React.ReactNode }) => {
   return <p className="mb-2 whitespace-pre-wrap">{children}</p>;
 });
 
-const Markdown = React.memo(({ content, message, showCursor }: TContentProps) => {
+const Markdown = React.memo(({ content, message, showCursor, highlight }: TContentProps) => {
   const [cursor, setCursor] = useState('█');
   const isSubmitting = useRecoilValue(store.isSubmitting);
   const latestMessage = useRecoilValue(store.latestMessage);
@@ -98,6 +99,11 @@ const Markdown = React.memo(({ content, message, showCursor }: TContentProps) =>
     rehypePlugins.pop();
   }
 
+  const termsRegex = highlight ? getTermsRegex(highlight) : null;
+  if (termsRegex) {
+    rehypePlugins.push([rehypeMarkTerms, termsRegex]);
+  }
+
   return (
     <ReactMarkdown
       remarkPlugins={[supersub, remarkGfm, [remarkMath, { singleDollarTextMath: true }]]}
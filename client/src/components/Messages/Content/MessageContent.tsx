@@ -2,7 +2,7 @@ import { Fragment } from 'react';
 import type { TResPlugin } from 'librechat-data-provider';
 import type { TMessageContent, TText, TDisplayProps } from '~/common';
 import { useAuthContext } from '~/hooks';
-import { cn } from '~/utils';
+import { cn, getTermsRegex, splitByTerms, markClassName } from '~/utils';
 import EditMessage from './EditMessage';
 import Container from './Container';
 import Markdown from './Markdown';
@@ -25,8 +25,37 @@ const ErrorMessage = ({ text }: TText) => {
   );
 };
 
+// User messages are displayed as plain text, so their matched terms are marked here
+const HighlightedText = ({ text, highlight }: Pick<TDisplayProps, 'text' | 'highlight'>) => {
+  const termsRegex = highlight ? getTermsRegex(highlight) : null;
+  if (!termsRegex) {
+    return <>{text}</>;
+  }
+
+  return (
+    <>
+      {splitByTerms(text, termsRegex).map(({ text, isMatch }, idx) => {
+        if (!isMatch) {
+          return <Fragment key={idx}>{text}</Fragment>;
+        }
+        return (
+          <mark key={idx} className={markClassName}>
+            {text}
+          </mark>
+        );
+      })}
+    </>
+  );
+};
+
 // Display Message Component
-const DisplayMessage = ({ text, isCreatedByUser, message, showCursor }: TDisplayProps) => (
+const DisplayMessage = ({
+  text,
+  isCreatedByUser,
+  message,
+  showCursor,
+  highlight,
+}: TDisplayProps) => (
   <Container>
     <div
       className={cn(
@@ -35,9 +64,9 @@ const DisplayMessage = ({ text, isCreatedByUser, message, showCursor }: TDisplay
       )}
     >
       {!isCreatedByUser ? (
-        <Markdown content={text} message={message} showCursor={showCursor} />
+        <Markdown content={text} message={message} showCursor={showCursor} highlight={highlight} />
       ) : (
-        <>{text}</>
+        <HighlightedText text={text} highlight={highlight} />
       )}
     </div>
   </Container>
@@ -1,6 +1,6 @@
 /* eslint-disable react-hooks/exhaustive-deps */
 import { useGetConversationByIdQuery } from 'librechat-data-provider/react-query';
-import { useEffect } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useSetRecoilState, useRecoilState, useRecoilValue } from 'recoil';
 import copy from 'copy-to-clipboard';
 import { SubRow, Plugin, MessageContent } from './Content';
@@ -33,6 +33,10 @@ export default function Message(props: TMessageProps) {
   const { switchToConversation } = useConversation();
   const { conversationId } = useParams();
   const isSearching = useRecoilValue(store.isSearching);
+  const searchQuery = useRecoilValue(store.searchQuery);
+  const [searchTarget, setSearchTarget] = useRecoilState(store.searchTarget);
+  const [highlight, setHighlight] = useState<string | undefined>();
+  const messageRef = useRef<HTMLDivElement>(null);
 
   const {
     text,
@@ -45,6 +49,7 @@ export default function Message(props: TMessageProps) {
   } = message ?? {};
 
   const isLast = !children?.length;
+  const isSearchTarget = !searchResult && !!messageId && searchTarget?.messageId === messageId;
   const edit = messageId === currentEditId;
   const getConversationQuery = useGetConversationByIdQuery(message?.conversationId ?? '', {
     enabled: false,
@@ -64,6 +69,16 @@ export default function Message(props: TMessageProps) {
     }
   }, [autoScroll, conversationId, scrollToBottom, isSearching]);
 
+  useEffect(() => {
+    if (!isSearchTarget) {
+      return;
+    }
+    // The branches of the search hit are selected: show it and stop selecting them
+    messageRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setHighlight(searchTarget?.query);
+    setSearchTarget(null);
+  }, [isSearchTarget]);
+
   useEffect(() => {
     if (!message) {
       return;
@@ -139,13 +154,19 @@ export default function Message(props: TMessageProps) {
     console.log('getConversationQuery response.data:', response.data);
 
     if (response.data) {
+      setSearchTarget({
+        conversationId: response.data.conversationId ?? '',
+        messageId: message.messageId,
+        path: message.path ?? [message.messageId],
+        query: searchQuery,
+      });
       switchToConversation(response.data);
     }
   };
 
   return (
     <>
-      <div {...messageProps} onWheel={handleScroll} onTouchMove={handleScroll}>
+      <div {...messageProps} ref={messageRef} onWheel={handleScroll} onTouchMove={handleScroll}>
         <div className="relative m-auto flex gap-4 p-4 text-base md:max-w-2xl md:gap-6 md:py-6 lg:max-w-2xl lg:px-0 xl:max-w-3xl">
           <div className="relative flex h-[40px] w-[40px] flex-col items-end text-right text-xs md:text-sm">
             {typeof icon === 'string' && /[^\\x00-\\x7F]+/.test(icon as string) ? (
@@ -182,6 +203,7 @@ export default function Message(props: TMessageProps) {
                 message={message}
                 enterEdit={enterEdit}
                 error={!!(error && !searchResult)}
+                highlight={highlight}
                 isSubmitting={isSubmitting}
                 unfinished={unfinished ?? false}
                 isCreatedByUser={isCreatedByUser ?? true}
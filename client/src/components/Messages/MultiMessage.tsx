@@ -1,5 +1,5 @@
 import { useEffect } from 'react';
-import { useRecoilState } from 'recoil';
+import { useRecoilState, useRecoilValue } from 'recoil';
 import type { TMessageProps } from '~/common';
 // eslint-disable-next-line import/no-cycle
 import Message from './Message';
@@ -15,14 +15,18 @@ export default function MultiMessage({
   isSearchView,
 }: TMessageProps) {
   const [siblingIdx, setSiblingIdx] = useRecoilState(store.messagesSiblingIdxFamily(messageId));
+  const searchTarget = useRecoilValue(store.searchTarget);
 
   const setSiblingIdxRev = (value: number) => {
     setSiblingIdx((messagesTree?.length ?? 0) - value - 1);
   };
 
   useEffect(() => {
-    // reset siblingIdx when the tree changes, mostly when a new message is submitting.
-    setSiblingIdx(0);
+    // reset siblingIdx when the tree changes, mostly when a new message is submitting,
+    // unless a search hit is being jumped to: then select the sibling in its path.
+    const targetIdx =
+      messagesTree?.findIndex((message) => searchTarget?.path.includes(message.messageId)) ?? -1;
+    setSiblingIdx(targetIdx > -1 ? (messagesTree?.length ?? 0) - targetIdx - 1 : 0);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [messagesTree?.length]);
 
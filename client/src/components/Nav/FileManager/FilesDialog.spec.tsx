@@ -0,0 +1,117 @@
+import 'test/matchMedia.mock';
+import React from 'react';
+import { RecoilRoot, useRecoilValue } from 'recoil';
+import { render, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import * as mockDataProvider from '~/data-provider';
+import FilesDialog, { formatBytes } from './FilesDialog';
+import store from '~/store';
+
+jest.mock('~/data-provider');
+jest.mock('~/Providers', () => ({
+  useToastContext: () => ({ showToast: jest.fn() }),
+}));
+
+const image = {
+  file_id: 'image-id',
+  filename: 'photo.png',
+  filepath: '/images/user-id/photo.webp',
+  url: 'https://storage.example.com/images/user-id/photo.webp?sig=signed',
+  type: 'image/webp',
+  bytes: 2048,
+  usage: 1,
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt: '2024-01-01T00:00:00.000Z',
+};
+
+const document = {
+  ...image,
+  file_id: 'document-id',
+  filename: 'report.pdf',
+  filepath: '/uploads/user-id/report.pdf',
+  url: '/uploads/user-id/report.pdf',
+  type: 'application/pdf',
+};
+
+let attachedFiles = new Map();
+const AttachedFiles = () => {
+  attachedFiles = useRecoilValue(store.filesByIndex(0));
+  return null;
+};
+
+const setup = ({ files = [image, document], quota = null as number | null } = {}) => {
+  const deleteMutate = jest.fn();
+  const filesQuery = jest
+    .spyOn(mockDataProvider, 'useFilesInfiniteQuery')
+    //@ts-ignore - we don't need all parameters of the UseInfiniteQueryResult
+    .mockReturnValue({ data: { pages: [{ files, nextCursor: null }] }, hasNextPage: false });
+  jest
+    .spyOn(mockDataProvider, 'useGetFileStorageQuery')
+    //@ts-ignore - we don't need all parameters of the QueryObserverSuccessResult
+    .mockReturnValue({ data: { bytes: 4096, quota } });
+  jest
+    .spyOn(mockDataProvider, 'useDeleteFilesMutation')
+    //@ts-ignore - we don't need all parameters of the UseMutationResult
+    .mockReturnValue({ mutate: deleteMutate, isLoading: false });
+
+  const renderResult = render(
+    <RecoilRoot>
+      <FilesDialog open={true} onOpenChange={jest.fn()} />
+      <AttachedFiles />
+    </RecoilRoot>,
+  );
+  return { ...renderResult, deleteMutate, filesQuery };
+};
+
+describe('FilesDialog', () => {
+  it('formats file sizes', () => {
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(2048)).toBe('2.0 KB');
+    expect(formatBytes(5.5 * 1024 * 1024)).toBe('5.5 MB');
+  });
+
+  it('lists the files with their storage usage', () => {
+    const { getByText, getByAltText } = setup({ quota: 1024 * 1024 });
+
+    expect(getByText('photo.png')).toBeInTheDocument();
+    expect(getByText('report.pdf')).toBeInTheDocument();
+    expect(getByAltText('photo.png')).toHaveAttribute('src', image.url);
+    expect(getByText('4.0 KB of 1.0 MB used')).toBeInTheDocument();
+  });
+
+  it('renders a message when no file is found', () => {
+    const { getByText } = setup({ files: [] });
+    expect(getByText('No files found.')).toBeInTheDocument();
+    expect(getByText('4.0 KB used')).toBeInTheDocument();
+  });
+
+  it('filters the files by type', () => {
+    const { getByText, filesQuery } = setup();
+
+    fireEvent.click(getByText('Documents'));
+
+    expect(filesQuery).toHaveBeenLastCalledWith({ type: 'document' }, { enabled: true });
+  });
+
+  it('attaches a stored file to the message, and detaches it when deleted', () => {
+    const { getAllByTitle, deleteMutate } = setup({ files: [image] });
+
+    fireEvent.click(getAllByTitle('Attach')[0]);
+
+    expect(attachedFiles.get('image-id')).toEqual(
+      expect.objectContaining({
+        filepath: image.filepath,
+        preview: image.url,
+        progress: 1,
+        reused: true,
+      }),
+    );
+
+    fireEvent.click(getAllByTitle('Delete')[0]);
+
+    expect(attachedFiles.has('image-id')).toBe(false);
+    expect(deleteMutate).toHaveBeenCalledWith({
+      files: [{ file_id: 'image-id', filepath: image.filepath }],
+    });
+  });
+});
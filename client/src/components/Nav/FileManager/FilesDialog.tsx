@@ -0,0 +1,225 @@
+import debounce from 'lodash/debounce';
+import { useSetRecoilState } from 'recoil';
+import { useState, useEffect, useMemo } from 'react';
+import { FileText, Paperclip, Trash2 } from 'lucide-react';
+import type { TFile, TFileFilters } from 'librechat-data-provider';
+import DialogTemplate from '~/components/ui/DialogTemplate';
+import { Dialog, Input } from '~/components/ui/';
+import {
+  useFilesInfiniteQuery,
+  useGetFileStorageQuery,
+  useDeleteFilesMutation,
+} from '~/data-provider';
+import { useToastContext } from '~/Providers';
+import { NotificationSeverity } from '~/common';
+import { cn, defaultTextProps } from '~/utils/';
+import { useLocalize } from '~/hooks';
+import store from '~/store';
+
+const fileTypes: { value?: TFileFilters['type']; label: string }[] = [
+  { value: undefined, label: 'com_ui_all' },
+  { value: 'image', label: 'com_ui_images' },
+  { value: 'document', label: 'com_ui_documents' },
+];
+
+export const formatBytes = (bytes: number) => {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+};
+
+const FileItem = ({ file }: { file: TFile }) => {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const setFiles = useSetRecoilState(store.filesByIndex(0));
+  const deleteMutation = useDeleteFilesMutation({
+    onError: () =>
+      showToast({
+        message: localize('com_nav_my_files_delete_error'),
+        severity: NotificationSeverity.ERROR,
+        showIcon: true,
+      }),
+  });
+  const isImage = file.type.startsWith('image/');
+
+  const detachFile = () =>
+    setFiles((currentFiles) => {
+      if (!currentFiles.has(file.file_id)) {
+        return currentFiles;
+      }
+      const updatedFiles = new Map(currentFiles);
+      updatedFiles.delete(file.file_id);
+      return updatedFiles;
+    });
+
+  const attachFile = () => {
+    setFiles((currentFiles) => {
+      const updatedFiles = new Map(currentFiles);
+      updatedFiles.set(file.file_id, {
+        file: new File([], file.filename, { type: file.type }),
+        file_id: file.file_id,
+        type: file.type,
+        filepath: file.filepath,
+        filename: file.filename,
+        width: file.width,
+        height: file.height,
+        size: file.bytes,
+        preview: file.url,
+        progress: 1,
+        reused: true,
+      });
+      return updatedFiles;
+    });
+    showToast({ message: localize('com_nav_my_files_attached') });
+  };
+
+  const deleteFile = () => {
+    detachFile();
+    deleteMutation.mutate({ files: [{ file_id: file.file_id, filepath: file.filepath }] });
+  };
+
+  return (
+    <li className="flex items-center justify-between gap-2" data-testid="my-file">
+      <div className="flex min-w-0 items-center gap-2">
+        {isImage ? (
+          <a href={file.url} target="_blank" rel="noreferrer" className="shrink-0">
+            <img src={file.url} alt={file.filename} className="h-10 w-10 rounded-md object-cover" />
+          </a>
+        ) : (
+          <div className="flex h-10 w-10 shrink-0 items-center justify-center rounded-md bg-blue-500 text-white">
+            <FileText className="h-5 w-5" />
+          </div>
+        )}
+        <div className="flex min-w-0 flex-col">
+          <span className="truncate">{file.filename}</span>
+          <span className="text-xs text-gray-500 dark:text-gray-400">
+            {`${formatBytes(file.bytes)} · ${new Date(file.createdAt).toLocaleString()}`}
+          </span>
+        </div>
+      </div>
+      <div className="flex flex-shrink-0 gap-1">
+        <button
+          type="button"
+          title={localize('com_ui_attach')}
+          onClick={attachFile}
+          className="rounded-md p-1 hover:bg-gray-100 dark:hover:bg-gray-700"
+        >
+          <Paperclip size={16} />
+        </button>
+        <button
+          type="button"
+          disabled={deleteMutation.isLoading}
+          title={localize('com_ui_delete')}
+          onClick={deleteFile}
+          className="rounded-md p-1 text-red-700 hover:bg-gray-100 disabled:opacity-50 dark:text-red-500 dark:hover:bg-gray-700"
+        >
+          <Trash2 size={16} />
+        </button>
+      </div>
+    </li>
+  );
+};
+
+export default function FilesDialog({
+  open,
+  onOpenChange,
+}: {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}) {
+  const localize = useLocalize();
+  const [type, setType] = useState<TFileFilters['type']>();
+  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState<TFileFilters>({});
+
+  const debouncedSetSearch = useMemo(
+    () => debounce((search: string) => setFilters((filters) => ({ ...filters, search })), 300),
+    [],
+  );
+
+  useEffect(() => () => debouncedSetSearch.cancel(), [debouncedSetSearch]);
+
+  const { data, hasNextPage, fetchNextPage, isFetchingNextPage } = useFilesInfiniteQuery(
+    { ...filters, type },
+    { enabled: open },
+  );
+  const { data: storage } = useGetFileStorageQuery({ enabled: open });
+  const files = data?.pages.flatMap((page) => page.files) ?? [];
+  const used = formatBytes(storage?.bytes ?? 0);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogTemplate
+        title={localize('com_nav_my_files')}
+        className="max-w-full sm:max-w-2xl"
+        main={
+          <div className="flex w-full flex-col gap-4 text-sm text-gray-600 dark:text-gray-300">
+            <div className="flex items-center gap-2">
+              <div className="flex flex-shrink-0 gap-1">
+                {fileTypes.map(({ value, label }) => (
+                  <button
+                    key={label}
+                    type="button"
+                    onClick={() => setType(value)}
+                    className={cn(
+                      'rounded-md px-2 py-1 capitalize hover:bg-gray-100 dark:hover:bg-gray-700',
+                      type === value ? 'bg-gray-100 dark:bg-gray-700' : '',
+                    )}
+                  >
+                    {localize(label)}
+                  </button>
+                ))}
+              </div>
+              <Input
+                id="file-search"
+                value={search}
+                placeholder={localize('com_nav_my_files_search')}
+                onChange={(e) => {
+                  setSearch(e.target.value);
+                  debouncedSetSearch(e.target.value);
+                }}
+                className={cn(defaultTextProps, 'flex h-10 max-h-10 w-full resize-none px-3 py-2')}
+              />
+            </div>
+            {storage && (
+              <div className="text-xs text-gray-500 dark:text-gray-400">
+                {storage.quota
+                  ? localize('com_nav_my_files_storage_quota', used, formatBytes(storage.quota))
+                  : localize('com_nav_my_files_storage', used)}
+              </div>
+            )}
+            {files.length === 0 ? (
+              <div className="text-xs text-gray-500 dark:text-gray-400">
+                {localize('com_nav_my_files_empty')}
+              </div>
+            ) : (
+              <ul className="flex max-h-96 flex-col gap-2 overflow-y-auto pr-1">
+                {files.map((file) => (
+                  <FileItem key={file.file_id} file={file} />
+                ))}
+              </ul>
+            )}
+            {hasNextPage && (
+              <div className="flex justify-end text-xs">
+                <button
+                  type="button"
+                  disabled={isFetchingNextPage}
+                  onClick={() => fetchNextPage()}
+                  className="rounded-md px-2 py-1 hover:bg-gray-100 disabled:opacity-50 dark:hover:bg-gray-700"
+                >
+                  {localize('com_nav_load_more')}
+                </button>
+              </div>
+            )}
+          </div>
+        }
+        selection={undefined}
+      />
+    </Dialog>
+  );
+}
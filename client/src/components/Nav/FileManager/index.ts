@@ -0,0 +1 @@
+export { default as FilesDialog } from './FilesDialog';
@@ -1,4 +1,4 @@
-import { useSearchQuery, useGetConversationsQuery } from 'librechat-data-provider/react-query';
+import { useSearchQuery, useConversationsInfiniteQuery } from 'librechat-data-provider/react-query';
 import { useRecoilValue, useSetRecoilState } from 'recoil';
 import { useCallback, useEffect, useRef, useState } from 'react';
 import type { TConversation, TSearchResults } from 'librechat-data-provider';
@@ -10,7 +10,7 @@ import {
   useLocalStorage,
 } from '~/hooks';
 import { TooltipProvider, Tooltip } from '~/components/ui';
-import { Conversations, Pages } from '../Conversations';
+import { Conversations, Pages, Pinned, Folders } from '../Conversations';
 import { Spinner } from '~/components';
 import SearchBar from './SearchBar';
 import NavToggle from './NavToggle';
@@ -38,18 +38,20 @@ export default function Nav({ navVisible, setNavVisible }) {
   }, [isSmallScreen]);
 
   const [conversations, setConversations] = useState<TConversation[]>([]);
-  // current page
+  // current page of the search results
   const [pageNumber, setPageNumber] = useState(1);
-  // total pages
+  // total pages of the search results
   const [pages, setPages] = useState(1);
 
   // data provider
-  const getConversationsQuery = useGetConversationsQuery(pageNumber + '', {
+  const getConversationsQuery = useConversationsInfiniteQuery({
     enabled: isAuthenticated,
   });
+  const { hasNextPage, isFetchingNextPage, fetchNextPage } = getConversationsQuery;
 
   // search
   const searchQuery = useRecoilValue(store.searchQuery);
+  const searchFilters = useRecoilValue(store.searchFilters);
   const isSearchEnabled = useRecoilValue(store.isSearchEnabled);
   const isSearching = useRecoilValue(store.isSearching);
   const { newConversation, searchPlaceholderConversation } = useConversation();
@@ -63,7 +65,11 @@ export default function Nav({ navVisible, setNavVisible }) {
 
   const [isFetching, setIsFetching] = useState(false);
 
-  const searchQueryFn = useSearchQuery(searchQuery, pageNumber + '', {
+  useEffect(() => {
+    setPageNumber(1);
+  }, [searchFilters]);
+
+  const searchQueryFn = useSearchQuery(searchQuery, pageNumber + '', searchFilters, {
     enabled: !!(!!searchQuery && searchQuery.length > 0 && isSearchEnabled && isSearching),
   });
 
@@ -116,32 +122,29 @@ export default function Nav({ navVisible, setNavVisible }) {
   };
 
   useEffect(() => {
-    if (getConversationsQuery.data) {
-      if (isSearching) {
-        return;
-      }
-      let { conversations, pages } = getConversationsQuery.data;
-      pages = Number(pages);
-      if (pageNumber > pages) {
-        setPageNumber(pages);
-      } else {
-        if (!isSearching) {
-          conversations = conversations.sort(
-            (a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime(),
-          );
-        }
-        setConversations(conversations);
-        setPages(pages);
-      }
+    if (getConversationsQuery.data && !isSearching) {
+      // conversations are already sorted by last activity (`updatedAt`) by the server
+      setConversations(getConversationsQuery.data.pages.flatMap((page) => page.conversations));
     }
-  }, [getConversationsQuery.isSuccess, getConversationsQuery.data, isSearching, pageNumber]);
+  }, [getConversationsQuery.data, isSearching]);
 
   useEffect(() => {
     if (!isSearching) {
       getConversationsQuery.refetch();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [pageNumber, conversationId, refreshConversationsHint]);
+  }, [conversationId, refreshConversationsHint]);
+
+  const onScroll = useCallback(() => {
+    const container = containerRef.current;
+    if (!container || isSearching || !hasNextPage || isFetchingNextPage) {
+      return;
+    }
+    const { scrollTop, scrollHeight, clientHeight } = container;
+    if (scrollHeight - scrollTop - clientHeight < 100) {
+      fetchNextPage();
+    }
+  }, [isSearching, hasNextPage, isFetchingNextPage, fetchNextPage]);
 
   const toggleNavVisible = () => {
     setNavVisible((prev: boolean) => !prev);
@@ -157,7 +160,7 @@ export default function Nav({ navVisible, setNavVisible }) {
   };
 
   const containerClasses =
-    getConversationsQuery.isLoading && pageNumber === 1
+    getConversationsQuery.isLoading && !isSearching
       ? 'flex flex-col gap-2 text-gray-100 text-sm h-full justify-center items-center'
       : 'flex flex-col gap-2 text-gray-100 text-sm';
 
@@ -193,25 +196,40 @@ export default function Nav({ navVisible, setNavVisible }) {
                     } border-b border-white/20`}
                     onMouseEnter={() => setIsHovering(true)}
                     onMouseLeave={() => setIsHovering(false)}
+                    onScroll={onScroll}
                     ref={containerRef}
                   >
                     <div className={containerClasses}>
-                      {(getConversationsQuery.isLoading && pageNumber === 1) || isFetching ? (
+                      {(getConversationsQuery.isLoading && !isSearching) || isFetching ? (
                         <Spinner />
-                      ) : (
+                      ) : isSearching ? (
                         <Conversations
                           conversations={conversations}
                           moveToTop={moveToTop}
                           toggleNav={itemToggleNav}
                         />
+                      ) : (
+                        <>
+                          <Pinned moveToTop={moveToTop} toggleNav={itemToggleNav} />
+                          <Folders moveToTop={moveToTop} toggleNav={itemToggleNav} />
+                          <Conversations
+                            conversations={conversations}
+                            moveToTop={moveToTop}
+                            toggleNav={itemToggleNav}
+                            grouped={true}
+                          />
+                          {isFetchingNextPage && <Spinner />}
+                        </>
+                      )}
+                      {isSearching && (
+                        <Pages
+                          pageNumber={pageNumber}
+                          pages={pages}
+                          nextPage={nextPage}
+                          previousPage={previousPage}
+                          setPageNumber={setPageNumber}
+                        />
                       )}
-                      <Pages
-                        pageNumber={pageNumber}
-                        pages={pages}
-                        nextPage={nextPage}
-                        previousPage={previousPage}
-                        setPageNumber={setPageNumber}
-                      />
                     </div>
                   </div>
                   <NavLinks />
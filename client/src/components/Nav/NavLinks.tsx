@@ -1,11 +1,14 @@
-import { Download } from 'lucide-react';
+import { Download, FolderOpen, Share2, ShieldCheck } from 'lucide-react';
 import { useRecoilValue } from 'recoil';
 import { Fragment, useState, memo } from 'react';
-import { useLocation } from 'react-router-dom';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { Menu, Transition } from '@headlessui/react';
 import { useGetUserBalance, useGetStartupConfig } from 'librechat-data-provider/react-query';
+import { SystemRoles } from 'librechat-data-provider';
 import type { TConversation } from 'librechat-data-provider';
 import { ExportModal } from './ExportConversation';
+import { ShareDialog } from './ShareConversation';
+import { FilesDialog } from './FileManager';
 import { LinkIcon, GearIcon } from '~/components';
 import { useAuthContext } from '~/hooks/AuthContext';
 import { useLocalize } from '~/hooks';
@@ -18,12 +21,15 @@ import store from '~/store';
 function NavLinks() {
   const localize = useLocalize();
   const location = useLocation();
+  const navigate = useNavigate();
   const { user, isAuthenticated } = useAuthContext();
   const { data: startupConfig } = useGetStartupConfig();
   const balanceQuery = useGetUserBalance({
     enabled: !!isAuthenticated && startupConfig?.checkBalance,
   });
   const [showExports, setShowExports] = useState(false);
+  const [showShare, setShowShare] = useState(false);
+  const [showFiles, setShowFiles] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
 
   let conversation;
@@ -47,6 +53,12 @@ function NavLinks() {
     }
   };
 
+  const shareHandler = () => {
+    if (exportable) {
+      setShowShare(true);
+    }
+  };
+
   return (
     <>
       <Menu as="div" className="group relative">
@@ -107,6 +119,25 @@ function NavLinks() {
                     clickHandler={clickHandler}
                   />
                 </Menu.Item>
+                <Menu.Item as="div">
+                  <NavLink
+                    className={cn(
+                      'flex w-full cursor-pointer items-center gap-3 rounded-none px-3 py-3 text-sm text-white transition-colors duration-200 hover:bg-gray-700',
+                      exportable ? 'cursor-pointer text-white' : 'cursor-not-allowed text-white/50',
+                    )}
+                    svg={() => <Share2 size={16} />}
+                    text={localize('com_nav_share_conversation')}
+                    clickHandler={shareHandler}
+                  />
+                </Menu.Item>
+                <Menu.Item as="div">
+                  <NavLink
+                    className="flex w-full cursor-pointer items-center gap-3 rounded-none px-3 py-3 text-sm text-white transition-colors duration-200 hover:bg-gray-700"
+                    svg={() => <FolderOpen size={16} />}
+                    text={localize('com_nav_my_files')}
+                    clickHandler={() => setShowFiles(true)}
+                  />
+                </Menu.Item>
                 <div className="my-1 h-px bg-white/20" role="none" />
                 <Menu.Item as="div">
                   <NavLink
@@ -116,6 +147,16 @@ function NavLinks() {
                     clickHandler={() => window.open('https://docs.librechat.ai/', '_blank')}
                   />
                 </Menu.Item>
+                {user?.role === SystemRoles.ADMIN && (
+                  <Menu.Item as="div">
+                    <NavLink
+                      className="flex w-full cursor-pointer items-center gap-3 rounded-none px-3 py-3 text-sm text-white transition-colors duration-200 hover:bg-gray-700"
+                      svg={() => <ShieldCheck size={16} />}
+                      text={localize('com_admin_title')}
+                      clickHandler={() => navigate('/admin')}
+                    />
+                  </Menu.Item>
+                )}
                 <Menu.Item as="div">
                   <NavLink
                     className="flex w-full cursor-pointer items-center gap-3 rounded-none px-3 py-3 text-sm text-white transition-colors duration-200 hover:bg-gray-700"
@@ -136,6 +177,10 @@ function NavLinks() {
       {showExports && (
         <ExportModal open={showExports} onOpenChange={setShowExports} conversation={conversation} />
       )}
+      {showShare && (
+        <ShareDialog open={showShare} onOpenChange={setShowShare} conversation={conversation} />
+      )}
+      {showFiles && <FilesDialog open={showFiles} onOpenChange={setShowFiles} />}
       {showSettings && <Settings open={showSettings} onOpenChange={setShowSettings} />}
     </>
   );
@@ -0,0 +1,67 @@
+import 'test/matchMedia.mock';
+import React from 'react';
+import { RecoilRoot, useRecoilValue } from 'recoil';
+import { render, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import type { TSearchFilters } from 'librechat-data-provider';
+import * as mockDataProvider from 'librechat-data-provider/react-query';
+import SearchFilters from './SearchFilters';
+import store from '~/store';
+
+jest.mock('librechat-data-provider/react-query');
+
+let filters: TSearchFilters = {};
+const Filters = () => {
+  filters = useRecoilValue(store.searchFilters);
+  return null;
+};
+
+const setup = () => {
+  jest
+    .spyOn(mockDataProvider, 'useGetEndpointsQuery')
+    //@ts-ignore - we don't need all parameters of the QueryObserverSuccessResult
+    .mockReturnValue({ data: { openAI: {}, anthropic: {} } });
+
+  return render(
+    <RecoilRoot>
+      <SearchFilters />
+      <Filters />
+    </RecoilRoot>,
+  );
+};
+
+describe('SearchFilters', () => {
+  it('sets the filters from the filter panel', () => {
+    const { getByText, getByLabelText, getByPlaceholderText, getAllByTestId } = setup();
+
+    fireEvent.click(getByText('Filters'));
+    fireEvent.change(getByLabelText('Endpoint'), { target: { value: 'anthropic' } });
+    const model = getByPlaceholderText('Model');
+    fireEvent.change(model, { target: { value: ' claude-2 ' } });
+    fireEvent.keyDown(model, { key: 'Enter' });
+    fireEvent.change(getByLabelText('From'), { target: { value: '2024-01-01' } });
+
+    expect(filters).toEqual({
+      endpoint: 'anthropic',
+      model: 'claude-2',
+      startDate: new Date('2024-01-01T00:00').toISOString(),
+    });
+    expect(getAllByTestId('search-filter-chip').map((chip) => chip.textContent)).toEqual([
+      'Endpoint: anthropic',
+      'Model: claude-2',
+      `From: ${new Date('2024-01-01T00:00').toLocaleDateString()}`,
+    ]);
+  });
+
+  it('removes a filter from its chip', () => {
+    const { getByText, getByLabelText, queryAllByTestId } = setup();
+
+    fireEvent.click(getByText('Filters'));
+    fireEvent.change(getByLabelText('To'), { target: { value: '2024-01-31' } });
+    expect(filters).toEqual({ endDate: new Date('2024-01-31T23:59:59.999').toISOString() });
+
+    fireEvent.click(getByLabelText('Clear To'));
+    expect(filters).toEqual({});
+    expect(queryAllByTestId('search-filter-chip')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,175 @@
+import { useState } from 'react';
+import { useRecoilState } from 'recoil';
+import { SlidersHorizontal, X } from 'lucide-react';
+import { useGetEndpointsQuery } from 'librechat-data-provider/react-query';
+import type { TSearchFilters } from 'librechat-data-provider';
+import { useLocalize } from '~/hooks';
+import { cn } from '~/utils';
+import store from '~/store';
+
+type TFilterKey = keyof TSearchFilters;
+
+const filterLabels: Record<TFilterKey, string> = {
+  endpoint: 'com_endpoint',
+  model: 'com_ui_model',
+  sender: 'com_nav_search_sender',
+  startDate: 'com_nav_search_from',
+  endDate: 'com_nav_search_to',
+};
+
+const inputClassName =
+  'w-full rounded-md border border-white/20 bg-gray-800 px-2 py-1 text-xs text-white outline-none';
+
+/** Formats an ISO date as the local `YYYY-MM-DD` value of a date input */
+const toDateInput = (value?: string) => {
+  if (!value) {
+    return '';
+  }
+  const date = new Date(value);
+  const month = `${date.getMonth() + 1}`.padStart(2, '0');
+  const day = `${date.getDate()}`.padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/** A text filter, applied on blur or Enter rather than on every keystroke */
+const TextFilter = ({
+  id,
+  value,
+  onApply,
+}: {
+  id: TFilterKey;
+  value?: string;
+  onApply: (value: string) => void;
+}) => {
+  const localize = useLocalize();
+  const [text, setText] = useState(value ?? '');
+
+  return (
+    <input
+      id={`search-filter-${id}`}
+      type="text"
+      value={text}
+      placeholder={localize(filterLabels[id])}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={() => onApply(text.trim())}
+      onKeyDown={(e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') {
+          onApply(text.trim());
+        }
+      }}
+      className={inputClassName}
+    />
+  );
+};
+
+export default function SearchFilters() {
+  const localize = useLocalize();
+  const [filters, setFilters] = useRecoilState(store.searchFilters);
+  const [showFilters, setShowFilters] = useState(false);
+  const { data: endpointsConfig } = useGetEndpointsQuery();
+
+  const setFilter = (key: TFilterKey, value?: string) =>
+    setFilters((currentFilters) => {
+      if ((currentFilters[key] ?? '') === (value ?? '')) {
+        return currentFilters;
+      }
+      const updatedFilters = { ...currentFilters };
+      if (value) {
+        updatedFilters[key] = value;
+      } else {
+        delete updatedFilters[key];
+      }
+      return updatedFilters;
+    });
+
+  // Date inputs are in local time, so the range covers the whole days selected
+  const setDateFilter = (key: 'startDate' | 'endDate', value: string) => {
+    const time = key === 'startDate' ? 'T00:00' : 'T23:59:59.999';
+    setFilter(key, value ? new Date(`${value}${time}`).toISOString() : undefined);
+  };
+
+  const formatValue = (key: TFilterKey, value: string) =>
+    key === 'startDate' || key === 'endDate' ? new Date(value).toLocaleDateString() : value;
+
+  const activeFilters = Object.entries(filters).filter(
+    (entry): entry is [TFilterKey, string] => !!entry[1],
+  );
+
+  return (
+    <div className="flex flex-col gap-2 text-xs text-white">
+      <div className="flex flex-wrap gap-1">
+        <button
+          type="button"
+          onClick={() => setShowFilters((show) => !show)}
+          aria-expanded={showFilters}
+          className={cn(
+            'flex items-center gap-1 rounded-full border border-white/20 px-2 py-0.5 hover:bg-gray-500/10',
+            showFilters ? 'bg-gray-500/20' : '',
+          )}
+        >
+          <SlidersHorizontal className="h-3 w-3" />
+          {localize('com_nav_search_filters')}
+        </button>
+        {activeFilters.map(([key, value]) => (
+          <span
+            key={key}
+            data-testid="search-filter-chip"
+            className="flex items-center gap-1 rounded-full bg-gray-500/20 px-2 py-0.5"
+          >
+            {`${localize(filterLabels[key])}: ${formatValue(key, value)}`}
+            <button
+              type="button"
+              aria-label={`${localize('com_ui_clear')} ${localize(filterLabels[key])}`}
+              onClick={() => setFilter(key)}
+            >
+              <X className="h-3 w-3" />
+            </button>
+          </span>
+        ))}
+      </div>
+      {showFilters && (
+        <div className="grid grid-cols-2 gap-2">
+          <select
+            id="search-filter-endpoint"
+            aria-label={localize('com_endpoint')}
+            value={filters.endpoint ?? ''}
+            onChange={(e) => setFilter('endpoint', e.target.value)}
+            className={cn(inputClassName, 'col-span-2')}
+          >
+            <option value="">{`${localize('com_endpoint')}: ${localize('com_ui_all')}`}</option>
+            {Object.keys(endpointsConfig ?? {}).map((endpoint) => (
+              <option key={endpoint} value={endpoint}>
+                {endpoint}
+              </option>
+            ))}
+          </select>
+          <TextFilter
+            key={`model-${filters.model ?? ''}`}
+            id="model"
+            value={filters.model}
+            onApply={(value) => setFilter('model', value)}
+          />
+          <TextFilter
+            key={`sender-${filters.sender ?? ''}`}
+            id="sender"
+            value={filters.sender}
+            onApply={(value) => setFilter('sender', value)}
+          />
+          {(['startDate', 'endDate'] as const).map((key) => (
+            <label key={key} className="flex flex-col gap-1">
+              {localize(filterLabels[key])}
+              <input
+                id={`search-filter-${key}`}
+                type="date"
+                value={toDateInput(filters[key])}
+                onChange={(e) => setDateFilter(key, e.target.value)}
+                className={inputClassName}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,14 +1,19 @@
 import * as Tabs from '@radix-ui/react-tabs';
+import { BarChart3, ShieldCheck } from 'lucide-react';
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from '~/components/ui';
 import { GearIcon, DataIcon } from '~/components/svg';
 import { useMediaQuery, useLocalize } from '~/hooks';
+import { useAuthContext } from '~/hooks/AuthContext';
 import type { TDialogProps } from '~/common';
-import { General, Data } from './SettingsTabs';
+import { General, Data, Usage, Security } from './SettingsTabs';
 import { cn } from '~/utils';
 
 export default function Settings({ open, onOpenChange }: TDialogProps) {
   const isSmallScreen = useMediaQuery('(max-width: 768px)');
   const localize = useLocalize();
+  const { user } = useAuthContext();
+  // Two-factor authentication is for local accounts
+  const isLocalUser = user?.provider === 'local';
 
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
@@ -61,9 +66,37 @@ export default function Settings({ open, onOpenChange }: TDialogProps) {
                 <DataIcon />
                 {localize('com_nav_setting_data')}
               </Tabs.Trigger>
+              <Tabs.Trigger
+                className={cn(
+                  'group my-1 flex items-center justify-start gap-2 rounded-md px-2 py-1.5 text-sm text-gray-500 radix-state-active:bg-gray-800 radix-state-active:text-white',
+                  isSmallScreen
+                    ? 'flex-1 items-center justify-center text-sm dark:text-gray-500 dark:radix-state-active:text-white'
+                    : '',
+                )}
+                value="usage"
+              >
+                <BarChart3 size={16} />
+                {localize('com_nav_setting_usage')}
+              </Tabs.Trigger>
+              {isLocalUser && (
+                <Tabs.Trigger
+                  className={cn(
+                    'group flex items-center justify-start gap-2 rounded-md px-2 py-1.5 text-sm text-gray-500 radix-state-active:bg-gray-800 radix-state-active:text-white',
+                    isSmallScreen
+                      ? 'flex-1 items-center justify-center text-sm dark:text-gray-500 dark:radix-state-active:text-white'
+                      : '',
+                  )}
+                  value="security"
+                >
+                  <ShieldCheck size={16} />
+                  {localize('com_nav_setting_security')}
+                </Tabs.Trigger>
+              )}
             </Tabs.List>
             <General />
             <Data />
+            <Usage />
+            {isLocalUser && <Security />}
           </Tabs.Root>
         </div>
       </DialogContent>
@@ -0,0 +1,78 @@
+import 'test/matchMedia.mock';
+import React from 'react';
+import { RecoilRoot } from 'recoil';
+import { render, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import * as mockReactQuery from 'librechat-data-provider/react-query';
+import * as mockDataProvider from '~/data-provider';
+import ArchivedChats from './ArchivedChats';
+
+jest.mock('~/data-provider');
+jest.mock('librechat-data-provider/react-query');
+
+const conversation = {
+  conversationId: 'convo-id',
+  title: 'Archived Chat',
+  endpoint: null,
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt: '2024-01-01T00:00:00.000Z',
+};
+
+const setup = (conversations = [conversation], nextCursor: string | null = null) => {
+  const unarchiveMutate = jest.fn();
+  const deleteMutate = jest.fn();
+  const fetchNextPage = jest.fn();
+  jest
+    .spyOn(mockDataProvider, 'useArchivedConversationsInfiniteQuery')
+    //@ts-ignore - we don't need all parameters of the UseInfiniteQueryResult
+    .mockReturnValue({
+      data: { pages: [{ conversations, nextCursor }], pageParams: [undefined] },
+      hasNextPage: !!nextCursor,
+      fetchNextPage,
+      isFetchingNextPage: false,
+    });
+  jest
+    .spyOn(mockDataProvider, 'useUnarchiveConversationMutation')
+    //@ts-ignore - we don't need all parameters of the UseMutationResult
+    .mockReturnValue({ mutate: unarchiveMutate, isLoading: false });
+  jest
+    .spyOn(mockReactQuery, 'useDeleteConversationMutation')
+    //@ts-ignore - we don't need all parameters of the UseMutationResult
+    .mockReturnValue({ mutate: deleteMutate, isLoading: false });
+
+  const renderResult = render(
+    <RecoilRoot>
+      <ArchivedChats />
+    </RecoilRoot>,
+  );
+  return { ...renderResult, unarchiveMutate, deleteMutate, fetchNextPage };
+};
+
+describe('ArchivedChats', () => {
+  it('renders a message when no conversation is archived', () => {
+    const { getByText } = setup([]);
+    expect(getByText('You have no archived conversations.')).toBeInTheDocument();
+  });
+
+  it('loads more archived conversations when there is a next page', () => {
+    const { getByText, fetchNextPage } = setup([conversation], 'next-cursor');
+    fireEvent.click(getByText('Load more'));
+    expect(fetchNextPage).toHaveBeenCalled();
+  });
+
+  it('hides the load more button on the last page', () => {
+    const { queryByText } = setup();
+    expect(queryByText('Load more')).not.toBeInTheDocument();
+  });
+
+  it('restores and deletes an archived conversation', () => {
+    const { getByText, getByTitle, unarchiveMutate, deleteMutate } = setup();
+
+    expect(getByText('Archived Chat')).toBeInTheDocument();
+    fireEvent.click(getByTitle('Restore'));
+    fireEvent.click(getByTitle('Delete'));
+
+    expect(unarchiveMutate).toHaveBeenCalledWith({ conversationId: 'convo-id' });
+    expect(deleteMutate).toHaveBeenCalledWith({ conversationId: 'convo-id', source: 'button' });
+  });
+});
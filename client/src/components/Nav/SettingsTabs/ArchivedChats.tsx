@@ -0,0 +1,83 @@
+import { ArchiveRestore, Trash2 } from 'lucide-react';
+import type { TConversation } from 'librechat-data-provider';
+import { useDeleteConversationMutation } from 'librechat-data-provider/react-query';
+import {
+  useArchivedConversationsInfiniteQuery,
+  useUnarchiveConversationMutation,
+} from '~/data-provider';
+import { useLocalize } from '~/hooks';
+
+const ArchivedChat = ({ conversation }: { conversation: TConversation }) => {
+  const localize = useLocalize();
+  const conversationId = conversation.conversationId ?? '';
+  const unarchiveMutation = useUnarchiveConversationMutation();
+  const deleteMutation = useDeleteConversationMutation(conversationId);
+  const isLoading = unarchiveMutation.isLoading || deleteMutation.isLoading;
+
+  return (
+    <li className="flex items-center justify-between gap-2" data-testid="archived-chat">
+      <div className="flex min-w-0 flex-col">
+        <span className="truncate">{conversation.title}</span>
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          {new Date(conversation.createdAt).toLocaleString()}
+        </span>
+      </div>
+      <div className="flex flex-shrink-0 gap-1">
+        <button
+          type="button"
+          disabled={isLoading}
+          title={localize('com_ui_unarchive')}
+          onClick={() => unarchiveMutation.mutate({ conversationId })}
+          className="rounded-md p-1 hover:bg-gray-100 disabled:opacity-50 dark:hover:bg-gray-700"
+        >
+          <ArchiveRestore size={16} />
+        </button>
+        <button
+          type="button"
+          disabled={isLoading}
+          title={localize('com_ui_delete')}
+          onClick={() => deleteMutation.mutate({ conversationId, source: 'button' })}
+          className="rounded-md p-1 text-red-700 hover:bg-gray-100 disabled:opacity-50 dark:text-red-500 dark:hover:bg-gray-700"
+        >
+          <Trash2 size={16} />
+        </button>
+      </div>
+    </li>
+  );
+};
+
+export default function ArchivedChats() {
+  const localize = useLocalize();
+  const { data, hasNextPage, fetchNextPage, isFetchingNextPage } =
+    useArchivedConversationsInfiniteQuery();
+  const conversations = data?.pages.flatMap((page) => page.conversations) ?? [];
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div>{localize('com_nav_archived_chats')}</div>
+      {conversations.length === 0 ? (
+        <div className="text-xs text-gray-500 dark:text-gray-400">
+          {localize('com_nav_archived_chats_empty')}
+        </div>
+      ) : (
+        <ul className="flex max-h-48 flex-col gap-2 overflow-y-auto pr-1">
+          {conversations.map((conversation) => (
+            <ArchivedChat key={conversation.conversationId} conversation={conversation} />
+          ))}
+        </ul>
+      )}
+      {hasNextPage && (
+        <div className="flex justify-end text-xs">
+          <button
+            type="button"
+            disabled={isFetchingNextPage}
+            onClick={() => fetchNextPage()}
+            className="rounded-md px-2 py-1 hover:bg-gray-100 disabled:opacity-50 dark:hover:bg-gray-700"
+          >
+            {localize('com_nav_load_more')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
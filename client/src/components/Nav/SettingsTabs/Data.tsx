@@ -6,6 +6,9 @@ import {
 import React, { useState, useCallback, useRef } from 'react';
 import { useOnClickOutside } from '~/hooks';
 import DangerButton from './DangerButton';
+import SharedLinks from './SharedLinks';
+import ArchivedChats from './ArchivedChats';
+import ImportConversations from './ImportConversations';
 
 export const RevokeKeysButton = ({
   showText = true,
@@ -71,6 +74,15 @@ function Data() {
         <div className="border-b pb-3 last-of-type:border-b-0 dark:border-gray-700">
           <RevokeKeysButton all={true} />
         </div>
+        <div className="border-b pb-3 last-of-type:border-b-0 dark:border-gray-700">
+          <SharedLinks />
+        </div>
+        <div className="border-b pb-3 last-of-type:border-b-0 dark:border-gray-700">
+          <ArchivedChats />
+        </div>
+        <div className="border-b pb-3 last-of-type:border-b-0 dark:border-gray-700">
+          <ImportConversations />
+        </div>
       </div>
     </Tabs.Content>
   );
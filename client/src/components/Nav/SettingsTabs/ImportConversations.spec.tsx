@@ -0,0 +1,69 @@
+import 'test/matchMedia.mock';
+import React from 'react';
+import { RecoilRoot } from 'recoil';
+import { render, fireEvent, act } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import type { ImportConversationsOptions } from 'librechat-data-provider';
+import * as mockDataProvider from '~/data-provider';
+import ImportConversations from './ImportConversations';
+
+jest.mock('~/data-provider');
+
+const setup = () => {
+  const mutate = jest.fn();
+  let options: ImportConversationsOptions | undefined;
+  jest
+    .spyOn(mockDataProvider, 'useImportConversationsMutation')
+    //@ts-ignore - we don't need all parameters of the UseMutationResult
+    .mockImplementation((mutationOptions) => {
+      options = mutationOptions;
+      return { mutate, isLoading: false };
+    });
+
+  const renderResult = render(
+    <RecoilRoot>
+      <ImportConversations />
+    </RecoilRoot>,
+  );
+  return { ...renderResult, mutate, getOptions: () => options };
+};
+
+describe('ImportConversations', () => {
+  it('uploads the selected file and shows the import summary', () => {
+    const { getByTestId, getByText, mutate, getOptions } = setup();
+    const file = new File(['[]'], 'conversations.json', { type: 'application/json' });
+
+    fireEvent.change(getByTestId('import-conversations-input'), { target: { files: [file] } });
+
+    expect(mutate).toHaveBeenCalledTimes(1);
+    const formData: FormData = mutate.mock.calls[0][0];
+    expect((formData.get('file') as File).name).toBe('conversations.json');
+
+    act(() => {
+      getOptions()?.onSuccess?.(
+        {
+          conversations: 2,
+          messages: 10,
+          errors: [{ title: 'Broken Chat', message: 'No messages found' }],
+        },
+        formData,
+      );
+    });
+
+    expect(getByText('Imported 2 conversation(s) with 10 message(s).')).toBeInTheDocument();
+    expect(getByText('Broken Chat: No messages found')).toBeInTheDocument();
+  });
+
+  it('shows the error returned by the server', () => {
+    const { getByText, getOptions } = setup();
+
+    act(() => {
+      getOptions()?.onError?.(
+        { response: { data: { message: 'Unsupported file format' } } },
+        new FormData(),
+      );
+    });
+
+    expect(getByText('Unsupported file format')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,83 @@
+import { useRef, useState } from 'react';
+import { Import } from 'lucide-react';
+import type { TImportConversationsResponse } from 'librechat-data-provider';
+import { useImportConversationsMutation } from '~/data-provider';
+import { Spinner } from '~/components/svg';
+import { useLocalize } from '~/hooks';
+
+type TImportError = { response?: { data?: { message?: string } } };
+
+export default function ImportConversations() {
+  const localize = useLocalize();
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const [summary, setSummary] = useState<TImportConversationsResponse | null>(null);
+  const [error, setError] = useState('');
+
+  const importMutation = useImportConversationsMutation({
+    onSuccess: (data) => setSummary(data),
+    onError: (error) =>
+      setError((error as TImportError)?.response?.data?.message ?? localize('com_ui_import_error')),
+  });
+
+  const handleFileChange = (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    setSummary(null);
+    setError('');
+    const formData = new FormData();
+    formData.append('file', file, encodeURIComponent(file.name));
+    importMutation.mutate(formData);
+  };
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex items-center justify-between">
+        <div>{localize('com_ui_import_conversations')}</div>
+        <button
+          type="button"
+          disabled={importMutation.isLoading}
+          onClick={() => fileInputRef.current?.click()}
+          className="flex items-center gap-1 rounded-md border border-gray-300 px-3 py-1 hover:bg-gray-100 disabled:opacity-50 dark:border-gray-600 dark:hover:bg-gray-700"
+          data-testid="import-conversations"
+        >
+          {importMutation.isLoading ? (
+            <Spinner className="h-4 w-4" />
+          ) : (
+            <Import className="h-4 w-4" />
+          )}
+          {localize('com_ui_import')}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={handleFileChange}
+          data-testid="import-conversations-input"
+        />
+      </div>
+      <div className="text-xs text-gray-500 dark:text-gray-400">
+        {importMutation.isLoading
+          ? localize('com_ui_importing')
+          : localize('com_ui_import_conversations_info')}
+      </div>
+      {summary && (
+        <div className="text-xs" data-testid="import-summary">
+          {localize('com_ui_import_success', `${summary.conversations}`, `${summary.messages}`)}
+          {summary.errors.length > 0 && (
+            <ul className="mt-1 list-disc pl-4 text-red-700 dark:text-red-500">
+              {summary.errors.map(({ title, message }, i) => (
+                <li key={i}>{title ? `${title}: ${message}` : message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      {error && <div className="text-xs text-red-700 dark:text-red-500">{error}</div>}
+    </div>
+  );
+}
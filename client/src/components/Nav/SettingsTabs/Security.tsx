@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import * as Tabs from '@radix-ui/react-tabs';
+import {
+  useDisableTwoFactorMutation,
+  useRegenerateBackupCodesMutation,
+} from 'librechat-data-provider/react-query';
+import type { TTwoFactorCode } from 'librechat-data-provider';
+import type { TResError } from '~/common';
+import BackupCodes from '~/components/Auth/BackupCodes';
+import TwoFactorSetup from '~/components/Auth/TwoFactorSetup';
+import { useAuthContext } from '~/hooks/AuthContext';
+import { useLocalize } from '~/hooks';
+
+/** Six digits are a code from the authenticator app, anything else a backup code */
+const toTwoFactorCode = (value: string): TTwoFactorCode =>
+  /^\d{6}$/.test(value.replace(/\s/g, '')) ? { code: value } : { backupCode: value };
+
+const buttonClass =
+  'rounded-md border border-gray-300 px-3 py-1.5 hover:bg-gray-100 disabled:opacity-50 dark:border-gray-600 dark:hover:bg-gray-700';
+
+function Security() {
+  const localize = useLocalize();
+  const { user } = useAuthContext();
+  const [isSettingUp, setIsSettingUp] = useState(false);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [backupCodes, setBackupCodes] = useState<string[] | null>(null);
+  const disableTwoFactor = useDisableTwoFactorMutation();
+  const regenerateBackupCodes = useRegenerateBackupCodesMutation();
+
+  const onError = (error: unknown) =>
+    setError((error as TResError).response?.data?.message ?? localize('com_auth_2fa_error'));
+
+  const disable = () => {
+    setError('');
+    disableTwoFactor.mutate(toTwoFactorCode(code), {
+      onSuccess: () => setCode(''),
+      onError,
+    });
+  };
+
+  const regenerate = () => {
+    setError('');
+    regenerateBackupCodes.mutate(
+      { code },
+      {
+        onSuccess: (data) => {
+          setCode('');
+          setBackupCodes(data.backupCodes);
+        },
+        onError,
+      },
+    );
+  };
+
+  let content: React.ReactNode;
+  if (backupCodes) {
+    content = (
+      <>
+        <BackupCodes codes={backupCodes} />
+        <button type="button" className={buttonClass} onClick={() => setBackupCodes(null)}>
+          {localize('com_ui_close')}
+        </button>
+      </>
+    );
+  } else if (isSettingUp) {
+    // checked first, as the user is refetched with 2FA enabled while the backup codes are shown
+    content = <TwoFactorSetup onComplete={() => setIsSettingUp(false)} />;
+  } else if (user?.twoFactorEnabled) {
+    content = (
+      <>
+        <p>{localize('com_auth_2fa_manage_info')}</p>
+        <input
+          type="text"
+          autoComplete="one-time-code"
+          aria-label={localize('com_auth_2fa_code')}
+          placeholder={localize('com_auth_2fa_code')}
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          className="rounded-md border border-gray-300 bg-gray-50 px-2.5 py-1.5 text-gray-900 focus:border-green-500 focus:outline-none focus:ring-0 dark:border-gray-600 dark:bg-gray-800 dark:text-gray-100"
+        />
+        <div className="flex gap-2">
+          <button
+            type="button"
+            className={buttonClass}
+            disabled={!code.trim() || regenerateBackupCodes.isLoading}
+            onClick={regenerate}
+          >
+            {localize('com_auth_2fa_regenerate_codes')}
+          </button>
+          <button
+            type="button"
+            className={buttonClass}
+            disabled={!code.trim() || disableTwoFactor.isLoading}
+            onClick={disable}
+          >
+            {localize('com_auth_2fa_disable')}
+          </button>
+        </div>
+      </>
+    );
+  } else {
+    content = (
+      <>
+        <p>{localize('com_auth_2fa_info')}</p>
+        <button
+          type="button"
+          className={`${buttonClass} self-start`}
+          onClick={() => setIsSettingUp(true)}
+        >
+          {localize('com_auth_2fa_enable')}
+        </button>
+      </>
+    );
+  }
+
+  return (
+    <Tabs.Content value="security" role="tabpanel" className="w-full md:min-h-[300px]">
+      <div className="flex max-h-[300px] flex-col gap-3 overflow-y-auto text-sm text-gray-600 dark:text-gray-300">
+        <div className="flex items-center justify-between border-b pb-3 dark:border-gray-700">
+          <div>{localize('com_auth_2fa')}</div>
+          <div>
+            {localize(user?.twoFactorEnabled ? 'com_auth_2fa_enabled' : 'com_auth_2fa_disabled')}
+          </div>
+        </div>
+        {content}
+        {error && (
+          <div role="alert" className="text-red-700 dark:text-red-500">
+            {error}
+          </div>
+        )}
+      </div>
+    </Tabs.Content>
+  );
+}
+
+export default Security;
@@ -0,0 +1,69 @@
+import 'test/matchMedia.mock';
+import React from 'react';
+import { RecoilRoot } from 'recoil';
+import { render, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import * as mockDataProvider from '~/data-provider';
+import SharedLinks from './SharedLinks';
+
+jest.mock('~/data-provider');
+jest.mock('~/Providers', () => ({
+  useToastContext: () => ({ showToast: jest.fn() }),
+}));
+
+const sharedLink = {
+  shareId: 'share-id',
+  conversationId: 'convo-id',
+  title: 'Shared Chat',
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt: '2024-01-01T00:00:00.000Z',
+};
+
+const setup = (sharedLinks = [sharedLink]) => {
+  const updateMutate = jest.fn();
+  const deleteMutate = jest.fn();
+  jest
+    .spyOn(mockDataProvider, 'useGetSharedLinksQuery')
+    //@ts-ignore - we don't need all parameters of the QueryObserverSuccessResult
+    .mockReturnValue({ data: sharedLinks });
+  jest
+    .spyOn(mockDataProvider, 'useUpdateSharedLinkMutation')
+    //@ts-ignore - we don't need all parameters of the UseMutationResult
+    .mockReturnValue({ mutate: updateMutate, isLoading: false });
+  jest
+    .spyOn(mockDataProvider, 'useDeleteSharedLinkMutation')
+    //@ts-ignore - we don't need all parameters of the UseMutationResult
+    .mockReturnValue({ mutate: deleteMutate, isLoading: false });
+
+  const renderResult = render(
+    <RecoilRoot>
+      <SharedLinks />
+    </RecoilRoot>,
+  );
+  return { ...renderResult, updateMutate, deleteMutate };
+};
+
+describe('SharedLinks', () => {
+  it('renders a message when no conversation is shared', () => {
+    const { getByText } = setup([]);
+    expect(getByText('You have not shared any conversation yet.')).toBeInTheDocument();
+  });
+
+  it('lists the shared links with their public URL', () => {
+    const { getByText } = setup();
+    expect(getByText('Shared Chat')).toHaveAttribute(
+      'href',
+      `${window.location.origin}/share/share-id`,
+    );
+  });
+
+  it('updates and revokes a shared link', () => {
+    const { getByTitle, updateMutate, deleteMutate } = setup();
+
+    fireEvent.click(getByTitle('Update link'));
+    fireEvent.click(getByTitle('Revoke'));
+
+    expect(updateMutate).toHaveBeenCalledWith('share-id');
+    expect(deleteMutate).toHaveBeenCalledWith('share-id');
+  });
+});
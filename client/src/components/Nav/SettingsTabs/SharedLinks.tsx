@@ -0,0 +1,88 @@
+import { RefreshCw, Trash2 } from 'lucide-react';
+import type { TSharedLink } from 'librechat-data-provider';
+import {
+  useGetSharedLinksQuery,
+  useUpdateSharedLinkMutation,
+  useDeleteSharedLinkMutation,
+} from '~/data-provider';
+import { getShareURL } from '~/components/Nav/ShareConversation';
+import { useToastContext } from '~/Providers';
+import { NotificationSeverity } from '~/common';
+import { useLocalize } from '~/hooks';
+
+const SharedLinkItem = ({ sharedLink }: { sharedLink: TSharedLink }) => {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const onError = () =>
+    showToast({
+      message: localize('com_ui_share_error'),
+      severity: NotificationSeverity.ERROR,
+      showIcon: true,
+    });
+  const updateMutation = useUpdateSharedLinkMutation({
+    onError,
+    onSuccess: () => showToast({ message: localize('com_ui_share_updated') }),
+  });
+  const deleteMutation = useDeleteSharedLinkMutation({ onError });
+  const isLoading = updateMutation.isLoading || deleteMutation.isLoading;
+
+  return (
+    <li className="flex items-center justify-between gap-2" data-testid="shared-link">
+      <div className="flex min-w-0 flex-col">
+        <a
+          href={getShareURL(sharedLink.shareId)}
+          target="_blank"
+          rel="noreferrer"
+          className="truncate underline"
+        >
+          {sharedLink.title}
+        </a>
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          {new Date(sharedLink.updatedAt).toLocaleString()}
+        </span>
+      </div>
+      <div className="flex flex-shrink-0 gap-1">
+        <button
+          type="button"
+          disabled={isLoading}
+          title={localize('com_ui_share_update')}
+          onClick={() => updateMutation.mutate(sharedLink.shareId)}
+          className="rounded-md p-1 hover:bg-gray-100 disabled:opacity-50 dark:hover:bg-gray-700"
+        >
+          <RefreshCw size={16} />
+        </button>
+        <button
+          type="button"
+          disabled={isLoading}
+          title={localize('com_ui_revoke')}
+          onClick={() => deleteMutation.mutate(sharedLink.shareId)}
+          className="rounded-md p-1 text-red-700 hover:bg-gray-100 disabled:opacity-50 dark:text-red-500 dark:hover:bg-gray-700"
+        >
+          <Trash2 size={16} />
+        </button>
+      </div>
+    </li>
+  );
+};
+
+export default function SharedLinks() {
+  const localize = useLocalize();
+  const { data: sharedLinks = [] } = useGetSharedLinksQuery();
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div>{localize('com_nav_shared_links')}</div>
+      {sharedLinks.length === 0 ? (
+        <div className="text-xs text-gray-500 dark:text-gray-400">
+          {localize('com_nav_shared_links_empty')}
+        </div>
+      ) : (
+        <ul className="flex max-h-48 flex-col gap-2 overflow-y-auto pr-1">
+          {sharedLinks.map((sharedLink) => (
+            <SharedLinkItem key={sharedLink.shareId} sharedLink={sharedLink} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
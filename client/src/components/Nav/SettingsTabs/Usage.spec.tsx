@@ -0,0 +1,61 @@
+import 'test/matchMedia.mock';
+import React from 'react';
+import { RecoilRoot } from 'recoil';
+import * as Tabs from '@radix-ui/react-tabs';
+import { render } from '@testing-library/react';
+import '@testing-library/jest-dom/extend-expect';
+import type { TUsageStat } from 'librechat-data-provider';
+import * as mockDataProvider from '~/data-provider';
+import Usage from './Usage';
+
+jest.mock('~/data-provider');
+
+const stat = (date: string, key: string | null, tokenCredits: number): TUsageStat => ({
+  date,
+  key,
+  promptTokens: 10,
+  completionTokens: 5,
+  tokenCredits,
+});
+
+const setup = (stats: TUsageStat[]) => {
+  const useGetUsageQuery = jest
+    .spyOn(mockDataProvider, 'useGetUsageQuery')
+    //@ts-ignore - we don't need all parameters of the QueryObserverSuccessResult
+    .mockReturnValue({ data: stats, isLoading: false });
+
+  const renderResult = render(
+    <RecoilRoot>
+      <Tabs.Root defaultValue="usage">
+        <Usage />
+      </Tabs.Root>
+    </RecoilRoot>,
+  );
+  return { ...renderResult, useGetUsageQuery };
+};
+
+describe('Usage', () => {
+  it('renders a message when no tokens were spent', () => {
+    const { getByText, useGetUsageQuery } = setup([]);
+
+    expect(getByText('No tokens spent in the last 30 days.')).toBeInTheDocument();
+    expect(useGetUsageQuery).toHaveBeenCalledWith({ groupBy: 'model' });
+  });
+
+  it('renders a bar per day and the totals per group', () => {
+    const { getByTestId, getByText, getAllByRole } = setup([
+      stat('2024-01-01', 'gpt-4', 300),
+      stat('2024-01-01', 'gpt-3.5-turbo', 100),
+      stat('2024-01-02', 'gpt-4', 200),
+      stat('2024-01-02', null, 50),
+    ]);
+
+    expect(getByTestId('usage-chart').children).toHaveLength(2);
+    expect(getByText('Unknown')).toBeInTheDocument();
+
+    const totals = getAllByRole('listitem');
+    expect(totals[0]).toHaveTextContent('gpt-4');
+    expect(totals[0]).toHaveTextContent('20 prompt / 10 completion tokens');
+    expect(totals[0]).toHaveTextContent('500');
+  });
+});
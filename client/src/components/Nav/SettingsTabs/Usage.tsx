@@ -0,0 +1,104 @@
+import React, { useState, useMemo } from 'react';
+import * as Tabs from '@radix-ui/react-tabs';
+import type { TUsageGroupBy, TUsageStat } from 'librechat-data-provider';
+import { useGetUsageQuery } from '~/data-provider';
+import { Dropdown } from '~/components/ui';
+import { useLocalize } from '~/hooks';
+
+const formatNumber = (value: number) => Math.round(value).toLocaleString();
+
+/** Sums the usage stats sharing the same value of `getKey` */
+const sumBy = (stats: TUsageStat[], getKey: (stat: TUsageStat) => string) => {
+  const totals = new Map<string, TUsageStat>();
+  for (const stat of stats) {
+    const key = getKey(stat);
+    const total = totals.get(key);
+    if (!total) {
+      totals.set(key, { ...stat });
+      continue;
+    }
+    total.promptTokens += stat.promptTokens;
+    total.completionTokens += stat.completionTokens;
+    total.tokenCredits += stat.tokenCredits;
+  }
+  return totals;
+};
+
+function Usage() {
+  const localize = useLocalize();
+  const [groupBy, setGroupBy] = useState<TUsageGroupBy>('model');
+  const { data: stats = [] } = useGetUsageQuery({ groupBy });
+
+  const days = useMemo(() => [...sumBy(stats, (stat) => stat.date).entries()], [stats]);
+  const maxCredits = Math.max(...days.map(([, day]) => day.tokenCredits), 1);
+  const groups = useMemo(
+    () =>
+      [...sumBy(stats, (stat) => stat.key ?? '').values()].sort(
+        (a, b) => b.tokenCredits - a.tokenCredits,
+      ),
+    [stats],
+  );
+
+  const groupByOptions = [
+    { value: 'model', display: localize('com_nav_usage_model') },
+    { value: 'endpoint', display: localize('com_nav_usage_endpoint') },
+    { value: 'conversation', display: localize('com_nav_usage_conversation') },
+  ];
+
+  return (
+    <Tabs.Content value="usage" role="tabpanel" className="w-full md:min-h-[300px]">
+      <div className="flex flex-col gap-3 text-sm text-gray-600 dark:text-gray-300">
+        <div className="flex items-center justify-between border-b pb-3 dark:border-gray-700">
+          <div>{localize('com_nav_usage_group_by')}</div>
+          <Dropdown
+            value={groupBy}
+            onChange={(value: string) => setGroupBy(value as TUsageGroupBy)}
+            options={groupByOptions}
+            width={150}
+            testId="usage-group-by"
+          />
+        </div>
+        <div>{localize('com_nav_usage_title')}</div>
+        {days.length === 0 ? (
+          <div className="text-xs text-gray-500 dark:text-gray-400">
+            {localize('com_nav_usage_empty')}
+          </div>
+        ) : (
+          <>
+            <div className="flex h-20 items-end gap-0.5" data-testid="usage-chart">
+              {days.map(([date, day]) => (
+                <div
+                  key={date}
+                  title={`${date}: ${formatNumber(day.tokenCredits)}`}
+                  className="min-w-[4px] flex-1 rounded-t-sm bg-green-500"
+                  style={{ height: `${Math.max((day.tokenCredits / maxCredits) * 100, 2)}%` }}
+                />
+              ))}
+            </div>
+            <ul className="flex max-h-32 flex-col gap-2 overflow-y-auto pr-1">
+              {groups.map((group) => (
+                <li key={group.key ?? ''} className="flex items-center justify-between gap-2">
+                  <div className="flex min-w-0 flex-col">
+                    <span className="truncate">
+                      {group.title ?? group.key ?? localize('com_nav_usage_unknown')}
+                    </span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                      {localize(
+                        'com_nav_usage_tokens',
+                        formatNumber(group.promptTokens),
+                        formatNumber(group.completionTokens),
+                      )}
+                    </span>
+                  </div>
+                  <span className="flex-shrink-0">{formatNumber(group.tokenCredits)}</span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </Tabs.Content>
+  );
+}
+
+export default React.memo(Usage);
@@ -2,3 +2,5 @@ export { default as General } from './General';
 export { ClearChatsButton } from './General';
 export { default as Data } from './Data';
 export { RevokeKeysButton } from './Data';
+export { default as Usage } from './Usage';
+export { default as Security } from './Security';
@@ -0,0 +1,108 @@
+import copy from 'copy-to-clipboard';
+import type { TConversation } from 'librechat-data-provider';
+import DialogTemplate from '~/components/ui/DialogTemplate';
+import { Dialog, DialogButton, Input } from '~/components/ui/';
+import {
+  useGetSharedLinksQuery,
+  useCreateSharedLinkMutation,
+  useUpdateSharedLinkMutation,
+} from '~/data-provider';
+import { useToastContext } from '~/Providers';
+import { NotificationSeverity } from '~/common';
+import { cn, defaultTextProps } from '~/utils/';
+import { useLocalize } from '~/hooks';
+
+export const getShareURL = (shareId: string) => `${window.location.origin}/share/${shareId}`;
+
+export default function ShareDialog({
+  open,
+  onOpenChange,
+  conversation,
+}: {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  conversation: TConversation;
+}) {
+  const localize = useLocalize();
+  const { showToast } = useToastContext();
+  const { data: sharedLinks = [] } = useGetSharedLinksQuery({ enabled: open });
+
+  const onError = () =>
+    showToast({
+      message: localize('com_ui_share_error'),
+      severity: NotificationSeverity.ERROR,
+      showIcon: true,
+    });
+  const createMutation = useCreateSharedLinkMutation({ onError });
+  const updateMutation = useUpdateSharedLinkMutation({
+    onError,
+    onSuccess: () => showToast({ message: localize('com_ui_share_updated') }),
+  });
+
+  const sharedLink = sharedLinks.find(
+    (link) => link.conversationId === conversation.conversationId,
+  );
+  const isLoading = createMutation.isLoading || updateMutation.isLoading;
+
+  const shareConversation = () => {
+    if (isLoading) {
+      return;
+    }
+
+    if (sharedLink) {
+      updateMutation.mutate(sharedLink.shareId);
+      return;
+    }
+
+    createMutation.mutate({ conversationId: conversation.conversationId ?? '' });
+  };
+
+  const copyLink = () => {
+    if (!sharedLink) {
+      return;
+    }
+    copy(getShareURL(sharedLink.shareId));
+    showToast({ message: localize('com_ui_copied_to_clipboard') });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogTemplate
+        title={localize('com_nav_share_conversation')}
+        className="max-w-full sm:max-w-2xl"
+        main={
+          <div className="flex w-full flex-col gap-4 text-sm text-gray-600 dark:text-gray-300">
+            <p>{localize('com_ui_share_info')}</p>
+            {sharedLink && (
+              <div className="flex w-full items-center gap-2">
+                <Input
+                  readOnly
+                  id="share-link"
+                  value={getShareURL(sharedLink.shareId)}
+                  onFocus={(e) => e.target.select()}
+                  className={cn(
+                    defaultTextProps,
+                    'flex h-10 max-h-10 w-full resize-none px-3 py-2',
+                  )}
+                />
+                <DialogButton onClick={copyLink} className="border-gray-700">
+                  {localize('com_ui_copy_link')}
+                </DialogButton>
+              </div>
+            )}
+          </div>
+        }
+        buttons={
+          <DialogButton
+            onClick={shareConversation}
+            disabled={isLoading}
+            className="dark:hover:gray-400 border-gray-700 bg-green-600 text-white hover:bg-green-700 dark:hover:bg-green-800"
+          >
+            {localize(sharedLink ? 'com_ui_share_update' : 'com_ui_share_create')}
+          </DialogButton>
+        }
+        selection={undefined}
+      />
+    </Dialog>
+  );
+}
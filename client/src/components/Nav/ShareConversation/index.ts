@@ -0,0 +1 @@
+export { default as ShareDialog, getShareURL } from './ShareDialog';
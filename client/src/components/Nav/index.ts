@@ -1,4 +1,6 @@
 export * from './ExportConversation';
+export * from './FileManager';
+export * from './ShareConversation';
 export * from './SettingsTabs/';
 export { default as ClearConvos } from './ClearConvos';
 export { default as Logout } from './Logout';
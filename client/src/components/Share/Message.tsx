@@ -0,0 +1,94 @@
+import type { TMessageProps } from '~/common';
+import Container from '~/components/Chat/Messages/Content/Container';
+import Markdown from '~/components/Chat/Messages/Content/Markdown';
+import SiblingSwitch from '~/components/Chat/Messages/SiblingSwitch';
+import Image from '~/components/Chat/Messages/Content/Image';
+import SubRow from '~/components/Chat/Messages/SubRow';
+import { icons } from '~/components/Chat/Menus/Endpoints/Icons';
+import UserIcon from '~/components/svg/UserIcon';
+// eslint-disable-next-line import/no-cycle
+import MultiMessage from './MultiMessage';
+import { cn } from '~/utils';
+
+/** Read-only message of a shared conversation: no edit, regenerate or continue actions */
+export default function Message(props: TMessageProps) {
+  const { message, conversation, siblingIdx, siblingCount, setSiblingIdx } = props;
+
+  if (!message) {
+    return null;
+  }
+
+  const { text, children, messageId = null, isCreatedByUser, error, unfinished } = message;
+  const endpoint = conversation?.endpointType ?? conversation?.endpoint ?? 'unknown';
+  const EndpointIcon = icons[endpoint] ?? icons.unknown;
+  const imageFiles = message.files?.filter((file) => file.type?.startsWith('image/')) ?? [];
+
+  return (
+    <>
+      <div className="text-token-text-primary w-full border-0 bg-transparent dark:border-0 dark:bg-transparent">
+        <div className="m-auto justify-center p-4 py-2 text-base md:gap-6 ">
+          <div className="group mx-auto flex flex-1 gap-3 text-base md:max-w-3xl md:px-5 lg:max-w-[40rem] lg:px-1 xl:max-w-[48rem] xl:px-5">
+            <div className="relative flex flex-shrink-0 flex-col items-end">
+              <div className="pt-0.5">
+                <div className="gizmo-shadow-stroke flex h-6 w-6 items-center justify-center overflow-hidden rounded-full text-gray-700 dark:text-gray-200">
+                  {isCreatedByUser ? <UserIcon /> : <EndpointIcon size={24} className="h-4 w-4" />}
+                </div>
+              </div>
+            </div>
+            <div
+              className={cn('relative flex w-full flex-col', isCreatedByUser ? '' : 'agent-turn')}
+            >
+              <div className="select-none font-semibold">{message.sender}</div>
+              <div className="flex-col gap-1 md:gap-3">
+                <div className="flex max-w-full flex-grow flex-col gap-0">
+                  <Container>
+                    {imageFiles.map((file) => (
+                      <Image
+                        key={file.file_id}
+                        imagePath={file.filepath ?? ''}
+                        height={file.height ?? 1920}
+                        width={file.width ?? 1080}
+                        altText={file.filename ?? 'Uploaded Image'}
+                      />
+                    ))}
+                    <div
+                      className={cn(
+                        'markdown prose dark:prose-invert light w-full break-words',
+                        isCreatedByUser
+                          ? 'whitespace-pre-wrap dark:text-gray-20'
+                          : 'dark:text-gray-70',
+                        error || unfinished
+                          ? 'rounded-md border border-red-500 bg-red-500/10 px-3 py-2 text-sm text-gray-600 dark:text-gray-100'
+                          : '',
+                      )}
+                    >
+                      {isCreatedByUser || error ? (
+                        <>{text}</>
+                      ) : (
+                        <Markdown content={text ?? ''} message={message} showCursor={false} />
+                      )}
+                    </div>
+                  </Container>
+                </div>
+              </div>
+              <SubRow classes="text-xs">
+                <SiblingSwitch
+                  siblingIdx={siblingIdx}
+                  siblingCount={siblingCount}
+                  setSiblingIdx={setSiblingIdx}
+                />
+              </SubRow>
+            </div>
+          </div>
+        </div>
+      </div>
+      <MultiMessage
+        key={messageId}
+        messageId={messageId}
+        conversation={conversation}
+        messagesTree={children ?? []}
+        currentEditId={null}
+      />
+    </>
+  );
+}
@@ -0,0 +1,40 @@
+import { useRecoilState } from 'recoil';
+import type { TMessageProps } from '~/common';
+// eslint-disable-next-line import/no-cycle
+import Message from './Message';
+import store from '~/store';
+
+export default function MultiMessage({
+  // messageId is used recursively here
+  messageId,
+  conversation,
+  messagesTree,
+}: TMessageProps) {
+  const [siblingIdx, setSiblingIdx] = useRecoilState(store.messagesSiblingIdxFamily(messageId));
+
+  const setSiblingIdxRev = (value: number) => {
+    setSiblingIdx((messagesTree?.length ?? 0) - value - 1);
+  };
+
+  if (!(messagesTree && messagesTree?.length)) {
+    return null;
+  }
+
+  const message = messagesTree[messagesTree.length - siblingIdx - 1] ?? messagesTree[0];
+
+  if (!message) {
+    return null;
+  }
+
+  return (
+    <Message
+      key={message.messageId}
+      message={message}
+      conversation={conversation}
+      currentEditId={null}
+      siblingIdx={messagesTree.length - siblingIdx - 1}
+      siblingCount={messagesTree.length}
+      setSiblingIdx={setSiblingIdxRev}
+    />
+  );
+}
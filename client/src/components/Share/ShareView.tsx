@@ -0,0 +1,69 @@
+import { useMemo } from 'react';
+import { useParams } from 'react-router-dom';
+import type { TConversation } from 'librechat-data-provider';
+import { useGetSharedLinkQuery } from '~/data-provider';
+import useDocumentTitle from '~/hooks/useDocumentTitle';
+import { useLocalize } from '~/hooks';
+import { Spinner } from '~/components/svg';
+import MultiMessage from './MultiMessage';
+import { buildTree } from '~/utils';
+
+/** Public, read-only view of a shared conversation snapshot: `/share/:shareId` */
+export default function ShareView() {
+  const localize = useLocalize();
+  const { shareId = '' } = useParams();
+  const { data: sharedLink, isLoading } = useGetSharedLinkQuery(shareId, { enabled: !!shareId });
+
+  const messagesTree = useMemo(
+    () => (sharedLink ? buildTree(sharedLink.messages, false) : null),
+    [sharedLink],
+  );
+
+  useDocumentTitle(sharedLink?.title ?? localize('com_ui_shared_link'));
+
+  if (isLoading) {
+    return (
+      <div className="flex h-screen items-center justify-center dark:bg-gray-800">
+        <Spinner className="m-auto text-black dark:text-white" />
+      </div>
+    );
+  }
+
+  if (!sharedLink) {
+    return (
+      <div className="flex h-screen items-center justify-center bg-white text-sm text-gray-600 dark:bg-gray-800 dark:text-gray-300">
+        {localize('com_ui_shared_link_not_found')}
+      </div>
+    );
+  }
+
+  const conversation = {
+    conversationId: sharedLink.conversationId,
+    title: sharedLink.title,
+    endpoint: sharedLink.endpoint,
+    endpointType: sharedLink.endpointType,
+    model: sharedLink.model,
+  } as TConversation;
+
+  return (
+    <main className="h-screen overflow-y-auto bg-white dark:bg-gray-800 dark:text-white">
+      <div className="mx-auto flex flex-col pb-9 text-sm md:max-w-3xl lg:max-w-[40rem] xl:max-w-[48rem]">
+        <div className="border-b border-black/10 px-4 py-6 dark:border-gray-900/50">
+          <h1 className="text-3xl font-semibold">{sharedLink.title}</h1>
+          <div className="mt-2 text-gray-500 dark:text-gray-400">
+            {localize('com_ui_shared_link_date')}{' '}
+            {new Date(sharedLink.updatedAt).toLocaleDateString()}
+            {sharedLink.model ? ` · ${sharedLink.model}` : ''}
+          </div>
+        </div>
+        <MultiMessage
+          key={sharedLink.conversationId}
+          messageId={sharedLink.conversationId}
+          conversation={conversation}
+          messagesTree={messagesTree ?? []}
+          currentEditId={null}
+        />
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1 @@
+export { default as ShareView } from './ShareView';
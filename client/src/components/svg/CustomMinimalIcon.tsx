@@ -0,0 +1,31 @@
+import { cn } from '~/utils/';
+
+export default function CustomMinimalIcon({
+  size = 25,
+  className = 'h-4 w-4',
+}: {
+  size?: number;
+  className?: string;
+}) {
+  const height = size;
+  const width = size;
+
+  return (
+    <svg
+      stroke="currentColor"
+      fill="none"
+      strokeWidth="2"
+      viewBox="0 0 24 24"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      className={cn(className, '')}
+      height={height}
+      width={width}
+      xmlns="http://www.w3.org/2000/svg"
+    >
+      <rect x="4" y="4" width="16" height="16" rx="2" />
+      <rect x="9" y="9" width="6" height="6" />
+      <path d="M9 1v3M15 1v3M9 20v3M15 20v3M20 9h3M20 14h3M1 9h3M1 14h3" />
+    </svg>
+  );
+}
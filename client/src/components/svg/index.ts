@@ -39,3 +39,4 @@ export { default as CodeyIcon } from './CodeyIcon';
 export { default as GoogleMinimalIcon } from './GoogleMinimalIcon';
 export { default as AnthropicMinimalIcon } from './AnthropicMinimalIcon';
 export { default as SendMessageIcon } from './SendMessageIcon';
+export { default as CustomMinimalIcon } from './CustomMinimalIcon';
@@ -4,6 +4,8 @@ type FileUploadProps = {
   handleFileChange: (event: React.ChangeEvent<HTMLInputElement>) => void;
   onClick?: () => void;
   className?: string;
+  /** The file types the input accepts, as in the `accept` attribute */
+  accept?: string;
   children: React.ReactNode;
 };
 
@@ -12,6 +14,7 @@ const FileUpload: React.FC<FileUploadProps> = ({
   children,
   onClick,
   className = '',
+  accept,
 }) => {
   const fileInputRef = useRef<HTMLInputElement>(null);
 
@@ -33,6 +36,7 @@ const FileUpload: React.FC<FileUploadProps> = ({
         ref={fileInputRef}
         multiple
         type="file"
+        accept={accept}
         style={{ display: 'none' }}
         onChange={handleFileChange}
       />
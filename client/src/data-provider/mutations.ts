@@ -12,9 +12,30 @@ import type {
   PresetDeleteResponse,
   LogoutOptions,
   TPreset,
+  TSharedLink,
+  SharedLinkOptions,
+  CreateSharedLinkOptions,
+  TCreateSharedLinkRequest,
+  TImportConversationsResponse,
+  ImportConversationsOptions,
+  BulkUpdateConvosOptions,
+  DeleteConversationTagOptions,
+  TBulkUpdateConvosRequest,
+  TBulkUpdateConvosResponse,
+  ArchiveConversationOptions,
+  TArchiveConversationRequest,
+  GenTitleOptions,
+  TGenTitleRequest,
+  TConversation,
+  TAdminUser,
+  TAdminCreateUserRequest,
+  TAdminResetPasswordRequest,
+  TAdminAddBalanceRequest,
+  TAdminBanUserRequest,
+  AdminMutationOptions,
 } from 'librechat-data-provider';
 
-import { dataService, MutationKeys } from 'librechat-data-provider';
+import { dataService, MutationKeys, QueryKeys } from 'librechat-data-provider';
 import { useSetRecoilState } from 'recoil';
 import store from '~/store';
 
@@ -26,9 +47,33 @@ export const useUploadImageMutation = (
   FileUploadBody, // request
   unknown // context
 > => {
+  const queryClient = useQueryClient();
   return useMutation([MutationKeys.imageUpload], {
     mutationFn: (body: FileUploadBody) => dataService.uploadImage(body.formData),
     ...(options || {}),
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries([QueryKeys.fileStorage]);
+      options?.onSuccess?.(...args);
+    },
+  });
+};
+
+export const useUploadFileMutation = (
+  options?: UploadMutationOptions,
+): UseMutationResult<
+  FileUploadResponse, // response data
+  unknown, // error
+  FileUploadBody, // request
+  unknown // context
+> => {
+  const queryClient = useQueryClient();
+  return useMutation([MutationKeys.fileUpload], {
+    mutationFn: (body: FileUploadBody) => dataService.uploadFile(body.formData),
+    ...(options || {}),
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries([QueryKeys.fileStorage]);
+      options?.onSuccess?.(...args);
+    },
   });
 };
 
@@ -40,9 +85,15 @@ export const useDeleteFilesMutation = (
   DeleteFilesBody, // request
   unknown // context
 > => {
+  const queryClient = useQueryClient();
   return useMutation([MutationKeys.fileDelete], {
     mutationFn: (body: DeleteFilesBody) => dataService.deleteFiles(body.files),
     ...(options || {}),
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries([QueryKeys.files]);
+      queryClient.invalidateQueries([QueryKeys.fileStorage]);
+      options?.onSuccess?.(...args);
+    },
   });
 };
 
@@ -99,3 +150,185 @@ export const useLogoutUserMutation = (
     },
   });
 };
+
+/* shared links */
+export const useCreateSharedLinkMutation = (
+  options?: CreateSharedLinkOptions,
+): UseMutationResult<TSharedLink, unknown, TCreateSharedLinkRequest, unknown> => {
+  const queryClient = useQueryClient();
+  return useMutation([MutationKeys.createSharedLink], {
+    mutationFn: (payload: TCreateSharedLinkRequest) => dataService.createSharedLink(payload),
+    ...(options || {}),
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries([QueryKeys.sharedLinks]);
+      options?.onSuccess?.(...args);
+    },
+  });
+};
+
+export const useUpdateSharedLinkMutation = (
+  options?: SharedLinkOptions,
+): UseMutationResult<TSharedLink, unknown, string, unknown> => {
+  const queryClient = useQueryClient();
+  return useMutation([MutationKeys.updateSharedLink], {
+    mutationFn: (shareId: string) => dataService.updateSharedLink(shareId),
+    ...(options || {}),
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries([QueryKeys.sharedLinks]);
+      options?.onSuccess?.(...args);
+    },
+  });
+};
+
+export const useDeleteSharedLinkMutation = (
+  options?: SharedLinkOptions,
+): UseMutationResult<void, unknown, string, unknown> => {
+  const queryClient = useQueryClient();
+  return useMutation([MutationKeys.deleteSharedLink], {
+    mutationFn: (shareId: string) => dataService.deleteSharedLink(shareId),
+    ...(options || {}),
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries([QueryKeys.sharedLinks]);
+      options?.onSuccess?.(...args);
+    },
+  });
+};
+
+/* import */
+export const useImportConversationsMutation = (
+  options?: ImportConversationsOptions,
+): UseMutationResult<TImportConversationsResponse, unknown, FormData, unknown> => {
+  const queryClient = useQueryClient();
+  return useMutation([MutationKeys.importConversations], {
+    mutationFn: (formData: FormData) => dataService.importConversationsFile(formData),
+    ...(options || {}),
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries([QueryKeys.allConversations]);
+      options?.onSuccess?.(...args);
+    },
+  });
+};
+
+/* conversation folders */
+export const useBulkUpdateConversationsMutation = (
+  options?: BulkUpdateConvosOptions,
+): UseMutationResult<TBulkUpdateConvosResponse, unknown, TBulkUpdateConvosRequest, unknown> => {
+  const queryClient = useQueryClient();
+  return useMutation([MutationKeys.bulkUpdateConversations], {
+    mutationFn: (payload: TBulkUpdateConvosRequest) => dataService.bulkUpdateConversations(payload),
+    ...(options || {}),
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries([QueryKeys.allConversations]);
+      queryClient.invalidateQueries([QueryKeys.conversationTags]);
+      options?.onSuccess?.(...args);
+    },
+  });
+};
+
+export const useDeleteConversationTagMutation = (
+  options?: DeleteConversationTagOptions,
+): UseMutationResult<TBulkUpdateConvosResponse, unknown, string, unknown> => {
+  const queryClient = useQueryClient();
+  return useMutation([MutationKeys.deleteConversationTag], {
+    mutationFn: (tag: string) => dataService.deleteConversationTag(tag),
+    ...(options || {}),
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries([QueryKeys.allConversations]);
+      queryClient.invalidateQueries([QueryKeys.conversationTags]);
+      options?.onSuccess?.(...args);
+    },
+  });
+};
+
+/* archive */
+export const useArchiveConversationMutation = (
+  options?: ArchiveConversationOptions,
+): UseMutationResult<TBulkUpdateConvosResponse, unknown, TArchiveConversationRequest, unknown> => {
+  const queryClient = useQueryClient();
+  return useMutation([MutationKeys.archiveConversation], {
+    mutationFn: (payload: TArchiveConversationRequest) => dataService.archiveConversation(payload),
+    ...(options || {}),
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries([QueryKeys.allConversations]);
+      queryClient.invalidateQueries([QueryKeys.conversationTags]);
+      options?.onSuccess?.(...args);
+    },
+  });
+};
+
+export const useUnarchiveConversationMutation = (
+  options?: ArchiveConversationOptions,
+): UseMutationResult<TBulkUpdateConvosResponse, unknown, TArchiveConversationRequest, unknown> => {
+  const queryClient = useQueryClient();
+  return useMutation([MutationKeys.unarchiveConversation], {
+    mutationFn: (payload: TArchiveConversationRequest) =>
+      dataService.unarchiveConversation(payload),
+    ...(options || {}),
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries([QueryKeys.allConversations]);
+      queryClient.invalidateQueries([QueryKeys.conversationTags]);
+      options?.onSuccess?.(...args);
+    },
+  });
+};
+
+export const useGenTitleMutation = (
+  options?: GenTitleOptions,
+): UseMutationResult<TConversation, unknown, TGenTitleRequest, unknown> => {
+  const queryClient = useQueryClient();
+  return useMutation([MutationKeys.genTitle], {
+    mutationFn: (payload: TGenTitleRequest) => dataService.genTitle(payload),
+    ...(options || {}),
+    onSuccess: (...args) => {
+      const [, { conversationId }] = args;
+      queryClient.invalidateQueries([QueryKeys.conversation, conversationId]);
+      queryClient.invalidateQueries([QueryKeys.allConversations]);
+      options?.onSuccess?.(...args);
+    },
+  });
+};
+
+/* Admin: every mutation changes the listed users, so the users list is refreshed on success */
+const useAdminMutation = <TData, TVariables>(
+  mutationFn: (variables: TVariables) => Promise<TData>,
+  options?: AdminMutationOptions<TData, TVariables>,
+): UseMutationResult<TData, unknown, TVariables, unknown> => {
+  const queryClient = useQueryClient();
+  return useMutation([MutationKeys.adminUpdateUser], {
+    mutationFn,
+    ...(options || {}),
+    onSuccess: (...args) => {
+      queryClient.invalidateQueries([QueryKeys.adminUsers]);
+      options?.onSuccess?.(...args);
+    },
+  });
+};
+
+export const useCreateAdminUserMutation = (
+  options?: AdminMutationOptions<TAdminUser, TAdminCreateUserRequest>,
+) => useAdminMutation(dataService.createAdminUser, options);
+
+export const useDeleteAdminUserMutation = (options?: AdminMutationOptions<void, string>) =>
+  useAdminMutation(dataService.deleteAdminUser, options);
+
+export const useSetAdminUserDisabledMutation = (
+  options?: AdminMutationOptions<TAdminUser, { userId: string; disabled: boolean }>,
+) => useAdminMutation(dataService.setAdminUserDisabled, options);
+
+export const useResetAdminUserPasswordMutation = (
+  options?: AdminMutationOptions<void, TAdminResetPasswordRequest>,
+) => useAdminMutation(dataService.resetAdminUserPassword, options);
+
+export const useAddAdminUserBalanceMutation = (
+  options?: AdminMutationOptions<{ balance: number }, TAdminAddBalanceRequest>,
+) => useAdminMutation(dataService.addAdminUserBalance, options);
+
+export const useBanAdminUserMutation = (
+  options?: AdminMutationOptions<{ bannedUntil: string }, TAdminBanUserRequest>,
+) => useAdminMutation(dataService.banAdminUser, options);
+
+export const useUnbanAdminUserMutation = (options?: AdminMutationOptions<void, string>) =>
+  useAdminMutation(dataService.unbanAdminUser, options);
+
+export const useResetAdminUserTwoFactorMutation = (options?: AdminMutationOptions<void, string>) =>
+  useAdminMutation(dataService.resetAdminUserTwoFactor, options);
@@ -1,6 +1,27 @@
-import { UseQueryOptions, useQuery, QueryObserverResult } from '@tanstack/react-query';
+import {
+  UseQueryOptions,
+  UseInfiniteQueryOptions,
+  useQuery,
+  useInfiniteQuery,
+  QueryObserverResult,
+  UseInfiniteQueryResult,
+} from '@tanstack/react-query';
 import { QueryKeys, dataService } from 'librechat-data-provider';
-import type { TPreset } from 'librechat-data-provider';
+import type {
+  TPreset,
+  TSharedLink,
+  TSharedLinkWithMessages,
+  TConversationTag,
+  TConversationFilters,
+  TGetConversationsResponse,
+  TAdminUsersResponse,
+  TViolation,
+  TUsageStat,
+  TUsageParams,
+  TFileFilters,
+  TFileStorage,
+  TGetFilesResponse,
+} from 'librechat-data-provider';
 export const useGetPresetsQuery = (
   config?: UseQueryOptions<TPreset[]>,
 ): QueryObserverResult<TPreset[], unknown> => {
@@ -26,3 +47,146 @@ export const useGetEndpointsConfigOverride = <TData = unknown | boolean>(
     },
   );
 };
+
+export const useGetSharedLinksQuery = (
+  config?: UseQueryOptions<TSharedLink[]>,
+): QueryObserverResult<TSharedLink[], unknown> => {
+  return useQuery<TSharedLink[]>([QueryKeys.sharedLinks], () => dataService.getSharedLinks(), {
+    refetchOnWindowFocus: false,
+    refetchOnReconnect: false,
+    ...config,
+  });
+};
+
+export const useGetSharedLinkQuery = (
+  shareId: string,
+  config?: UseQueryOptions<TSharedLinkWithMessages>,
+): QueryObserverResult<TSharedLinkWithMessages, unknown> => {
+  return useQuery<TSharedLinkWithMessages>(
+    [QueryKeys.sharedLink, shareId],
+    () => dataService.getSharedLink(shareId),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      refetchOnMount: false,
+      retry: false,
+      ...config,
+    },
+  );
+};
+
+/* conversation folders */
+export const useGetConversationTagsQuery = (
+  config?: UseQueryOptions<TConversationTag[]>,
+): QueryObserverResult<TConversationTag[], unknown> => {
+  return useQuery<TConversationTag[]>(
+    [QueryKeys.conversationTags],
+    () => dataService.getConversationTags(),
+    {
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      ...config,
+    },
+  );
+};
+
+/** Fetches the conversations matching the filters, e.g. a folder or the pinned ones, a page at a time */
+export const useFilteredConversationsInfiniteQuery = (
+  filters: TConversationFilters,
+  config?: UseInfiniteQueryOptions<TGetConversationsResponse>,
+): UseInfiniteQueryResult<TGetConversationsResponse, unknown> => {
+  return useInfiniteQuery<TGetConversationsResponse>(
+    [QueryKeys.allConversations, { active: true, filters }],
+    ({ pageParam }) => dataService.getConversations(pageParam, filters),
+    {
+      getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      ...config,
+    },
+  );
+};
+
+export const useArchivedConversationsInfiniteQuery = (
+  config?: UseInfiniteQueryOptions<TGetConversationsResponse>,
+): UseInfiniteQueryResult<TGetConversationsResponse, unknown> => {
+  return useInfiniteQuery<TGetConversationsResponse>(
+    [QueryKeys.allConversations, { archived: true }],
+    ({ pageParam }) => dataService.getConversations(pageParam, { isArchived: true }),
+    {
+      getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      ...config,
+    },
+  );
+};
+
+/* file manager */
+export const useFilesInfiniteQuery = (
+  filters: TFileFilters,
+  config?: UseInfiniteQueryOptions<TGetFilesResponse>,
+): UseInfiniteQueryResult<TGetFilesResponse, unknown> => {
+  return useInfiniteQuery<TGetFilesResponse>(
+    [QueryKeys.files, filters],
+    ({ pageParam }) => dataService.getFiles(pageParam, filters),
+    {
+      getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
+      refetchOnWindowFocus: false,
+      refetchOnReconnect: false,
+      ...config,
+    },
+  );
+};
+
+export const useGetFileStorageQuery = (
+  config?: UseQueryOptions<TFileStorage>,
+): QueryObserverResult<TFileStorage, unknown> => {
+  return useQuery<TFileStorage>([QueryKeys.fileStorage], () => dataService.getFileStorage(), {
+    refetchOnWindowFocus: false,
+    refetchOnReconnect: false,
+    ...config,
+  });
+};
+
+export const useGetAdminUsersQuery = (
+  search: string,
+  pageNumber: number,
+  config?: UseQueryOptions<TAdminUsersResponse>,
+): QueryObserverResult<TAdminUsersResponse, unknown> => {
+  return useQuery<TAdminUsersResponse>(
+    [QueryKeys.adminUsers, { search, pageNumber }],
+    () => dataService.getAdminUsers(search, pageNumber),
+    {
+      refetchOnWindowFocus: false,
+      keepPreviousData: true,
+      ...config,
+    },
+  );
+};
+
+export const useGetAdminUserViolationsQuery = (
+  userId: string,
+  config?: UseQueryOptions<TViolation[]>,
+): QueryObserverResult<TViolation[], unknown> => {
+  return useQuery<TViolation[]>(
+    [QueryKeys.adminUserViolations, userId],
+    () => dataService.getAdminUserViolations(userId),
+    {
+      refetchOnWindowFocus: false,
+      enabled: !!userId,
+      ...config,
+    },
+  );
+};
+
+export const useGetUsageQuery = (
+  params: TUsageParams,
+  config?: UseQueryOptions<TUsageStat[]>,
+): QueryObserverResult<TUsageStat[], unknown> => {
+  return useQuery<TUsageStat[]>([QueryKeys.usage, params], () => dataService.getUsage(params), {
+    refetchOnWindowFocus: false,
+    keepPreviousData: true,
+    ...config,
+  });
+};
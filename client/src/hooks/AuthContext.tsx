@@ -8,12 +8,14 @@ import {
   useContext,
 } from 'react';
 import { TUser, TLoginResponse, setTokenHeader, TLoginUser } from 'librechat-data-provider';
+import type { TLoginResult, TTwoFactorChallenge, TTwoFactorCode } from 'librechat-data-provider';
 import {
   useGetUserQuery,
   useLoginUserMutation,
   useRefreshTokenMutation,
+  useTwoFactorLoginMutation,
 } from 'librechat-data-provider/react-query';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { TAuthConfig, TUserContext, TAuthContext, TResError } from '~/common';
 import { useLogoutUserMutation } from '~/data-provider';
 import useTimeout from './useTimeout';
@@ -28,10 +30,15 @@ const AuthContextProvider = ({
   children: ReactNode;
 }) => {
   const navigate = useNavigate();
+  const location = useLocation();
   const [user, setUser] = useState<TUser | undefined>(undefined);
   const [token, setToken] = useState<string | undefined>(undefined);
   const [error, setError] = useState<string | undefined>(undefined);
   const [isAuthenticated, setIsAuthenticated] = useState<boolean>(false);
+  /** Set between the password and the two-factor login steps, or by the registration */
+  const [twoFactor, setTwoFactor] = useState<TTwoFactorChallenge | undefined>(
+    () => location.state?.twoFactor,
+  );
   const setUserContext = useCallback(
     (userContext: TUserContext) => {
       const { token, isAuthenticated, user, redirect } = userContext;
@@ -51,6 +58,7 @@ const AuthContextProvider = ({
   const doSetError = useTimeout({ callback: (error) => setError(error as string | undefined) });
 
   const loginUser = useLoginUserMutation();
+  const twoFactorLogin = useTwoFactorLoginMutation();
   const logoutUser = useLogoutUserMutation({
     onSuccess: () => {
       setUserContext({
@@ -73,28 +81,61 @@ const AuthContextProvider = ({
 
   const logout = useCallback(() => logoutUser.mutate(undefined), [logoutUser]);
   const userQuery = useGetUserQuery({ enabled: !!token });
-  const refreshToken = useRefreshTokenMutation();
+  const { mutate: refreshToken } = useRefreshTokenMutation();
+
+  const onLoginError = (error: TResError | unknown) => {
+    const resError = error as TResError;
+    const message = resError.response?.data?.message;
+    doSetError(message ? `${resError.message}: ${message}` : resError.message);
+    navigate('/login', { replace: true });
+  };
+
+  const completeLogin = ({ user, token }: TLoginResponse) => {
+    setTwoFactor(undefined);
+    setUserContext({ token, isAuthenticated: true, user, redirect: '/c/new' });
+  };
 
   const login = (data: TLoginUser) => {
     loginUser.mutate(data, {
-      onSuccess: (data: TLoginResponse) => {
-        const { user, token } = data;
-        setUserContext({ token, isAuthenticated: true, user, redirect: '/c/new' });
-      },
-      onError: (error: TResError | unknown) => {
-        const resError = error as TResError;
-        doSetError(resError.message);
-        navigate('/login', { replace: true });
+      onSuccess: (data: TLoginResult) => {
+        if ('tempToken' in data) {
+          doSetError(undefined);
+          setTwoFactor(data);
+          return;
+        }
+        completeLogin(data);
       },
+      onError: onLoginError,
     });
   };
 
+  const verifyTwoFactor = (data: TTwoFactorCode) => {
+    if (!twoFactor) {
+      return;
+    }
+    twoFactorLogin.mutate(
+      { ...data, tempToken: twoFactor.tempToken },
+      {
+        onSuccess: completeLogin,
+        onError: (error: TResError | unknown) => {
+          // The password has to be entered again once the login expired
+          if ((error as TResError).response?.data?.message?.includes('expired')) {
+            setTwoFactor(undefined);
+          }
+          onLoginError(error);
+        },
+      },
+    );
+  };
+
+  const cancelTwoFactor = () => setTwoFactor(undefined);
+
   const silentRefresh = useCallback(() => {
     if (authConfig?.test) {
       console.log('Test mode. Skipping silent refresh.');
       return;
     }
-    refreshToken.mutate(undefined, {
+    refreshToken(undefined, {
       onSuccess: (data: TLoginResponse) => {
         const { user, token } = data;
         if (token) {
@@ -115,7 +156,7 @@ const AuthContextProvider = ({
         navigate('/login');
       },
     });
-  }, []);
+  }, [authConfig?.test, navigate, refreshToken, setUserContext]);
 
   useEffect(() => {
     if (userQuery.data) {
@@ -138,7 +179,8 @@ const AuthContextProvider = ({
     userQuery.error,
     error,
     navigate,
-    setUserContext,
+    doSetError,
+    silentRefresh,
   ]);
 
   useEffect(() => {
@@ -168,9 +210,13 @@ const AuthContextProvider = ({
       error,
       login,
       logout,
+      twoFactor,
+      verifyTwoFactor,
+      completeLogin,
+      cancelTwoFactor,
     }),
     // eslint-disable-next-line react-hooks/exhaustive-deps
-    [user, error, isAuthenticated, token],
+    [user, error, isAuthenticated, token, twoFactor],
   );
 
   return <AuthContext.Provider value={memoedValue}>{children}</AuthContext.Provider>;
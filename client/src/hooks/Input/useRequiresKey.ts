@@ -6,7 +6,8 @@ export default function useRequiresKey() {
   const { conversation } = useChatContext();
   const { data: endpointsConfig } = useGetEndpointsQuery();
   const { endpoint } = conversation || {};
-  const userProvidesKey = endpointsConfig?.[endpoint ?? '']?.userProvide;
+  const { userProvide, userProvideURL } = endpointsConfig?.[endpoint ?? ''] ?? {};
+  const userProvidesKey = userProvide || userProvideURL;
   const { getExpiry } = useUserKey(endpoint ?? '');
   const expiryTime = getExpiry();
   const requiresKey = !expiryTime && userProvidesKey;
@@ -1,5 +1,6 @@
 import { useEffect, useRef } from 'react';
 import copy from 'copy-to-clipboard';
+import { useGetEndpointsQuery } from 'librechat-data-provider/react-query';
 import type { TMessage } from 'librechat-data-provider';
 import type { TMessageProps } from '~/common';
 import Icon from '~/components/Endpoints/Icon';
@@ -19,6 +20,7 @@ export default function useMessageHelpers(props: TMessageProps) {
     handleContinue,
     setLatestMessage,
   } = useChatContext();
+  const { data: endpointsConfig } = useGetEndpointsQuery();
 
   const { text, children, messageId = null, isCreatedByUser } = message ?? {};
   const edit = messageId === currentEditId;
@@ -52,6 +54,7 @@ export default function useMessageHelpers(props: TMessageProps) {
     ...conversation,
     ...(message as TMessage),
     model: message?.model ?? conversation?.model,
+    iconURL: endpointsConfig?.[conversation?.endpoint ?? '']?.iconURL,
     size: 28.8,
   });
 
@@ -1,9 +1,10 @@
 import { v4 } from 'uuid';
 import { useCallback, useState } from 'react';
 import { useQueryClient } from '@tanstack/react-query';
+import type { InfiniteData } from '@tanstack/react-query';
 import { useRecoilState, useResetRecoilState, useSetRecoilState } from 'recoil';
 import { QueryKeys, parseCompactConvo, getResponseSender } from 'librechat-data-provider';
-import { useGetMessagesByConvoId } from 'librechat-data-provider/react-query';
+import { useGetMessagesByConvoId, useGetEndpointsQuery } from 'librechat-data-provider/react-query';
 import type {
   TMessage,
   TSubmission,
@@ -31,7 +32,8 @@ export default function useChatHelpers(index = 0, paramId: string | undefined) {
   const { newConversation } = useNewConvo(index);
   const { useCreateConversationAtom } = store;
   const { conversation, setConversation } = useCreateConversationAtom(index);
-  const { conversationId, endpoint } = conversation ?? {};
+  const { conversationId, endpoint, endpointType } = conversation ?? {};
+  const { data: endpointsConfig } = useGetEndpointsQuery();
 
   const queryParam = paramId === 'new' ? paramId : conversationId ?? paramId ?? '';
 
@@ -58,32 +60,31 @@ export default function useChatHelpers(index = 0, paramId: string | undefined) {
 
   const addConvo = useCallback(
     (convo: TConversation) => {
-      const convoData = queryClient.getQueryData<TGetConversationsResponse>([
-        QueryKeys.allConversations,
-        { pageNumber: '1', active: true },
-      ]) ?? { conversations: [] as TConversation[], pageNumber: '1', pages: 1, pageSize: 14 };
-
-      let { conversations: convos, pageSize = 14 } = convoData;
-      pageSize = Number(pageSize);
-      convos = convos.filter((c) => c.conversationId !== convo.conversationId);
-      convos = convos.length < pageSize ? convos : convos.slice(0, -1);
-
-      const conversations = [
-        {
-          ...convo,
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString(),
-        },
-        ...convos,
-      ];
-
-      queryClient.setQueryData<TGetConversationsResponse>(
-        [QueryKeys.allConversations, { pageNumber: '1', active: true }],
-        {
-          ...convoData,
-          conversations,
-        },
-      );
+      const convosQueryKey = [QueryKeys.allConversations, { active: true }];
+      const convoData = queryClient.getQueryData<InfiniteData<TGetConversationsResponse>>(
+        convosQueryKey,
+      ) ?? { pages: [{ conversations: [] as TConversation[], nextCursor: null }], pageParams: [] };
+
+      const newConvo = {
+        ...convo,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      /* move the conversation to the top of the first page, as it's now the most recent one;
+       * pinned conversations are not part of this list */
+      const pages = convoData.pages.map((page, i) => {
+        const conversations = page.conversations.filter(
+          (c) => c.conversationId !== convo.conversationId,
+        );
+        const isTop = i === 0 && !convo.isPinned;
+        return { ...page, conversations: isTop ? [newConvo, ...conversations] : conversations };
+      });
+
+      queryClient.setQueryData<InfiniteData<TGetConversationsResponse>>(convosQueryKey, {
+        ...convoData,
+        pages,
+      });
     },
     [queryClient],
   );
@@ -151,10 +152,16 @@ export default function useChatHelpers(index = 0, paramId: string | undefined) {
     const isEditOrContinue = isEdited || isContinued;
 
     // set the endpoint option
-    const convo = parseCompactConvo(endpoint, conversation ?? {});
+    const convo = parseCompactConvo({
+      endpoint,
+      endpointType,
+      conversation: conversation ?? {},
+    });
     const endpointOption = {
       ...convo,
       endpoint,
+      endpointType,
+      modelDisplayLabel: endpointsConfig?.[endpoint ?? '']?.modelDisplayLabel,
       key: getExpiry(),
     } as TEndpointOption;
     const responseSender = getResponseSender({ model: conversation?.model, ...endpointOption });
@@ -195,6 +202,7 @@ export default function useChatHelpers(index = 0, paramId: string | undefined) {
       currentMsg.files = Array.from(files.values()).map((file) => ({
         file_id: file.file_id,
         filepath: file.filepath,
+        filename: file.filename,
         type: file.type || '', // Ensure type is not undefined
         height: file.height,
         width: file.width,
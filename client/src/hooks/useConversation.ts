@@ -37,11 +37,13 @@ const useConversation = () => {
             endpointsConfig,
           });
 
+          const endpointType = endpointsConfig?.[defaultEndpoint]?.type;
           const models = modelsConfig?.[defaultEndpoint] ?? [];
           conversation = buildDefaultConvo({
             conversation,
             lastConversationSetup: preset as TConversation,
             endpoint: defaultEndpoint,
+            endpointType,
             models,
           });
         }
@@ -1,10 +1,12 @@
 import { v4 } from 'uuid';
 import debounce from 'lodash/debounce';
 import { useState, useEffect, useCallback } from 'react';
+import { imageMimeTypes, isDocumentFile, supportsImageInput } from 'librechat-data-provider';
+import type { UploadMutationOptions } from 'librechat-data-provider';
 import type { ExtendedFile } from '~/common';
 import { useToastContext } from '~/Providers/ToastContext';
 import { useChatContext } from '~/Providers/ChatContext';
-import { useUploadImageMutation } from '~/data-provider';
+import { useUploadImageMutation, useUploadFileMutation } from '~/data-provider';
 import useSetFilesToDelete from './useSetFilesToDelete';
 import { NotificationSeverity } from '~/common';
 
@@ -13,13 +15,14 @@ const maxSize = 25;
 const fileLimit = 10;
 const sizeLimit = sizeMB * 1024 * 1024; // 20 MB
 const totalSizeLimit = maxSize * 1024 * 1024; // 25 MB
-const supportedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+const documentTypes = 'PDF, DOCX, text, Markdown, CSV and source files';
 
 const useFileHandling = () => {
   const { showToast } = useToastContext();
   const [errors, setErrors] = useState<string[]>([]);
   const setError = (error: string) => setErrors((prevErrors) => [...prevErrors, error]);
-  const { files, setFiles, setFilesLoading } = useChatContext();
+  const { files, setFiles, setFilesLoading, conversation } = useChatContext();
+  const endpoint = conversation?.endpointType ?? conversation?.endpoint ?? '';
   const setFilesToDelete = useSetFilesToDelete();
 
   const displayToast = useCallback(() => {
@@ -108,7 +111,7 @@ const useFileHandling = () => {
     });
   };
 
-  const uploadImage = useUploadImageMutation({
+  const uploadOptions: UploadMutationOptions = {
     onSuccess: (data) => {
       console.log('upload success', data);
       updateFileById(data.temp_file_id, {
@@ -132,9 +135,15 @@ const useFileHandling = () => {
     onError: (error, body) => {
       console.log('upload error', error);
       deleteFileById(body.file_id);
-      setError('An error occurred while uploading the file.');
+      setError(
+        (error as { response?: { data?: { message?: string } } })?.response?.data?.message ??
+          'An error occurred while uploading the file.',
+      );
     },
-  });
+  };
+
+  const uploadImage = useUploadImageMutation(uploadOptions);
+  const uploadDocument = useUploadFileMutation(uploadOptions);
 
   const uploadFile = async (extendedFile: ExtendedFile) => {
     const formData = new FormData();
@@ -147,7 +156,11 @@ const useFileHandling = () => {
       formData.append('height', extendedFile.height?.toString());
     }
 
-    uploadImage.mutate({ formData, file_id: extendedFile.file_id });
+    if (imageMimeTypes.includes(extendedFile.file.type)) {
+      uploadImage.mutate({ formData, file_id: extendedFile.file_id });
+    } else {
+      uploadDocument.mutate({ formData, file_id: extendedFile.file_id });
+    }
   };
 
   const validateFiles = (fileList: File[]) => {
@@ -162,8 +175,14 @@ const useFileHandling = () => {
 
     for (let i = 0; i < fileList.length; i++) {
       const originalFile = fileList[i];
-      if (!supportedTypes.includes(originalFile.type)) {
-        setError('Currently, only JPEG, JPG, PNG, and WEBP files are supported.');
+      const isImage = imageMimeTypes.includes(originalFile.type);
+      if (isImage && !supportsImageInput(endpoint, conversation?.model)) {
+        setError(`Images are not supported by this model, only documents (${documentTypes}).`);
+        return false;
+      }
+
+      if (!isImage && !isDocumentFile(originalFile.name)) {
+        setError(`Currently, only JPEG, JPG, PNG, WEBP images and ${documentTypes} are supported.`);
         return false;
       }
 
@@ -215,6 +234,19 @@ const useFileHandling = () => {
     fileList.forEach((originalFile) => {
       const file_id = v4();
       try {
+        if (!imageMimeTypes.includes(originalFile.type)) {
+          const extendedFile: ExtendedFile = {
+            file_id,
+            file: originalFile,
+            preview: '',
+            progress: 0.6,
+            size: originalFile.size,
+          };
+          addFile(extendedFile);
+          uploadFile(extendedFile);
+          return;
+        }
+
         const preview = URL.createObjectURL(originalFile);
         let extendedFile: ExtendedFile = {
           file_id,
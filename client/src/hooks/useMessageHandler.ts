@@ -53,7 +53,7 @@ const useMessageHandler = () => {
     const isEditOrContinue = isEdited || isContinued;
 
     // set the endpoint option
-    const convo = parseConvo(endpoint, currentConversation);
+    const convo = parseConvo({ endpoint, conversation: currentConversation });
     const endpointOption = {
       ...convo,
       endpoint,
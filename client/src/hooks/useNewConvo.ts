@@ -62,11 +62,13 @@ const useNewConvo = (index = 0) => {
             endpointsConfig,
           });
 
+          const endpointType = endpointsConfig?.[defaultEndpoint]?.type;
           const models = modelsConfig?.[defaultEndpoint] ?? [];
           conversation = buildDefaultConvo({
             conversation,
             lastConversationSetup: activePreset as TConversation,
             endpoint: defaultEndpoint,
+            endpointType,
             models,
           });
         }
@@ -106,7 +108,7 @@ const useNewConvo = (index = 0) => {
 
       if (conversation.conversationId === 'new' && !modelsData) {
         const filesToDelete = Array.from(files.values())
-          .filter((file) => file.filepath)
+          .filter((file) => file.filepath && !file.reused)
           .map((file) => ({
             file_id: file.file_id,
             filepath: file.filepath as string,
@@ -1,4 +1,5 @@
-import { useEffect } from 'react';
+import { useEffect, useRef } from 'react';
+import { useSetRecoilState } from 'recoil';
 import { useParams } from 'react-router-dom';
 import {
   /* @ts-ignore */
@@ -9,11 +10,25 @@ import {
   EModelEndpoint,
   removeNullishValues,
 } from 'librechat-data-provider';
-import { useGetUserBalance, useGetStartupConfig } from 'librechat-data-provider/react-query';
+import {
+  useGetUserBalance,
+  useGetStartupConfig,
+  useGetMessagesByConvoId,
+} from 'librechat-data-provider/react-query';
 import type { TResPlugin, TMessage, TConversation, TSubmission } from 'librechat-data-provider';
+import {
+  getActiveStream,
+  setActiveStream,
+  clearActiveStream,
+  createResumeSubmission,
+} from '~/utils';
 import { useAuthContext } from './AuthContext';
 import useChatHelpers from './useChatHelpers';
 import useSetStorage from './useSetStorage';
+import store from '~/store';
+
+/** How many times to reattach to a stream after losing the connection */
+const MAX_RECONNECTS = 3;
 
 type TResData = {
   plugin?: TResPlugin;
@@ -23,14 +38,18 @@ type TResData = {
   responseMessage: TMessage;
   conversation: TConversation;
   conversationId?: string;
+  streamId?: string;
 };
 
 export default function useSSE(submission: TSubmission | null, index = 0) {
   const setStorage = useSetStorage();
   const { conversationId: paramId } = useParams();
   const { token, isAuthenticated } = useAuthContext();
+  const setSubmission = useSetRecoilState(store.submissionByIndex(index));
+  const reconnects = useRef(0);
   const {
     addConvo,
+    conversation,
     setMessages,
     setConversation,
     setIsSubmitting,
@@ -43,6 +62,10 @@ export default function useSSE(submission: TSubmission | null, index = 0) {
   const balanceQuery = useGetUserBalance({
     enabled: !!isAuthenticated && startupConfig?.checkBalance,
   });
+  const activeStream = getActiveStream();
+  const { data: savedMessages } = useGetMessagesByConvoId(paramId ?? '', {
+    enabled: activeStream?.conversationId === paramId,
+  });
 
   const messageHandler = (data: string, submission: TSubmission) => {
     const {
@@ -90,6 +113,7 @@ export default function useSSE(submission: TSubmission | null, index = 0) {
     const { requestMessage, responseMessage, conversation } = data;
     const { messages, isRegenerate = false } = submission;
 
+    clearActiveStream();
     const convoUpdate = conversation ?? submission.conversation;
 
     // update the messages
@@ -164,7 +188,8 @@ export default function useSSE(submission: TSubmission | null, index = 0) {
       setStorage(update);
       return update;
     });
-    if (message.parentMessageId == '00000000-0000-0000-0000-000000000000') {
+    // a resumed stream sends the created event again
+    if (message.parentMessageId == '00000000-0000-0000-0000-000000000000' && !submission.streamId) {
       addConvo(update);
     }
     resetLatestMessage();
@@ -174,6 +199,7 @@ export default function useSSE(submission: TSubmission | null, index = 0) {
     const { requestMessage, responseMessage, conversation } = data;
     const { messages, isRegenerate = false } = submission;
 
+    clearActiveStream();
     // update the messages
     if (isRegenerate) {
       setMessages([...messages, responseMessage]);
@@ -209,6 +235,7 @@ export default function useSSE(submission: TSubmission | null, index = 0) {
   const errorHandler = (data: TResData, submission: TSubmission) => {
     const { messages, message } = submission;
 
+    clearActiveStream();
     if (!data.conversationId) {
       setIsSubmitting(false);
       return;
@@ -232,7 +259,8 @@ export default function useSSE(submission: TSubmission | null, index = 0) {
 
   const abortConversation = (conversationId = '', submission: TSubmission) => {
     console.log(submission);
-    const { endpoint } = submission?.conversation || {};
+    const { endpoint: _endpoint, endpointType } = submission?.conversation || {};
+    const endpoint = endpointType ?? _endpoint;
 
     fetch(`/api/ask/${endpoint}/abort`, {
       method: 'POST',
@@ -266,17 +294,27 @@ export default function useSSE(submission: TSubmission | null, index = 0) {
     }
 
     let { message } = submission;
+    let { streamId } = submission;
+    let reconnectTimeout: ReturnType<typeof setTimeout> | undefined;
 
-    const payloadData = createPayload(submission);
-    let { payload } = payloadData;
-    if (payload.endpoint === EModelEndpoint.assistant) {
-      payload = removeNullishValues(payload);
-    }
+    let events;
+    if (streamId) {
+      events = new SSE(`/api/ask/stream/${streamId}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+    } else {
+      reconnects.current = 0;
+      const payloadData = createPayload(submission);
+      let { payload } = payloadData;
+      if (payload.endpoint === EModelEndpoint.assistant) {
+        payload = removeNullishValues(payload);
+      }
 
-    const events = new SSE(payloadData.server, {
-      payload: JSON.stringify(payload),
-      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
-    });
+      events = new SSE(payloadData.server, {
+        payload: JSON.stringify(payload),
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      });
+    }
 
     events.onmessage = (e: MessageEvent) => {
       const data = JSON.parse(e.data);
@@ -293,6 +331,14 @@ export default function useSSE(submission: TSubmission | null, index = 0) {
           ...data.message,
           overrideParentMessageId: message?.overrideParentMessageId,
         };
+        if (data.streamId) {
+          streamId = data.streamId as string;
+          setActiveStream({
+            streamId,
+            conversationId: message.conversationId ?? '',
+            messageId: message.messageId,
+          });
+        }
         createdHandler(data, { ...submission, message });
       } else {
         const text = data.text || data.response;
@@ -320,6 +366,16 @@ export default function useSSE(submission: TSubmission | null, index = 0) {
       } catch (error) {
         console.error(error);
         console.log(e);
+        // the connection was lost, but the generation continues on the server
+        if (streamId && reconnects.current < MAX_RECONNECTS) {
+          reconnects.current++;
+          const resumeSubmission = { ...submission, message, streamId };
+          reconnectTimeout = setTimeout(
+            () => setSubmission(resumeSubmission),
+            1000 * reconnects.current,
+          );
+          return;
+        }
       }
 
       errorHandler(data, { ...submission, message });
@@ -329,6 +385,7 @@ export default function useSSE(submission: TSubmission | null, index = 0) {
     events.stream();
 
     return () => {
+      clearTimeout(reconnectTimeout);
       const isCancelled = events.readyState <= 1;
       events.close();
       // setSource(null);
@@ -339,4 +396,20 @@ export default function useSSE(submission: TSubmission | null, index = 0) {
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [submission]);
+
+  // resume the generation that was streaming before the page was reloaded
+  useEffect(() => {
+    if (
+      submission ||
+      !savedMessages ||
+      !activeStream ||
+      activeStream.conversationId !== paramId ||
+      conversation?.conversationId !== paramId
+    ) {
+      return;
+    }
+
+    setSubmission(createResumeSubmission(activeStream, savedMessages, conversation));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [savedMessages, conversation?.conversationId, paramId]);
 }
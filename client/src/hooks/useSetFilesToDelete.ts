@@ -1,5 +1,11 @@
+import type { ExtendedFile } from '~/common';
+
 export default function useSetFilesToDelete() {
-  const setFilesToDelete = (files: Record<string, unknown>) =>
-    localStorage.setItem('filesToDelete', JSON.stringify(files));
+  /** Keeps the files to delete if the page is left before sending them, except the reused ones */
+  const setFilesToDelete = (files: Record<string, ExtendedFile>) =>
+    localStorage.setItem(
+      'filesToDelete',
+      JSON.stringify(Object.fromEntries(Object.entries(files).filter(([, file]) => !file.reused))),
+    );
   return setFilesToDelete;
 }
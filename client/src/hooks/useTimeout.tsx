@@ -1,4 +1,4 @@
-import { useEffect, useRef } from 'react';
+import { useCallback, useEffect, useRef } from 'react';
 
 type TUseTimeoutParams = {
   callback: (error: string | number | boolean | null) => void;
@@ -8,21 +8,27 @@ type TTimeout = ReturnType<typeof setTimeout> | null;
 
 function useTimeout({ callback, delay = 400 }: TUseTimeoutParams) {
   const timeout = useRef<TTimeout>(null);
+  // The latest callback is called, so that the returned function keeps its identity
+  const callbackRef = useRef(callback);
+  callbackRef.current = callback;
 
-  const callOnTimeout = (value?: string) => {
-    // Clear existing timeout
-    if (timeout.current !== null) {
-      clearTimeout(timeout.current);
-    }
+  const callOnTimeout = useCallback(
+    (value?: string) => {
+      // Clear existing timeout
+      if (timeout.current !== null) {
+        clearTimeout(timeout.current);
+      }
 
-    // Set new timeout
-    if (value) {
-      console.log(value);
-      timeout.current = setTimeout(() => {
-        callback(value);
-      }, delay);
-    }
-  };
+      // Set new timeout
+      if (value) {
+        console.log(value);
+        timeout.current = setTimeout(() => {
+          callbackRef.current(value);
+        }, delay);
+      }
+    },
+    [delay],
+  );
 
   // Clear timeout when the component unmounts
   useEffect(() => {
@@ -46,6 +46,16 @@ export default {
   com_ui_clear: 'Clear',
   com_ui_revoke: 'Revoke',
   com_ui_revoke_info: 'Revoke all user provided credentials',
+  com_ui_share_info:
+    'Anyone with the link can view a read-only snapshot of this conversation. Later messages are only shared once you update the link.',
+  com_ui_share_create: 'Create link',
+  com_ui_share_update: 'Update link',
+  com_ui_share_updated: 'Shared link updated',
+  com_ui_share_error: 'There was an error sharing the conversation',
+  com_ui_copy_link: 'Copy link',
+  com_ui_shared_link: 'Shared conversation',
+  com_ui_shared_link_date: 'Shared on',
+  com_ui_shared_link_not_found: 'This shared link does not exist or has been revoked.',
   com_ui_confirm_action: 'Confirm Action',
   com_ui_chats: 'chats',
   com_ui_delete: 'Delete',
@@ -109,6 +119,51 @@ export default {
   com_auth_to_try_again: 'to try again.',
   com_auth_submit_registration: 'Submit registration',
   com_auth_welcome_back: 'Welcome back',
+  com_auth_error_login_unverified:
+    'Your email has not been verified yet. Please check your inbox for the verification link.',
+  com_auth_resend_verification: 'Resend verification email',
+  com_auth_2fa: 'Two-factor authentication',
+  com_auth_2fa_setup: 'Set up two-factor authentication',
+  com_auth_2fa_info:
+    'Protect your account with a code from an authenticator app, in addition to your password.',
+  com_auth_2fa_setup_info:
+    'Scan the QR code with an authenticator app, then enter the 6-digit code it shows.',
+  com_auth_2fa_secret_info: 'Or enter this key in the app:',
+  com_auth_2fa_qr_code: 'QR code of the two-factor authentication key',
+  com_auth_2fa_code: 'Authentication code',
+  com_auth_2fa_code_prompt: 'Enter the 6-digit code from your authenticator app.',
+  com_auth_2fa_code_required: 'Code is required',
+  com_auth_2fa_code_pattern: 'The code must be 6 digits',
+  com_auth_2fa_backup_code: 'Backup code',
+  com_auth_2fa_backup_code_prompt: 'Enter one of your backup codes. Each code can be used once.',
+  com_auth_2fa_use_backup_code: 'Use a backup code',
+  com_auth_2fa_use_app: 'Use the authenticator app',
+  com_auth_2fa_back: 'Back to login',
+  com_auth_2fa_backup_codes_info:
+    'Save these backup codes somewhere safe: each can be used once to log in without your authenticator app. They will not be shown again.',
+  com_auth_2fa_copy_codes: 'Copy codes',
+  com_auth_2fa_enable: 'Enable two-factor authentication',
+  com_auth_2fa_disable: 'Disable',
+  com_auth_2fa_regenerate_codes: 'New backup codes',
+  com_auth_2fa_manage_info:
+    'Enter a code from your authenticator app to get new backup codes, or a code or backup code to disable two-factor authentication.',
+  com_auth_2fa_enabled: 'Enabled',
+  com_auth_2fa_disabled: 'Disabled',
+  com_auth_2fa_invalid_code: 'The code is invalid, or was already used. Please try again.',
+  com_auth_2fa_expired: 'Your login expired. Please log in again.',
+  com_auth_2fa_error: 'Something went wrong, please try again.',
+  com_auth_check_inbox: 'Check your inbox',
+  com_auth_verification_email_sent:
+    'We have sent you an email with a link to verify your email address. The link expires in 15 minutes.',
+  com_auth_verification_email_resent:
+    'If an unverified account uses this email address, a new verification link has been sent to it.',
+  com_auth_error_resend_verification:
+    'There was a problem sending the verification email. Please try again later.',
+  com_auth_verifying_email: 'Verifying your email...',
+  com_auth_email_verified: 'Email Verified',
+  com_auth_email_verified_login: 'Your email has been verified. You may now login.',
+  com_auth_email_verification_failed: 'Verification Failed',
+  com_auth_error_invalid_verification_token: 'This email verification link is no longer valid.',
   com_endpoint_open_menu: 'Open Menu',
   com_endpoint_bing_enable_sydney: 'Enable Sydney',
   com_endpoint_bing_to_enable_sydney: 'To enable Sydney',
@@ -223,6 +278,7 @@ export default {
   com_endpoint_config_placeholder: 'Set your Key in the Header menu to chat.',
   com_endpoint_config_key_for: 'Set API Key for',
   com_endpoint_config_key_name: 'Key',
+  com_endpoint_config_custom_url: 'Base URL',
   com_endpoint_config_value: 'Enter value for',
   com_endpoint_config_key_name_placeholder: 'Set API key first',
   com_endpoint_config_key_encryption: 'Your key will be encrypted and deleted at',
@@ -261,6 +317,85 @@ export default {
   com_nav_export_recursive_or_sequential: 'Recursive or sequential?',
   com_nav_export_recursive: 'Recursive',
   com_nav_export_conversation: 'Export conversation',
+  com_nav_share_conversation: 'Share link',
+  com_nav_shared_links: 'Shared links',
+  com_nav_shared_links_empty: 'You have not shared any conversation yet.',
+  com_nav_my_files: 'My files',
+  com_nav_my_files_empty: 'No files found.',
+  com_nav_my_files_search: 'Search files',
+  com_nav_my_files_storage: '{0} used',
+  com_nav_my_files_storage_quota: '{0} of {1} used',
+  com_nav_my_files_attached: 'File attached to the message',
+  com_nav_my_files_delete_error: 'There was an error deleting the file',
+  com_ui_images: 'Images',
+  com_ui_documents: 'Documents',
+  com_ui_attach: 'Attach',
+  com_ui_archive: 'Archive',
+  com_ui_unarchive: 'Restore',
+  com_ui_regenerate_title: 'Regenerate title',
+  com_ui_regenerate_title_error: 'Failed to regenerate the title',
+  com_nav_archived_chats: 'Archived chats',
+  com_nav_archived_chats_empty: 'You have no archived conversations.',
+  com_nav_load_more: 'Load more',
+  com_nav_setting_usage: 'Usage',
+  com_nav_setting_security: 'Security',
+  com_nav_usage_title: 'Token credits spent in the last 30 days',
+  com_nav_usage_group_by: 'Group by',
+  com_nav_usage_model: 'Model',
+  com_nav_usage_endpoint: 'Endpoint',
+  com_nav_usage_conversation: 'Conversation',
+  com_nav_usage_unknown: 'Unknown',
+  com_nav_usage_empty: 'No tokens spent in the last 30 days.',
+  com_nav_usage_tokens: '{0} prompt / {1} completion tokens',
+  com_admin_title: 'Admin Panel',
+  com_admin_search_users: 'Search by email, name or username',
+  com_admin_create_user: 'Create user',
+  com_admin_no_users: 'No users found.',
+  com_admin_user: 'User',
+  com_admin_role: 'Role',
+  com_admin_balance: 'Balance',
+  com_admin_status: 'Status',
+  com_admin_actions: 'Actions',
+  com_admin_active: 'Active',
+  com_admin_disabled: 'Disabled',
+  com_admin_banned_until: 'Banned until {0}',
+  com_admin_enable: 'Enable account',
+  com_admin_disable: 'Disable account',
+  com_admin_ban: 'Ban',
+  com_admin_unban: 'Unban',
+  com_admin_ban_duration: 'Ban duration (minutes)',
+  com_admin_reset_password: 'Reset password',
+  com_admin_new_password: 'New password',
+  com_admin_add_credits: 'Add token credits',
+  com_admin_credits_amount: 'Token credits',
+  com_admin_violations: 'Violations',
+  com_admin_reset_2fa: 'Reset two-factor authentication',
+  com_admin_no_violations: 'No violations logged.',
+  com_admin_delete_user: 'Delete user',
+  com_admin_delete_user_confirm:
+    'This will delete the account along with its conversations, presets and keys:',
+  com_admin_action_error: 'Something went wrong, please try again.',
+  com_ui_pin: 'Pin',
+  com_ui_unpin: 'Unpin',
+  com_ui_pinned: 'Pinned',
+  com_ui_folders: 'Folders',
+  com_ui_new_folder: 'New folder',
+  com_ui_folder_name: 'Folder name',
+  com_ui_folder_empty: 'Drag conversations here to add them to this folder.',
+  com_ui_delete_folder: 'Delete folder',
+  com_ui_remove_from_folder: 'Remove from folder',
+  com_ui_date_today: 'Today',
+  com_ui_date_yesterday: 'Yesterday',
+  com_ui_date_previous_7_days: 'Previous 7 days',
+  com_ui_date_previous_30_days: 'Previous 30 days',
+  com_ui_date_older: 'Older',
+  com_ui_import: 'Import',
+  com_ui_import_conversations: 'Import conversations',
+  com_ui_import_conversations_info:
+    'Upload a LibreChat conversation export or a ChatGPT conversations.json file.',
+  com_ui_importing: 'Importing conversations...',
+  com_ui_import_success: 'Imported {0} conversation(s) with {1} message(s).',
+  com_ui_import_error: 'There was an error importing the file.',
   com_nav_theme: 'Theme',
   com_nav_theme_system: 'System',
   com_nav_theme_dark: 'Dark',
@@ -278,6 +413,10 @@ export default {
   com_nav_help_faq: 'Help & FAQ',
   com_nav_settings: 'Settings',
   com_nav_search_placeholder: 'Search messages',
+  com_nav_search_filters: 'Filters',
+  com_nav_search_sender: 'Sender',
+  com_nav_search_from: 'From',
+  com_nav_search_to: 'To',
   com_nav_setting_general: 'General',
   com_nav_setting_data: 'Data controls',
   com_nav_language: 'Language',
@@ -0,0 +1,18 @@
+import { Navigate } from 'react-router-dom';
+import { SystemRoles } from 'librechat-data-provider';
+import { AdminPanel } from '~/components/Admin';
+import { useAuthContext } from '~/hooks';
+
+export default function AdminRoute() {
+  const { user } = useAuthContext();
+
+  if (!user) {
+    return null;
+  }
+
+  if (user.role !== SystemRoles.ADMIN) {
+    return <Navigate to="/c/new" replace={true} />;
+  }
+
+  return <AdminPanel />;
+}
@@ -4,13 +4,17 @@ import Chat from './Chat';
 import ChatRoute from './ChatRoute';
 import AssistantsRoute from './AssistantsRoute';
 import Search from './Search';
+import AdminRoute from './AdminRoute';
 import {
   Login,
   Registration,
   RequestPasswordReset,
   ResetPassword,
+  VerifyEmail,
+  RequestEmailVerification,
   ApiErrorWatcher,
 } from '~/components/Auth';
+import { ShareView } from '~/components/Share';
 import { AuthContextProvider } from '~/hooks/AuthContext';
 
 const AuthLayout = () => (
@@ -33,6 +37,18 @@ export const router = createBrowserRouter([
     path: 'reset-password',
     element: <ResetPassword />,
   },
+  {
+    path: 'verify',
+    element: <VerifyEmail />,
+  },
+  {
+    path: 'verify-email',
+    element: <RequestEmailVerification />,
+  },
+  {
+    path: 'share/:shareId',
+    element: <ShareView />,
+  },
   {
     element: <AuthLayout />,
     children: [
@@ -64,6 +80,10 @@ export const router = createBrowserRouter([
             path: 'search/:query?',
             element: <Search />,
           },
+          {
+            path: 'admin',
+            element: <AdminRoute />,
+          },
         ],
       },
     ],
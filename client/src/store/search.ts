@@ -1,5 +1,6 @@
-import { TMessage } from 'librechat-data-provider';
+import { TMessage, TSearchFilters } from 'librechat-data-provider';
 import { atom, selector } from 'recoil';
+import type { TSearchTarget } from '~/common';
 import { buildTree } from '~/utils';
 
 const isSearchEnabled = atom<boolean | null>({
@@ -12,6 +13,11 @@ const searchQuery = atom({
   default: '',
 });
 
+const searchFilters = atom<TSearchFilters>({
+  key: 'searchFilters',
+  default: {},
+});
+
 const searchResultMessages = atom<TMessage[] | null>({
   key: 'searchResultMessages',
   default: null,
@@ -24,6 +30,11 @@ const searchResultMessagesTree = selector({
   },
 });
 
+const searchTarget = atom<TSearchTarget | null>({
+  key: 'searchTarget',
+  default: null,
+});
+
 const isSearching = selector({
   key: 'isSearching',
   get: ({ get }) => {
@@ -38,4 +49,6 @@ export default {
   searchResultMessages,
   searchResultMessagesTree,
   searchQuery,
+  searchFilters,
+  searchTarget,
 };
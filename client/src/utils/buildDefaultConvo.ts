@@ -5,11 +5,13 @@ import type { TConversation, EModelEndpoint } from 'librechat-data-provider';
 const buildDefaultConvo = ({
   conversation,
   endpoint,
+  endpointType,
   models,
   lastConversationSetup,
 }: {
   conversation: TConversation;
-  endpoint: EModelEndpoint;
+  endpoint: EModelEndpoint | string;
+  endpointType?: EModelEndpoint;
   models: string[];
   lastConversationSetup: TConversation;
 }) => {
@@ -20,6 +22,7 @@ const buildDefaultConvo = ({
     return {
       ...conversation,
       endpoint,
+      endpointType,
     };
   }
 
@@ -44,14 +47,20 @@ const buildDefaultConvo = ({
     secondaryModels = [...availableModels];
   }
 
-  const convo = parseConvo(endpoint, lastConversationSetup, {
-    models: possibleModels,
-    secondaryModels,
+  const convo = parseConvo({
+    endpoint,
+    endpointType,
+    conversation: lastConversationSetup,
+    possibleValues: {
+      models: possibleModels,
+      secondaryModels,
+    },
   });
   const defaultConvo = {
     ...conversation,
     ...convo,
     endpoint,
+    endpointType,
   };
 
   defaultConvo.tools = lastSelectedTools ?? defaultConvo.tools;
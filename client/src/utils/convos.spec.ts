@@ -0,0 +1,32 @@
+import type { TConversation } from 'librechat-data-provider';
+import { getDateGroup, groupConversationsByDate } from './convos';
+
+const now = new Date(2024, 5, 15, 12);
+
+const convo = (conversationId: string, updatedAt: Date) =>
+  ({ conversationId, updatedAt: updatedAt.toISOString() } as TConversation);
+
+describe('getDateGroup', () => {
+  it('returns the group of a date relative to now', () => {
+    expect(getDateGroup(new Date(2024, 5, 15, 0, 1), now)).toBe('com_ui_date_today');
+    expect(getDateGroup(new Date(2024, 5, 14, 23), now)).toBe('com_ui_date_yesterday');
+    expect(getDateGroup(new Date(2024, 5, 10), now)).toBe('com_ui_date_previous_7_days');
+    expect(getDateGroup(new Date(2024, 4, 20), now)).toBe('com_ui_date_previous_30_days');
+    expect(getDateGroup(new Date(2023, 0, 1), now)).toBe('com_ui_date_older');
+  });
+});
+
+describe('groupConversationsByDate', () => {
+  it('groups conversations in order and omits empty groups', () => {
+    const conversations = [
+      convo('a', new Date(2024, 5, 15, 10)),
+      convo('b', new Date(2024, 5, 15, 9)),
+      convo('c', new Date(2023, 0, 1)),
+    ];
+
+    const groups = groupConversationsByDate(conversations, now);
+
+    expect(groups.map(([group]) => group)).toEqual(['com_ui_date_today', 'com_ui_date_older']);
+    expect(groups[0][1].map((c) => c.conversationId)).toEqual(['a', 'b']);
+  });
+});
@@ -0,0 +1,45 @@
+import type { TConversation } from 'librechat-data-provider';
+
+export const dateGroups = [
+  'com_ui_date_today',
+  'com_ui_date_yesterday',
+  'com_ui_date_previous_7_days',
+  'com_ui_date_previous_30_days',
+  'com_ui_date_older',
+] as const;
+
+export type TDateGroup = (typeof dateGroups)[number];
+
+const dayInMs = 24 * 60 * 60 * 1000;
+
+/** Returns the localization key of the sidebar group a date falls in */
+export function getDateGroup(date: Date, now = new Date()): TDateGroup {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  const time = date.getTime();
+
+  if (time >= startOfToday) {
+    return 'com_ui_date_today';
+  } else if (time >= startOfToday - dayInMs) {
+    return 'com_ui_date_yesterday';
+  } else if (time >= startOfToday - 7 * dayInMs) {
+    return 'com_ui_date_previous_7_days';
+  } else if (time >= startOfToday - 30 * dayInMs) {
+    return 'com_ui_date_previous_30_days';
+  }
+  return 'com_ui_date_older';
+}
+
+/**
+ * Groups conversations by last activity (Today, Yesterday, ...), keeping their order.
+ * Empty groups are omitted.
+ */
+export function groupConversationsByDate(
+  conversations: TConversation[],
+  now = new Date(),
+): [TDateGroup, TConversation[]][] {
+  const groups = new Map<TDateGroup, TConversation[]>(dateGroups.map((group) => [group, []]));
+  for (const convo of conversations) {
+    groups.get(getDateGroup(new Date(convo.updatedAt), now))?.push(convo);
+  }
+  return [...groups.entries()].filter(([, convos]) => convos.length > 0);
+}
@@ -10,6 +10,12 @@ const getLoginError = (errorText: string) => {
     return 'com_auth_error_login_ban';
   } else if (errorText?.includes('500')) {
     return 'com_auth_error_login_server';
+  } else if (errorText?.includes('Email not verified')) {
+    return 'com_auth_error_login_unverified';
+  } else if (errorText?.includes('Invalid code')) {
+    return 'com_auth_2fa_invalid_code';
+  } else if (errorText?.includes('login expired')) {
+    return 'com_auth_2fa_expired';
   } else {
     return defaultError;
   }
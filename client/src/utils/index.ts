@@ -1,5 +1,9 @@
 export * from './json';
+export * from './convos';
 export * from './presets';
+export * from './streams';
+export * from './sources';
+export * from './searchTerms';
 export * from './languages';
 export { default as cn } from './cn';
 export { default as buildTree } from './buildTree';
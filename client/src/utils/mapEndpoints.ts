@@ -1,4 +1,4 @@
-import { defaultEndpoints } from 'librechat-data-provider';
+import { defaultEndpoints, EModelEndpoint } from 'librechat-data-provider';
 import type { TEndpointsConfig } from 'librechat-data-provider';
 
 const getEndpointsFilter = (config: TEndpointsConfig) => {
@@ -9,12 +9,27 @@ const getEndpointsFilter = (config: TEndpointsConfig) => {
   return filter;
 };
 
-const getAvailableEndpoints = (filter: Record<string, boolean>) => {
-  const endpoints = defaultEndpoints;
-  return endpoints.filter((endpoint) => filter[endpoint]);
+const getAvailableEndpoints = (
+  filter: Record<string, boolean>,
+  config: TEndpointsConfig,
+): (EModelEndpoint | string)[] => {
+  const endpoints: (EModelEndpoint | string)[] = defaultEndpoints.filter(
+    (endpoint) => filter[endpoint],
+  );
+
+  /* Endpoints defined in the custom config file */
+  for (const key of Object.keys(config)) {
+    if (filter[key] && config[key]?.type === EModelEndpoint.custom) {
+      endpoints.push(key);
+    }
+  }
+
+  return endpoints;
 };
 
 export default function mapEndpoints(config: TEndpointsConfig) {
   const filter = getEndpointsFilter(config);
-  return getAvailableEndpoints(filter).sort((a, b) => config[a].order - config[b].order);
+  return getAvailableEndpoints(filter, config).sort(
+    (a, b) => (config[a]?.order ?? 0) - (config[b]?.order ?? 0),
+  );
 }
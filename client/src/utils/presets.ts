@@ -15,6 +15,7 @@ export const getPresetIcon = (preset: TPreset, Icon) => {
 export const getPresetTitle = (preset: TPreset) => {
   const {
     endpoint,
+    endpointType,
     title: presetTitle,
     model,
     chatGptLabel,
@@ -26,9 +27,13 @@ export const getPresetTitle = (preset: TPreset) => {
   let modelInfo = model || '';
   let label = '';
 
-  if (endpoint && [EModelEndpoint.azureOpenAI, EModelEndpoint.openAI].includes(endpoint)) {
+  const _endpoint = (endpointType ?? endpoint) as EModelEndpoint | null;
+  if (
+    _endpoint &&
+    [EModelEndpoint.azureOpenAI, EModelEndpoint.openAI, EModelEndpoint.custom].includes(_endpoint)
+  ) {
     label = chatGptLabel || '';
-  } else if (endpoint && [EModelEndpoint.google, EModelEndpoint.anthropic].includes(endpoint)) {
+  } else if (_endpoint && [EModelEndpoint.google, EModelEndpoint.anthropic].includes(_endpoint)) {
     label = modelLabel || '';
   } else if (endpoint === EModelEndpoint.bingAI) {
     modelInfo = jailbreak ? 'Sydney' : modelInfo;
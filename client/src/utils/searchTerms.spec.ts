@@ -0,0 +1,73 @@
+import type { Root } from 'hast';
+import { getTermsRegex, splitByTerms, rehypeMarkTerms, markClassName } from './searchTerms';
+
+describe('getTermsRegex', () => {
+  it('matches the words starting with the terms of the query', () => {
+    const regex = getTermsRegex('run "Paris" -draft') as RegExp;
+
+    expect('Running to paris, then rerun the draft'.match(regex)).toEqual(['Running', 'paris']);
+  });
+
+  it('escapes the terms and returns null without terms', () => {
+    expect('Costs ($) matter'.match(getTermsRegex('($)') as RegExp)).toEqual(['($)']);
+    expect(getTermsRegex(' -draft "" ')).toBeNull();
+  });
+});
+
+describe('splitByTerms', () => {
+  it('splits a text around the matched terms', () => {
+    expect(splitByTerms('A trip to Paris', getTermsRegex('trip paris') as RegExp)).toEqual([
+      { text: 'A ', isMatch: false },
+      { text: 'trip', isMatch: true },
+      { text: ' to ', isMatch: false },
+      { text: 'Paris', isMatch: true },
+    ]);
+  });
+});
+
+describe('rehypeMarkTerms', () => {
+  it('marks the matched terms outside of code', () => {
+    const tree: Root = {
+      type: 'root',
+      children: [
+        {
+          type: 'element',
+          tagName: 'p',
+          properties: {},
+          children: [
+            { type: 'text', value: 'Run it: ' },
+            {
+              type: 'element',
+              tagName: 'code',
+              properties: {},
+              children: [{ type: 'text', value: 'run()' }],
+            },
+          ],
+        },
+      ],
+    };
+
+    rehypeMarkTerms(getTermsRegex('run') as RegExp)(tree);
+
+    expect(tree.children[0]).toEqual({
+      type: 'element',
+      tagName: 'p',
+      properties: {},
+      children: [
+        {
+          type: 'element',
+          tagName: 'mark',
+          properties: { className: markClassName },
+          children: [{ type: 'text', value: 'Run' }],
+        },
+        { type: 'text', value: ' it: ' },
+        {
+          type: 'element',
+          tagName: 'code',
+          properties: {},
+          children: [{ type: 'text', value: 'run()' }],
+        },
+      ],
+    });
+  });
+});
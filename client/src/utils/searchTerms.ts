@@ -0,0 +1,86 @@
+import type { Root, Element, ElementContent } from 'hast';
+
+/** The classes of the `<mark>` around the terms highlighted in a search hit */
+export const markClassName = 'rounded-sm bg-yellow-200 text-inherit dark:bg-yellow-500/40';
+
+/** Tags whose text is not highlighted */
+const skippedTags = new Set(['code', 'pre', 'math']);
+
+const escapeRegExp = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds the regex matching the words that start with the terms of a search query,
+ * as the search providers match prefixes. Quotes are ignored, and excluded terms (`-term`) skipped.
+ */
+export function getTermsRegex(query: string): RegExp | null {
+  const terms = query
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith('-'))
+    .map((term) => term.replace(/"/g, ''))
+    .filter(Boolean)
+    .map(escapeRegExp);
+
+  if (!terms.length) {
+    return null;
+  }
+
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+}
+
+/** Splits a text around the matches of `regex`, in order */
+export function splitByTerms(text: string, regex: RegExp): { text: string; isMatch: boolean }[] {
+  const parts: { text: string; isMatch: boolean }[] = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(regex)) {
+    const index = match.index ?? 0;
+    if (!match[0]) {
+      continue;
+    }
+    if (index > lastIndex) {
+      parts.push({ text: text.slice(lastIndex, index), isMatch: false });
+    }
+    parts.push({ text: match[0], isMatch: true });
+    lastIndex = index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    parts.push({ text: text.slice(lastIndex), isMatch: false });
+  }
+
+  return parts;
+}
+
+function markTerms(parent: Root | Element, regex: RegExp) {
+  const children: ElementContent[] = [];
+
+  for (const child of parent.children as ElementContent[]) {
+    if (child.type === 'element' && !skippedTags.has(child.tagName)) {
+      markTerms(child, regex);
+    }
+    if (child.type !== 'text') {
+      children.push(child);
+      continue;
+    }
+
+    for (const { text, isMatch } of splitByTerms(child.value, regex)) {
+      if (!isMatch) {
+        children.push({ type: 'text', value: text });
+        continue;
+      }
+      children.push({
+        type: 'element',
+        tagName: 'mark',
+        properties: { className: markClassName },
+        children: [{ type: 'text', value: text }],
+      });
+    }
+  }
+
+  parent.children = children;
+}
+
+/** Rehype plugin wrapping the matches of `regex` in `<mark>`, outside of code and math */
+export const rehypeMarkTerms = (regex: RegExp) => (tree: Root) => {
+  markTerms(tree, regex);
+};
@@ -0,0 +1,21 @@
+import { formatSourceFootnotes } from './sources';
+
+describe('formatSourceFootnotes', () => {
+  it('formats the sources as footnote definitions', () => {
+    const footnotes = formatSourceFootnotes([
+      { id: 1, file_id: 'file-1', filename: 'report.pdf', text: 'Revenue grew\nby 12%.' },
+      { id: 2, file_id: 'file-2', filename: 'notes_v2.md', text: 'x'.repeat(250) },
+    ]);
+
+    expect(footnotes).toBe(
+      `\n\n[^1]: **report\\.pdf**: "Revenue grew by 12%\\."\n[^2]: **notes\\_v2\\.md**: "${'x'.repeat(
+        200,
+      )}…"`,
+    );
+  });
+
+  it('returns an empty string without sources', () => {
+    expect(formatSourceFootnotes(undefined)).toBe('');
+    expect(formatSourceFootnotes([])).toBe('');
+  });
+});
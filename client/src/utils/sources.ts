@@ -0,0 +1,24 @@
+import type { TMessageSource } from 'librechat-data-provider';
+
+const excerptLength = 200;
+
+const escapeMarkdown = (text: string) => text.replace(/([\\`*_{}[\]()#+\-.!|<>~^$])/g, '\\$1');
+
+/**
+ * Formats the sources retrieved for a response as Markdown footnote definitions,
+ * rendered for the footnote references the response cites them with, such as `[^1]`.
+ */
+export function formatSourceFootnotes(sources?: TMessageSource[]): string {
+  if (!sources?.length) {
+    return '';
+  }
+
+  const footnotes = sources.map(({ id, filename, text }) => {
+    const excerpt = text.replace(/\s+/g, ' ').trim();
+    const quote =
+      excerpt.length > excerptLength ? `${excerpt.slice(0, excerptLength).trimEnd()}…` : excerpt;
+    return `[^${id}]: **${escapeMarkdown(filename)}**: "${escapeMarkdown(quote)}"`;
+  });
+
+  return `\n\n${footnotes.join('\n')}`;
+}
@@ -0,0 +1,64 @@
+import type { TMessage } from 'librechat-data-provider';
+import {
+  getActiveStream,
+  setActiveStream,
+  clearActiveStream,
+  createResumeSubmission,
+} from './streams';
+
+const message = (messageId: string, parentMessageId: string, fields: Partial<TMessage> = {}) =>
+  ({
+    messageId,
+    parentMessageId,
+    conversationId: 'convo-id',
+    sender: 'User',
+    text: messageId,
+    isCreatedByUser: true,
+    error: false,
+    ...fields,
+  } as TMessage);
+
+const activeStream = { streamId: 'stream-id', conversationId: 'convo-id', messageId: 'user-2' };
+
+describe('active stream', () => {
+  afterEach(() => clearActiveStream());
+
+  it('is kept in the session storage until cleared', () => {
+    expect(getActiveStream()).toBeNull();
+
+    setActiveStream(activeStream);
+    expect(getActiveStream()).toEqual(activeStream);
+
+    clearActiveStream();
+    expect(getActiveStream()).toBeNull();
+  });
+});
+
+describe('createResumeSubmission', () => {
+  it('leaves out the user message and its partial response, which the stream sends again', () => {
+    const messages = [
+      message('user-1', '00000000-0000-0000-0000-000000000000'),
+      message('response-1', 'user-1', { isCreatedByUser: false }),
+      message('user-2', 'response-1'),
+      message('response-2', 'user-2', {
+        sender: 'GPT-4',
+        text: 'Partial',
+        isCreatedByUser: false,
+        unfinished: true,
+      }),
+    ];
+
+    const submission = createResumeSubmission(activeStream, messages, {
+      conversationId: 'convo-id',
+      endpoint: 'openAI',
+    });
+
+    expect(submission.streamId).toBe('stream-id');
+    expect(submission.message).toBe(messages[2]);
+    expect(submission.messages).toEqual(messages.slice(0, 2));
+    expect(submission.endpointOption.endpoint).toBe('openAI');
+    expect(submission.initialResponse).toEqual(
+      expect.objectContaining({ sender: 'GPT-4', text: 'Partial', parentMessageId: 'user-2' }),
+    );
+  });
+});
@@ -0,0 +1,78 @@
+import type {
+  TMessage,
+  TSubmission,
+  TConversation,
+  TEndpointOption,
+} from 'librechat-data-provider';
+
+const activeStreamKey = 'activeStream';
+
+export type TActiveStream = {
+  streamId: string;
+  conversationId: string;
+  /** The id of the user message being responded to */
+  messageId: string;
+};
+
+/** Gets the generation stream of this tab that has not finished yet, if any */
+export function getActiveStream(): TActiveStream | null {
+  try {
+    return JSON.parse(sessionStorage.getItem(activeStreamKey) ?? 'null');
+  } catch (error) {
+    return null;
+  }
+}
+
+export function setActiveStream(activeStream: TActiveStream) {
+  sessionStorage.setItem(activeStreamKey, JSON.stringify(activeStream));
+}
+
+export function clearActiveStream() {
+  sessionStorage.removeItem(activeStreamKey);
+}
+
+/**
+ * Creates the submission to resume an active stream with, from the messages saved so far.
+ * The user message and its partial response are left out of the messages,
+ * as the stream sends them again.
+ */
+export function createResumeSubmission(
+  { streamId, conversationId, messageId }: TActiveStream,
+  messages: TMessage[],
+  conversation: Partial<TConversation>,
+): TSubmission {
+  const message = messages.find((msg) => msg.messageId === messageId);
+  const partialResponse = messages.find(
+    (msg) => msg.parentMessageId === messageId && msg.unfinished,
+  );
+
+  return {
+    streamId,
+    conversation,
+    endpointOption: {
+      endpoint: conversation.endpoint,
+      endpointType: conversation.endpointType,
+    } as TEndpointOption,
+    message: message ?? {
+      messageId,
+      conversationId,
+      parentMessageId: null,
+      sender: 'User',
+      text: '',
+      isCreatedByUser: true,
+      error: false,
+    },
+    messages: messages.filter((msg) => msg !== message && msg !== partialResponse),
+    initialResponse: {
+      sender: partialResponse?.sender ?? '',
+      text: partialResponse?.text ?? '',
+      parentMessageId: messageId,
+      messageId: `${messageId}_`,
+      conversationId,
+      unfinished: false,
+      submitting: true,
+      isCreatedByUser: false,
+      error: false,
+    },
+  };
+}
@@ -1,7 +1,15 @@
+import type { TConversationFilters, TSearchFilters } from './types';
+import type { TFileFilters } from './types/files';
+
 export const user = () => '/api/user';
 
 export const balance = () => '/api/balance';
 
+export const balanceHistory = (pageNumber: number) =>
+  `/api/balance/history?pageNumber=${pageNumber}`;
+
+export const usage = (params: string) => `/api/balance/usage?${params}`;
+
 export const userPlugins = () => '/api/user/plugins';
 
 export const messages = (conversationId: string, messageId?: string) =>
@@ -19,7 +27,40 @@ export const revokeAllUserKeys = () => `${keysEndpoint}?all=true`;
 
 export const abortRequest = (endpoint: string) => `/api/ask/${endpoint}/abort`;
 
-export const conversations = (pageNumber: string) => `/api/convos?pageNumber=${pageNumber}`;
+export const conversations = (cursor?: string | null, filters?: TConversationFilters) => {
+  const params = new URLSearchParams();
+  if (cursor) {
+    params.append('cursor', cursor);
+  }
+  if (filters?.isArchived) {
+    params.append('archived', 'true');
+  }
+  filters?.tags?.forEach((tag) => params.append('tags', tag));
+  if (typeof filters?.isPinned === 'boolean') {
+    params.append('pinned', `${filters.isPinned}`);
+  }
+  if (filters?.endpoint) {
+    params.append('endpoint', filters.endpoint);
+  }
+  if (filters?.startDate) {
+    params.append('startDate', filters.startDate);
+  }
+  if (filters?.endDate) {
+    params.append('endDate', filters.endDate);
+  }
+  return `/api/convos?${params.toString()}`;
+};
+
+export const conversationTags = (tag?: string) =>
+  `/api/convos/tags${tag ? `/${encodeURIComponent(tag)}` : ''}`;
+
+export const bulkUpdateConversations = () => '/api/convos/bulk';
+
+export const archiveConversation = () => '/api/convos/archive';
+
+export const unarchiveConversation = () => '/api/convos/unarchive';
+
+export const genTitle = () => '/api/convos/gen_title';
 
 export const conversationById = (id: string) => `/api/convos/${id}`;
 
@@ -27,8 +68,13 @@ export const updateConversation = () => '/api/convos/update';
 
 export const deleteConversation = () => '/api/convos/clear';
 
-export const search = (q: string, pageNumber: string) =>
-  `/api/search?q=${q}&pageNumber=${pageNumber}`;
+export const importConversations = () => '/api/convos/import';
+
+export const search = (q: string, pageNumber: string, filters: TSearchFilters = {}) => {
+  const params = new URLSearchParams({ q, pageNumber });
+  Object.entries(filters).forEach(([key, value]) => value && params.append(key, value));
+  return `/api/search?${params.toString()}`;
+};
 
 export const searchEnabled = () => '/api/search/enable';
 
@@ -42,6 +88,8 @@ export const endpointsConfigOverride = () => '/api/endpoints/config/override';
 
 export const models = () => '/api/models';
 
+export const modelRates = () => '/api/models/rates';
+
 export const tokenizer = () => '/api/tokenizer';
 
 export const login = () => '/api/auth/login';
@@ -56,10 +104,16 @@ export const loginGoogle = () => '/api/auth/google';
 
 export const refreshToken = (retry?: boolean) => `/api/auth/refresh${retry ? '?retry=true' : ''}`;
 
+export const verifyEmail = () => '/api/auth/verify';
+
+export const resendVerificationEmail = () => '/api/auth/verify/resend';
+
 export const requestPasswordReset = () => '/api/auth/requestPasswordReset';
 
 export const resetPassword = () => '/api/auth/resetPassword';
 
+export const twoFactor = (action: string) => `/api/auth/2fa/${action}`;
+
 export const plugins = () => '/api/plugins';
 
 export const config = () => '/api/config';
@@ -68,4 +122,27 @@ export const assistants = (id?: string) => `/api/assistants${id ? `/${id}` : ''}
 
 export const files = () => '/api/files';
 
+export const listFiles = (cursor?: string | null, filters?: TFileFilters) => {
+  const params = new URLSearchParams();
+  if (cursor) {
+    params.append('cursor', cursor);
+  }
+  if (filters?.type) {
+    params.append('type', filters.type);
+  }
+  if (filters?.search) {
+    params.append('search', filters.search);
+  }
+  return `${files()}?${params.toString()}`;
+};
+
+export const fileStorage = () => `${files()}/storage`;
+
 export const images = () => `${files()}/images`;
+
+export const shares = (shareId?: string) => `/api/share${shareId ? `/${shareId}` : ''}`;
+
+export const adminUsers = (userId?: string, action?: string) =>
+  `/api/admin/users${userId ? `/${userId}` : ''}${action ? `/${action}` : ''}`;
+
+export const adminUsage = (params: string) => `/api/admin/usage?${params}`;
@@ -0,0 +1,107 @@
+import { z } from 'zod';
+import { EModelEndpoint } from './schemas';
+
+export const endpointSchema = z.object({
+  name: z.string().refine((value) => !(Object.values(EModelEndpoint) as string[]).includes(value), {
+    message: `Value cannot be one of the default endpoint (EModelEndpoint) values: ${Object.values(
+      EModelEndpoint,
+    ).join(', ')}`,
+  }),
+  apiKey: z.string(),
+  baseURL: z.string(),
+  models: z.object({
+    default: z.array(z.string()).min(1),
+    fetch: z.boolean().optional(),
+  }),
+  titleConvo: z.boolean().optional(),
+  titleModel: z.string().optional(),
+  summarize: z.boolean().optional(),
+  summaryModel: z.string().optional(),
+  iconURL: z.string().optional(),
+  modelDisplayLabel: z.string().optional(),
+  headers: z.record(z.string()).optional(),
+});
+
+export const azureModelSchema = z.union([
+  z.boolean(),
+  z.object({
+    deploymentName: z.string(),
+    version: z.string().optional(),
+  }),
+]);
+
+export const azureGroupSchema = z.object({
+  group: z.string(),
+  apiKey: z.string(),
+  instanceName: z.string(),
+  version: z.string(),
+  models: z.record(azureModelSchema),
+});
+
+export const azureEndpointSchema = z.object({
+  groups: z.array(azureGroupSchema).min(1),
+});
+
+const isValidRegex = (pattern: string) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const pricingSchema = z
+  .object({
+    /** The model name, a prefix of it, or a regular expression, depending on `match` */
+    model: z.string(),
+    match: z.enum(['exact', 'prefix', 'regex']).optional(),
+    /** Only applies the rate to this endpoint */
+    endpoint: z.string().optional(),
+    /** Token credits per prompt token; 1 credit per token is $1 per million tokens */
+    prompt: z.number().nonnegative(),
+    /** Token credits per completion token */
+    completion: z.number().nonnegative(),
+    /** Only applies the rate to transactions made from this date */
+    effectiveDate: z.coerce.date().optional(),
+  })
+  .refine(({ model, match }) => match !== 'regex' || isValidRegex(model), {
+    message: 'Invalid regular expression',
+    path: ['model'],
+  });
+
+export const configSchema = z.object({
+  version: z.string(),
+  cache: z.boolean().optional(),
+  endpoints: z
+    .object({
+      [EModelEndpoint.azureOpenAI]: azureEndpointSchema.optional(),
+      [EModelEndpoint.custom]: z.array(endpointSchema).optional(),
+    })
+    .strict()
+    .optional(),
+  pricing: z.array(pricingSchema).optional(),
+});
+
+export type TCustomConfig = z.infer<typeof configSchema>;
+
+export type TCustomEndpoint = z.infer<typeof endpointSchema>;
+
+export type TAzureGroup = z.infer<typeof azureGroupSchema>;
+
+export type TPricing = z.infer<typeof pricingSchema>;
+
+/** Matches values written as `${ENV_VAR_NAME}` in the config file */
+export const envVarRegex = /^\${(.+)}$/;
+
+/**
+ * Resolves a config value written as `${ENV_VAR_NAME}` to the value of that
+ * environment variable; any other value is returned as is.
+ */
+export function extractEnvVariable(value: string) {
+  const envVarMatch = value.match(envVarRegex);
+  if (envVarMatch) {
+    return process.env[envVarMatch[1]] || value;
+  }
+  return value;
+}
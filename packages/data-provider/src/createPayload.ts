@@ -5,9 +5,12 @@ import { EModelEndpoint, EndpointURLs } from './types';
 export default function createPayload(submission: TSubmission) {
   const { conversation, message, messages, endpointOption, isEdited, isContinued } = submission;
   const { conversationId } = tConversationSchema.parse(conversation);
-  const { endpoint } = endpointOption as { endpoint: EModelEndpoint };
+  const { endpoint, endpointType } = endpointOption as {
+    endpoint: EModelEndpoint;
+    endpointType?: EModelEndpoint;
+  };
 
-  let server = EndpointURLs[endpoint];
+  let server = EndpointURLs[endpointType ?? endpoint];
 
   if (isEdited && endpoint === EModelEndpoint.assistant) {
     server += '/modify';
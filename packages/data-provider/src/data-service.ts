@@ -1,13 +1,33 @@
 import * as f from './types/files';
 import * as m from './types/mutations';
 import * as a from './types/assistants';
+import * as sh from './types/share';
+import * as ad from './types/admin';
+import * as u from './types/usage';
 import * as t from './types';
 import * as s from './schemas';
 import request from './request';
 import * as endpoints from './api-endpoints';
 
-export function getConversations(pageNumber: string): Promise<t.TGetConversationsResponse> {
-  return request.get(endpoints.conversations(pageNumber));
+export function getConversations(
+  cursor?: string | null,
+  filters?: t.TConversationFilters,
+): Promise<t.TGetConversationsResponse> {
+  return request.get(endpoints.conversations(cursor, filters));
+}
+
+export function getConversationTags(): Promise<t.TConversationTag[]> {
+  return request.get(endpoints.conversationTags());
+}
+
+export function deleteConversationTag(tag: string): Promise<t.TBulkUpdateConvosResponse> {
+  return request.delete(endpoints.conversationTags(tag));
+}
+
+export function bulkUpdateConversations(
+  payload: t.TBulkUpdateConvosRequest,
+): Promise<t.TBulkUpdateConvosResponse> {
+  return request.post(endpoints.bulkUpdateConversations(), { arg: payload });
 }
 
 export function abortRequestWithMessage(
@@ -18,6 +38,22 @@ export function abortRequestWithMessage(
   return request.post(endpoints.abortRequest(endpoint), { arg: { abortKey, message } });
 }
 
+export function archiveConversation(
+  payload: t.TArchiveConversationRequest,
+): Promise<t.TBulkUpdateConvosResponse> {
+  return request.post(endpoints.archiveConversation(), { arg: payload });
+}
+
+export function unarchiveConversation(
+  payload: t.TArchiveConversationRequest,
+): Promise<t.TBulkUpdateConvosResponse> {
+  return request.post(endpoints.unarchiveConversation(), { arg: payload });
+}
+
+export function genTitle(payload: t.TGenTitleRequest): Promise<s.TConversation> {
+  return request.post(endpoints.genTitle(), { arg: payload });
+}
+
 export function deleteConversation(payload: t.TDeleteConversationRequest) {
   //todo: this should be a DELETE request
   return request.post(endpoints.deleteConversation(), { arg: payload });
@@ -98,11 +134,25 @@ export function getUserBalance(): Promise<string> {
   return request.get(endpoints.balance());
 }
 
+export function getBalanceHistory(pageNumber = 1): Promise<u.TBalanceHistoryResponse> {
+  return request.get(endpoints.balanceHistory(pageNumber));
+}
+
+const toUsageParams = (params: u.TUsageParams) =>
+  new URLSearchParams(
+    Object.entries(params).filter((entry): entry is [string, string] => !!entry[1]),
+  ).toString();
+
+export function getUsage(params: u.TUsageParams = {}): Promise<u.TUsageStat[]> {
+  return request.get(endpoints.usage(toUsageParams(params)));
+}
+
 export const searchConversations = async (
   q: string,
   pageNumber: string,
+  filters?: t.TSearchFilters,
 ): Promise<t.TSearchResults> => {
-  return request.get(endpoints.search(q, pageNumber));
+  return request.get(endpoints.search(q, pageNumber, filters));
 };
 
 export const updateTokenCount = (text: string) => {
@@ -117,10 +167,20 @@ export const logout = () => {
   return request.post(endpoints.logout());
 };
 
-export const register = (payload: t.TRegisterUser) => {
+export const register = (payload: t.TRegisterUser): Promise<t.TRegisterUserResponse> => {
   return request.post(endpoints.register(), payload);
 };
 
+export const verifyEmail = (payload: t.TVerifyEmail): Promise<{ message: string }> => {
+  return request.post(endpoints.verifyEmail(), payload);
+};
+
+export const resendVerificationEmail = (
+  payload: t.TResendVerificationEmail,
+): Promise<{ message: string }> => {
+  return request.post(endpoints.resendVerificationEmail(), payload);
+};
+
 export const userKeyQuery = (name: string): Promise<t.TCheckUserKeyResponse> =>
   request.get(endpoints.userKeyQuery(name));
 
@@ -138,6 +198,31 @@ export const resetPassword = (payload: t.TResetPassword) => {
   return request.post(endpoints.resetPassword(), payload);
 };
 
+export const loginTwoFactor = (payload: t.TTwoFactorLogin): Promise<t.TLoginResponse> => {
+  return request.post(endpoints.twoFactor('login'), payload);
+};
+
+export const enableTwoFactor = (tempToken?: string): Promise<t.TTwoFactorSetupResponse> => {
+  return request.post(endpoints.twoFactor('enable'), { tempToken });
+};
+
+export const confirmTwoFactor = (payload: {
+  code: string;
+  tempToken?: string;
+}): Promise<t.TTwoFactorConfirmResponse> => {
+  return request.post(endpoints.twoFactor('confirm'), payload);
+};
+
+export const disableTwoFactor = (payload: t.TTwoFactorCode): Promise<{ message: string }> => {
+  return request.post(endpoints.twoFactor('disable'), payload);
+};
+
+export const regenerateBackupCodes = (payload: {
+  code: string;
+}): Promise<{ backupCodes: string[] }> => {
+  return request.post(endpoints.twoFactor('backup-codes'), payload);
+};
+
 export const getAvailablePlugins = (): Promise<s.TPlugin[]> => {
   return request.get(endpoints.plugins());
 };
@@ -160,6 +245,10 @@ export const getModels = async (): Promise<t.TModelsConfig> => {
   return request.get(endpoints.models());
 };
 
+export const getModelRates = async (): Promise<t.TModelRates> => {
+  return request.get(endpoints.modelRates());
+};
+
 export const getEndpointsConfigOverride = (): Promise<unknown | boolean> => {
   return request.get(endpoints.endpointsConfigOverride());
 };
@@ -191,13 +280,123 @@ export const listAssistants = (
   return request.get(endpoints.assistants(), { params });
 };
 
+/* Import */
+
+export const importConversationsFile = (
+  data: FormData,
+): Promise<m.TImportConversationsResponse> => {
+  return request.postMultiPart(endpoints.importConversations(), data);
+};
+
 /* Files */
 
 export const uploadImage = (data: FormData): Promise<f.FileUploadResponse> => {
   return request.postMultiPart(endpoints.images(), data);
 };
 
+export const uploadFile = (data: FormData): Promise<f.FileUploadResponse> => {
+  return request.postMultiPart(endpoints.files(), data);
+};
+
+export const getFiles = (
+  cursor?: string | null,
+  filters?: f.TFileFilters,
+): Promise<f.TGetFilesResponse> => {
+  return request.get(endpoints.listFiles(cursor, filters));
+};
+
+export const getFileStorage = (): Promise<f.TFileStorage> => {
+  return request.get(endpoints.fileStorage());
+};
+
 export const deleteFiles = async (files: f.BatchFile[]): Promise<f.DeleteFilesResponse> =>
   request.deleteWithOptions(endpoints.files(), {
     data: { files },
   });
+
+/* Shared links */
+
+export const getSharedLinks = (): Promise<sh.TSharedLink[]> => {
+  return request.get(endpoints.shares());
+};
+
+export const getSharedLink = (shareId: string): Promise<sh.TSharedLinkWithMessages> => {
+  return request.get(endpoints.shares(shareId));
+};
+
+export const createSharedLink = (data: sh.TCreateSharedLinkRequest): Promise<sh.TSharedLink> => {
+  return request.post(endpoints.shares(), data);
+};
+
+export const updateSharedLink = (shareId: string): Promise<sh.TSharedLink> => {
+  return request.patch(endpoints.shares(shareId));
+};
+
+export const deleteSharedLink = (shareId: string): Promise<void> => {
+  return request.delete(endpoints.shares(shareId));
+};
+
+/* Admin */
+
+export const getAdminUsers = (search = '', pageNumber = 1): Promise<ad.TAdminUsersResponse> => {
+  const params = new URLSearchParams({ pageNumber: `${pageNumber}` });
+  if (search) {
+    params.append('search', search);
+  }
+  return request.get(`${endpoints.adminUsers()}?${params.toString()}`);
+};
+
+export const createAdminUser = (data: ad.TAdminCreateUserRequest): Promise<ad.TAdminUser> => {
+  return request.post(endpoints.adminUsers(), data);
+};
+
+export const deleteAdminUser = (userId: string): Promise<void> => {
+  return request.delete(endpoints.adminUsers(userId));
+};
+
+export const setAdminUserDisabled = ({
+  userId,
+  disabled,
+}: {
+  userId: string;
+  disabled: boolean;
+}): Promise<ad.TAdminUser> => {
+  return request.post(endpoints.adminUsers(userId, disabled ? 'disable' : 'enable'));
+};
+
+export const resetAdminUserPassword = ({
+  userId,
+  password,
+}: ad.TAdminResetPasswordRequest): Promise<void> => {
+  return request.post(endpoints.adminUsers(userId, 'password'), { password });
+};
+
+export const addAdminUserBalance = ({
+  userId,
+  amount,
+}: ad.TAdminAddBalanceRequest): Promise<{ balance: number }> => {
+  return request.post(endpoints.adminUsers(userId, 'balance'), { amount });
+};
+
+export const getAdminUserViolations = (userId: string): Promise<ad.TViolation[]> => {
+  return request.get(endpoints.adminUsers(userId, 'violations'));
+};
+
+export const banAdminUser = ({
+  userId,
+  duration,
+}: ad.TAdminBanUserRequest): Promise<{ bannedUntil: string }> => {
+  return request.post(endpoints.adminUsers(userId, 'ban'), { duration });
+};
+
+export const unbanAdminUser = (userId: string): Promise<void> => {
+  return request.delete(endpoints.adminUsers(userId, 'ban'));
+};
+
+export const resetAdminUserTwoFactor = (userId: string): Promise<void> => {
+  return request.delete(endpoints.adminUsers(userId, '2fa'));
+};
+
+export const getAdminUsage = (params: u.TUsageParams = {}): Promise<u.TUsageStat[]> => {
+  return request.get(endpoints.adminUsage(toUsageParams(params)));
+};
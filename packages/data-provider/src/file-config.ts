@@ -0,0 +1,44 @@
+export const imageMimeTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+
+/** Extensions of the documents whose text is extracted on upload, to add it to the chat context */
+export const documentExtensions = [
+  '.pdf',
+  '.docx',
+  '.txt',
+  '.md',
+  '.csv',
+  '.json',
+  '.xml',
+  '.yaml',
+  '.yml',
+  '.html',
+  '.css',
+  '.js',
+  '.jsx',
+  '.ts',
+  '.tsx',
+  '.py',
+  '.java',
+  '.c',
+  '.cpp',
+  '.h',
+  '.cs',
+  '.go',
+  '.rb',
+  '.php',
+  '.rs',
+  '.swift',
+  '.kt',
+  '.sh',
+  '.sql',
+];
+
+export const fileSizeLimit = 20 * 1024 * 1024; // 20 MB
+
+export const getFileExtension = (filename: string) => {
+  const index = filename.lastIndexOf('.');
+  return index > 0 ? filename.slice(index).toLowerCase() : '';
+};
+
+export const isDocumentFile = (filename: string) =>
+  documentExtensions.includes(getFileExtension(filename));
@@ -1,8 +1,15 @@
+/* config */
+export * from './config';
+export * from './roles';
+export * from './file-config';
 /* types/schemas/schema helpers */
 export * from './types';
 export * from './types/assistants';
 export * from './types/files';
 export * from './types/mutations';
+export * from './types/share';
+export * from './types/admin';
+export * from './types/usage';
 export * from './keys';
 /* api call helpers */
 export * from './headers-helpers';
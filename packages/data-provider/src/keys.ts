@@ -16,12 +16,33 @@ export enum QueryKeys {
   assistants = 'assistants',
   assistant = 'assistant',
   endpointsConfigOverride = 'endpointsConfigOverride',
+  sharedLinks = 'sharedLinks',
+  sharedLink = 'sharedLink',
+  conversationTags = 'conversationTags',
+  adminUsers = 'adminUsers',
+  adminUserViolations = 'adminUserViolations',
+  balanceHistory = 'balanceHistory',
+  usage = 'usage',
+  adminUsage = 'adminUsage',
+  files = 'files',
+  fileStorage = 'fileStorage',
 }
 
 export enum MutationKeys {
   imageUpload = 'imageUpload',
+  fileUpload = 'fileUpload',
   fileDelete = 'fileDelete',
   updatePreset = 'updatePreset',
   deletePreset = 'deletePreset',
   logoutUser = 'logoutUser',
+  createSharedLink = 'createSharedLink',
+  updateSharedLink = 'updateSharedLink',
+  deleteSharedLink = 'deleteSharedLink',
+  importConversations = 'importConversations',
+  bulkUpdateConversations = 'bulkUpdateConversations',
+  deleteConversationTag = 'deleteConversationTag',
+  archiveConversation = 'archiveConversation',
+  unarchiveConversation = 'unarchiveConversation',
+  genTitle = 'genTitle',
+  adminUpdateUser = 'adminUpdateUser',
 }
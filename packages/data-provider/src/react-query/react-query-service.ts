@@ -1,10 +1,14 @@
 import {
   UseQueryOptions,
+  UseInfiniteQueryOptions,
   useQuery,
+  useInfiniteQuery,
   useMutation,
   useQueryClient,
   UseMutationResult,
   QueryObserverResult,
+  UseInfiniteQueryResult,
+  InfiniteData,
 } from '@tanstack/react-query';
 import * as t from '../types';
 import * as s from '../schemas';
@@ -96,14 +100,17 @@ export const useGetConvoIdQuery = (
     () => {
       const defaultQuery = () => dataService.getConversationById(id);
 
-      const convosQueryKey = [QueryKeys.allConversations, { pageNumber: '1', active: true }];
-      const convosQuery = queryClient.getQueryData<t.TGetConversationsResponse>(convosQueryKey);
+      const convosQueryKey = [QueryKeys.allConversations, { active: true }];
+      const convosQuery =
+        queryClient.getQueryData<InfiniteData<t.TGetConversationsResponse>>(convosQueryKey);
 
       if (!convosQuery) {
         return defaultQuery();
       }
 
-      const convo = convosQuery.conversations?.find((c) => c.conversationId === id);
+      const convo = convosQuery.pages
+        ?.flatMap((page) => page.conversations)
+        .find((c) => c.conversationId === id);
       if (convo) {
         return convo;
       }
@@ -223,14 +230,15 @@ export const useRevokeAllUserKeysMutation = (): UseMutationResult<unknown> => {
   });
 };
 
-export const useGetConversationsQuery = (
-  pageNumber: string,
-  config?: UseQueryOptions<t.TGetConversationsResponse>,
-): QueryObserverResult<t.TGetConversationsResponse> => {
-  return useQuery<t.TGetConversationsResponse>(
-    [QueryKeys.allConversations, { pageNumber, active: true }],
-    () => dataService.getConversations(pageNumber),
+export const useConversationsInfiniteQuery = (
+  config?: UseInfiniteQueryOptions<t.TGetConversationsResponse>,
+): UseInfiniteQueryResult<t.TGetConversationsResponse> => {
+  return useInfiniteQuery<t.TGetConversationsResponse>(
+    [QueryKeys.allConversations, { active: true }],
+    /* pinned conversations are listed in their own section */
+    ({ pageParam }) => dataService.getConversations(pageParam, { isPinned: false }),
     {
+      getNextPageParam: (lastPage) => lastPage.nextCursor ?? undefined,
       refetchOnReconnect: false,
       refetchOnMount: false,
       retry: 1,
@@ -309,11 +317,12 @@ export const useDeletePresetMutation = (): UseMutationResult<
 export const useSearchQuery = (
   searchQuery: string,
   pageNumber: string,
+  filters: t.TSearchFilters = {},
   config?: UseQueryOptions<t.TSearchResults>,
 ): QueryObserverResult<t.TSearchResults> => {
   return useQuery<t.TSearchResults>(
-    [QueryKeys.searchResults, pageNumber, searchQuery],
-    () => dataService.searchConversations(searchQuery, pageNumber),
+    [QueryKeys.searchResults, pageNumber, searchQuery, filters],
+    () => dataService.searchConversations(searchQuery, pageNumber, filters),
     {
       refetchOnWindowFocus: false,
       refetchOnReconnect: false,
@@ -338,7 +347,7 @@ export const useUpdateTokenCountMutation = (): UseMutationResult<
 };
 
 export const useLoginUserMutation = (): UseMutationResult<
-  t.TLoginResponse,
+  t.TLoginResult,
   unknown,
   t.TLoginUser,
   unknown
@@ -351,8 +360,66 @@ export const useLoginUserMutation = (): UseMutationResult<
   });
 };
 
-export const useRegisterUserMutation = (): UseMutationResult<
+export const useTwoFactorLoginMutation = (): UseMutationResult<
+  t.TLoginResponse,
+  unknown,
+  t.TTwoFactorLogin,
+  unknown
+> => {
+  return useMutation((payload: t.TTwoFactorLogin) => dataService.loginTwoFactor(payload));
+};
+
+export const useEnableTwoFactorMutation = (): UseMutationResult<
+  t.TTwoFactorSetupResponse,
+  unknown,
+  string | undefined,
+  unknown
+> => {
+  return useMutation((tempToken?: string) => dataService.enableTwoFactor(tempToken));
+};
+
+export const useConfirmTwoFactorMutation = (): UseMutationResult<
+  t.TTwoFactorConfirmResponse,
+  unknown,
+  { code: string; tempToken?: string },
+  unknown
+> => {
+  const queryClient = useQueryClient();
+  return useMutation(
+    (payload: { code: string; tempToken?: string }) => dataService.confirmTwoFactor(payload),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries([QueryKeys.user]);
+      },
+    },
+  );
+};
+
+export const useDisableTwoFactorMutation = (): UseMutationResult<
+  { message: string },
   unknown,
+  t.TTwoFactorCode,
+  unknown
+> => {
+  const queryClient = useQueryClient();
+  return useMutation((payload: t.TTwoFactorCode) => dataService.disableTwoFactor(payload), {
+    onSuccess: () => {
+      queryClient.invalidateQueries([QueryKeys.user]);
+    },
+  });
+};
+
+export const useRegenerateBackupCodesMutation = (): UseMutationResult<
+  { backupCodes: string[] },
+  unknown,
+  { code: string },
+  unknown
+> => {
+  return useMutation((payload: { code: string }) => dataService.regenerateBackupCodes(payload));
+};
+
+export const useRegisterUserMutation = (): UseMutationResult<
+  t.TRegisterUserResponse,
   unknown,
   t.TRegisterUser,
   unknown
@@ -426,6 +493,26 @@ export const useResetPasswordMutation = (): UseMutationResult<
   return useMutation((payload: t.TResetPassword) => dataService.resetPassword(payload));
 };
 
+export const useVerifyEmailMutation = (): UseMutationResult<
+  { message: string },
+  unknown,
+  t.TVerifyEmail,
+  unknown
+> => {
+  return useMutation((payload: t.TVerifyEmail) => dataService.verifyEmail(payload));
+};
+
+export const useResendVerificationEmailMutation = (): UseMutationResult<
+  { message: string },
+  unknown,
+  t.TResendVerificationEmail,
+  unknown
+> => {
+  return useMutation((payload: t.TResendVerificationEmail) =>
+    dataService.resendVerificationEmail(payload),
+  );
+};
+
 export const useAvailablePluginsQuery = (): QueryObserverResult<s.TPlugin[]> => {
   return useQuery<s.TPlugin[]>(
     [QueryKeys.availablePlugins],
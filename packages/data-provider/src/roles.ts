@@ -0,0 +1,5 @@
+/** Roles a user account can have; only `ADMIN` users can access `/api/admin` */
+export enum SystemRoles {
+  ADMIN = 'ADMIN',
+  USER = 'USER',
+}
@@ -9,6 +9,7 @@ export enum EModelEndpoint {
   gptPlugins = 'gptPlugins',
   anthropic = 'anthropic',
   assistant = 'assistant',
+  custom = 'custom',
 }
 
 export const defaultEndpoints: EModelEndpoint[] = [
@@ -22,7 +23,7 @@ export const defaultEndpoints: EModelEndpoint[] = [
   EModelEndpoint.anthropic,
 ];
 
-export const alternateName = {
+export const alternateName: Record<string, string> = {
   [EModelEndpoint.openAI]: 'OpenAI',
   [EModelEndpoint.assistant]: 'Assistants',
   [EModelEndpoint.azureOpenAI]: 'Azure OpenAI',
@@ -31,6 +32,7 @@ export const alternateName = {
   [EModelEndpoint.gptPlugins]: 'Plugins',
   [EModelEndpoint.google]: 'Google',
   [EModelEndpoint.anthropic]: 'Anthropic',
+  [EModelEndpoint.custom]: 'Custom',
 };
 
 export const endpointSettings = {
@@ -76,6 +78,7 @@ export const EndpointURLs: { [key in EModelEndpoint]: string } = {
   [EModelEndpoint.gptPlugins]: '/api/ask/gptPlugins',
   [EModelEndpoint.anthropic]: '/api/ask/anthropic',
   [EModelEndpoint.assistant]: '/api/assistants/chat',
+  [EModelEndpoint.custom]: '/api/ask/custom',
 };
 
 export const modularEndpoints = new Set<EModelEndpoint | string>([
@@ -83,13 +86,27 @@ export const modularEndpoints = new Set<EModelEndpoint | string>([
   EModelEndpoint.anthropic,
   EModelEndpoint.google,
   EModelEndpoint.openAI,
+  EModelEndpoint.custom,
 ]);
 
-export const supportsFiles = {
+export const supportsFiles: Record<string, boolean> = {
   [EModelEndpoint.openAI]: true,
+  [EModelEndpoint.azureOpenAI]: true,
+  [EModelEndpoint.custom]: true,
+  [EModelEndpoint.anthropic]: true,
+  [EModelEndpoint.google]: true,
+  [EModelEndpoint.gptPlugins]: true,
   [EModelEndpoint.assistant]: true,
 };
 
+/** Endpoints accepting image attachments, the others only accept documents */
+export const supportsImages: Record<string, boolean> = {
+  [EModelEndpoint.openAI]: true,
+  [EModelEndpoint.assistant]: true,
+  [EModelEndpoint.anthropic]: true,
+  [EModelEndpoint.google]: true,
+};
+
 export const openAIModels = [
   'gpt-3.5-turbo-16k-0613',
   'gpt-3.5-turbo-16k',
@@ -107,10 +124,35 @@ export const openAIModels = [
   'gpt-4-0314',
 ];
 
-export const visionModels = ['gpt-4-vision', 'llava-13b'];
+export const visionModels = ['gpt-4-vision', 'llava-13b', 'gemini-pro-vision', 'claude-3'];
+
+/** Whether the model accepts image inputs */
+export const validateVisionModel = (model?: string | null) =>
+  !!model && visionModels.some((visionModel) => model.includes(visionModel));
+
+/**
+ * Endpoints switching to a vision model when images are attached,
+ * such as `gpt-4-vision-preview` for OpenAI and `gemini-pro-vision` for Gemini models.
+ */
+const visionModelFallbacks: Record<string, ((model: string) => boolean) | undefined> = {
+  [EModelEndpoint.openAI]: () => true,
+  [EModelEndpoint.assistant]: () => true,
+  [EModelEndpoint.google]: (model) => model.includes('gemini'),
+};
+
+/** Whether images can be attached to the messages of the endpoint and model */
+export const supportsImageInput = (endpoint?: string | null, model?: string | null) => {
+  if (!endpoint || !supportsImages[endpoint]) {
+    return false;
+  }
+  return validateVisionModel(model) || !!visionModelFallbacks[endpoint]?.(model ?? '');
+};
 
 export const eModelEndpointSchema = z.nativeEnum(EModelEndpoint);
 
+/** Default endpoints, or the name of a custom endpoint defined in the config file */
+export const extendedModelEndpointSchema = z.union([eModelEndpointSchema, z.string()]);
+
 export const tPluginAuthConfigSchema = z.object({
   authField: z.string(),
   label: z.string(),
@@ -194,6 +236,15 @@ export const tMessageSchema = z.object({
   finish_reason: z.string().optional(),
 });
 
+/** A chunk of a document retrieved for a response, cited in it as a footnote */
+export type TMessageSource = {
+  /** The number of the footnote */
+  id: number;
+  file_id: string;
+  filename: string;
+  text: string;
+};
+
 export type TMessage = z.input<typeof tMessageSchema> & {
   children?: TMessage[];
   plugin?: TResPlugin | null;
@@ -207,18 +258,25 @@ export type TMessage = z.input<typeof tMessageSchema> & {
     height?: number;
     width?: number;
   }[];
+  sources?: TMessageSource[];
+  /** Search hits only: the IDs from the root message of the conversation to this one */
+  path?: string[];
 };
 
 export const tConversationSchema = z.object({
   conversationId: z.string().nullable(),
   title: z.string().nullable().or(z.literal('New Chat')).default('New Chat'),
   user: z.string().optional(),
-  endpoint: eModelEndpointSchema.nullable(),
+  endpoint: extendedModelEndpointSchema.nullable(),
+  endpointType: eModelEndpointSchema.optional(),
   suggestions: z.array(z.string()).optional(),
   messages: z.array(z.string()).optional(),
   tools: z.array(tPluginSchema).optional(),
   createdAt: z.string(),
   updatedAt: z.string(),
+  tags: z.array(z.string()).optional(),
+  isPinned: z.boolean().optional(),
+  isArchived: z.boolean().optional(),
   systemMessage: z.string().nullable().optional(),
   modelLabel: z.string().nullable().optional(),
   examples: z.array(tExampleSchema).optional(),
@@ -255,6 +313,9 @@ export const tPresetSchema = tConversationSchema
     createdAt: true,
     updatedAt: true,
     title: true,
+    tags: true,
+    isPinned: true,
+    isArchived: true,
   })
   .merge(
     z.object({
@@ -454,6 +515,36 @@ export const gptPluginsSchema = tConversationSchema
     },
   }));
 
+export const customSchema = tConversationSchema
+  .pick({
+    model: true,
+    chatGptLabel: true,
+    promptPrefix: true,
+    temperature: true,
+    top_p: true,
+    presence_penalty: true,
+    frequency_penalty: true,
+  })
+  .transform((obj) => ({
+    ...obj,
+    model: obj.model ?? null,
+    chatGptLabel: obj.chatGptLabel ?? null,
+    promptPrefix: obj.promptPrefix ?? null,
+    temperature: obj.temperature ?? 1,
+    top_p: obj.top_p ?? 1,
+    presence_penalty: obj.presence_penalty ?? 0,
+    frequency_penalty: obj.frequency_penalty ?? 0,
+  }))
+  .catch(() => ({
+    model: null,
+    chatGptLabel: null,
+    promptPrefix: null,
+    temperature: 1,
+    top_p: 1,
+    presence_penalty: 0,
+    frequency_penalty: 0,
+  }));
+
 export function removeNullishValues<T extends object>(obj: T): T {
   const newObj: Partial<T> = { ...obj };
 
@@ -482,7 +573,8 @@ type EndpointSchema =
   | typeof anthropicSchema
   | typeof chatGPTBrowserSchema
   | typeof gptPluginsSchema
-  | typeof assistantSchema;
+  | typeof assistantSchema
+  | typeof customSchema;
 
 const endpointSchemas: Record<EModelEndpoint, EndpointSchema> = {
   [EModelEndpoint.openAI]: openAISchema,
@@ -493,6 +585,7 @@ const endpointSchemas: Record<EModelEndpoint, EndpointSchema> = {
   [EModelEndpoint.chatGPTBrowser]: chatGPTBrowserSchema,
   [EModelEndpoint.gptPlugins]: gptPluginsSchema,
   [EModelEndpoint.assistant]: assistantSchema,
+  [EModelEndpoint.custom]: customSchema,
 };
 
 export function getFirstDefinedValue(possibleValues: string[]) {
@@ -511,12 +604,22 @@ export type TPossibleValues = {
   secondaryModels?: string[];
 };
 
-export const parseConvo = (
-  endpoint: EModelEndpoint,
-  conversation: Partial<TConversation | TPreset>,
-  possibleValues?: TPossibleValues,
-) => {
-  const schema = endpointSchemas[endpoint];
+export const parseConvo = ({
+  endpoint,
+  endpointType,
+  conversation,
+  possibleValues,
+}: {
+  endpoint: EModelEndpoint | string;
+  endpointType?: EModelEndpoint;
+  conversation: Partial<TConversation | TPreset>;
+  possibleValues?: TPossibleValues;
+}) => {
+  let schema = endpointSchemas[endpoint as EModelEndpoint];
+
+  if (!schema && endpointType) {
+    schema = endpointSchemas[endpointType];
+  }
 
   if (!schema) {
     throw new Error(`Unknown endpoint: ${endpoint}`);
@@ -537,7 +640,9 @@ export const parseConvo = (
 };
 
 export type TEndpointOption = {
-  endpoint: EModelEndpoint;
+  endpoint: EModelEndpoint | string;
+  endpointType?: EModelEndpoint;
+  modelDisplayLabel?: string;
   model?: string | null;
   promptPrefix?: string;
   temperature?: number;
@@ -548,7 +653,8 @@ export type TEndpointOption = {
 };
 
 export const getResponseSender = (endpointOption: TEndpointOption): string => {
-  const { model, endpoint, chatGptLabel, modelLabel, jailbreak } = endpointOption;
+  const { model, endpoint, endpointType, modelDisplayLabel, chatGptLabel, modelLabel, jailbreak } =
+    endpointOption;
 
   if (
     [
@@ -556,7 +662,7 @@ export const getResponseSender = (endpointOption: TEndpointOption): string => {
       EModelEndpoint.azureOpenAI,
       EModelEndpoint.gptPlugins,
       EModelEndpoint.chatGPTBrowser,
-    ].includes(endpoint)
+    ].includes(endpoint as EModelEndpoint)
   ) {
     if (chatGptLabel) {
       return chatGptLabel;
@@ -579,6 +685,8 @@ export const getResponseSender = (endpointOption: TEndpointOption): string => {
   if (endpoint === EModelEndpoint.google) {
     if (modelLabel) {
       return modelLabel;
+    } else if (model && model.includes('gemini')) {
+      return 'Gemini';
     } else if (model && model.includes('code')) {
       return 'Codey';
     }
@@ -586,6 +694,16 @@ export const getResponseSender = (endpointOption: TEndpointOption): string => {
     return 'PaLM2';
   }
 
+  if (endpoint === EModelEndpoint.custom || endpointType === EModelEndpoint.custom) {
+    if (chatGptLabel) {
+      return chatGptLabel;
+    } else if (modelDisplayLabel) {
+      return modelDisplayLabel;
+    }
+
+    return 'AI';
+  }
+
   return '';
 };
 
@@ -754,6 +872,35 @@ export const compactPluginsSchema = tConversationSchema
   })
   .catch(() => ({}));
 
+export const compactCustomSchema = tConversationSchema
+  .pick({
+    model: true,
+    chatGptLabel: true,
+    promptPrefix: true,
+    temperature: true,
+    top_p: true,
+    presence_penalty: true,
+    frequency_penalty: true,
+  })
+  .transform((obj: Partial<TConversation>) => {
+    const newObj: Partial<TConversation> = { ...obj };
+    if (newObj.temperature === 1) {
+      delete newObj.temperature;
+    }
+    if (newObj.top_p === 1) {
+      delete newObj.top_p;
+    }
+    if (newObj.presence_penalty === 0) {
+      delete newObj.presence_penalty;
+    }
+    if (newObj.frequency_penalty === 0) {
+      delete newObj.frequency_penalty;
+    }
+
+    return removeNullishValues(newObj);
+  })
+  .catch(() => ({}));
+
 type CompactEndpointSchema =
   | typeof compactOpenAISchema
   | typeof assistantSchema
@@ -761,7 +908,8 @@ type CompactEndpointSchema =
   | typeof bingAISchema
   | typeof compactAnthropicSchema
   | typeof compactChatGPTSchema
-  | typeof compactPluginsSchema;
+  | typeof compactPluginsSchema
+  | typeof compactCustomSchema;
 
 const compactEndpointSchemas: Record<string, CompactEndpointSchema> = {
   openAI: compactOpenAISchema,
@@ -773,18 +921,29 @@ const compactEndpointSchemas: Record<string, CompactEndpointSchema> = {
   anthropic: compactAnthropicSchema,
   chatGPTBrowser: compactChatGPTSchema,
   gptPlugins: compactPluginsSchema,
+  custom: compactCustomSchema,
 };
 
-export const parseCompactConvo = (
-  endpoint: EModelEndpoint | undefined,
-  conversation: Partial<TConversation | TPreset>,
-  possibleValues?: TPossibleValues,
-) => {
+export const parseCompactConvo = ({
+  endpoint,
+  endpointType,
+  conversation,
+  possibleValues,
+}: {
+  endpoint?: EModelEndpoint | string;
+  endpointType?: EModelEndpoint;
+  conversation: Partial<TConversation | TPreset>;
+  possibleValues?: TPossibleValues;
+}) => {
   if (!endpoint) {
     throw new Error(`undefined endpoint: ${endpoint}`);
   }
 
-  const schema = compactEndpointSchemas[endpoint];
+  let schema = compactEndpointSchemas[endpoint];
+
+  if (!schema && endpointType) {
+    schema = compactEndpointSchemas[endpointType];
+  }
 
   if (!schema) {
     throw new Error(`Unknown endpoint: ${endpoint}`);
@@ -1,5 +1,11 @@
 import OpenAI from 'openai';
-import type { TResPlugin, TMessage, TConversation, TEndpointOption } from './schemas';
+import type {
+  TResPlugin,
+  TMessage,
+  TConversation,
+  TEndpointOption,
+  EModelEndpoint,
+} from './schemas';
 
 export type TOpenAIMessage = OpenAI.Chat.ChatCompletionMessageParam;
 export type TOpenAIFunction = OpenAI.Chat.ChatCompletionCreateParams.Function;
@@ -23,6 +29,8 @@ export type TSubmission = {
   initialResponse: TMessage;
   conversation: Partial<TConversation>;
   endpointOption: TEndpointOption;
+  /** Set to resume the generation stream with this id instead of sending a new message */
+  streamId?: string;
 };
 
 export type TPluginAction = {
@@ -56,6 +64,7 @@ export type TUser = {
   avatar: string;
   role: string;
   provider: string;
+  twoFactorEnabled?: boolean;
   plugins: string[];
   createdAt: string;
   updatedAt: string;
@@ -63,9 +72,45 @@ export type TUser = {
 
 export type TGetConversationsResponse = {
   conversations: TConversation[];
-  pageNumber: string;
-  pageSize: string | number;
-  pages: string | number;
+  /** Opaque cursor of the next page, or `null` when there are no more conversations */
+  nextCursor: string | null;
+};
+
+export type TConversationFilters = {
+  isArchived?: boolean;
+  tags?: string[];
+  isPinned?: boolean;
+  endpoint?: string;
+  /** ISO date string */
+  startDate?: string;
+  /** ISO date string */
+  endDate?: string;
+};
+
+export type TConversationTag = {
+  tag: string;
+  count: number;
+};
+
+export type TBulkConvoAction = 'tag' | 'untag' | 'pin' | 'unpin' | 'archive' | 'unarchive';
+
+export type TBulkUpdateConvosRequest = {
+  conversationIds: string[];
+  action: TBulkConvoAction;
+  tags?: string[];
+};
+
+export type TBulkUpdateConvosResponse = {
+  matchedCount: number;
+  modifiedCount: number;
+};
+
+export type TArchiveConversationRequest = {
+  conversationId: string;
+};
+
+export type TGenTitleRequest = {
+  conversationId: string;
 };
 
 export type TUpdateMessageRequest = {
@@ -104,6 +149,16 @@ export type TDeleteConversationResponse = {
   };
 };
 
+export type TSearchFilters = {
+  endpoint?: string;
+  model?: string;
+  sender?: string;
+  /** ISO date string */
+  startDate?: string;
+  /** ISO date string */
+  endDate?: string;
+};
+
 export type TSearchResults = {
   conversations: TConversation[];
   messages: TMessage[];
@@ -120,10 +175,17 @@ export type TConfig = {
   plugins?: Record<string, string>;
   azure?: boolean;
   order: number;
+  type?: EModelEndpoint;
+  userProvideURL?: boolean | null;
+  modelDisplayLabel?: string;
+  iconURL?: string;
 };
 
 export type TModelsConfig = Record<string, string[]>;
 
+/** Token credits per prompt and completion token, by endpoint and model */
+export type TModelRates = Record<string, Record<string, { prompt: number; completion: number }>>;
+
 export type TEndpointsConfig = Record<string, TConfig | null>;
 
 export type TUpdateTokenCountResponse = {
@@ -144,6 +206,24 @@ export type TRegisterUser = {
   confirm_password?: string;
 };
 
+export type TRegisterUserResponse = {
+  user: TUser;
+  /** The user can log in once their email is verified */
+  verificationRequired?: boolean;
+  /** The user must enroll in 2FA, as when logging in, before being issued tokens */
+  twoFactorSetupRequired?: boolean;
+  tempToken?: string;
+};
+
+export type TVerifyEmail = {
+  userId: string;
+  token: string;
+};
+
+export type TResendVerificationEmail = {
+  email: string;
+};
+
 export type TLoginUser = {
   email: string;
   password: string;
@@ -154,6 +234,38 @@ export type TLoginResponse = {
   user: TUser;
 };
 
+/** The response to a login that requires a second step: entering a code, or enrolling in 2FA */
+export type TTwoFactorChallenge = {
+  twoFactorRequired?: boolean;
+  twoFactorSetupRequired?: boolean;
+  /** Short-lived token identifying the user in the second step */
+  tempToken: string;
+};
+
+export type TLoginResult = TLoginResponse | TTwoFactorChallenge;
+
+/** A code from the authenticator app, or a backup code */
+export type TTwoFactorCode = {
+  code?: string;
+  backupCode?: string;
+};
+
+export type TTwoFactorLogin = TTwoFactorCode & {
+  tempToken: string;
+};
+
+export type TTwoFactorSetupResponse = {
+  secret: string;
+  otpauthUrl: string;
+  /** The QR code of `otpauthUrl`, as a data URL */
+  qrCode: string;
+};
+
+/** When enrolling during a login, the login is completed: `token` and `user` are set */
+export type TTwoFactorConfirmResponse = Partial<TLoginResponse> & {
+  backupCodes: string[];
+};
+
 export type TRequestPasswordReset = {
   email: string;
 };
@@ -180,6 +292,7 @@ export type TStartupConfig = {
   socialLoginEnabled: boolean;
   emailEnabled: boolean;
   checkBalance: boolean;
+  titleConvo: boolean;
   customFooter?: string;
 };
 
@@ -0,0 +1,57 @@
+import type { TUser } from '../types';
+import type { SystemRoles } from '../roles';
+
+export type TAdminUser = TUser & {
+  disabled?: boolean;
+  emailVerified?: boolean;
+  balance: number;
+  /** ISO date the ban of the user expires at, or `null` if not banned */
+  bannedUntil: string | null;
+};
+
+export type TAdminUsersResponse = {
+  users: TAdminUser[];
+  pageNumber: number;
+  pageSize: number;
+  pages: number;
+};
+
+export type TAdminCreateUserRequest = {
+  email: string;
+  password: string;
+  name: string;
+  username?: string;
+  role?: SystemRoles;
+};
+
+export type TAdminResetPasswordRequest = {
+  userId: string;
+  password: string;
+};
+
+export type TAdminAddBalanceRequest = {
+  userId: string;
+  amount: number;
+};
+
+export type TAdminBanUserRequest = {
+  userId: string;
+  /** Duration of the ban, in minutes */
+  duration: number;
+};
+
+export type TViolation = {
+  type: string;
+  date: string;
+  violation_count: number;
+  prev_count?: number;
+  ban?: boolean;
+  ban_duration?: number;
+  [key: string]: unknown;
+};
+
+export type AdminMutationOptions<TData, TVariables> = {
+  onSuccess?: (data: TData, variables: TVariables, context?: unknown) => void;
+  onMutate?: (variables: TVariables) => void | Promise<unknown>;
+  onError?: (error: unknown, variables: TVariables, context?: unknown) => void;
+};
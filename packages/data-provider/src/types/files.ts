@@ -6,8 +6,44 @@ export type FileUploadResponse = {
   filename: string;
   type: string;
   size: number;
-  height: number;
-  width: number;
+  height?: number;
+  width?: number;
+};
+
+/** A stored file of the user, listed in the file manager */
+export type TFile = {
+  file_id: string;
+  filename: string;
+  /** The stored path of the file, sent along with messages */
+  filepath: string;
+  /** The URL to load the file from */
+  url: string;
+  type: string;
+  bytes: number;
+  usage: number;
+  width?: number;
+  height?: number;
+  embedded?: boolean;
+  createdAt: string;
+  updatedAt: string;
+};
+
+export type TFileFilters = {
+  type?: 'image' | 'document';
+  /** Part of the filename */
+  search?: string;
+};
+
+export type TGetFilesResponse = {
+  files: TFile[];
+  nextCursor: string | null;
+};
+
+export type TFileStorage = {
+  /** The storage used by the files of the user, in bytes */
+  bytes: number;
+  /** The storage quota of each user in bytes, or null if unlimited */
+  quota: number | null;
 };
 
 export type FileUploadBody = {
@@ -1,4 +1,11 @@
-import { TPreset } from '../types';
+import {
+  TPreset,
+  TBulkUpdateConvosRequest,
+  TBulkUpdateConvosResponse,
+  TArchiveConversationRequest,
+  TGenTitleRequest,
+} from '../types';
+import { TConversation } from '../schemas';
 
 export type PresetDeleteResponse = {
   acknowledged: boolean;
@@ -26,3 +33,47 @@ export type LogoutOptions = {
   onMutate?: (variables: undefined) => void | Promise<unknown>;
   onError?: (error: unknown, variables: undefined, context?: unknown) => void;
 };
+
+export type TImportConversationsResponse = {
+  conversations: number;
+  messages: number;
+  errors: { title: string; message: string }[];
+};
+
+export type ImportConversationsOptions = {
+  onSuccess?: (data: TImportConversationsResponse, variables: FormData, context?: unknown) => void;
+  onMutate?: (variables: FormData) => void | Promise<unknown>;
+  onError?: (error: unknown, variables: FormData, context?: unknown) => void;
+};
+
+export type BulkUpdateConvosOptions = {
+  onSuccess?: (
+    data: TBulkUpdateConvosResponse,
+    variables: TBulkUpdateConvosRequest,
+    context?: unknown,
+  ) => void;
+  onMutate?: (variables: TBulkUpdateConvosRequest) => void | Promise<unknown>;
+  onError?: (error: unknown, variables: TBulkUpdateConvosRequest, context?: unknown) => void;
+};
+
+export type DeleteConversationTagOptions = {
+  onSuccess?: (data: TBulkUpdateConvosResponse, variables: string, context?: unknown) => void;
+  onMutate?: (variables: string) => void | Promise<unknown>;
+  onError?: (error: unknown, variables: string, context?: unknown) => void;
+};
+
+export type ArchiveConversationOptions = {
+  onSuccess?: (
+    data: TBulkUpdateConvosResponse,
+    variables: TArchiveConversationRequest,
+    context?: unknown,
+  ) => void;
+  onMutate?: (variables: TArchiveConversationRequest) => void | Promise<unknown>;
+  onError?: (error: unknown, variables: TArchiveConversationRequest, context?: unknown) => void;
+};
+
+export type GenTitleOptions = {
+  onSuccess?: (data: TConversation, variables: TGenTitleRequest, context?: unknown) => void;
+  onMutate?: (variables: TGenTitleRequest) => void | Promise<unknown>;
+  onError?: (error: unknown, variables: TGenTitleRequest, context?: unknown) => void;
+};
@@ -0,0 +1,32 @@
+import type { TMessage } from '../schemas';
+
+export type TSharedLink = {
+  shareId: string;
+  conversationId: string;
+  title: string;
+  endpoint?: string;
+  endpointType?: string;
+  model?: string;
+  createdAt: string;
+  updatedAt: string;
+};
+
+export type TSharedLinkWithMessages = TSharedLink & {
+  messages: TMessage[];
+};
+
+export type TCreateSharedLinkRequest = {
+  conversationId: string;
+};
+
+export type CreateSharedLinkOptions = {
+  onSuccess?: (data: TSharedLink, variables: TCreateSharedLinkRequest, context?: unknown) => void;
+  onMutate?: (variables: TCreateSharedLinkRequest) => void | Promise<unknown>;
+  onError?: (error: unknown, variables: TCreateSharedLinkRequest, context?: unknown) => void;
+};
+
+export type SharedLinkOptions = {
+  onSuccess?: (data: TSharedLink | void, shareId: string, context?: unknown) => void;
+  onMutate?: (shareId: string) => void | Promise<unknown>;
+  onError?: (error: unknown, shareId: string, context?: unknown) => void;
+};
@@ -0,0 +1,46 @@
+export type TTransaction = {
+  _id: string;
+  conversationId?: string;
+  tokenType: 'prompt' | 'completion' | 'credits';
+  model?: string;
+  endpoint?: string;
+  context?: string;
+  valueKey?: string;
+  rate?: number;
+  rawAmount?: number;
+  tokenValue?: number;
+  createdAt: string;
+  updatedAt: string;
+};
+
+export type TBalanceHistoryResponse = {
+  transactions: TTransaction[];
+  pageNumber: number;
+  pageSize: number;
+  pages: number;
+};
+
+export type TUsageGroupBy = 'model' | 'endpoint' | 'conversation';
+
+export type TUsageParams = {
+  groupBy?: TUsageGroupBy;
+  /** ISO date; defaults to 30 days ago */
+  startDate?: string;
+  /** ISO date; defaults to now */
+  endDate?: string;
+  /** Admins only: the user to return the usage of, instead of all users */
+  userId?: string;
+};
+
+/** Tokens and credits spent on a given day by one model, endpoint or conversation */
+export type TUsageStat = {
+  /** The day, as `YYYY-MM-DD` */
+  date: string;
+  /** The model, endpoint or conversation ID; `null` if not recorded */
+  key: string | null;
+  /** The conversation title, when grouping by conversation */
+  title?: string;
+  promptTokens: number;
+  completionTokens: number;
+  tokenCredits: number;
+};
@@ -0,0 +1,11 @@
+# Shared by the app instances for their caches and to abort each other's requests
+resource "azurerm_redis_cache" "ava" {
+  count               = var.app_service_instance_count > 1 ? 1 : 0
+  name                = "avaredis${random_string.random_postfix.result}"
+  location            = azurerm_resource_group.this.location
+  resource_group_name = azurerm_resource_group.this.name
+  capacity            = 0
+  family              = "C"
+  sku_name            = "Basic"
+  minimum_tls_version = "1.2"
+}
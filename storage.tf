@@ -0,0 +1,17 @@
+# Uploaded files and generated images, which the app instances don't keep across restarts
+resource "azurerm_storage_account" "ava" {
+  name                            = "avastorage${random_string.random_postfix.result}"
+  location                        = azurerm_resource_group.this.location
+  resource_group_name             = azurerm_resource_group.this.name
+  account_tier                    = "Standard"
+  account_replication_type        = "LRS"
+  min_tls_version                 = "TLS1_2"
+  allow_nested_items_to_be_public = false
+}
+
+# Private: the files are served through signed URLs
+resource "azurerm_storage_container" "files" {
+  name                  = "files"
+  storage_account_name  = azurerm_storage_account.ava.name
+  container_access_type = "private"
+}
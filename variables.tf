@@ -109,3 +109,13 @@ variable "public_network_access_enabled" {
   type = bool
   default = false
 }
+
+variable "archive_retention_days" {
+  description = "(Optional) Number of days after which archived conversations are deleted; empty keeps them forever."
+  default = ""
+}
+
+variable "app_service_instance_count" {
+  description = "(Optional) Number of instances running the librechat app. With more than one, a Redis cache is deployed for the instances to share."
+  default = 1
+}
@@ -4,7 +4,8 @@ resource "azurerm_service_plan" "ava" {
   resource_group_name = azurerm_resource_group.this.name
   os_type             = "Linux"
 
-  sku_name = var.app_service_sku_name
+  sku_name     = var.app_service_sku_name
+  worker_count = var.app_service_instance_count
 }
 
 resource "azurerm_linux_web_app" "ava" {
@@ -14,6 +15,8 @@ resource "azurerm_linux_web_app" "ava" {
   service_plan_id               = azurerm_service_plan.ava.id
   public_network_access_enabled = true
   https_only                    = true
+  # generations can only be resumed on the instance generating them
+  client_affinity_enabled       = true
 
   site_config {
     minimum_tls_version = "1.2"
@@ -76,6 +79,15 @@ resource "azurerm_linux_web_app" "ava" {
     DOMAIN_SERVER = "http://localhost:3080"
     DOMAIN_CLIENT = "http://localhost:3080"
 
+    ARCHIVE_RETENTION_DAYS = var.archive_retention_days
+
+    USE_REDIS = var.app_service_instance_count > 1
+    REDIS_URI = join("", [for redis in azurerm_redis_cache.ava : "rediss://:${redis.primary_access_key}@${redis.hostname}:${redis.ssl_port}"])
+
+    FILE_STRATEGY                   = "azure"
+    AZURE_STORAGE_CONNECTION_STRING = azurerm_storage_account.ava.primary_connection_string
+    AZURE_STORAGE_CONTAINER_NAME    = azurerm_storage_container.files.name
+
     VITE_SHOW_GOOGLE_LOGIN_OPTION = false
     ALLOW_REGISTRATION            = true
 